@@ -0,0 +1,41 @@
+/**
+ * Run the local Daraja simulator.
+ *
+ * Run: node scripts/daraja-simulator.js
+ * Or:  npm run sim:daraja
+ *
+ * Then start the backend with:
+ *   MPESA_BASE_URL=http://localhost:4100
+ *   MPESA_RESULT_BASE_URL=http://localhost:4000
+ *   MPESA_TIMEOUT_BASE_URL=http://localhost:4000
+ *
+ * Script outcomes before triggering a flow, e.g.:
+ *   curl -X POST localhost:4100/simulator/scenarios -H 'content-type: application/json' \
+ *     -d '{"api":"stk","scenario":"cancelled"}'
+ */
+
+require("dotenv").config();
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+const PORT = Number(process.env.DARAJA_SIM_PORT || 4100);
+
+async function main() {
+  const simulator = createDarajaSimulator();
+  const { url } = await simulator.listen(PORT, "0.0.0.0");
+  console.log(`Daraja simulator running at ${url.replace("0.0.0.0", "localhost")}`);
+  console.log(
+    `Callback delay: ${simulator.config.callbackDelayMs}ms, default scenario: ${simulator.config.defaultScenario}`
+  );
+
+  const shutdown = () => {
+    simulator.close().then(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  console.error("Failed to start Daraja simulator:", err);
+  process.exit(1);
+});
@@ -7,6 +7,9 @@ const usersRouter = require("./routes/users");
 const notificationsRouter = require("./routes/notifications");
 const mpesaRouter = require("./routes/mpesa");
 const mpesaWebhooksRouter = require("./routes/mpesa-webhooks");
+const schedulerRouter = require("./routes/scheduler");
+const c2bRouter = require("./routes/c2b");
+const adminRouter = require("./routes/admin");
 
 const normalizeOrigin = (value) => String(value || "").trim().replace(/\/+$/, "");
 
@@ -82,6 +85,9 @@ app.use("/api/users", usersRouter);
 app.use("/api/notifications", notificationsRouter);
 app.use("/api/mpesa", mpesaWebhooksRouter);
 app.use("/api/mpesa", mpesaRouter);
+app.use("/api/scheduler", schedulerRouter);
+app.use("/api/c2b", c2bRouter);
+app.use("/api/admin", adminRouter);
 
 // Last-resort error handler for unexpected exceptions.
 // (Most routes already handle their own errors.)
@@ -0,0 +1,50 @@
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function toList(value, fallback) {
+  const list = String(value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+  return list.length > 0 ? list : fallback;
+}
+
+const fxConfig = {
+  // Sources tried in order until one returns a fresh rate: static, http, oracle.
+  providers: toList(process.env.FX_PROVIDERS, ["static"]),
+  // How long a fetched rate is reused before the sources are asked again.
+  cacheTtlSeconds: Math.max(0, toNumber(process.env.FX_CACHE_TTL_SECONDS, 60)),
+  // Rates whose source timestamp is older than this are rejected.
+  maxAgeSeconds: Math.max(60, toNumber(process.env.FX_MAX_AGE_SECONDS, 3600)),
+  // Applied around the mid rate: onramp pays mid * (1 + spread), payouts get mid * (1 - spread).
+  spreadBps: Math.max(0, toNumber(process.env.FX_SPREAD_BPS, 0)),
+  // Sanity band; anything outside it is treated as a broken feed.
+  minKesPerUsd: toNumber(process.env.FX_MIN_KES_PER_USD, 50),
+  maxKesPerUsd: toNumber(process.env.FX_MAX_KES_PER_USD, 500),
+  static: {
+    // JSON file with { "kesPerUsd": 129.2, "updatedAt": "<ISO>" }; re-read on every cache miss.
+    file: String(process.env.FX_STATIC_RATE_FILE || "").trim(),
+    // Used when no file is configured. Never stale.
+    kesPerUsd: toNumber(process.env.FX_STATIC_KES_PER_USD, 150),
+  },
+  http: {
+    url: String(process.env.FX_HTTP_URL || "").trim(),
+    // Dot path to the rate (and optional timestamp) inside the JSON response.
+    ratePath: String(process.env.FX_HTTP_RATE_PATH || "kesPerUsd").trim(),
+    timestampPath: String(process.env.FX_HTTP_TIMESTAMP_PATH || "").trim(),
+    apiKey: String(process.env.FX_HTTP_API_KEY || "").trim(),
+    timeoutMs: Math.max(500, toNumber(process.env.FX_HTTP_TIMEOUT_MS, 5000)),
+  },
+  oracle: {
+    // Chainlink AggregatorV3-compatible feed, read through the treasury chain adapter.
+    feedAddress: String(process.env.FX_ORACLE_FEED_ADDRESS || "").trim().toLowerCase(),
+    // Set when the feed quotes USD per KES instead of KES per USD.
+    invert: ["1", "true", "yes", "on"].includes(String(process.env.FX_ORACLE_INVERT || "").trim().toLowerCase()),
+  },
+};
+
+module.exports = {
+  fxConfig,
+};
@@ -0,0 +1,23 @@
+function toBool(value, fallback = false) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return ["1", "true", "yes", "on"].includes(String(value).trim().toLowerCase());
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const jobsConfig = {
+  // Run a job worker inside the HTTP server process (src/index.js). Use `npm run worker` otherwise.
+  inlineWorker: toBool(process.env.JOBS_INLINE_WORKER, true),
+  pollIntervalMs: Math.max(250, toNumber(process.env.JOBS_POLL_INTERVAL_MS, 2000)),
+  leaseSeconds: Math.max(10, toNumber(process.env.JOBS_LEASE_SECONDS, 120)),
+  maxAttempts: Math.max(1, toNumber(process.env.JOBS_MAX_ATTEMPTS, 6)),
+  backoffBaseSeconds: Math.max(1, toNumber(process.env.JOBS_BACKOFF_BASE_SECONDS, 15)),
+  backoffMaxSeconds: Math.max(1, toNumber(process.env.JOBS_BACKOFF_MAX_SECONDS, 3600)),
+};
+
+module.exports = {
+  jobsConfig,
+};
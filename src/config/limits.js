@@ -0,0 +1,90 @@
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const LIMIT_WINDOWS = ["daily", "weekly", "monthly"];
+
+/**
+ * Built-in tiers. Every profile has:
+ * - overall: caps across all flows
+ * - flows: optional extra caps per flow (onramp/offramp/paybill/buygoods)
+ * - perRecipient: caps per phone number, paybill or till (outgoing flows only)
+ * Each cap set may hold perTxnKes, dailyKes, weeklyKes and monthlyKes; null means no cap
+ * (single transactions are still held to the MPESA_MAX_TXN_KES ceiling).
+ */
+const DEFAULT_TIERS = {
+  basic: {
+    label: "Basic",
+    overall: { perTxnKes: 70000, dailyKes: 150000, weeklyKes: 500000, monthlyKes: 1000000 },
+    flows: {},
+    perRecipient: { perTxnKes: null, dailyKes: 70000, weeklyKes: 200000, monthlyKes: 500000 },
+  },
+  standard: {
+    label: "Standard",
+    overall: {
+      // The pre-tier global caps still set the default tier.
+      perTxnKes: toNumber(process.env.MPESA_MAX_TXN_KES, 150000),
+      dailyKes: toNumber(process.env.MPESA_MAX_DAILY_KES, 500000),
+      weeklyKes: 1500000,
+      monthlyKes: 3000000,
+    },
+    flows: {},
+    perRecipient: { perTxnKes: null, dailyKes: 300000, weeklyKes: 1000000, monthlyKes: 2000000 },
+  },
+  business: {
+    label: "Business",
+    overall: { perTxnKes: null, dailyKes: 1000000, weeklyKes: 5000000, monthlyKes: 15000000 },
+    flows: {},
+    perRecipient: { perTxnKes: null, dailyKes: 1000000, weeklyKes: null, monthlyKes: null },
+  },
+};
+
+function mergeCaps(base = {}, override = {}) {
+  return { ...base, ...(override || {}) };
+}
+
+/**
+ * MPESA_LIMIT_TIERS is JSON merged over the built-in tiers, e.g.
+ * {"basic":{"flows":{"offramp":{"dailyKes":50000}}},"vip":{"overall":{"dailyKes":2000000}}}.
+ */
+function loadTiers(raw) {
+  let overrides = {};
+  if (String(raw || "").trim()) {
+    try {
+      overrides = JSON.parse(raw);
+    } catch (err) {
+      console.warn("Ignoring MPESA_LIMIT_TIERS (invalid JSON):", err?.message || err);
+    }
+  }
+
+  const tiers = {};
+  for (const name of new Set([...Object.keys(DEFAULT_TIERS), ...Object.keys(overrides || {})])) {
+    const base = DEFAULT_TIERS[name] || { label: name, overall: {}, flows: {}, perRecipient: {} };
+    const override = overrides?.[name] || {};
+    const flows = { ...base.flows };
+    for (const [flowType, caps] of Object.entries(override.flows || {})) {
+      flows[flowType] = mergeCaps(flows[flowType], caps);
+    }
+    tiers[name.toLowerCase()] = {
+      label: override.label || base.label,
+      overall: mergeCaps(base.overall, override.overall),
+      flows,
+      perRecipient: mergeCaps(base.perRecipient, override.perRecipient),
+    };
+  }
+  return tiers;
+}
+
+const limitsConfig = {
+  // Daily/weekly/monthly windows roll over at midnight here (weeks start on Monday).
+  timeZone: String(process.env.MPESA_LIMIT_TIMEZONE || "Africa/Nairobi").trim(),
+  // Tier for users without User.limitTier.
+  defaultTier: String(process.env.MPESA_LIMIT_DEFAULT_TIER || "standard").trim().toLowerCase(),
+  tiers: loadTiers(process.env.MPESA_LIMIT_TIERS),
+};
+
+module.exports = {
+  LIMIT_WINDOWS,
+  limitsConfig,
+};
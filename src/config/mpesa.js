@@ -90,6 +90,9 @@ const mpesaConfig = {
         : `${baseUrl}/mpesa/b2c/v3/paymentrequest`,
     b2bPayment: `${baseUrl}/mpesa/b2b/v1/paymentrequest`,
     transactionStatus: `${baseUrl}/mpesa/transactionstatus/v1/query`,
+    accountBalance: `${baseUrl}/mpesa/accountbalance/v1/query`,
+    reversal: `${baseUrl}/mpesa/reversal/v1/request`,
+    c2bRegisterUrl: `${baseUrl}/mpesa/c2b/v2/registerurl`,
   },
   credentials: {
     consumerKey: String(process.env.MPESA_CONSUMER_KEY || "").trim(),
@@ -104,6 +107,10 @@ const mpesaConfig = {
     b2bShortcode:
       String(process.env.MPESA_B2B_SHORTCODE || "").trim() ||
       String(process.env.MPESA_SHORTCODE || "").trim(),
+    // Paybill customers pay directly from the M-Pesa menu (C2B).
+    c2bShortcode:
+      String(process.env.MPESA_C2B_SHORTCODE || "").trim() ||
+      String(process.env.MPESA_SHORTCODE || "").trim(),
     passkey: String(process.env.MPESA_PASSKEY || "").trim(),
     initiatorName: String(process.env.MPESA_INITIATOR_NAME || "").trim(),
     securityCredential,
@@ -157,14 +164,67 @@ const mpesaConfig = {
     webhookSecret: String(process.env.MPESA_WEBHOOK_SECRET || "").trim(),
   },
   limits: {
+    // Ceiling for any single transaction, whatever the user's tier (see config/limits.js).
     maxTxnKes: toNumber(process.env.MPESA_MAX_TXN_KES, 150000),
-    maxDailyKes: toNumber(process.env.MPESA_MAX_DAILY_KES, 500000),
   },
   quote: {
     ttlSeconds: toNumber(process.env.MPESA_QUOTE_TTL_SECONDS, 300),
   },
+  fees: {
+    // Fee schedules are read from Mongo at most this often per instance.
+    cacheTtlSeconds: Math.max(0, toNumber(process.env.MPESA_FEES_CACHE_TTL_SECONDS, 30)),
+  },
+  billers: {
+    // Biller catalogue entries are read from Mongo at most this often per instance.
+    cacheTtlSeconds: Math.max(0, toNumber(process.env.MPESA_BILLERS_CACHE_TTL_SECONDS, 60)),
+  },
+  receipts: {
+    // HMAC key for receipt verification codes; changing it invalidates every issued code.
+    signingSecret: String(process.env.RECEIPT_SIGNING_SECRET || process.env.DOTPAY_BACKEND_JWT_SECRET || "").trim(),
+    // Origin printed in receipt verification links (defaults to the request's host).
+    publicBaseUrl: String(process.env.RECEIPT_PUBLIC_BASE_URL || "").trim().replace(/\/+$/, ""),
+  },
   refunds: {
     autoRefund: toBool(process.env.MPESA_AUTO_REFUND, true),
+    // Failed refunds are retried by the refund_retry sweep with exponential backoff.
+    retryMaxAttempts: Math.max(1, toNumber(process.env.MPESA_REFUND_RETRY_MAX_ATTEMPTS, 6)),
+    retryBaseSeconds: Math.max(10, toNumber(process.env.MPESA_REFUND_RETRY_BASE_SECONDS, 300)),
+    retryMaxDelaySeconds: Math.max(60, toNumber(process.env.MPESA_REFUND_RETRY_MAX_DELAY_SECONDS, 21600)),
+    // USDC sent above a payout's quote is returned once the payout succeeds; smaller excesses are kept.
+    excessAutoRefund: toBool(process.env.MPESA_REFUND_EXCESS_FUNDING, true),
+    excessMinUsd: Math.max(0, toNumber(process.env.MPESA_REFUND_EXCESS_MIN_USD, 0.01)),
+  },
+  disputes: {
+    // Users can dispute a payout for this many days after it was created.
+    windowDays: Math.max(1, toNumber(process.env.MPESA_DISPUTE_WINDOW_DAYS, 90)),
+  },
+  reconcile: {
+    // Unanswered Transaction Status queries before a stuck payout is handed to ops review.
+    statusQueryMaxAttempts: Math.max(1, toNumber(process.env.MPESA_STATUS_QUERY_MAX_ATTEMPTS, 3)),
+  },
+  c2b: {
+    // What M-Pesa does when our validation URL cannot be reached: "Cancelled" or "Completed".
+    responseType:
+      String(process.env.MPESA_C2B_RESPONSE_TYPE || "").trim().toLowerCase() === "completed" ? "Completed" : "Cancelled",
+    minAmountKes: Math.max(1, toNumber(process.env.MPESA_C2B_MIN_AMOUNT_KES, 10)),
+    // Required: C2B confirmations mint USDC, so /api/c2b only answers requests carrying this secret.
+    webhookSecret:
+      String(process.env.MPESA_C2B_WEBHOOK_SECRET || "").trim() ||
+      String(process.env.MPESA_WEBHOOK_SECRET || "").trim(),
+  },
+  batch: {
+    maxItems: Math.max(1, toNumber(process.env.MPESA_BATCH_MAX_ITEMS, 500)),
+    // Smallest single B2C amount Daraja accepts.
+    minItemKes: Math.max(1, toNumber(process.env.MPESA_BATCH_MIN_ITEM_KES, 10)),
+  },
+  standingOrders: {
+    // Consecutive failed runs before an order is paused for the user to review.
+    maxConsecutiveFailures: Math.max(1, toNumber(process.env.MPESA_STANDING_ORDER_MAX_FAILURES, 3)),
+    maxPerUser: Math.max(1, toNumber(process.env.MPESA_STANDING_ORDER_MAX_PER_USER, 20)),
+  },
+  balance: {
+    // Account Balance snapshots older than this are ignored and liquidity falls back to the tracked estimate.
+    maxAgeSeconds: Math.max(60, toNumber(process.env.MPESA_BALANCE_MAX_AGE_SECONDS, 900)),
   },
   security: {
     // DotPay uses a fixed-length app PIN (6 digits) for sensitive flows.
@@ -173,6 +233,8 @@ const mpesaConfig = {
   },
   treasury: {
     refundEnabled: toBool(process.env.TREASURY_REFUND_ENABLED, true),
+    // "rpc" (default) talks to TREASURY_RPC_URL; "memory" uses the in-process fake chain.
+    chainAdapter: String(process.env.TREASURY_CHAIN_ADAPTER || "rpc").trim().toLowerCase(),
     rpcUrl: normalizeUrl(process.env.TREASURY_RPC_URL),
     privateKey: treasuryPrivateKey,
     address: treasuryAddress ? treasuryAddress.toLowerCase() : "",
@@ -203,7 +265,9 @@ function ensureMpesaConfigured() {
   if (!mpesaConfig.callbacks.resultBaseUrl) missing.push("MPESA_RESULT_BASE_URL");
   if (!mpesaConfig.callbacks.timeoutBaseUrl) missing.push("MPESA_TIMEOUT_BASE_URL");
   if (mpesaConfig.settlement?.requireOnchainFunding) {
-    if (!mpesaConfig.treasury?.rpcUrl) missing.push("TREASURY_RPC_URL");
+    if (!mpesaConfig.treasury?.rpcUrl && mpesaConfig.treasury?.chainAdapter !== "memory") {
+      missing.push("TREASURY_RPC_URL");
+    }
     if (!mpesaConfig.treasury?.usdcContract) missing.push("TREASURY_USDC_CONTRACT");
     if (!mpesaConfig.treasury?.address) {
       missing.push("TREASURY_PLATFORM_ADDRESS (or TREASURY_PRIVATE_KEY)");
@@ -215,7 +279,20 @@ function ensureMpesaConfigured() {
   }
 }
 
+/**
+ * The C2B webhooks credit USDC to whoever a confirmation names, so they never run unauthenticated.
+ */
+function ensureC2BConfigured() {
+  if (!mpesaConfig.c2b.webhookSecret) {
+    throw new Error("Missing M-Pesa configuration: MPESA_C2B_WEBHOOK_SECRET (or MPESA_WEBHOOK_SECRET)");
+  }
+  if (!mpesaConfig.credentials.c2bShortcode) {
+    throw new Error("Missing M-Pesa configuration: MPESA_C2B_SHORTCODE or MPESA_SHORTCODE");
+  }
+}
+
 module.exports = {
   mpesaConfig,
   ensureMpesaConfigured,
+  ensureC2BConfigured,
 };
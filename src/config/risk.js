@@ -0,0 +1,61 @@
+function toBool(value, fallback = false) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return ["1", "true", "yes", "on"].includes(String(value).trim().toLowerCase());
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const RISK_ACTIONS = ["allow", "review", "block"];
+
+function toAction(value, fallback) {
+  const action = String(value || "").trim().toLowerCase();
+  return RISK_ACTIONS.includes(action) ? action : fallback;
+}
+
+const riskConfig = {
+  enabled: toBool(process.env.RISK_ENGINE_ENABLED, true),
+  // How far back payout history is read for recipients, devices and typical amounts.
+  historyDays: Math.max(1, toNumber(process.env.RISK_HISTORY_DAYS, 90)),
+  // Each rule's action when it fires: allow (record only), review (hold for an operator) or block.
+  rules: {
+    velocity: {
+      action: toAction(process.env.RISK_VELOCITY_ACTION, "review"),
+      windowMinutes: Math.max(1, toNumber(process.env.RISK_VELOCITY_WINDOW_MINUTES, 10)),
+      maxTxns: Math.max(1, toNumber(process.env.RISK_VELOCITY_MAX_TXNS, 5)),
+    },
+    newRecipientBurst: {
+      action: toAction(process.env.RISK_NEW_RECIPIENT_BURST_ACTION, "block"),
+      windowMinutes: Math.max(1, toNumber(process.env.RISK_NEW_RECIPIENT_BURST_WINDOW_MINUTES, 10)),
+      maxNewRecipients: Math.max(1, toNumber(process.env.RISK_NEW_RECIPIENT_BURST_MAX, 3)),
+    },
+    newRecipientAmount: {
+      action: toAction(process.env.RISK_NEW_RECIPIENT_AMOUNT_ACTION, "review"),
+      maxKes: Math.max(0, toNumber(process.env.RISK_NEW_RECIPIENT_MAX_KES, 20000)),
+    },
+    pinFailures: {
+      action: toAction(process.env.RISK_PIN_FAILURES_ACTION, "block"),
+      windowMinutes: Math.max(1, toNumber(process.env.RISK_PIN_FAILURES_WINDOW_MINUTES, 30)),
+      maxFailures: Math.max(1, toNumber(process.env.RISK_PIN_FAILURES_MAX, 3)),
+    },
+    deviceChange: {
+      action: toAction(process.env.RISK_DEVICE_CHANGE_ACTION, "review"),
+      // Smaller payouts from a new IP and user agent are only recorded.
+      minKes: Math.max(0, toNumber(process.env.RISK_DEVICE_CHANGE_MIN_KES, 5000)),
+    },
+    amountAnomaly: {
+      action: toAction(process.env.RISK_AMOUNT_ANOMALY_ACTION, "review"),
+      // Fires above multiplier x the median of the user's recent successful payouts.
+      multiplier: Math.max(1, toNumber(process.env.RISK_AMOUNT_ANOMALY_MULTIPLIER, 5)),
+      minHistory: Math.max(1, toNumber(process.env.RISK_AMOUNT_ANOMALY_MIN_HISTORY, 3)),
+      minKes: Math.max(0, toNumber(process.env.RISK_AMOUNT_ANOMALY_MIN_KES, 10000)),
+    },
+  },
+};
+
+module.exports = {
+  RISK_ACTIONS,
+  riskConfig,
+};
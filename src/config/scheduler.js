@@ -0,0 +1,48 @@
+function toBool(value, fallback = false) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return ["1", "true", "yes", "on"].includes(String(value).trim().toLowerCase());
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const schedulerConfig = {
+  // Run sweeps on timers inside the HTTP server process (src/index.js).
+  enabled: toBool(process.env.SCHEDULER_ENABLED, true),
+  // Vercel Cron sends `Authorization: Bearer $CRON_SECRET` to /api/scheduler/cron.
+  cronSecret: String(process.env.CRON_SECRET || "").trim(),
+  leaseSeconds: Math.max(30, toNumber(process.env.SCHEDULER_LEASE_SECONDS, 300)),
+  runHistoryDays: Math.max(1, toNumber(process.env.SCHEDULER_RUN_HISTORY_DAYS, 30)),
+  tasks: {
+    reconcile: {
+      intervalSeconds: Math.max(30, toNumber(process.env.SCHEDULER_RECONCILE_INTERVAL_SECONDS, 300)),
+      maxAgeMinutes: Math.max(1, toNumber(process.env.SCHEDULER_RECONCILE_MAX_AGE_MINUTES, 30)),
+    },
+    onramp_settle: {
+      intervalSeconds: Math.max(30, toNumber(process.env.SCHEDULER_ONRAMP_SETTLE_INTERVAL_SECONDS, 120)),
+      limit: Math.max(1, toNumber(process.env.SCHEDULER_ONRAMP_SETTLE_LIMIT, 50)),
+    },
+    quote_expiry: {
+      intervalSeconds: Math.max(30, toNumber(process.env.SCHEDULER_QUOTE_EXPIRY_INTERVAL_SECONDS, 300)),
+      graceMinutes: Math.max(0, toNumber(process.env.SCHEDULER_QUOTE_EXPIRY_GRACE_MINUTES, 15)),
+    },
+    account_balance: {
+      // Keep this below MPESA_BALANCE_MAX_AGE_SECONDS so liquidity checks always see a fresh snapshot.
+      intervalSeconds: Math.max(60, toNumber(process.env.SCHEDULER_ACCOUNT_BALANCE_INTERVAL_SECONDS, 300)),
+    },
+    standing_orders: {
+      intervalSeconds: Math.max(30, toNumber(process.env.SCHEDULER_STANDING_ORDERS_INTERVAL_SECONDS, 60)),
+      limit: Math.max(1, toNumber(process.env.SCHEDULER_STANDING_ORDERS_LIMIT, 50)),
+    },
+    refund_retry: {
+      intervalSeconds: Math.max(30, toNumber(process.env.SCHEDULER_REFUND_RETRY_INTERVAL_SECONDS, 300)),
+      limit: Math.max(1, toNumber(process.env.SCHEDULER_REFUND_RETRY_LIMIT, 25)),
+    },
+  },
+};
+
+module.exports = {
+  schedulerConfig,
+};
@@ -1,5 +1,10 @@
 const { connectDB } = require("./config/db");
+const { jobsConfig } = require("./config/jobs");
+const { schedulerConfig } = require("./config/scheduler");
 const { app } = require("./app");
+const { startJobWorker } = require("./services/jobs/queue");
+const { registerDefaultJobHandlers } = require("./services/jobs/handlers");
+const { startScheduler } = require("./services/scheduler/scheduler");
 
 const PORT = process.env.PORT || 4000;
 
@@ -9,6 +14,14 @@ async function start() {
     app.listen(PORT, () => {
       console.log(`DotPay backend running at http://localhost:${PORT}`);
     });
+
+    if (jobsConfig.inlineWorker) {
+      registerDefaultJobHandlers();
+      startJobWorker({ pollIntervalMs: jobsConfig.pollIntervalMs });
+    }
+    if (schedulerConfig.enabled) {
+      startScheduler();
+    }
   } catch (err) {
     console.error("Failed to start server:", err);
     process.exit(1);
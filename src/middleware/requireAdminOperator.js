@@ -0,0 +1,47 @@
+const { authenticateOperator, hasPermission } = require("../services/admin/operators");
+
+function readOperatorKey(req) {
+  const header = String(req.get("authorization") || "").trim();
+  return (
+    String(req.get("x-dotpay-admin-key") || "").trim() ||
+    (header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "")
+  );
+}
+
+/** Authenticate a back-office operator by API key; sets req.adminOperator. */
+async function requireAdminOperator(req, res, next) {
+  try {
+    const apiKey = readOperatorKey(req);
+    if (!apiKey) {
+      return res.status(401).json({ success: false, message: "Missing operator API key." });
+    }
+
+    const operator = await authenticateOperator(apiKey);
+    if (!operator) {
+      return res.status(401).json({ success: false, message: "Invalid or disabled operator API key." });
+    }
+
+    req.adminOperator = operator;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Allow the request only when the operator's role grants `permission`. */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.adminOperator, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Role ${req.adminOperator?.role || "unknown"} may not ${permission}.`,
+      });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  requireAdminOperator,
+  requirePermission,
+};
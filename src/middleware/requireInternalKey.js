@@ -0,0 +1,24 @@
+function readBearer(req) {
+  const header = String(req.get("authorization") || "").trim();
+  return header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+}
+
+/** Internal-only routes: DOTPAY_INTERNAL_API_KEY in x-dotpay-internal-key or as a Bearer token. */
+function requireInternalKey(req, res, next) {
+  const expected = String(process.env.DOTPAY_INTERNAL_API_KEY || "").trim();
+  if (!expected) {
+    return res.status(500).json({ success: false, message: "DOTPAY_INTERNAL_API_KEY is not configured." });
+  }
+
+  const provided = String(req.get("x-dotpay-internal-key") || "").trim() || readBearer(req);
+  if (!provided || provided !== expected) {
+    return res.status(401).json({ success: false, message: "Unauthorized." });
+  }
+
+  return next();
+}
+
+module.exports = {
+  requireInternalKey,
+  readBearer,
+};
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const AUDIT_TARGET_TYPES = ["transaction", "user", "operator", "dispute"];
+const AUDIT_OUTCOMES = ["ok", "failed"];
+
+/** One back-office action, written after it ran (including failed attempts). */
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    // "internal-key" for actions taken with DOTPAY_INTERNAL_API_KEY.
+    operatorId: { type: String, required: true, trim: true, index: true },
+    operatorEmail: { type: String, default: null, trim: true, lowercase: true },
+    role: { type: String, default: null, trim: true },
+    // e.g. "transaction.note", "transaction.refund", "operator.create".
+    action: { type: String, required: true, trim: true, index: true },
+    targetType: { type: String, required: true, enum: AUDIT_TARGET_TYPES },
+    targetId: { type: String, required: true, trim: true },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+    outcome: { type: String, required: true, enum: AUDIT_OUTCOMES, default: "ok" },
+    error: { type: String, default: null },
+    ipAddress: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ operatorId: 1, createdAt: -1 });
+
+module.exports = {
+  AdminAuditLog: mongoose.model("AdminAuditLog", adminAuditLogSchema),
+  AUDIT_TARGET_TYPES,
+  AUDIT_OUTCOMES,
+};
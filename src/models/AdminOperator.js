@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const ADMIN_ROLES = ["viewer", "support", "finance", "admin"];
+
+function generateOperatorId() {
+  const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `OPR${Date.now().toString(36).toUpperCase()}${rand}`;
+}
+
+const adminOperatorSchema = new mongoose.Schema(
+  {
+    operatorId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateOperatorId,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: { type: String, default: null, trim: true },
+    role: {
+      type: String,
+      required: true,
+      enum: ADMIN_ROLES,
+      default: "viewer",
+    },
+    // SHA-256 of the operator's API key; the key itself is only shown when issued.
+    apiKeyHash: { type: String, required: true, unique: true },
+    // First characters of the key, so operators can tell their keys apart.
+    apiKeyPrefix: { type: String, default: null },
+    apiKeyIssuedAt: { type: Date, default: null },
+    active: { type: Boolean, default: true },
+    lastSeenAt: { type: Date, default: null },
+    // operatorId of whoever created it, or "internal-key".
+    createdBy: { type: String, default: null, trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = {
+  AdminOperator: mongoose.model("AdminOperator", adminOperatorSchema),
+  ADMIN_ROLES,
+};
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+const backgroundJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: JOB_STATUSES,
+      default: "queued",
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Only set while the job is queued/running, so a finished job does not block re-enqueueing.
+    dedupeKey: {
+      type: String,
+      default: undefined,
+      trim: true,
+    },
+    // Permanent copy of the dedupe key for lookups after the job finishes.
+    key: {
+      type: String,
+      default: null,
+      trim: true,
+      index: true,
+    },
+    attempts: { type: Number, default: 0, min: 0 },
+    maxAttempts: { type: Number, default: 5, min: 1 },
+    runAt: { type: Date, default: Date.now },
+    lockedBy: { type: String, default: null, trim: true },
+    lockedUntil: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    deadAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    errorLog: [
+      {
+        attempt: { type: Number, default: null },
+        message: { type: String, default: null },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+backgroundJobSchema.index({ status: 1, runAt: 1 });
+backgroundJobSchema.index({ status: 1, lockedUntil: 1 });
+backgroundJobSchema.index(
+  { dedupeKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      dedupeKey: { $type: "string" },
+    },
+  }
+);
+
+module.exports = {
+  BackgroundJob: mongoose.model("BackgroundJob", backgroundJobSchema),
+  JOB_STATUSES,
+};
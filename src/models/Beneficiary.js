@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const BENEFICIARY_TYPES = ["phone", "paybill", "till"];
+const BENEFICIARY_SOURCES = ["manual", "auto"];
+
+// The payout flow each beneficiary type is paid through.
+const FLOW_BY_BENEFICIARY_TYPE = {
+  phone: "offramp",
+  paybill: "paybill",
+  till: "buygoods",
+};
+
+function generateBeneficiaryId() {
+  const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `BNF${Date.now().toString(36).toUpperCase()}${rand}`;
+}
+
+const beneficiarySchema = new mongoose.Schema(
+  {
+    beneficiaryId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateBeneficiaryId,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    userAddress: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: BENEFICIARY_TYPES,
+    },
+    // Phone number (2547...), paybill number or till number.
+    accountNumber: { type: String, required: true, trim: true },
+    // Paybill account number (e.g. a meter or invoice number); null for phones and tills.
+    accountReference: { type: String, default: null, trim: true },
+    nickname: { type: String, default: null, trim: true },
+    source: { type: String, enum: BENEFICIARY_SOURCES, default: "manual" },
+    lastUsedAt: { type: Date, default: null },
+    useCount: { type: Number, default: 0 },
+    // Removed by the user; kept so auto-population does not bring it back.
+    archivedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+beneficiarySchema.index({ userAddress: 1, type: 1, accountNumber: 1, accountReference: 1 }, { unique: true });
+beneficiarySchema.index({ userAddress: 1, lastUsedAt: -1 });
+
+module.exports = {
+  Beneficiary: mongoose.model("Beneficiary", beneficiarySchema),
+  BENEFICIARY_TYPES,
+  BENEFICIARY_SOURCES,
+  FLOW_BY_BENEFICIARY_TYPE,
+};
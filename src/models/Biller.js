@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Check-digit schemes an account number can be validated with.
+const ACCOUNT_CHECKSUMS = ["none", "luhn", "mod11"];
+
+const billerSchema = new mongoose.Schema(
+  {
+    paybillNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    // Extra search terms (e.g. "KPLC", "token", "electricity").
+    aliases: { type: [String], default: [] },
+    category: { type: String, default: null, trim: true, lowercase: true, index: true },
+    // Asset key the app maps to a bundled or CDN logo.
+    logoKey: { type: String, default: null, trim: true },
+    accountRule: {
+      // Shown to the user in place of "Account number" (e.g. "Meter number").
+      label: { type: String, default: null, trim: true },
+      // Full-match regex applied to the account reference, e.g. "^\\d{11}$".
+      pattern: { type: String, default: null },
+      checksum: { type: String, enum: ACCOUNT_CHECKSUMS, default: "none" },
+      example: { type: String, default: null, trim: true },
+    },
+    minAmountKes: { type: Number, default: null, min: 0 },
+    maxAmountKes: { type: Number, default: null, min: 0 },
+    active: { type: Boolean, default: true, index: true },
+    updatedBy: { type: String, default: null, trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = {
+  Biller: mongoose.model("Biller", billerSchema),
+  ACCOUNT_CHECKSUMS,
+};
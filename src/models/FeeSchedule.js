@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const FEE_FLOWS = ["onramp", "offramp", "paybill", "buygoods"];
+const NETWORK_FEE_MODES = ["none", "fixed", "estimate"];
+
+const feeBandSchema = new mongoose.Schema(
+  {
+    // KES range, e.g. the Safaricom B2C tariff row 101-500. A band reaches up to the next
+    // band's minKes (see feeEngine.findBand); maxKes only caps the last one.
+    minKes: { type: Number, required: true, min: 0 },
+    maxKes: { type: Number, default: null, min: 0 },
+    feeKes: { type: Number, default: 0, min: 0 },
+    percentBps: { type: Number, default: 0, min: 0 },
+    label: { type: String, default: null, trim: true },
+  },
+  { _id: false }
+);
+
+const feeScheduleSchema = new mongoose.Schema(
+  {
+    flowType: {
+      type: String,
+      required: true,
+      enum: FEE_FLOWS,
+      unique: true,
+      index: true,
+    },
+    // Incremented on every edit; quotes record the version they were priced with.
+    version: { type: Number, default: 1 },
+    percentBps: { type: Number, default: 0, min: 0 },
+    fixedKes: { type: Number, default: 0, min: 0 },
+    bands: {
+      type: [feeBandSchema],
+      default: [],
+    },
+    // Caps on percent + fixed + band fee (network fee excluded).
+    minFeeKes: { type: Number, default: 0, min: 0 },
+    maxFeeKes: { type: Number, default: null, min: 0 },
+    networkFee: {
+      mode: { type: String, enum: NETWORK_FEE_MODES, default: "none" },
+      fixedKes: { type: Number, default: 0, min: 0 },
+      // ERC-20 transfer gas; priced at the chain's current gas price.
+      gasUnits: { type: Number, default: 65000, min: 0 },
+      // Native token (ETH) price used to convert the gas cost.
+      nativeTokenUsd: { type: Number, default: 0, min: 0 },
+    },
+    updatedBy: { type: String, default: null, trim: true },
+    note: { type: String, default: null, trim: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = {
+  FeeSchedule: mongoose.model("FeeSchedule", feeScheduleSchema),
+  FEE_FLOWS,
+  NETWORK_FEE_MODES,
+};
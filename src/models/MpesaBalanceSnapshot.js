@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const SNAPSHOT_SOURCES = ["account_balance", "b2c_result", "b2b_result"];
+
+const accountSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    currency: { type: String, default: "KES", trim: true },
+    currentKes: { type: Number, default: 0 },
+    availableKes: { type: Number, default: 0 },
+    reservedKes: { type: Number, default: 0 },
+    unclearedKes: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const mpesaBalanceSnapshotSchema = new mongoose.Schema(
+  {
+    shortcode: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    // Account Balance query result, or the balances echoed back on a payout result.
+    source: {
+      type: String,
+      enum: SNAPSHOT_SOURCES,
+      default: "account_balance",
+    },
+    // ConversationID of the query or payout; a redelivered result is stored once.
+    conversationId: { type: String, default: null, trim: true },
+    originatorConversationId: { type: String, default: null, trim: true },
+    accounts: {
+      type: [accountSchema],
+      default: [],
+    },
+    // "Utility Account" funds B2C payouts, "Working Account" funds B2B payments.
+    utilityAvailableKes: { type: Number, default: null },
+    workingAvailableKes: { type: Number, default: null },
+    // BOCompletedTime reported by Daraja (falls back to receivedAt).
+    reportedAt: { type: Date, required: true },
+    receivedAt: { type: Date, default: Date.now },
+    raw: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mpesaBalanceSnapshotSchema.index({ shortcode: 1, reportedAt: -1 });
+mpesaBalanceSnapshotSchema.index(
+  { conversationId: 1 },
+  { unique: true, partialFilterExpression: { conversationId: { $type: "string" } } }
+);
+
+module.exports = {
+  MpesaBalanceSnapshot: mongoose.model("MpesaBalanceSnapshot", mpesaBalanceSnapshotSchema),
+  SNAPSHOT_SOURCES,
+};
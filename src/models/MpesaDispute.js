@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+const DISPUTE_STATUSES = ["open", "investigating", "resolved_refund", "resolved_no_action"];
+const ACTIVE_DISPUTE_STATUSES = ["open", "investigating"];
+const DISPUTE_REASON_CODES = [
+  // "Paybill said success but the merchant never got it."
+  "recipient_not_credited",
+  "wrong_recipient",
+  "wrong_amount",
+  "duplicate_payment",
+  "unauthorized",
+  "other",
+];
+// How a resolved_refund dispute gave the money back.
+const DISPUTE_RESOLUTION_ACTIONS = ["none", "refund", "reversal"];
+
+function generateDisputeId() {
+  const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `DSP${Date.now().toString(36).toUpperCase()}${rand}`;
+}
+
+const disputeHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true, enum: DISPUTE_STATUSES },
+    note: { type: String, default: null, trim: true },
+    // User address or operator ID.
+    by: { type: String, default: null, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/** A user's report that something went wrong with one M-Pesa payout. */
+const mpesaDisputeSchema = new mongoose.Schema(
+  {
+    disputeId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateDisputeId,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    transactionId: { type: String, required: true, trim: true, uppercase: true, index: true },
+    userAddress: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    flowType: { type: String, required: true, trim: true },
+    status: {
+      type: String,
+      required: true,
+      enum: DISPUTE_STATUSES,
+      default: "open",
+      index: true,
+    },
+    reasonCode: { type: String, required: true, enum: DISPUTE_REASON_CODES },
+    evidence: { type: String, default: null, trim: true, maxlength: 2000 },
+    assignedTo: { type: String, default: null, trim: true },
+    resolution: {
+      action: { type: String, enum: DISPUTE_RESOLUTION_ACTIONS, default: "none" },
+      // USDC refunded, when action is "refund".
+      amountUsd: { type: Number, default: null },
+      note: { type: String, default: null, trim: true },
+      resolvedBy: { type: String, default: null, trim: true },
+      resolvedAt: { type: Date, default: null },
+    },
+    // A reversal sent to M-Pesa for this dispute; the result or timeout webhook settles the dispute.
+    pendingReversal: {
+      requestedBy: { type: String, default: null, trim: true },
+      requestedAt: { type: Date, default: null },
+      note: { type: String, default: null, trim: true },
+    },
+    history: { type: [disputeHistorySchema], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mpesaDisputeSchema.index({ userAddress: 1, createdAt: -1 });
+mpesaDisputeSchema.index({ status: 1, createdAt: 1 });
+// At most one open or investigating dispute per transaction.
+mpesaDisputeSchema.index(
+  { transactionId: 1 },
+  {
+    name: "active_dispute_per_transaction",
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_DISPUTE_STATUSES } },
+  }
+);
+
+module.exports = {
+  MpesaDispute: mongoose.model("MpesaDispute", mpesaDisputeSchema),
+  DISPUTE_STATUSES,
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_REASON_CODES,
+  DISPUTE_RESOLUTION_ACTIONS,
+};
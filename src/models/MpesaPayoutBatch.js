@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+
+const BATCH_STATUSES = ["quoted", "processing", "completed", "partially_failed", "failed"];
+const BATCH_ITEM_STATUSES = ["pending", "processing", "succeeded", "failed", "refunded", "reversed"];
+
+function generateBatchId() {
+  const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `BPX${Date.now().toString(36).toUpperCase()}${rand}`;
+}
+
+const batchItemSchema = new mongoose.Schema(
+  {
+    // 1-based position in the uploaded list; also keys the item's MpesaTransaction.
+    index: { type: Number, required: true, min: 1 },
+    phoneNumber: { type: String, required: true, trim: true },
+    amountKes: { type: Number, required: true, min: 0 },
+    // USDC share of the funding transfer: amount plus this item's fee.
+    amountUsd: { type: Number, min: 0, default: 0 },
+    feeKes: { type: Number, min: 0, default: 0 },
+    reference: { type: String, default: null, trim: true },
+    name: { type: String, default: null, trim: true },
+    status: {
+      type: String,
+      enum: BATCH_ITEM_STATUSES,
+      default: "pending",
+    },
+    transactionId: { type: String, default: null, trim: true, uppercase: true },
+    receiptNumber: { type: String, default: null, trim: true },
+    resultDesc: { type: String, default: null, trim: true },
+    refundStatus: { type: String, default: "none", trim: true },
+    refundTxHash: { type: String, default: null, trim: true },
+  },
+  { _id: false }
+);
+
+const mpesaPayoutBatchSchema = new mongoose.Schema(
+  {
+    batchId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateBatchId,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: BATCH_STATUSES,
+      default: "quoted",
+      index: true,
+    },
+    userAddress: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    businessId: { type: String, default: null, trim: true, index: true },
+    idempotencyKey: { type: String, default: undefined, trim: true },
+    label: { type: String, default: null, trim: true },
+    // Totals for the whole batch, in the same shape as MpesaTransaction.quote.
+    quote: {
+      quoteId: { type: String, default: null, trim: true },
+      currency: { type: String, default: "KES" },
+      amountRequested: { type: Number, min: 0 },
+      amountKes: { type: Number, min: 0 },
+      amountUsd: { type: Number, min: 0 },
+      rateKesPerUsd: { type: Number, min: 0 },
+      // Server-side FX: mid rate from `rateSource`, with `spreadBps` applied to get rateKesPerUsd.
+      midRateKesPerUsd: { type: Number, min: 0 },
+      spreadBps: { type: Number, min: 0, default: 0 },
+      rateSource: { type: String, default: null, trim: true },
+      rateUpdatedAt: { type: Date, default: null },
+      feeAmountKes: { type: Number, min: 0 },
+      networkFeeKes: { type: Number, min: 0 },
+      // Item fees are summed; the network fee is charged once for the single funding transfer.
+      feeBreakdown: { type: mongoose.Schema.Types.Mixed, default: null },
+      totalDebitKes: { type: Number, min: 0 },
+      expectedReceiveKes: { type: Number, min: 0 },
+      expiresAt: { type: Date, default: null },
+      snapshotAt: { type: Date, default: null },
+    },
+    items: {
+      type: [batchItemSchema],
+      default: [],
+    },
+    authorization: {
+      pinProvided: { type: Boolean, default: false },
+      signature: { type: String, default: null, trim: true },
+      signedAt: { type: Date, default: null },
+      nonce: { type: String, default: null, trim: true },
+      signerAddress: { type: String, default: null, trim: true, lowercase: true },
+    },
+    // One USDC transfer funds every item.
+    onchain: {
+      txHash: { type: String, default: null, trim: true, lowercase: true },
+      chainId: { type: Number, default: null },
+      required: { type: Boolean, default: false },
+      verificationStatus: {
+        type: String,
+        enum: ["not_required", "pending", "verified", "failed"],
+        default: "not_required",
+      },
+      tokenAddress: { type: String, default: null, trim: true, lowercase: true },
+      treasuryAddress: { type: String, default: null, trim: true, lowercase: true },
+      expectedAmountUsd: { type: Number, min: 0, default: 0 },
+      expectedAmountUnits: { type: String, default: null, trim: true },
+      fundedAmountUsd: { type: Number, min: 0, default: 0 },
+      fundedAmountUnits: { type: String, default: null, trim: true },
+      fromAddress: { type: String, default: null, trim: true, lowercase: true },
+      toAddress: { type: String, default: null, trim: true, lowercase: true },
+      verificationError: { type: String, default: null, trim: true },
+      verifiedAt: { type: Date, default: null },
+    },
+    // USDC funded above the batch quote, returned to the funder once every item has settled.
+    // Items only carry their own share of the funding, so this is the batch's only excess refund.
+    excessRefund: {
+      status: {
+        type: String,
+        enum: ["none", "pending", "completed", "failed"],
+        default: "none",
+      },
+      amountUsd: { type: Number, min: 0, default: 0 },
+      txHash: { type: String, default: null, trim: true },
+      error: { type: String, default: null, trim: true },
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: { type: Date, default: null },
+      completedAt: { type: Date, default: null },
+    },
+    summary: {
+      pending: { type: Number, default: 0 },
+      processing: { type: Number, default: 0 },
+      succeeded: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      refunded: { type: Number, default: 0 },
+      reversed: { type: Number, default: 0 },
+      succeededKes: { type: Number, default: 0 },
+      failedKes: { type: Number, default: 0 },
+    },
+    submittedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mpesaPayoutBatchSchema.index({ userAddress: 1, createdAt: -1 });
+mpesaPayoutBatchSchema.index(
+  { "onchain.txHash": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "onchain.txHash": { $type: "string" },
+    },
+  }
+);
+mpesaPayoutBatchSchema.index(
+  { userAddress: 1, idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      idempotencyKey: { $type: "string" },
+    },
+  }
+);
+
+module.exports = {
+  MpesaPayoutBatch: mongoose.model("MpesaPayoutBatch", mpesaPayoutBatchSchema),
+  BATCH_STATUSES,
+  BATCH_ITEM_STATUSES,
+};
@@ -6,19 +6,41 @@ const STATUSES = [
   "quoted",
   "awaiting_user_authorization",
   "awaiting_onchain_funding",
+  "risk_review",
   "mpesa_submitted",
   "mpesa_processing",
+  "ops_review",
   "succeeded",
   "failed",
   "refund_pending",
   "refunded",
+  "reversal_pending",
+  "reversed",
 ];
+// full: the remaining funded USDC of a failed or reversed payout; excess: funding above the
+// quote, returned after a successful payout; partial: an ops refund of part of the funding.
+const REFUND_ITEM_KINDS = ["full", "excess", "partial"];
 
 function generateTransactionId() {
   const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
   return `MPX${Date.now().toString(36).toUpperCase()}${rand}`;
 }
 
+const refundItemSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: REFUND_ITEM_KINDS, required: true },
+    status: { type: String, enum: ["completed", "failed"], required: true },
+    amountUsd: { type: Number, min: 0, required: true },
+    toAddress: { type: String, default: null, trim: true, lowercase: true },
+    txHash: { type: String, default: null, trim: true },
+    reason: { type: String, default: null, trim: true },
+    error: { type: String, default: null, trim: true },
+    requestedBy: { type: String, default: null, trim: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const mpesaTransactionSchema = new mongoose.Schema(
   {
     transactionId: {
@@ -62,6 +84,22 @@ const mpesaTransactionSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Set on payouts fanned out from a MpesaPayoutBatch.
+    batchId: {
+      type: String,
+      default: null,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    // Set on runs of a StandingOrder.
+    standingOrderId: {
+      type: String,
+      default: null,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
     quote: {
       quoteId: { type: String, default: null, trim: true, index: true },
       currency: { type: String, enum: ["KES", "USD"], default: "KES" },
@@ -69,8 +107,15 @@ const mpesaTransactionSchema = new mongoose.Schema(
       amountKes: { type: Number, min: 0 },
       amountUsd: { type: Number, min: 0 },
       rateKesPerUsd: { type: Number, min: 0 },
+      // Server-side FX: mid rate from `rateSource`, with `spreadBps` applied to get rateKesPerUsd.
+      midRateKesPerUsd: { type: Number, min: 0 },
+      spreadBps: { type: Number, min: 0, default: 0 },
+      rateSource: { type: String, default: null, trim: true },
+      rateUpdatedAt: { type: Date, default: null },
       feeAmountKes: { type: Number, min: 0 },
       networkFeeKes: { type: Number, min: 0 },
+      // Which fee schedule version, band and caps produced the fees (see feeEngine.calculateFees).
+      feeBreakdown: { type: mongoose.Schema.Types.Mixed, default: null },
       totalDebitKes: { type: Number, min: 0 },
       expectedReceiveKes: { type: Number, min: 0 },
       expiresAt: { type: Date, default: null },
@@ -125,6 +170,14 @@ const mpesaTransactionSchema = new mongoose.Schema(
       resultDesc: { type: String, default: null, trim: true },
       receiptNumber: { type: String, default: null, trim: true, index: true },
       customerMessage: { type: String, default: null, trim: true },
+      // Parsed from B2C/B2B ResultParameters.
+      receiverPublicName: { type: String, default: null, trim: true },
+      completedAt: { type: Date, default: null },
+      chargesPaidKes: { type: Number, default: null },
+      chargesPaidAccountBalanceKes: { type: Number, default: null },
+      utilityAccountBalanceKes: { type: Number, default: null },
+      workingAccountBalanceKes: { type: Number, default: null },
+      recipientRegistered: { type: Boolean, default: null },
       rawRequest: { type: mongoose.Schema.Types.Mixed, default: null },
       rawResponse: { type: mongoose.Schema.Types.Mixed, default: null },
       rawCallback: { type: mongoose.Schema.Types.Mixed, default: null },
@@ -140,6 +193,71 @@ const mpesaTransactionSchema = new mongoose.Schema(
       txHash: { type: String, default: null, trim: true },
       initiatedAt: { type: Date, default: null },
       completedAt: { type: Date, default: null },
+      // Every transfer attempt counts, automatic or manual; see refundService.
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: { type: Date, default: null },
+      lastError: { type: String, default: null },
+      // When the refund_retry sweep may try a failed refund again; null = no retry scheduled.
+      nextAttemptAt: { type: Date, default: null },
+      // Alternate recipient set by a manual refund (defaults to the funding address).
+      toAddress: { type: String, default: null, trim: true, lowercase: true },
+      requestedBy: { type: String, default: null, trim: true },
+      // One line per refund transfer (full, excess funding or ops partial), including failed ones.
+      items: { type: [refundItemSchema], default: [] },
+      refundedAmountUsd: { type: Number, min: 0, default: 0 },
+      // Held while an excess or partial refund is being sent; see refundService.claimRefundAttempt.
+      lockedAt: { type: Date, default: null },
+    },
+    // Daraja TransactionReversal of a succeeded B2C payout (ops-initiated).
+    reversal: {
+      status: {
+        type: String,
+        enum: ["none", "pending", "completed", "failed"],
+        default: "none",
+      },
+      reason: { type: String, default: null, trim: true },
+      requestedBy: { type: String, default: null, trim: true },
+      requestedAt: { type: Date, default: null },
+      completedAt: { type: Date, default: null },
+      // Refund the user's USDC once M-Pesa confirms the reversal.
+      recreditUsdc: { type: Boolean, default: false },
+      // The dispute this reversal resolves, if any (see disputeService.settleDisputeReversal).
+      disputeId: { type: String, default: null, trim: true },
+      conversationId: { type: String, default: null, trim: true, index: true },
+      originatorConversationId: { type: String, default: null, trim: true },
+      resultCode: { type: Number, default: null },
+      resultCodeRaw: { type: String, default: null, trim: true },
+      resultDesc: { type: String, default: null, trim: true },
+      receiptNumber: { type: String, default: null, trim: true },
+      rawResponse: { type: mongoose.Schema.Types.Mixed, default: null },
+      rawCallback: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    // Fraud/velocity rule decision taken before Daraja submission (see services/risk/riskEngine).
+    risk: {
+      action: { type: String, enum: ["allow", "review", "block", null], default: null },
+      rules: [
+        {
+          _id: false,
+          rule: { type: String, required: true },
+          action: { type: String, required: true },
+          reason: { type: String, default: null },
+        },
+      ],
+      evaluatedAt: { type: Date, default: null },
+      ipAddress: { type: String, default: null },
+      userAgent: { type: String, default: null },
+      reviewStatus: { type: String, enum: ["pending", "approved", "rejected", null], default: null },
+      reviewedBy: { type: String, default: null, trim: true },
+      reviewedAt: { type: Date, default: null },
+      reviewNote: { type: String, default: null, trim: true },
+      // Daraja options the initiate request used, replayed when a held payout is approved.
+      submitOptions: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    // Marked as looked at by a back-office operator (see routes/admin.js).
+    opsReview: {
+      reviewedBy: { type: String, default: null, trim: true },
+      reviewedAt: { type: Date, default: null },
+      note: { type: String, default: null, trim: true },
     },
     history: [
       {
@@ -163,8 +281,11 @@ const mpesaTransactionSchema = new mongoose.Schema(
   }
 );
 
-mpesaTransactionSchema.index({ userAddress: 1, createdAt: -1 });
+// Transactions list: scoped to a user and paged newest first by (createdAt, _id). Other filters
+// are applied while walking this index rather than getting an index each.
+mpesaTransactionSchema.index({ userAddress: 1, createdAt: -1, _id: -1 });
 mpesaTransactionSchema.index({ flowType: 1, status: 1, createdAt: -1 });
+mpesaTransactionSchema.index({ "refund.status": 1, "refund.nextAttemptAt": 1 });
 mpesaTransactionSchema.index(
   { "onchain.txHash": 1 },
   {
@@ -188,4 +309,5 @@ module.exports = {
   MpesaTransaction: mongoose.model("MpesaTransaction", mpesaTransactionSchema),
   FLOW_TYPES,
   STATUSES,
+  REFUND_ITEM_KINDS,
 };
@@ -1,5 +1,12 @@
 const mongoose = require("mongoose");
 
+const NOTIFICATION_TYPES = ["payment_received", "dispute_update"];
+
+/** The on-chain fields only describe payment notifications. */
+function isPayment() {
+  return this.type === "payment_received";
+}
+
 const notificationSchema = new mongoose.Schema(
   {
     /** Recipient wallet address (lowercased). */
@@ -13,7 +20,7 @@ const notificationSchema = new mongoose.Schema(
     /** Sender wallet address (lowercased). */
     fromAddress: {
       type: String,
-      required: true,
+      required: isPayment,
       trim: true,
       lowercase: true,
     },
@@ -21,48 +28,48 @@ const notificationSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["payment_received"],
+      enum: NOTIFICATION_TYPES,
     },
     /** Chain ID where the underlying transaction happened. */
     chainId: {
       type: Number,
-      required: true,
+      required: isPayment,
       min: 1,
     },
     /** ERC-20 contract address (lowercased). */
     contractAddress: {
       type: String,
-      required: true,
+      required: isPayment,
       trim: true,
       lowercase: true,
     },
     /** ERC-20 transfer tx hash (lowercased). */
     txHash: {
       type: String,
-      required: true,
+      required: isPayment,
       trim: true,
       lowercase: true,
     },
     /** Log index for idempotency (unique per tx). */
     logIndex: {
       type: Number,
-      required: true,
+      required: isPayment,
       min: 0,
     },
     /** Raw token amount in smallest units, stored as string to preserve precision. */
     value: {
       type: String,
-      required: true,
+      required: isPayment,
       trim: true,
     },
     tokenSymbol: {
       type: String,
-      required: true,
+      required: isPayment,
       trim: true,
     },
     tokenDecimal: {
       type: Number,
-      required: true,
+      required: isPayment,
       min: 0,
       max: 18,
     },
@@ -73,7 +80,31 @@ const notificationSchema = new mongoose.Schema(
       trim: true,
       maxlength: 180,
     },
-    /** When the on-chain event happened (best-effort). */
+    /** M-Pesa transaction and dispute a dispute_update is about. */
+    transactionId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    disputeId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    /** The dispute's status after the change. */
+    disputeStatus: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    /** User-facing text for non-payment notifications. */
+    message: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: 500,
+    },
+    /** When the on-chain event (or dispute change) happened (best-effort). */
     eventAt: {
       type: Date,
       required: true,
@@ -91,7 +122,10 @@ const notificationSchema = new mongoose.Schema(
 
 notificationSchema.index({ toAddress: 1, eventAt: -1 });
 notificationSchema.index({ toAddress: 1, readAt: 1, eventAt: -1 });
-notificationSchema.index({ toAddress: 1, txHash: 1, logIndex: 1 }, { unique: true });
+notificationSchema.index(
+  { toAddress: 1, txHash: 1, logIndex: 1 },
+  { unique: true, partialFilterExpression: { type: "payment_received" } }
+);
 
 module.exports = mongoose.model("Notification", notificationSchema);
 
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One document per scheduled task. Holding the lease (lockedUntil in the future) is what
+// stops two instances from running the same sweep; lastStartedAt gates the interval.
+const schedulerLeaseSchema = new mongoose.Schema(
+  {
+    task: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    holder: { type: String, default: null, trim: true },
+    lockedUntil: { type: Date, default: null },
+    lastStartedAt: { type: Date, default: null },
+    lastFinishedAt: { type: Date, default: null },
+    lastStatus: { type: String, default: null },
+    lastRunId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = {
+  SchedulerLease: mongoose.model("SchedulerLease", schedulerLeaseSchema),
+};
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const RUN_STATUSES = ["running", "completed", "failed"];
+const RUN_TRIGGERS = ["interval", "cron", "manual"];
+
+const schedulerRunSchema = new mongoose.Schema(
+  {
+    task: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: RUN_STATUSES,
+      default: "running",
+    },
+    trigger: {
+      type: String,
+      enum: RUN_TRIGGERS,
+      default: "interval",
+    },
+    holder: { type: String, default: null, trim: true },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: { type: String, default: null },
+    // TTL: old run summaries are pruned automatically.
+    expiresAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+schedulerRunSchema.index({ task: 1, startedAt: -1 });
+schedulerRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = {
+  SchedulerRun: mongoose.model("SchedulerRun", schedulerRunSchema),
+  RUN_STATUSES,
+  RUN_TRIGGERS,
+};
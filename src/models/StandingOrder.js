@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+const STANDING_ORDER_STATUSES = ["active", "paused", "cancelled", "completed"];
+const STANDING_ORDER_FREQUENCIES = ["once", "daily", "weekly", "monthly"];
+
+function generateOrderId() {
+  const rand = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `SOX${Date.now().toString(36).toUpperCase()}${rand}`;
+}
+
+const standingOrderSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateOrderId,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: STANDING_ORDER_STATUSES,
+      default: "active",
+      index: true,
+    },
+    userAddress: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      index: true,
+    },
+    businessId: { type: String, default: null, trim: true },
+    flowType: {
+      type: String,
+      required: true,
+      enum: ["paybill", "buygoods"],
+    },
+    targets: {
+      paybillNumber: { type: String, default: null, trim: true },
+      tillNumber: { type: String, default: null, trim: true },
+      accountReference: { type: String, default: null, trim: true },
+    },
+    // Each run is quoted at run time; this is the KES amount the merchant receives.
+    amountKes: { type: Number, required: true, min: 1 },
+    label: { type: String, default: null, trim: true },
+    schedule: {
+      frequency: { type: String, enum: STANDING_ORDER_FREQUENCIES, required: true },
+      startAt: { type: Date, required: true },
+      endAt: { type: Date, default: null },
+      maxRuns: { type: Number, default: null, min: 1 },
+    },
+    nextRunAt: { type: Date, default: null, index: true },
+    // Signed once at creation; every run reuses it.
+    authorization: {
+      pinProvided: { type: Boolean, default: false },
+      signature: { type: String, default: null, trim: true },
+      signedAt: { type: Date, default: null },
+      nonce: { type: String, default: null, trim: true },
+      signerAddress: { type: String, default: null, trim: true, lowercase: true },
+      message: { type: String, default: null },
+    },
+    runCount: { type: Number, default: 0 },
+    consecutiveFailures: { type: Number, default: 0 },
+    lastRunAt: { type: Date, default: null },
+    lastRunTransactionId: { type: String, default: null, trim: true, uppercase: true },
+    lastRunStatus: { type: String, default: null, trim: true },
+    lastError: { type: String, default: null, trim: true },
+    pausedReason: { type: String, default: null, trim: true },
+    cancelledAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+standingOrderSchema.index({ status: 1, nextRunAt: 1 });
+standingOrderSchema.index({ userAddress: 1, createdAt: -1 });
+
+module.exports = {
+  StandingOrder: mongoose.model("StandingOrder", standingOrderSchema),
+  STANDING_ORDER_STATUSES,
+  STANDING_ORDER_FREQUENCIES,
+};
@@ -47,6 +47,11 @@ const userSchema = new mongoose.Schema(
      */
     pinHash: { type: String, default: null, trim: true },
     pinUpdatedAt: { type: Date, default: null },
+    /** Recent wrong-PIN attempts (last 10), read by the payout risk rules. */
+    pinFailedAt: { type: [Date], default: [] },
+
+    /** Transaction limit tier (see config/limits.js); null = MPESA_LIMIT_DEFAULT_TIER. */
+    limitTier: { type: String, default: null, trim: true, lowercase: true },
 
     /**
      * One-time signup USDC grant status for test onboarding.
@@ -0,0 +1,660 @@
+const express = require("express");
+const { connectDB } = require("../config/db");
+const { AdminOperator } = require("../models/AdminOperator");
+const { MpesaTransaction, FLOW_TYPES } = require("../models/MpesaTransaction");
+const { MpesaEvent } = require("../models/MpesaEvent");
+const { MpesaDispute } = require("../models/MpesaDispute");
+const User = require("../models/User");
+const { requireAdminOperator, requirePermission } = require("../middleware/requireAdminOperator");
+const { requireInternalKey } = require("../middleware/requireInternalKey");
+const { createOperator, rotateOperatorKey, parseRole, hasPermission } = require("../services/admin/operators");
+const { INTERNAL_KEY_ACTOR, recordAdminAction, withAudit, listAuditEntries } = require("../services/admin/auditLog");
+const {
+  requeryBlocker,
+  requeryTransaction,
+  refundBlocker,
+  partialRefundBlocker,
+  forceRefund,
+  markReviewed,
+} = require("../services/admin/adminActions");
+const { searchUsers } = require("../services/admin/userSearch");
+const {
+  DISPUTE_TRANSITIONS,
+  startInvestigation,
+  resolutionBlocker,
+  resolveDispute,
+  listDisputes,
+} = require("../services/disputes/disputeService");
+const { buildTransactionQuery, encodeCursor } = require("../services/mpesa/transactionQuery");
+
+const router = express.Router();
+
+const NOTE_MAX_LENGTH = 2000;
+
+function mapOperator(operator) {
+  return {
+    operatorId: operator.operatorId,
+    email: operator.email,
+    name: operator.name || null,
+    role: operator.role,
+    active: operator.active,
+    apiKeyPrefix: operator.apiKeyPrefix || null,
+    apiKeyIssuedAt: operator.apiKeyIssuedAt || null,
+    lastSeenAt: operator.lastSeenAt || null,
+    createdBy: operator.createdBy || null,
+    createdAt: operator.createdAt,
+  };
+}
+
+function mapAuditEntry(entry) {
+  return {
+    operatorId: entry.operatorId,
+    operatorEmail: entry.operatorEmail || null,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    details: entry.details || null,
+    outcome: entry.outcome,
+    error: entry.error || null,
+    at: entry.createdAt,
+  };
+}
+
+function mapUser(user) {
+  const { pinHash, ...rest } = user.toObject();
+  return { ...rest, hasPin: Boolean(pinHash) };
+}
+
+function readNote(body) {
+  const text = String(body?.text ?? body?.note ?? "").trim();
+  if (!text) throw new Error("text is required.");
+  if (text.length > NOTE_MAX_LENGTH) throw new Error(`text must be at most ${NOTE_MAX_LENGTH} characters.`);
+  return text;
+}
+
+function findTransaction(id) {
+  return MpesaTransaction.findOne({ transactionId: String(id || "").trim().toUpperCase() });
+}
+
+function findDispute(id) {
+  return MpesaDispute.findOne({ disputeId: String(id || "").trim().toUpperCase() });
+}
+
+router.use(async (req, res, next) => {
+  try {
+    await connectDB();
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/admin/internal/operators
+ * Internal-only: create an operator (e.g. the first admin). Body: { email, name?, role }.
+ * The API key is returned once; audited as "internal-key".
+ */
+router.post("/internal/operators", requireInternalKey, async (req, res) => {
+  try {
+    const { operator, apiKey } = await createOperator({ ...req.body, createdBy: INTERNAL_KEY_ACTOR.operatorId });
+    await recordAdminAction(INTERNAL_KEY_ACTOR, {
+      action: "operator.create",
+      targetType: "operator",
+      targetId: operator.operatorId,
+      details: { email: operator.email, role: operator.role },
+      req,
+    });
+    return res.status(201).json({ success: true, data: { operator: mapOperator(operator), apiKey } });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, message: "An operator with that email already exists." });
+    }
+    return res.status(400).json({ success: false, message: err.message || "Failed to create operator." });
+  }
+});
+
+router.use(requireAdminOperator);
+
+/**
+ * GET /api/admin/me
+ */
+router.get("/me", (req, res) => {
+  return res.status(200).json({ success: true, data: mapOperator(req.adminOperator) });
+});
+
+/**
+ * GET /api/admin/operators
+ */
+router.get("/operators", requirePermission("operators"), async (req, res) => {
+  try {
+    const operators = await AdminOperator.find({}).sort({ createdAt: 1 });
+    return res.status(200).json({ success: true, data: operators.map(mapOperator) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list operators." });
+  }
+});
+
+/**
+ * POST /api/admin/operators
+ * Body: { email, name?, role }. The API key is returned once.
+ */
+router.post("/operators", requirePermission("operators"), async (req, res) => {
+  try {
+    const { operator, apiKey } = await createOperator({ ...req.body, createdBy: req.adminOperator.operatorId });
+    await recordAdminAction(req.adminOperator, {
+      action: "operator.create",
+      targetType: "operator",
+      targetId: operator.operatorId,
+      details: { email: operator.email, role: operator.role },
+      req,
+    });
+    return res.status(201).json({ success: true, data: { operator: mapOperator(operator), apiKey } });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ success: false, message: "An operator with that email already exists." });
+    }
+    return res.status(400).json({ success: false, message: err.message || "Failed to create operator." });
+  }
+});
+
+/**
+ * PATCH /api/admin/operators/:operatorId
+ * Body: { role?, active? }. Operators cannot change their own role or disable themselves.
+ */
+router.patch("/operators/:operatorId", requirePermission("operators"), async (req, res) => {
+  try {
+    const operator = await AdminOperator.findOne({ operatorId: String(req.params.operatorId || "").trim().toUpperCase() });
+    if (!operator) {
+      return res.status(404).json({ success: false, message: "Operator not found." });
+    }
+    if (operator.operatorId === req.adminOperator.operatorId) {
+      return res.status(409).json({ success: false, message: "Operators cannot change their own role or status." });
+    }
+
+    const changes = {};
+    try {
+      if (req.body?.role !== undefined) changes.role = parseRole(req.body.role);
+      if (req.body?.active !== undefined) {
+        if (typeof req.body.active !== "boolean") throw new Error("active must be a boolean.");
+        changes.active = req.body.active;
+      }
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    await withAudit(
+      req.adminOperator,
+      {
+        action: "operator.update",
+        targetType: "operator",
+        targetId: operator.operatorId,
+        details: { from: { role: operator.role, active: operator.active }, to: changes },
+        req,
+      },
+      () => Object.assign(operator, changes).save()
+    );
+    return res.status(200).json({ success: true, data: mapOperator(operator) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to update operator." });
+  }
+});
+
+/**
+ * POST /api/admin/operators/:operatorId/rotate-key
+ * Issue a new API key (returned once); the old one stops working.
+ */
+router.post("/operators/:operatorId/rotate-key", requirePermission("operators"), async (req, res) => {
+  try {
+    const operator = await AdminOperator.findOne({ operatorId: String(req.params.operatorId || "").trim().toUpperCase() });
+    if (!operator) {
+      return res.status(404).json({ success: false, message: "Operator not found." });
+    }
+
+    const apiKey = await withAudit(
+      req.adminOperator,
+      { action: "operator.rotate_key", targetType: "operator", targetId: operator.operatorId, req },
+      () => rotateOperatorKey(operator)
+    );
+    return res.status(200).json({ success: true, data: { operator: mapOperator(operator), apiKey } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to rotate key." });
+  }
+});
+
+/**
+ * GET /api/admin/audit?operatorId=&action=&targetType=&targetId=&limit=
+ */
+router.get("/audit", requirePermission("operators"), async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ["operatorId", "action", "targetType", "targetId"]) {
+      const value = String(req.query?.[key] || "").trim();
+      if (value) filter[key] = value;
+    }
+    const entries = await listAuditEntries(filter, { limit: req.query?.limit });
+    return res.status(200).json({ success: true, data: entries.map(mapAuditEntry) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list audit log." });
+  }
+});
+
+/**
+ * GET /api/admin/users?q=&limit=
+ * Search by wallet address, email, phone, username or DotPay ID.
+ */
+router.get("/users", requirePermission("read"), async (req, res) => {
+  try {
+    const users = await searchUsers(req.query?.q, { limit: req.query?.limit });
+    return res.status(200).json({ success: true, data: users.map(mapUser) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to search users." });
+  }
+});
+
+/**
+ * GET /api/admin/users/:address
+ * The user, their 20 latest transactions and operator notes.
+ */
+router.get("/users/:address", requirePermission("read"), async (req, res) => {
+  try {
+    const address = String(req.params.address || "").trim().toLowerCase();
+    const user = await User.findOne({ address });
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    const [transactions, audit] = await Promise.all([
+      MpesaTransaction.find({ userAddress: address }).sort({ createdAt: -1, _id: -1 }).limit(20),
+      listAuditEntries({ targetType: "user", targetId: address }),
+    ]);
+    return res.status(200).json({
+      success: true,
+      data: {
+        user: mapUser(user),
+        transactions: transactions.map((tx) => tx.toObject()),
+        notes: audit.filter((entry) => entry.action === "user.note").map(mapAuditEntry),
+        audit: audit.map(mapAuditEntry),
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load user." });
+  }
+});
+
+/**
+ * POST /api/admin/users/:address/notes
+ * Body: { text }.
+ */
+router.post("/users/:address/notes", requirePermission("note"), async (req, res) => {
+  let text;
+  try {
+    text = readNote(req.body);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const address = String(req.params.address || "").trim().toLowerCase();
+    if (!(await User.exists({ address }))) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+    const entry = await recordAdminAction(req.adminOperator, {
+      action: "user.note",
+      targetType: "user",
+      targetId: address,
+      details: { text },
+      req,
+    });
+    if (!entry) throw new Error("Failed to save note.");
+    return res.status(201).json({ success: true, data: mapAuditEntry(entry) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to save note." });
+  }
+});
+
+/**
+ * GET /api/admin/transactions
+ * The same filters and cursor paging as GET /api/mpesa/transactions, across users; narrow
+ * with `userAddress` or look one up with `transactionId`.
+ */
+router.get("/transactions", requirePermission("read"), async (req, res) => {
+  let query;
+  try {
+    const userAddress = String(req.query?.userAddress || "").trim().toLowerCase() || null;
+    query = buildTransactionQuery(userAddress, req.query || {}, { flowTypes: FLOW_TYPES });
+    const transactionId = String(req.query?.transactionId || "").trim().toUpperCase();
+    if (transactionId) {
+      query.filter.transactionId = transactionId;
+      query.countFilter.transactionId = transactionId;
+    }
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const [list, total] = await Promise.all([
+      MpesaTransaction.find(query.filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(query.limit + 1),
+      query.withTotal ? MpesaTransaction.countDocuments(query.countFilter) : null,
+    ]);
+    const page = list.slice(0, query.limit);
+    const hasMore = list.length > query.limit;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        transactions: page.map((tx) => tx.toObject()),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore,
+        ...(query.withTotal ? { total } : {}),
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to search transactions." });
+  }
+});
+
+/**
+ * GET /api/admin/transactions/:id
+ * The full transaction (status history, raw Daraja request/response/callback), every M-Pesa
+ * event received for it, operator notes and the audit trail.
+ */
+router.get("/transactions/:id", requirePermission("read"), async (req, res) => {
+  try {
+    const tx = await findTransaction(req.params.id);
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+
+    const [events, audit, disputes] = await Promise.all([
+      MpesaEvent.find({ transactionId: tx.transactionId }).sort({ receivedAt: 1 }),
+      listAuditEntries({ targetType: "transaction", targetId: tx.transactionId }),
+      MpesaDispute.find({ transactionId: tx.transactionId }).sort({ createdAt: -1 }),
+    ]);
+    return res.status(200).json({
+      success: true,
+      data: {
+        transaction: tx.toObject(),
+        events: events.map((event) => ({
+          eventType: event.eventType,
+          source: event.source,
+          receivedAt: event.receivedAt,
+          payload: event.payload,
+        })),
+        notes: audit.filter((entry) => entry.action === "transaction.note").map(mapAuditEntry),
+        audit: audit.map(mapAuditEntry),
+        disputes: disputes.map((dispute) => dispute.toObject()),
+        actions: {
+          requery: requeryBlocker(tx),
+          refund: refundBlocker(tx),
+        },
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load transaction." });
+  }
+});
+
+/**
+ * POST /api/admin/transactions/:id/notes
+ * Body: { text }.
+ */
+router.post("/transactions/:id/notes", requirePermission("note"), async (req, res) => {
+  let text;
+  try {
+    text = readNote(req.body);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const tx = await findTransaction(req.params.id);
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+    const entry = await recordAdminAction(req.adminOperator, {
+      action: "transaction.note",
+      targetType: "transaction",
+      targetId: tx.transactionId,
+      details: { text },
+      req,
+    });
+    if (!entry) throw new Error("Failed to save note.");
+    return res.status(201).json({ success: true, data: mapAuditEntry(entry) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to save note." });
+  }
+});
+
+/**
+ * POST /api/admin/transactions/:id/requery
+ * Re-query M-Pesa: Transaction Status for payouts, STK Push Query for topups awaiting payment.
+ */
+router.post("/transactions/:id/requery", requirePermission("requery"), async (req, res) => {
+  try {
+    const tx = await findTransaction(req.params.id);
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+    const blocker = requeryBlocker(tx);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    let queried;
+    try {
+      queried = await withAudit(
+        req.adminOperator,
+        { action: "transaction.requery", targetType: "transaction", targetId: tx.transactionId, details: { status: tx.status }, req },
+        async () => {
+          const result = await requeryTransaction(tx);
+          if (!result.accepted) throw new Error(result.error || "M-Pesa did not accept the query.");
+          return result;
+        }
+      );
+    } catch (err) {
+      return res.status(502).json({ success: false, message: err.message });
+    }
+    return res.status(200).json({ success: true, data: queried.transaction.toObject() });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to re-query transaction." });
+  }
+});
+
+/**
+ * POST /api/admin/transactions/:id/refund
+ * Refund a failed or reversed payout's USDC now. Body: { reason, toAddress?, amountUsd? };
+ * `amountUsd` makes it a partial refund, which succeeded payouts allow too.
+ */
+router.post("/transactions/:id/refund", requirePermission("refund"), async (req, res) => {
+  const reason = String(req.body?.reason || "").trim();
+  if (!reason) {
+    return res.status(400).json({ success: false, message: "reason is required." });
+  }
+  const toAddress = String(req.body?.toAddress || "").trim().toLowerCase() || null;
+  if (toAddress && !/^0x[a-f0-9]{40}$/.test(toAddress)) {
+    return res.status(400).json({ success: false, message: "toAddress must be a 0x-prefixed 40-hex-character address." });
+  }
+  const amountUsd = req.body?.amountUsd === undefined || req.body?.amountUsd === null ? null : Number(req.body.amountUsd);
+
+  try {
+    const tx = await findTransaction(req.params.id);
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+    const blocker = amountUsd === null ? refundBlocker(tx) : partialRefundBlocker(tx, amountUsd);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    try {
+      await withAudit(
+        req.adminOperator,
+        { action: "transaction.refund", targetType: "transaction", targetId: tx.transactionId, details: { reason, toAddress, amountUsd }, req },
+        () =>
+          forceRefund(tx, `Back-office refund by ${req.adminOperator.email}: ${reason}`, {
+            toAddress,
+            requestedBy: req.adminOperator.operatorId,
+            amountUsd,
+          })
+      );
+    } catch (err) {
+      return res.status(502).json({ success: false, message: err.message, data: tx.toObject() });
+    }
+    return res.status(200).json({ success: true, data: tx.toObject() });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to refund transaction." });
+  }
+});
+
+/**
+ * POST /api/admin/transactions/:id/review
+ * Mark a transaction as reviewed. Body: { note? }.
+ */
+router.post("/transactions/:id/review", requirePermission("review"), async (req, res) => {
+  try {
+    const tx = await findTransaction(req.params.id);
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+
+    const note = String(req.body?.note || "").trim().slice(0, NOTE_MAX_LENGTH) || null;
+    await withAudit(
+      req.adminOperator,
+      { action: "transaction.review", targetType: "transaction", targetId: tx.transactionId, details: { note }, req },
+      () => markReviewed(tx, req.adminOperator, note)
+    );
+    return res.status(200).json({ success: true, data: tx.toObject() });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to mark transaction reviewed." });
+  }
+});
+
+/**
+ * GET /api/admin/disputes?status=&limit=
+ * Newest first; `status=open` is the queue of disputes nobody has picked up.
+ */
+router.get("/disputes", requirePermission("read"), async (req, res) => {
+  try {
+    let disputes;
+    try {
+      disputes = await listDisputes({ status: String(req.query?.status || "").trim() || null, limit: req.query?.limit });
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    return res.status(200).json({ success: true, data: disputes.map((dispute) => dispute.toObject()) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list disputes." });
+  }
+});
+
+/**
+ * GET /api/admin/disputes/:disputeId
+ * The dispute, its transaction, audit trail and why each resolution is unavailable if it is.
+ */
+router.get("/disputes/:disputeId", requirePermission("read"), async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: "Dispute not found." });
+    }
+
+    const [tx, audit] = await Promise.all([
+      findTransaction(dispute.transactionId),
+      listAuditEntries({ targetType: "dispute", targetId: dispute.disputeId }),
+    ]);
+    return res.status(200).json({
+      success: true,
+      data: {
+        dispute: dispute.toObject(),
+        transaction: tx ? tx.toObject() : null,
+        audit: audit.map(mapAuditEntry),
+        actions: {
+          investigate: DISPUTE_TRANSITIONS[dispute.status].includes("investigating")
+            ? null
+            : `Dispute is ${dispute.status}; it cannot move to investigating.`,
+          refund: resolutionBlocker(dispute, tx, { outcome: "refund", action: "refund" }),
+          reversal: resolutionBlocker(dispute, tx, { outcome: "refund", action: "reversal" }),
+        },
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load dispute." });
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:disputeId/investigate
+ * Pick up an open dispute; the user is notified. Body: { note? }.
+ */
+router.post("/disputes/:disputeId/investigate", requirePermission("review"), async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: "Dispute not found." });
+    }
+    if (dispute.status !== "open") {
+      return res.status(409).json({ success: false, message: `Dispute is ${dispute.status}; only open disputes can be picked up.` });
+    }
+
+    const note = String(req.body?.note || "").trim().slice(0, NOTE_MAX_LENGTH) || null;
+    await withAudit(
+      req.adminOperator,
+      { action: "dispute.investigate", targetType: "dispute", targetId: dispute.disputeId, details: { note }, req },
+      () => startInvestigation(dispute, req.adminOperator, note)
+    );
+    return res.status(200).json({ success: true, data: dispute.toObject() });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to update dispute." });
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:disputeId/resolve
+ * Body: { outcome: "refund" | "no_action", action?: "refund" | "reversal", amountUsd?, note? }.
+ * A refund outcome sends the money first (treasury USDC refund, or a Daraja reversal of a B2C
+ * payout with the USDC re-credited) and needs the refund permission; the user is notified.
+ */
+router.post("/disputes/:disputeId/resolve", requirePermission("review"), async (req, res) => {
+  const outcome = String(req.body?.outcome || "").trim().toLowerCase();
+  const action = String(req.body?.action || "refund").trim().toLowerCase();
+  const amountUsd = req.body?.amountUsd === undefined || req.body?.amountUsd === null ? null : Number(req.body.amountUsd);
+  const note = String(req.body?.note || "").trim().slice(0, NOTE_MAX_LENGTH) || null;
+  if (outcome === "refund" && !hasPermission(req.adminOperator, "refund")) {
+    return res.status(403).json({ success: false, message: `Role ${req.adminOperator.role} may not refund.` });
+  }
+
+  try {
+    const dispute = await findDispute(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: "Dispute not found." });
+    }
+    const tx = await findTransaction(dispute.transactionId);
+    const blocker = resolutionBlocker(dispute, tx, { outcome, action, amountUsd, note });
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    try {
+      await withAudit(
+        req.adminOperator,
+        {
+          action: "dispute.resolve",
+          targetType: "dispute",
+          targetId: dispute.disputeId,
+          details: { transactionId: dispute.transactionId, outcome, action: outcome === "refund" ? action : null, amountUsd, note },
+          req,
+        },
+        () => resolveDispute(dispute, tx, { outcome, action, amountUsd, note, operator: req.adminOperator })
+      );
+    } catch (err) {
+      return res.status(502).json({ success: false, message: err.message, data: { dispute: dispute.toObject(), transaction: tx ? tx.toObject() : null } });
+    }
+    return res.status(200).json({ success: true, data: { dispute: dispute.toObject(), transaction: tx ? tx.toObject() : null } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to resolve dispute." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require("express");
+const { connectDB } = require("../config/db");
+const { mpesaConfig } = require("../config/mpesa");
+const { validateC2BPayment, recordC2BConfirmation } = require("../services/mpesa/c2b");
+
+const router = express.Router();
+
+router.use(async (req, res, next) => {
+  try {
+    await connectDB();
+
+    // Unlike the other Daraja webhooks the secret is mandatory here: a confirmation mints USDC.
+    const expectedSecret = String(mpesaConfig.c2b.webhookSecret || "").trim();
+    const provided = String(req.query?.secret || req.get("x-mpesa-webhook-secret") || "").trim();
+    if (!expectedSecret || provided !== expectedSecret) {
+      return res.status(401).json({ ResultCode: 1, ResultDesc: "Unauthorized" });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/c2b/validation
+ * Called by M-Pesa before a paybill payment completes. Rejects account numbers that are not a DotPay ID.
+ */
+router.post("/validation", async (req, res) => {
+  try {
+    const decision = await validateC2BPayment(req.body || {});
+    return res.status(200).json(decision);
+  } catch (err) {
+    console.error("C2B validation webhook error:", err);
+    // Reject rather than take money we cannot attribute.
+    return res.status(200).json({ ResultCode: "C2B00016", ResultDesc: "Rejected: system error" });
+  }
+});
+
+/**
+ * POST /api/c2b/confirmation
+ * A completed paybill payment: creates the onramp transaction and asks M-Pesa to confirm the receipt.
+ * The USDC credit is queued once the Transaction Status result confirms it.
+ */
+router.post("/confirmation", async (req, res) => {
+  try {
+    const recorded = await recordC2BConfirmation(req.body || {});
+    if (recorded.outcome === "unmatched" || recorded.outcome === "invalid") {
+      console.warn(`C2B confirmation ${req.body?.TransID || "unknown"} not credited: ${recorded.outcome}`);
+    }
+    return res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (err) {
+    console.error("C2B confirmation webhook error:", err);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: "Temporary failure" });
+  }
+});
+
+module.exports = router;
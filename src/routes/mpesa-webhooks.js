@@ -4,8 +4,21 @@ const { mpesaConfig } = require("../config/mpesa");
 const { MpesaTransaction } = require("../models/MpesaTransaction");
 const { MpesaEvent } = require("../models/MpesaEvent");
 const { assertTransition } = require("../services/mpesa/stateMachine");
-const { scheduleAutoRefund } = require("../services/mpesa/refundService");
-const { settleOnrampCredit } = require("../services/settlement/creditOnramp");
+const { enqueueAutoRefund, enqueueExcessRefund } = require("../services/jobs/enqueue");
+const { applyStkResult, parseResultCode } = require("../services/mpesa/stkResult");
+const {
+  applyTransactionStatusResult,
+  classifyTransactionStatusResult,
+} = require("../services/mpesa/transactionStatus");
+const { parsePayoutResult } = require("../services/mpesa/payoutResult");
+const { applyReversalResult, applyReversalTimeout } = require("../services/mpesa/reversal");
+const {
+  recordAccountBalanceResult,
+  recordPayoutResultBalance,
+} = require("../services/liquidity/accountBalance");
+const { clearPlatformLiquidityCache } = require("../services/liquidity/platformLiquidity");
+const { recordBeneficiaryUse } = require("../services/beneficiaries/beneficiaryService");
+const { settleDisputeReversal } = require("../services/disputes/disputeService");
 
 const router = express.Router();
 
@@ -17,20 +30,6 @@ function callbackAck(res) {
   return res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
 }
 
-function parseResultCode(value) {
-  const raw =
-    value === undefined || value === null
-      ? null
-      : String(value).trim() || null;
-  const asNumber = raw === null ? NaN : Number(raw);
-  return {
-    raw,
-    number: Number.isFinite(asNumber) ? asNumber : null,
-    key: raw ?? "unknown",
-    isSuccess: raw === "0" || asNumber === 0,
-  };
-}
-
 async function saveEventIfNew({ eventKey, transactionId, eventType, payload }) {
   try {
     await MpesaEvent.create({
@@ -81,11 +80,33 @@ async function findTransactionFromWebhook(req, fallbackFields = {}) {
   if (fallbackFields.originatorConversationId) {
     query.$or.push({ "daraja.originatorConversationId": String(fallbackFields.originatorConversationId) });
   }
+  if (fallbackFields.reversalConversationId) {
+    query.$or.push({ "reversal.conversationId": String(fallbackFields.reversalConversationId) });
+  }
+  if (fallbackFields.receiptNumber) {
+    query.$or.push({ "daraja.receiptNumber": String(fallbackFields.receiptNumber) });
+  }
 
   if (query.$or.length === 0) return null;
   return MpesaTransaction.findOne(query);
 }
 
+// The paying shortcode's balances ride along on every successful payout result; keep them as a float snapshot.
+async function recordPayoutBalances(tx, product, conversationId) {
+  try {
+    const recorded = await recordPayoutResultBalance({
+      product,
+      conversationId,
+      utilityAvailableKes: tx.daraja?.utilityAccountBalanceKes ?? null,
+      workingAvailableKes: tx.daraja?.workingAccountBalanceKes ?? null,
+      raw: tx.daraja?.rawCallback || null,
+    });
+    if (recorded.recorded) clearPlatformLiquidityCache();
+  } catch (err) {
+    console.error(`Failed to record ${product.toUpperCase()} result balances:`, err);
+  }
+}
+
 router.use(async (req, res, next) => {
   try {
     await connectDB();
@@ -135,56 +156,20 @@ router.post("/webhooks/stk", async (req, res) => {
 
     tx.daraja = {
       ...(tx.daraja || {}),
-      merchantRequestId: merchantRequestId || tx.daraja?.merchantRequestId || null,
-      checkoutRequestId: checkoutRequestId || tx.daraja?.checkoutRequestId || null,
-      resultCode: parsedCode.number,
-      resultCodeRaw: parsedCode.raw,
-      resultDesc,
-      receiptNumber: receiptNumber || tx.daraja?.receiptNumber || null,
       rawCallback: req.body,
       callbackReceivedAt: new Date(),
     };
 
-    if (parsedCode.isSuccess) {
-      // For topups, STK success must be followed by treasury -> user USDC credit.
-      // Keep the callback fast: persist callback state, ack, then settle asynchronously.
-      if (tx.flowType === "onramp") {
-        if (tx.status === "mpesa_submitted") {
-          assertTransition(tx, "mpesa_processing", "STK callback success", "webhook");
-        }
-        await tx.save();
-
-        setImmediate(async () => {
-          try {
-            const latest = await MpesaTransaction.findOne({
-              transactionId: tx.transactionId,
-            });
-            if (!latest) return;
-            const settled = await settleOnrampCredit(latest, { source: "webhook" });
-            if (!settled.credited && settled.reason !== "already_credited") {
-              console.error(
-                `Onramp credit failed for ${tx.transactionId}:`,
-                settled.error || settled.reason
-              );
-            }
-          } catch (err) {
-            console.error(`Onramp credit crash for ${tx.transactionId}:`, err);
-          }
-        });
-
-        return callbackAck(res);
-      }
-
-      if (tx.status !== "succeeded") {
-        assertTransition(tx, "succeeded", "STK callback success", "webhook");
-      }
-    } else {
-      if (tx.status !== "failed") {
-        assertTransition(tx, "failed", "STK callback failure", "webhook");
-      }
-    }
+    // Persist callback state and queue the topup credit job, then ack.
+    await applyStkResult(tx, {
+      resultCode: stk?.ResultCode,
+      resultDesc,
+      merchantRequestId,
+      checkoutRequestId,
+      receiptNumber,
+      source: "webhook",
+    });
 
-    await tx.save();
     return callbackAck(res);
   } catch (err) {
     console.error("STK webhook error:", err);
@@ -225,6 +210,7 @@ router.post("/webhooks/b2c/result", async (req, res) => {
       resultCodeRaw: parsedCode.raw,
       resultDesc,
       receiptNumber: receipt || tx.daraja?.receiptNumber || null,
+      ...parsePayoutResult(result, "b2c"),
       rawCallback: req.body,
       callbackReceivedAt: new Date(),
     };
@@ -234,12 +220,15 @@ router.post("/webhooks/b2c/result", async (req, res) => {
         assertTransition(tx, "succeeded", "B2C callback success", "webhook");
       }
       await tx.save();
+      await recordPayoutBalances(tx, "b2c", conversationId);
+      await recordBeneficiaryUse(tx);
+      await enqueueExcessRefund(tx);
     } else {
       if (tx.status !== "failed") {
         assertTransition(tx, "failed", "B2C callback failure", "webhook");
       }
       await tx.save();
-      await scheduleAutoRefund(tx, `B2C failed: ${resultDesc || "Unknown error"}`);
+      await enqueueAutoRefund(tx, `B2C failed: ${resultDesc || "Unknown error"}`);
     }
 
     return callbackAck(res);
@@ -280,7 +269,7 @@ router.post("/webhooks/b2c/timeout", async (req, res) => {
       assertTransition(tx, "failed", "B2C timeout callback", "webhook");
     }
     await tx.save();
-    await scheduleAutoRefund(tx, "B2C timeout");
+    await enqueueAutoRefund(tx, "B2C timeout");
 
     return callbackAck(res);
   } catch (err) {
@@ -319,6 +308,10 @@ router.post("/webhooks/b2b/result", async (req, res) => {
       resultCode: parsedCode.number,
       resultCodeRaw: parsedCode.raw,
       resultDesc,
+      // B2B results carry the M-Pesa receipt in the top-level TransactionID.
+      receiptNumber:
+        findReceiptFromResult(result) || String(result?.TransactionID || "").trim() || tx.daraja?.receiptNumber || null,
+      ...parsePayoutResult(result, "b2b"),
       rawCallback: req.body,
       callbackReceivedAt: new Date(),
     };
@@ -328,12 +321,15 @@ router.post("/webhooks/b2b/result", async (req, res) => {
         assertTransition(tx, "succeeded", "B2B callback success", "webhook");
       }
       await tx.save();
+      await recordPayoutBalances(tx, "b2b", conversationId);
+      await recordBeneficiaryUse(tx);
+      await enqueueExcessRefund(tx);
     } else {
       if (tx.status !== "failed") {
         assertTransition(tx, "failed", "B2B callback failure", "webhook");
       }
       await tx.save();
-      await scheduleAutoRefund(tx, `B2B failed: ${resultDesc || "Unknown error"}`);
+      await enqueueAutoRefund(tx, `B2B failed: ${resultDesc || "Unknown error"}`);
     }
 
     return callbackAck(res);
@@ -374,7 +370,7 @@ router.post("/webhooks/b2b/timeout", async (req, res) => {
       assertTransition(tx, "failed", "B2B timeout callback", "webhook");
     }
     await tx.save();
-    await scheduleAutoRefund(tx, "B2B timeout");
+    await enqueueAutoRefund(tx, "B2B timeout");
 
     return callbackAck(res);
   } catch (err) {
@@ -383,4 +379,164 @@ router.post("/webhooks/b2b/timeout", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/mpesa/webhooks/transaction-status/result
+ * Result of a TransactionStatusQuery sent by the reconciler for a stuck payout, or to confirm a paybill topup's receipt.
+ */
+router.post("/webhooks/transaction-status/result", async (req, res) => {
+  try {
+    const result = req.body?.Result || {};
+    const outcome = classifyTransactionStatusResult(result);
+
+    // Result.ConversationID belongs to the status query; the payout's IDs are in ResultParameters.
+    const tx = await findTransactionFromWebhook(req, {
+      conversationId: outcome.conversationId,
+      originatorConversationId: outcome.originatorConversationId,
+      receiptNumber: outcome.receiptNumber,
+    });
+    if (!tx) return callbackAck(res);
+
+    const eventKey = `status_result:${tx.transactionId}:${result?.ConversationID || "none"}:${outcome.resultCode.key}`;
+    const inserted = await saveEventIfNew({
+      eventKey,
+      transactionId: tx.transactionId,
+      eventType: "transaction_status_result",
+      payload: req.body,
+    });
+    if (!inserted) return callbackAck(res);
+
+    await applyTransactionStatusResult(tx, outcome, { source: "webhook" });
+    return callbackAck(res);
+  } catch (err) {
+    console.error("Transaction status result webhook error:", err);
+    return callbackAck(res);
+  }
+});
+
+/**
+ * POST /api/mpesa/webhooks/transaction-status/timeout
+ * The status query itself timed out; the payout stays open for the next reconcile run.
+ */
+router.post("/webhooks/transaction-status/timeout", async (req, res) => {
+  try {
+    const tx = await findTransactionFromWebhook(req);
+    if (!tx) return callbackAck(res);
+
+    const conversationId = req.body?.Result?.ConversationID || req.body?.ConversationID;
+    const eventKey = `status_timeout:${tx.transactionId}:${conversationId || "none"}`;
+    const inserted = await saveEventIfNew({
+      eventKey,
+      transactionId: tx.transactionId,
+      eventType: "transaction_status_timeout",
+      payload: req.body,
+    });
+    if (!inserted) return callbackAck(res);
+
+    tx.metadata = tx.metadata || {};
+    tx.metadata.extra = {
+      ...(tx.metadata.extra || {}),
+      statusQuery: {
+        ...(tx.metadata.extra?.statusQuery || {}),
+        lastError: "Transaction status query timed out",
+      },
+    };
+    await tx.save();
+
+    return callbackAck(res);
+  } catch (err) {
+    console.error("Transaction status timeout webhook error:", err);
+    return callbackAck(res);
+  }
+});
+
+/**
+ * POST /api/mpesa/webhooks/reversal/result
+ * Outcome of a TransactionReversal requested through /internal/transactions/:id/reverse.
+ */
+router.post("/webhooks/reversal/result", async (req, res) => {
+  try {
+    const result = req.body?.Result || {};
+    const conversationId = result?.ConversationID;
+    const parsedCode = parseResultCode(result?.ResultCode);
+
+    const tx = await findTransactionFromWebhook(req, { reversalConversationId: conversationId });
+    if (!tx) return callbackAck(res);
+
+    const eventKey = `reversal_result:${tx.transactionId}:${conversationId || "none"}:${parsedCode.key}`;
+    const inserted = await saveEventIfNew({
+      eventKey,
+      transactionId: tx.transactionId,
+      eventType: "reversal_result",
+      payload: req.body,
+    });
+    if (!inserted) return callbackAck(res);
+
+    const outcome = await applyReversalResult(tx, result, { source: "webhook" });
+    await settleDisputeReversal(tx, outcome);
+    return callbackAck(res);
+  } catch (err) {
+    console.error("Reversal result webhook error:", err);
+    return callbackAck(res);
+  }
+});
+
+/**
+ * POST /api/mpesa/webhooks/reversal/timeout
+ */
+router.post("/webhooks/reversal/timeout", async (req, res) => {
+  try {
+    const conversationId = req.body?.Result?.ConversationID || req.body?.ConversationID;
+
+    const tx = await findTransactionFromWebhook(req, { reversalConversationId: conversationId });
+    if (!tx) return callbackAck(res);
+
+    const eventKey = `reversal_timeout:${tx.transactionId}:${conversationId || "none"}`;
+    const inserted = await saveEventIfNew({
+      eventKey,
+      transactionId: tx.transactionId,
+      eventType: "reversal_timeout",
+      payload: req.body,
+    });
+    if (!inserted) return callbackAck(res);
+
+    const outcome = await applyReversalTimeout(tx, { source: "webhook" });
+    await settleDisputeReversal(tx, outcome);
+    return callbackAck(res);
+  } catch (err) {
+    console.error("Reversal timeout webhook error:", err);
+    return callbackAck(res);
+  }
+});
+
+/**
+ * POST /api/mpesa/webhooks/account-balance/result
+ * Float balances for one shortcode (`?shortcode=`), stored as a snapshot for liquidity checks.
+ */
+router.post("/webhooks/account-balance/result", async (req, res) => {
+  try {
+    const recorded = await recordAccountBalanceResult({
+      shortcode: req.query?.shortcode,
+      result: req.body?.Result || {},
+    });
+    if (recorded.recorded) {
+      clearPlatformLiquidityCache();
+    } else if (recorded.reason !== "duplicate") {
+      console.warn(`Account balance result for ${req.query?.shortcode || "unknown shortcode"} ignored: ${recorded.reason}`);
+    }
+    return callbackAck(res);
+  } catch (err) {
+    console.error("Account balance result webhook error:", err);
+    return callbackAck(res);
+  }
+});
+
+/**
+ * POST /api/mpesa/webhooks/account-balance/timeout
+ * Nothing to update: liquidity keeps using the previous snapshot until it goes stale.
+ */
+router.post("/webhooks/account-balance/timeout", async (req, res) => {
+  console.warn(`Account balance query for ${req.query?.shortcode || "unknown shortcode"} timed out.`);
+  return callbackAck(res);
+});
+
 module.exports = router;
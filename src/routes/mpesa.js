@@ -1,31 +1,107 @@
 const express = require("express");
 const crypto = require("crypto");
+const { once } = require("events");
 const { ethers } = require("ethers");
 const { connectDB } = require("../config/db");
 const { mpesaConfig } = require("../config/mpesa");
+const { limitsConfig } = require("../config/limits");
 const { MpesaTransaction } = require("../models/MpesaTransaction");
+const { MpesaDispute } = require("../models/MpesaDispute");
+const { MpesaPayoutBatch } = require("../models/MpesaPayoutBatch");
+const { StandingOrder } = require("../models/StandingOrder");
+const { Beneficiary } = require("../models/Beneficiary");
+const { FEE_FLOWS } = require("../models/FeeSchedule");
+const { BackgroundJob, JOB_STATUSES } = require("../models/BackgroundJob");
 const User = require("../models/User");
 const { requireBackendAuth } = require("../middleware/requireBackendAuth");
 const { requireIdempotencyKey } = require("../middleware/idempotency");
-const { buildQuote, isQuoteExpired } = require("../services/mpesa/quoteService");
+const { requireInternalKey } = require("../middleware/requireInternalKey");
+const { priceQuote, isQuoteExpired } = require("../services/mpesa/quoteService");
+const { listFeeSchedules, parseFeeScheduleInput, saveFeeSchedule } = require("../services/fees/feeEngine");
+const { assertWithinLimits, getLimitStatus, recipientOf } = require("../services/limits/limitService");
+const { screenPayout, resolveRiskReview } = require("../services/risk/riskEngine");
+const {
+  parseBeneficiaryInput,
+  saveBeneficiary,
+  findBeneficiary,
+  resolveBeneficiaryTargets,
+} = require("../services/beneficiaries/beneficiaryService");
+const {
+  assertBillerPayment,
+  getBiller,
+  searchBillers,
+  listBillers,
+  parseBillerInput,
+  saveBiller,
+} = require("../services/billers/billerCatalogue");
 const { assertTransition } = require("../services/mpesa/stateMachine");
+const { buildCallbackUrl } = require("../services/mpesa/callbackUrls");
+const { registerC2BCallbackUrls } = require("../services/mpesa/c2b");
+const { reversalBlocker, requestReversal } = require("../services/mpesa/reversal");
+const {
+  getRefundAmountUsd,
+  getExcessFundingUsd,
+  refundBlocker,
+  partialRefundBlocker,
+  manualRefund,
+  partialRefund,
+  listOutstandingRefunds,
+} = require("../services/mpesa/refundService");
+const { buildTransactionQuery, encodeCursor } = require("../services/mpesa/transactionQuery");
+const { disputeBlocker, parseDisputeInput, openDispute, listDisputes } = require("../services/disputes/disputeService");
+const {
+  receiptBlocker,
+  matchesVerificationCode,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  describeVerifiedReceipt,
+} = require("../services/receipts/receiptService");
 const {
-  initiateStkPush,
-  initiateB2C,
-  initiateB2B,
-  queryTransactionStatus,
-} = require("../services/mpesa/darajaClient");
-const { scheduleAutoRefund } = require("../services/mpesa/refundService");
+  STATEMENT_FORMATS,
+  parseStatementRange,
+  streamStatementEntries,
+  createStatementWriter,
+} = require("../services/statements/statementService");
+const { initiateStkPush } = require("../services/mpesa/darajaClient");
+const { submitB2CPayout, submitB2BPayout } = require("../services/mpesa/payoutService");
+const {
+  parseSchedule,
+  computeNextRunAt,
+  buildStandingOrderMessage,
+  assertOrderQuota,
+  buildStandingOrder,
+} = require("../services/mpesa/standingOrders");
+const {
+  parseBatchItems,
+  createPayoutBatch,
+  verifyBatchFunding,
+  claimBatchSubmission,
+  syncPayoutBatch,
+  buildBatchReportCsv,
+} = require("../services/mpesa/payoutBatch");
 const {
   calculateExpectedFundingFromQuote,
   verifyUsdcFunding,
 } = require("../services/settlement/verifyUsdcFunding");
-const { settleOnrampCredit } = require("../services/settlement/creditOnramp");
+const {
+  reconcileStaleTransactions,
+  settlePendingOnrampCredits,
+} = require("../services/mpesa/reconcileService");
+const { drainJobs, retryDeadJob } = require("../services/jobs/queue");
+const { enqueueAutoRefund, enqueueBatchDisbursement } = require("../services/jobs/enqueue");
+const { registerDefaultJobHandlers } = require("../services/jobs/handlers");
 const {
   getPlatformLiquidityState,
   assertLiquidityForQuote,
 } = require("../services/liquidity/platformLiquidity");
+const {
+  listFloatShortcodes,
+  requestAccountBalances,
+  getLatestBalanceSnapshot,
+} = require("../services/liquidity/accountBalance");
 const { verifyPin } = require("../services/security/pin");
+const { getChainAdapter, hasChainAccess } = require("../services/chain/chainAdapter");
 
 const router = express.Router();
 
@@ -89,6 +165,27 @@ function requiresOnchainFunding(flowType) {
   return Boolean(mpesaConfig.settlement?.requireOnchainFunding) && FUNDED_FLOWS.has(flowType);
 }
 
+// Ops notes and who worked the dispute stay internal.
+function mapDispute(dispute) {
+  return {
+    disputeId: dispute.disputeId,
+    transactionId: dispute.transactionId,
+    flowType: dispute.flowType,
+    status: dispute.status,
+    reasonCode: dispute.reasonCode,
+    evidence: dispute.evidence || null,
+    resolution: {
+      action: dispute.resolution?.action || "none",
+      amountUsd: dispute.resolution?.amountUsd ?? null,
+      note: dispute.resolution?.note || null,
+      resolvedAt: dispute.resolution?.resolvedAt || null,
+    },
+    history: (dispute.history || []).map((entry) => ({ from: entry.from, to: entry.to, at: entry.at })),
+    createdAt: dispute.createdAt,
+    updatedAt: dispute.updatedAt,
+  };
+}
+
 function mapTransaction(tx) {
   return {
     transactionId: tx.transactionId,
@@ -109,33 +206,104 @@ function mapTransaction(tx) {
       resultDesc: tx.daraja?.resultDesc || null,
       receiptNumber: tx.daraja?.receiptNumber || null,
       customerMessage: tx.daraja?.customerMessage || null,
+      receiverPublicName: tx.daraja?.receiverPublicName || null,
+      completedAt: tx.daraja?.completedAt || null,
+      chargesPaidKes: tx.daraja?.chargesPaidKes ?? null,
+      chargesPaidAccountBalanceKes: tx.daraja?.chargesPaidAccountBalanceKes ?? null,
+      utilityAccountBalanceKes: tx.daraja?.utilityAccountBalanceKes ?? null,
+      workingAccountBalanceKes: tx.daraja?.workingAccountBalanceKes ?? null,
+      recipientRegistered: tx.daraja?.recipientRegistered ?? null,
       callbackReceivedAt: tx.daraja?.callbackReceivedAt || null,
     },
     refund: tx.refund,
+    // Rule details stay internal; users only see whether a payout was held or blocked.
+    risk: {
+      action: tx.risk?.action || null,
+      reviewStatus: tx.risk?.reviewStatus || null,
+    },
+    reversal: {
+      status: tx.reversal?.status || "none",
+      reason: tx.reversal?.reason || null,
+      requestedBy: tx.reversal?.requestedBy || null,
+      requestedAt: tx.reversal?.requestedAt || null,
+      completedAt: tx.reversal?.completedAt || null,
+      recreditUsdc: Boolean(tx.reversal?.recreditUsdc),
+      resultCode: tx.reversal?.resultCode ?? null,
+      resultDesc: tx.reversal?.resultDesc || null,
+      receiptNumber: tx.reversal?.receiptNumber || null,
+    },
     history: tx.history,
     businessId: tx.businessId || null,
+    batchId: tx.batchId || null,
+    standingOrderId: tx.standingOrderId || null,
     createdAt: tx.createdAt,
     updatedAt: tx.updatedAt,
   };
 }
 
-function requireInternalKey(req, res, next) {
-  const expected = String(process.env.DOTPAY_INTERNAL_API_KEY || "").trim();
-  if (!expected) {
-    return res.status(500).json({ success: false, message: "DOTPAY_INTERNAL_API_KEY is not configured." });
-  }
+function mapStandingOrder(order) {
+  return {
+    orderId: order.orderId,
+    status: order.status,
+    flowType: order.flowType,
+    targets: order.targets,
+    amountKes: order.amountKes,
+    label: order.label || null,
+    businessId: order.businessId || null,
+    schedule: order.schedule,
+    nextRunAt: order.nextRunAt || null,
+    runCount: order.runCount || 0,
+    consecutiveFailures: order.consecutiveFailures || 0,
+    lastRunAt: order.lastRunAt || null,
+    lastRunTransactionId: order.lastRunTransactionId || null,
+    lastRunStatus: order.lastRunStatus || null,
+    lastError: order.lastError || null,
+    pausedReason: order.pausedReason || null,
+    cancelledAt: order.cancelledAt || null,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+}
 
-  const provided =
-    String(req.get("x-dotpay-internal-key") || "").trim() ||
-    (String(req.get("authorization") || "").toLowerCase().startsWith("bearer ")
-      ? String(req.get("authorization") || "").slice(7).trim()
-      : "");
+function mapBeneficiary(beneficiary) {
+  return {
+    beneficiaryId: beneficiary.beneficiaryId,
+    type: beneficiary.type,
+    nickname: beneficiary.nickname || null,
+    accountNumber: beneficiary.accountNumber,
+    accountReference: beneficiary.accountReference || null,
+    source: beneficiary.source,
+    lastUsedAt: beneficiary.lastUsedAt || null,
+    useCount: beneficiary.useCount || 0,
+    createdAt: beneficiary.createdAt,
+    updatedAt: beneficiary.updatedAt,
+  };
+}
 
-  if (!provided || provided !== expected) {
-    return res.status(401).json({ success: false, message: "Unauthorized." });
-  }
+function mapBatch(batch) {
+  return {
+    batchId: batch.batchId,
+    status: batch.status,
+    label: batch.label || null,
+    businessId: batch.businessId || null,
+    quote: batch.quote,
+    onchain: batch.onchain,
+    excessRefund: batch.excessRefund,
+    summary: batch.summary,
+    items: batch.items,
+    submittedAt: batch.submittedAt || null,
+    completedAt: batch.completedAt || null,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+  };
+}
 
-  return next();
+/** A batch past quoted was submitted already: its own Idempotency-Key replays it, any other conflicts. */
+function replaySubmittedBatch(res, batch, idempotencyKey) {
+  if (batch.idempotencyKey && batch.idempotencyKey === idempotencyKey) {
+    return res.status(200).json({ success: true, data: mapBatch(batch), idempotent: true });
+  }
+  return res.status(409).json({ success: false, message: `Batch is already ${batch.status}.` });
 }
 
 function ensureSensitiveAuth(body) {
@@ -194,11 +362,42 @@ async function requireUserPinVerified(userAddress, pin) {
 
   const ok = verifyPin(pin, user.pinHash, { length: APP_PIN_LENGTH });
   if (!ok) {
+    // Kept for the payout risk rules (a PIN-guessing burst before a payout).
+    await User.updateOne({ address }, { $push: { pinFailedAt: { $each: [new Date()], $slice: -10 } } });
     throw new Error("Invalid PIN.");
   }
 }
 
+/**
+ * Run the payout risk rules before Daraja submission. Returns null when the payout may be
+ * submitted, otherwise sends the blocked (403, refund queued) or held (202) response.
+ */
+async function screenPayoutOrRespond(req, res, tx, submitOptions = {}) {
+  const decision = await screenPayout(tx, {
+    ipAddress: req.ip || null,
+    userAgent: req.get("user-agent") || null,
+    submitOptions,
+  });
+  if (decision.action === "block") {
+    await enqueueAutoRefund(tx, "Blocked by risk rules");
+    return res.status(403).json({
+      success: false,
+      message: "This payment was blocked by DotPay's risk checks.",
+      data: mapTransaction(tx),
+    });
+  }
+  if (decision.action === "review") {
+    return res.status(202).json({
+      success: true,
+      message: "This payment is being reviewed and will be sent once approved.",
+      data: mapTransaction(tx),
+    });
+  }
+  return null;
+}
+
 function targetDescriptor(tx) {
+  if (tx.flowType === "batch") return `batch:${tx.items?.length || 0}`;
   if (tx.flowType === "offramp") return `phone:${tx.targets?.phoneNumber || "-"}`;
   if (tx.flowType === "paybill") {
     return `paybill:${tx.targets?.paybillNumber || "-"}:${tx.targets?.accountReference || "-"}`;
@@ -223,29 +422,8 @@ function buildAuthorizationMessage({ tx, signedAtRaw, nonce }) {
   ].join("\n");
 }
 
-const EIP1271_MAGIC_VALUE = "0x1626ba7e";
-const EIP1271_ABI = [
-  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4 magicValue)",
-];
-
-let signatureProvider = null;
-let signatureProviderRpcUrl = null;
-
-function getSignatureProvider() {
-  const rpcUrl = String(mpesaConfig.treasury?.rpcUrl || "").trim();
-  if (!rpcUrl) return null;
-
-  if (signatureProvider && signatureProviderRpcUrl === rpcUrl) {
-    return signatureProvider;
-  }
-
-  signatureProviderRpcUrl = rpcUrl;
-  signatureProvider = new ethers.JsonRpcProvider(rpcUrl);
-  return signatureProvider;
-}
-
-async function verifyAuthorizationSignature({ tx, expectedAddress, signature, signedAtRaw, nonce }) {
-  const message = buildAuthorizationMessage({ tx, signedAtRaw, nonce });
+async function verifyAuthorizationSignature({ tx, message: signedMessage = null, expectedAddress, signature, signedAtRaw, nonce }) {
+  const message = signedMessage || buildAuthorizationMessage({ tx, signedAtRaw, nonce });
   let recovered = "";
   let recoveredError = null;
 
@@ -262,13 +440,14 @@ async function verifyAuthorizationSignature({ tx, expectedAddress, signature, si
 
   // Smart accounts (ERC-4337, etc.) often use EIP-1271 contract signatures, which cannot be
   // validated via `verifyMessage`. Fall back to on-chain signature validation.
-  const provider = getSignatureProvider();
-  if (provider) {
+  if (hasChainAccess(mpesaConfig.treasury)) {
     try {
-      const contract = new ethers.Contract(expectedAddress, EIP1271_ABI, provider);
-      const hash = ethers.hashMessage(message);
-      const magic = await contract.isValidSignature(hash, signature);
-      if (String(magic || "").trim().toLowerCase() === EIP1271_MAGIC_VALUE) {
+      const valid = await getChainAdapter(mpesaConfig.treasury).isValidSignature({
+        address: expectedAddress,
+        hash: ethers.hashMessage(message),
+        signature,
+      });
+      if (valid) {
         return message;
       }
     } catch {
@@ -310,7 +489,7 @@ function applyFundingDefaults(tx) {
       "Treasury settlement is not configured. Set TREASURY_USDC_CONTRACT and TREASURY_PLATFORM_ADDRESS (or TREASURY_PRIVATE_KEY)."
     );
   }
-  if (!String(mpesaConfig.treasury?.rpcUrl || "").trim()) {
+  if (!hasChainAccess(mpesaConfig.treasury)) {
     throw new Error("TREASURY_RPC_URL is required when on-chain funding is enabled.");
   }
 
@@ -325,34 +504,22 @@ function applyFundingDefaults(tx) {
   tx.onchain.expectedAmountUnits = expectedUnitsString;
 }
 
-async function enforceLimits(userAddress, amountKes) {
-  if (amountKes > mpesaConfig.limits.maxTxnKes) {
-    throw new Error(`Amount exceeds per-transaction limit of ${mpesaConfig.limits.maxTxnKes} KES.`);
-  }
-
-  const start = new Date();
-  start.setHours(0, 0, 0, 0);
-
-  const today = await MpesaTransaction.aggregate([
-    {
-      $match: {
-        userAddress,
-        createdAt: { $gte: start },
-        status: { $nin: ["failed"] },
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        total: { $sum: "$quote.amountKes" },
-      },
-    },
-  ]);
+/**
+ * Target fields for a payout request: a saved beneficiary's when `beneficiaryId` is set
+ * (overriding any raw phoneNumber / paybillNumber / tillNumber), otherwise the body itself.
+ */
+async function payoutTargetInput(userAddress, flowType, body) {
+  if (!body?.beneficiaryId) return body || {};
+  const targets = await resolveBeneficiaryTargets({ userAddress, flowType, beneficiaryId: body.beneficiaryId });
+  return { ...body, ...targets };
+}
 
-  const used = Number(today?.[0]?.total || 0);
-  if (used + amountKes > mpesaConfig.limits.maxDailyKes) {
-    throw new Error(`Daily limit exceeded (${mpesaConfig.limits.maxDailyKes} KES).`);
-  }
+async function enforceLimits(userAddress, flowType, amountKes, targets = null) {
+  await assertWithinLimits({
+    userAddress,
+    flowType,
+    entries: [{ amountKes, recipient: recipientOf(flowType, targets) }],
+  });
 }
 
 async function fetchOrCreateQuoteTransaction({
@@ -388,12 +555,7 @@ async function fetchOrCreateQuoteTransaction({
   if (!tx) {
     const amount = parsePositiveNumber(body?.amount, "amount");
     const currency = String(body?.currency || "KES").trim().toUpperCase();
-    const quote = buildQuote({
-      flowType,
-      amount,
-      currency,
-      kesPerUsd: body?.kesPerUsd,
-    });
+    const quote = await priceQuote({ flowType, amount, currency });
 
     tx = await MpesaTransaction.create({
       flowType,
@@ -417,23 +579,6 @@ async function fetchOrCreateQuoteTransaction({
   return tx;
 }
 
-function buildCallbackUrl(kind, tx) {
-  const txId = encodeURIComponent(tx.transactionId);
-  if (kind === "stk") {
-    return `${mpesaConfig.callbacks.resultBaseUrl}/api/mpesa/webhooks/stk?tx=${txId}`;
-  }
-  if (kind === "b2c_result") {
-    return `${mpesaConfig.callbacks.resultBaseUrl}/api/mpesa/webhooks/b2c/result?tx=${txId}`;
-  }
-  if (kind === "b2c_timeout") {
-    return `${mpesaConfig.callbacks.timeoutBaseUrl}/api/mpesa/webhooks/b2c/timeout?tx=${txId}`;
-  }
-  if (kind === "b2b_result") {
-    return `${mpesaConfig.callbacks.resultBaseUrl}/api/mpesa/webhooks/b2b/result?tx=${txId}`;
-  }
-  return `${mpesaConfig.callbacks.timeoutBaseUrl}/api/mpesa/webhooks/b2b/timeout?tx=${txId}`;
-}
-
 async function ensureFundingVerified({ tx, expectedFromAddress, body }) {
   const mustVerifyFunding = requiresOnchainFunding(tx.flowType);
   if (!mustVerifyFunding) {
@@ -453,11 +598,14 @@ async function ensureFundingVerified({ tx, expectedFromAddress, body }) {
     throw new Error("onchainTxHash is required before M-Pesa submission.");
   }
 
-  const duplicate = await MpesaTransaction.findOne({
-    _id: { $ne: tx._id },
-    "onchain.txHash": onchainTxHash,
-  }).select({ transactionId: 1 });
-  if (duplicate) {
+  const [duplicate, duplicateBatch] = await Promise.all([
+    MpesaTransaction.findOne({
+      _id: { $ne: tx._id },
+      "onchain.txHash": onchainTxHash,
+    }).select({ transactionId: 1 }),
+    MpesaPayoutBatch.findOne({ "onchain.txHash": onchainTxHash }).select({ batchId: 1 }),
+  ]);
+  if (duplicate || duplicateBatch) {
     throw new Error("This on-chain funding transaction is already linked to another payout.");
   }
 
@@ -527,74 +675,10 @@ router.use(async (req, res, next) => {
  */
 router.post("/internal/reconcile", requireInternalKey, async (req, res) => {
   try {
-    const maxAgeMinutes = Number.parseInt(String(req.body?.maxAgeMinutes || "30"), 10);
-    const executeQuery = String(req.body?.executeQuery || "false").toLowerCase() === "true";
-    const transactionId = String(req.body?.transactionId || "").trim().toUpperCase();
-
-    const cutoff = new Date(Date.now() - Math.max(1, maxAgeMinutes) * 60 * 1000);
-    const query = transactionId
-      ? { transactionId }
-      : { status: "mpesa_processing", updatedAt: { $lte: cutoff } };
-
-    const candidates = await MpesaTransaction.find(query).limit(100);
-    const summary = {
-      scanned: candidates.length,
-      markedFailed: 0,
-      refunded: 0,
-      queried: 0,
-      queryErrors: 0,
-    };
-
-    for (const tx of candidates) {
-      let changed = false;
-
-      if (executeQuery && tx.daraja?.receiptNumber) {
-        summary.queried += 1;
-        try {
-          const statusResponse = await queryTransactionStatus({
-            transactionReceipt: tx.daraja.receiptNumber,
-            originatorConversationId: tx.daraja.originatorConversationId || tx.transactionId,
-          });
-          tx.metadata = tx.metadata || {};
-          tx.metadata.extra = {
-            ...(tx.metadata.extra || {}),
-            lastReconcileQuery: statusResponse,
-          };
-          changed = true;
-        } catch (err) {
-          summary.queryErrors += 1;
-          tx.metadata = tx.metadata || {};
-          tx.metadata.extra = {
-            ...(tx.metadata.extra || {}),
-            lastReconcileError: err.message,
-          };
-          changed = true;
-        }
-      }
-
-      const shouldForceById = Boolean(transactionId);
-      if (tx.status === "mpesa_processing" && (shouldForceById || tx.updatedAt <= cutoff)) {
-        if (tx.flowType === "onramp") {
-          const settled = await settleOnrampCredit(tx, { source: "reconcile" });
-          if (settled.credited || settled.reason === "already_credited") {
-            changed = true;
-            continue;
-          }
-        }
-
-        assertTransition(tx, "failed", "Reconcile timeout", "reconcile");
-        summary.markedFailed += 1;
-        changed = true;
-        if (mpesaConfig.refunds.autoRefund) {
-          await scheduleAutoRefund(tx, "Automatic refund after reconcile timeout");
-          if (tx.status === "refunded") summary.refunded += 1;
-        }
-      }
-
-      if (changed) {
-        await tx.save();
-      }
-    }
+    const summary = await reconcileStaleTransactions({
+      maxAgeMinutes: Number.parseInt(String(req.body?.maxAgeMinutes || "30"), 10),
+      transactionId: req.body?.transactionId,
+    });
 
     return res.status(200).json({ success: true, data: summary });
   } catch (err) {
@@ -608,79 +692,12 @@ router.post("/internal/reconcile", requireInternalKey, async (req, res) => {
  */
 router.post("/internal/onramp/settle", requireInternalKey, async (req, res) => {
   try {
-    const transactionId = String(req.body?.transactionId || "").trim().toUpperCase();
     const limitRaw = Number.parseInt(String(req.body?.limit || "25"), 10);
-    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 25;
-
-    const query = transactionId
-      ? { transactionId, flowType: "onramp" }
-      : {
-          flowType: "onramp",
-          status: { $in: ["mpesa_processing", "succeeded"] },
-          $and: [
-            { $or: [{ "daraja.resultCode": 0 }, { "daraja.resultCodeRaw": "0" }] },
-            {
-              $or: [
-                { "onchain.verificationStatus": { $ne: "verified" } },
-                { "onchain.txHash": { $exists: false } },
-                { "onchain.txHash": null },
-                { "onchain.txHash": "" },
-              ],
-            },
-          ],
-        };
-
-    const candidates = await MpesaTransaction.find(query)
-      .sort({ updatedAt: 1, _id: 1 })
-      .limit(limit);
-
-    const summary = {
-      scanned: candidates.length,
-      credited: 0,
-      alreadyCredited: 0,
-      failed: 0,
-      skipped: 0,
-      items: [],
-    };
-
-    for (const tx of candidates) {
-      const darajaCode = tx?.daraja?.resultCode;
-      const darajaRaw = String(tx?.daraja?.resultCodeRaw || "").trim();
-      const isSuccess = darajaCode === 0 || darajaRaw === "0";
-      if (!isSuccess) {
-        summary.skipped += 1;
-        summary.items.push({
-          transactionId: tx.transactionId,
-          outcome: "skipped",
-          reason: "M-Pesa result is not successful.",
-        });
-        continue;
-      }
-
-      const settled = await settleOnrampCredit(tx, { source: "reconcile" });
-      if (settled.credited) {
-        summary.credited += 1;
-        summary.items.push({
-          transactionId: tx.transactionId,
-          outcome: "credited",
-          txHash: settled.txHash || null,
-        });
-      } else if (settled.reason === "already_credited") {
-        summary.alreadyCredited += 1;
-        summary.items.push({
-          transactionId: tx.transactionId,
-          outcome: "already_credited",
-          txHash: settled.txHash || null,
-        });
-      } else {
-        summary.failed += 1;
-        summary.items.push({
-          transactionId: tx.transactionId,
-          outcome: "failed",
-          reason: settled.error || settled.reason || "Unknown error",
-        });
-      }
-    }
+    const summary = await settlePendingOnrampCredits({
+      transactionId: req.body?.transactionId,
+      limit: Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 25,
+      mode: "inline",
+    });
 
     return res.status(200).json({ success: true, data: summary });
   } catch (err) {
@@ -691,158 +708,625 @@ router.post("/internal/onramp/settle", requireInternalKey, async (req, res) => {
   }
 });
 
-router.use(requireBackendAuth);
+/**
+ * GET /api/mpesa/internal/balance
+ * Internal-only: latest Account Balance snapshot per payout shortcode.
+ */
+router.get("/internal/balance", requireInternalKey, async (req, res) => {
+  try {
+    const data = [];
+    for (const { product, shortcode } of listFloatShortcodes()) {
+      // eslint-disable-next-line no-await-in-loop
+      const latest = await getLatestBalanceSnapshot(shortcode);
+      data.push({ product, shortcode, ...latest });
+    }
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load balance snapshots." });
+  }
+});
 
 /**
- * GET /api/mpesa/liquidity/state
+ * POST /api/mpesa/internal/balance/refresh
+ * Internal-only: send Account Balance queries now; results land on /webhooks/account-balance/result.
  */
-router.get("/liquidity/state", async (req, res) => {
+router.post("/internal/balance/refresh", requireInternalKey, async (req, res) => {
   try {
-    const forceRefresh = String(req.query?.force || "").trim().toLowerCase() === "true";
-    const state = await getPlatformLiquidityState({ forceRefresh });
-    return res.status(200).json({
-      success: true,
-      data: state,
-    });
+    if (!requireMpesaEnabled(req, res)) return;
+    const summary = await requestAccountBalances();
+    return res.status(200).json({ success: true, data: summary });
   } catch (err) {
-    return res.status(503).json({
-      success: false,
-      message: err.message || "Failed to load platform liquidity state.",
-    });
+    return res.status(500).json({ success: false, message: err.message || "Failed to request account balances." });
   }
 });
 
 /**
- * POST /api/mpesa/liquidity/precheck
+ * POST /api/mpesa/internal/c2b/register-urls
+ * Internal-only: register the C2B validation/confirmation URLs for paybill top ups.
  */
-router.post("/liquidity/precheck", async (req, res) => {
+router.post("/internal/c2b/register-urls", requireInternalKey, async (req, res) => {
   try {
-    const userAddress = normalizeAddress(req.backendAuth.address);
-    const quoteId = String(req.body?.quoteId || "").trim();
-    const flowType = String(req.body?.flowType || "").trim().toLowerCase();
+    if (!requireMpesaEnabled(req, res)) return;
+    const result = await registerC2BCallbackUrls();
+    return res.status(result.ok ? 200 : 502).json({ success: result.ok, data: result });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to register C2B URLs." });
+  }
+});
 
-    let quote = null;
-    let resolvedFlow = flowType;
+/**
+ * POST /api/mpesa/internal/transactions/:id/reverse
+ * Internal-only: reverse a mistaken or disputed B2C payout by its M-Pesa receipt.
+ * Body: { reason, recreditUsdc?, requestedBy? }. The result lands on /webhooks/reversal/result.
+ */
+router.post("/internal/transactions/:id/reverse", requireInternalKey, async (req, res) => {
+  try {
+    if (!requireMpesaEnabled(req, res)) return;
 
-    if (quoteId) {
-      const tx = await MpesaTransaction.findOne({
-        userAddress,
-        "quote.quoteId": quoteId,
-      }).select("flowType quote");
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "reason is required." });
+    }
 
-      if (!tx) {
-        return res.status(404).json({
-          success: false,
-          message: "Quote not found for this account.",
-        });
-      }
+    const tx = await MpesaTransaction.findOne({ transactionId: String(req.params.id || "").trim().toUpperCase() });
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
 
-      quote = tx.quote;
-      resolvedFlow = tx.flowType;
-    } else {
-      if (!FLOWS.includes(flowType)) {
-        return res.status(400).json({
-          success: false,
-          message: "flowType must be one of onramp/offramp/paybill/buygoods.",
-        });
-      }
-      const amount = parsePositiveNumber(req.body?.amount, "amount");
-      const currency = String(req.body?.currency || "KES").trim().toUpperCase();
-      quote = buildQuote({
-        flowType,
-        amount,
-        currency,
-        kesPerUsd: req.body?.kesPerUsd,
-      });
+    const blocker = reversalBlocker(tx);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
     }
 
-    const state = await assertLiquidityForQuote({
-      flowType: resolvedFlow,
-      quote,
-      source: "precheck",
+    const requested = await requestReversal(tx, {
+      reason,
+      recreditUsdc: req.body?.recreditUsdc === true || String(req.body?.recreditUsdc || "").toLowerCase() === "true",
+      requestedBy: String(req.body?.requestedBy || "").trim() || null,
     });
 
+    if (!requested) {
+      return res.status(409).json({ success: false, message: "A reversal is already in progress for this transaction." });
+    }
+    if (!requested.accepted) {
+      return res.status(502).json({
+        success: false,
+        message: `Reversal rejected by M-Pesa: ${requested.error}`,
+        data: mapTransaction(tx),
+      });
+    }
+    return res.status(200).json({ success: true, data: mapTransaction(tx) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to request reversal." });
+  }
+});
+
+/**
+ * GET /api/mpesa/internal/refunds/outstanding
+ * Internal-only: payouts whose user is still owed a refund, oldest first, including failed
+ * refunds awaiting retry and those out of retries.
+ */
+router.get("/internal/refunds/outstanding", requireInternalKey, async (req, res) => {
+  try {
+    const outstanding = await listOutstandingRefunds({ limit: req.query?.limit });
     return res.status(200).json({
       success: true,
-      data: {
-        canProceed: true,
-        flowType: resolvedFlow,
-        quote,
-        state,
-      },
+      data: outstanding.map((tx) => ({
+        ...mapTransaction(tx),
+        userAddress: tx.userAddress,
+        // A succeeded payout only owes back its excess funding.
+        refundAmountUsd: tx.status === "succeeded" ? getExcessFundingUsd(tx) : getRefundAmountUsd(tx),
+      })),
     });
   } catch (err) {
-    let state = null;
+    return res.status(500).json({ success: false, message: err.message || "Failed to list outstanding refunds." });
+  }
+});
+
+/**
+ * POST /api/mpesa/internal/transactions/:id/refund
+ * Internal-only: refund a failed or reversed payout's USDC now, optionally to another wallet.
+ * Body: { reason, toAddress?, requestedBy?, amountUsd? }. Ignores MPESA_AUTO_REFUND. With
+ * `amountUsd` only that much is refunded (succeeded payouts too), as its own line item.
+ */
+router.post("/internal/transactions/:id/refund", requireInternalKey, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "reason is required." });
+    }
+    const toAddress = String(req.body?.toAddress || "").trim().toLowerCase() || null;
+    if (toAddress && !/^0x[a-f0-9]{40}$/.test(toAddress)) {
+      return res.status(400).json({ success: false, message: "toAddress must be a 0x-prefixed 40-hex-character address." });
+    }
+
+    const amountUsd = req.body?.amountUsd === undefined || req.body?.amountUsd === null ? null : Number(req.body.amountUsd);
+
+    const tx = await MpesaTransaction.findOne({ transactionId: String(req.params.id || "").trim().toUpperCase() });
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+
+    const blocker = amountUsd === null ? refundBlocker(tx) : partialRefundBlocker(tx, amountUsd);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
     try {
-      state = await getPlatformLiquidityState({ forceRefresh: true });
-    } catch {
-      state = null;
+      const requestedBy = String(req.body?.requestedBy || "").trim() || "internal-key";
+      if (amountUsd === null) {
+        await manualRefund(tx, { reason: `Manual refund: ${reason}`, toAddress, requestedBy });
+      } else {
+        await partialRefund(tx, { amountUsd, reason: `Partial refund: ${reason}`, toAddress, requestedBy });
+      }
+    } catch (err) {
+      return res.status(502).json({ success: false, message: err.message, data: mapTransaction(tx) });
     }
+    return res.status(200).json({ success: true, data: mapTransaction(tx) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to refund transaction." });
+  }
+});
+
+/**
+ * GET /api/mpesa/internal/risk/reviews
+ * Internal-only: payouts held by the risk rules, oldest first, with the rules that fired.
+ */
+router.get("/internal/risk/reviews", requireInternalKey, async (req, res) => {
+  try {
+    const limitRaw = Number.parseInt(String(req.query?.limit || "50"), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
+
+    const held = await MpesaTransaction.find({ status: "risk_review" }).sort({ createdAt: 1 }).limit(limit);
     return res.status(200).json({
       success: true,
-      data: {
-        canProceed: false,
-        message: err.message || "Liquidity precheck failed.",
-        state,
-      },
+      data: held.map((tx) => ({ ...mapTransaction(tx), userAddress: tx.userAddress, risk: tx.risk })),
     });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list risk reviews." });
   }
 });
 
 /**
- * POST /api/mpesa/quotes
+ * POST /api/mpesa/internal/risk/reviews/:id/approve|reject
+ * Internal-only: approve (submit to M-Pesa) or reject (fail and refund) a held payout.
  */
-router.post("/quotes", async (req, res) => {
+router.post("/internal/risk/reviews/:id/:decision(approve|reject)", requireInternalKey, async (req, res) => {
   try {
     if (!requireMpesaEnabled(req, res)) return;
 
-    const userAddress = normalizeAddress(req.backendAuth.address);
-    const flowType = String(req.body?.flowType || "").trim().toLowerCase();
-    if (!FLOWS.includes(flowType)) {
-      return res.status(400).json({ success: false, message: "flowType must be one of onramp/offramp/paybill/buygoods." });
+    const tx = await MpesaTransaction.findOne({ transactionId: String(req.params.id || "").trim().toUpperCase() });
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
     }
-
-    const walletAddress = normalizeAddress(req.body?.walletAddress || "");
-    if (walletAddress && !isValidEvmAddress(walletAddress)) {
-      return res.status(400).json({ success: false, message: "walletAddress must be a valid 0x wallet address." });
+    if (tx.status !== "risk_review") {
+      return res.status(409).json({ success: false, message: `Transaction is ${tx.status}, not awaiting risk review.` });
     }
 
-    const amount = parsePositiveNumber(req.body?.amount, "amount");
-    const currency = String(req.body?.currency || "KES").trim().toUpperCase();
+    const approve = req.params.decision === "approve";
+    if (approve) {
+      try {
+        await assertLiquidityForQuote({ flowType: tx.flowType, quote: tx.quote, source: "risk_review" });
+      } catch (err) {
+        return res.status(409).json({ success: false, message: err.message });
+      }
+    }
 
-    const quote = buildQuote({
-      flowType,
-      amount,
-      currency,
-      kesPerUsd: req.body?.kesPerUsd,
+    const outcome = await resolveRiskReview(tx, {
+      approve,
+      reviewedBy: String(req.body?.reviewedBy || "").trim() || null,
+      note: String(req.body?.note || "").trim() || null,
     });
+    if (!outcome) {
+      return res.status(409).json({ success: false, message: "This risk review was already resolved." });
+    }
+    if (!outcome.accepted) {
+      await enqueueAutoRefund(
+        outcome.tx,
+        approve ? "Payout rejected by M-Pesa after review" : "Rejected in risk review"
+      );
+    }
+    return res.status(200).json({ success: true, data: mapTransaction(outcome.tx) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to resolve risk review." });
+  }
+});
 
-    await assertLiquidityForQuote({
-      flowType,
-      quote,
-      source: "quote",
-    });
+/**
+ * GET /api/mpesa/internal/jobs
+ * Internal-only job queue inspection (?status=dead&type=refund.auto).
+ */
+router.get("/internal/jobs", requireInternalKey, async (req, res) => {
+  try {
+    const status = String(req.query?.status || "").trim().toLowerCase();
+    const type = String(req.query?.type || "").trim();
+    const limitRaw = Number.parseInt(String(req.query?.limit || "50"), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
 
-    await enforceLimits(userAddress, quote.amountKes);
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${JOB_STATUSES.join(", ")}` });
+    }
 
-    const tx = await MpesaTransaction.create({
-      flowType,
-      status: "quoted",
-      userAddress,
-      quote,
-      businessId: req.body?.businessId ? String(req.body.businessId).trim() : null,
-      targets: {
-        phoneNumber: req.body?.phoneNumber ? normalizePhone(req.body.phoneNumber) : null,
-        paybillNumber: req.body?.paybillNumber ? normalizeNumber(req.body.paybillNumber) : null,
-        tillNumber: req.body?.tillNumber ? normalizeNumber(req.body.tillNumber) : null,
-        accountReference: req.body?.accountReference ? normalizeNumber(req.body.accountReference) : null,
-      },
-      history: [{ from: "created", to: "quoted", reason: "Quote generated", source: "api" }],
-      metadata: {
-        source: "web",
-        ipAddress: req.ip || null,
-        userAgent: req.get("user-agent") || null,
-      },
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const jobs = await BackgroundJob.find(query).sort({ updatedAt: -1, _id: -1 }).limit(limit).lean();
+    return res.status(200).json({ success: true, data: jobs });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list jobs." });
+  }
+});
+
+/**
+ * POST /api/mpesa/internal/jobs/drain
+ * Internal-only: run due jobs in this process (serverless deployments without a worker).
+ */
+router.post("/internal/jobs/drain", requireInternalKey, async (req, res) => {
+  try {
+    const maxJobsRaw = Number.parseInt(String(req.body?.maxJobs || "25"), 10);
+    const maxJobs = Number.isFinite(maxJobsRaw) ? Math.min(Math.max(maxJobsRaw, 1), 200) : 25;
+
+    registerDefaultJobHandlers();
+    const summary = await drainJobs({ maxJobs });
+    return res.status(200).json({ success: true, data: summary });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to drain jobs." });
+  }
+});
+
+/**
+ * POST /api/mpesa/internal/jobs/:id/retry
+ * Internal-only: move a dead-lettered job back to the queue.
+ */
+router.post("/internal/jobs/:id/retry", requireInternalKey, async (req, res) => {
+  try {
+    const jobId = String(req.params.id || "").trim();
+    if (!/^[a-f0-9]{24}$/i.test(jobId)) {
+      return res.status(400).json({ success: false, message: "Invalid job id." });
+    }
+
+    const job = await retryDeadJob(jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Dead job not found." });
+    }
+    return res.status(200).json({ success: true, data: job.toObject() });
+  } catch (err) {
+    return res.status(409).json({ success: false, message: err.message || "Failed to retry job." });
+  }
+});
+
+/**
+ * GET /api/mpesa/internal/fees
+ * Internal-only: the fee schedule for every flow (flows without one are free).
+ */
+router.get("/internal/fees", requireInternalKey, async (req, res) => {
+  try {
+    const schedules = await listFeeSchedules();
+    return res.status(200).json({ success: true, data: schedules });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list fee schedules." });
+  }
+});
+
+/**
+ * PUT /api/mpesa/internal/fees/:flowType
+ * Internal-only: replace a flow's fee schedule. New quotes use it within MPESA_FEES_CACHE_TTL_SECONDS.
+ */
+router.put("/internal/fees/:flowType", requireInternalKey, async (req, res) => {
+  const flowType = String(req.params.flowType || "").trim().toLowerCase();
+  if (!FEE_FLOWS.includes(flowType)) {
+    return res.status(400).json({ success: false, message: `flowType must be one of ${FEE_FLOWS.join(", ")}` });
+  }
+  try {
+    parseFeeScheduleInput(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const schedule = await saveFeeSchedule(flowType, req.body || {}, {
+      updatedBy: String(req.body?.updatedBy || "").trim() || "internal",
+    });
+    return res.status(200).json({ success: true, data: schedule });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to save fee schedule." });
+  }
+});
+
+/**
+ * GET /api/mpesa/internal/billers
+ * Internal-only: the whole biller catalogue, inactive entries included.
+ */
+router.get("/internal/billers", requireInternalKey, async (req, res) => {
+  try {
+    const billers = await listBillers();
+    return res.status(200).json({ success: true, data: billers });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list billers." });
+  }
+});
+
+/**
+ * PUT /api/mpesa/internal/billers/:paybillNumber
+ * Internal-only: create or replace a biller. `active: false` takes it out of search and validation.
+ */
+router.put("/internal/billers/:paybillNumber", requireInternalKey, async (req, res) => {
+  const paybillNumber = normalizeNumber(req.params.paybillNumber);
+  if (!/^\d{5,8}$/.test(paybillNumber)) {
+    return res.status(400).json({ success: false, message: "paybillNumber must be 5-8 digits." });
+  }
+  try {
+    parseBillerInput(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const biller = await saveBiller(paybillNumber, req.body || {}, {
+      updatedBy: String(req.body?.updatedBy || "").trim() || "internal",
+    });
+    return res.status(200).json({ success: true, data: biller });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to save biller." });
+  }
+});
+
+/**
+ * PUT /api/mpesa/internal/users/:address/limit-tier
+ * Internal-only: move a user to another limit tier ({ tier: null } restores the default).
+ */
+router.put("/internal/users/:address/limit-tier", requireInternalKey, async (req, res) => {
+  const address = normalizeAddress(req.params.address);
+  if (!isValidEvmAddress(address)) {
+    return res.status(400).json({ success: false, message: "address must be a valid 0x wallet address." });
+  }
+  const tier = req.body?.tier === null ? null : String(req.body?.tier || "").trim().toLowerCase();
+  if (tier !== null && !limitsConfig.tiers[tier]) {
+    return res.status(400).json({
+      success: false,
+      message: `tier must be one of ${Object.keys(limitsConfig.tiers).join(", ")} (or null).`,
+    });
+  }
+
+  try {
+    const user = await User.findOneAndUpdate({ address }, { $set: { limitTier: tier } }, { new: true });
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+    return res.status(200).json({
+      success: true,
+      data: { address: user.address, limitTier: user.limitTier || null, effectiveTier: tier || limitsConfig.defaultTier },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to update limit tier." });
+  }
+});
+
+/**
+ * GET /api/mpesa/receipts/:transactionId/verify?code=XXXX-XXXX-XXXX-XXXX
+ * Public: confirms a receipt is genuine. Unknown transactions and wrong codes get the same 404.
+ */
+router.get("/receipts/:transactionId/verify", async (req, res) => {
+  try {
+    const tx = await MpesaTransaction.findOne({
+      transactionId: String(req.params.transactionId || "").trim().toUpperCase(),
+    });
+    if (!tx || !matchesVerificationCode(tx, req.query?.code)) {
+      return res.status(404).json({ success: false, message: "No receipt matches this transaction ID and code." });
+    }
+    return res.status(200).json({ success: true, data: { valid: true, ...describeVerifiedReceipt(tx) } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to verify receipt." });
+  }
+});
+
+router.use(requireBackendAuth);
+
+/**
+ * GET /api/mpesa/billers
+ * Search the biller catalogue (?q=kplc&category=utilities&limit=20).
+ */
+router.get("/billers", async (req, res) => {
+  try {
+    const limitRaw = Number.parseInt(String(req.query?.limit || "20"), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 50) : 20;
+    const billers = await searchBillers({
+      q: String(req.query?.q || "").slice(0, 60),
+      category: req.query?.category ? String(req.query.category) : null,
+      limit,
+    });
+    return res.status(200).json({ success: true, data: { billers } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to search billers." });
+  }
+});
+
+/**
+ * GET /api/mpesa/billers/:paybillNumber
+ */
+router.get("/billers/:paybillNumber", async (req, res) => {
+  try {
+    const biller = await getBiller(normalizeNumber(req.params.paybillNumber));
+    if (!biller) {
+      return res.status(404).json({ success: false, message: "Biller not found." });
+    }
+    return res.status(200).json({ success: true, data: biller });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load biller." });
+  }
+});
+
+/**
+ * GET /api/mpesa/limits
+ * The caller's limit tier and remaining allowance per window (Africa/Nairobi days, Monday weeks).
+ * Add ?flowType=offramp&recipient=2547... for the allowance left for one recipient.
+ */
+router.get("/limits", async (req, res) => {
+  const userAddress = normalizeAddress(req.backendAuth.address);
+  const flowType = String(req.query?.flowType || "").trim().toLowerCase();
+  if (flowType && !FLOWS.includes(flowType)) {
+    return res.status(400).json({ success: false, message: "flowType must be one of onramp/offramp/paybill/buygoods." });
+  }
+  const recipientRaw = String(req.query?.recipient || "").trim();
+  const recipient = flowType === "offramp" ? normalizePhone(recipientRaw) : normalizeNumber(recipientRaw);
+
+  try {
+    const status = await getLimitStatus(userAddress, { flowType: flowType || null, recipient: recipient || null });
+    return res.status(200).json({ success: true, data: status });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load limits." });
+  }
+});
+
+/**
+ * GET /api/mpesa/liquidity/state
+ */
+router.get("/liquidity/state", async (req, res) => {
+  try {
+    const forceRefresh = String(req.query?.force || "").trim().toLowerCase() === "true";
+    const state = await getPlatformLiquidityState({ forceRefresh });
+    return res.status(200).json({
+      success: true,
+      data: state,
+    });
+  } catch (err) {
+    return res.status(503).json({
+      success: false,
+      message: err.message || "Failed to load platform liquidity state.",
+    });
+  }
+});
+
+/**
+ * POST /api/mpesa/liquidity/precheck
+ */
+router.post("/liquidity/precheck", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const quoteId = String(req.body?.quoteId || "").trim();
+    const flowType = String(req.body?.flowType || "").trim().toLowerCase();
+
+    let quote = null;
+    let resolvedFlow = flowType;
+
+    if (quoteId) {
+      const tx = await MpesaTransaction.findOne({
+        userAddress,
+        "quote.quoteId": quoteId,
+      }).select("flowType quote");
+
+      if (!tx) {
+        return res.status(404).json({
+          success: false,
+          message: "Quote not found for this account.",
+        });
+      }
+
+      quote = tx.quote;
+      resolvedFlow = tx.flowType;
+    } else {
+      if (!FLOWS.includes(flowType)) {
+        return res.status(400).json({
+          success: false,
+          message: "flowType must be one of onramp/offramp/paybill/buygoods.",
+        });
+      }
+      const amount = parsePositiveNumber(req.body?.amount, "amount");
+      const currency = String(req.body?.currency || "KES").trim().toUpperCase();
+      quote = await priceQuote({ flowType, amount, currency });
+    }
+
+    const state = await assertLiquidityForQuote({
+      flowType: resolvedFlow,
+      quote,
+      source: "precheck",
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        canProceed: true,
+        flowType: resolvedFlow,
+        quote,
+        state,
+      },
+    });
+  } catch (err) {
+    let state = null;
+    try {
+      state = await getPlatformLiquidityState({ forceRefresh: true });
+    } catch {
+      state = null;
+    }
+    return res.status(200).json({
+      success: true,
+      data: {
+        canProceed: false,
+        message: err.message || "Liquidity precheck failed.",
+        state,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/mpesa/quotes
+ */
+router.post("/quotes", async (req, res) => {
+  try {
+    if (!requireMpesaEnabled(req, res)) return;
+
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const flowType = String(req.body?.flowType || "").trim().toLowerCase();
+    if (!FLOWS.includes(flowType)) {
+      return res.status(400).json({ success: false, message: "flowType must be one of onramp/offramp/paybill/buygoods." });
+    }
+
+    const walletAddress = normalizeAddress(req.body?.walletAddress || "");
+    if (walletAddress && !isValidEvmAddress(walletAddress)) {
+      return res.status(400).json({ success: false, message: "walletAddress must be a valid 0x wallet address." });
+    }
+
+    const amount = parsePositiveNumber(req.body?.amount, "amount");
+    const currency = String(req.body?.currency || "KES").trim().toUpperCase();
+
+    const quote = await priceQuote({ flowType, amount, currency });
+
+    await assertLiquidityForQuote({
+      flowType,
+      quote,
+      source: "quote",
+    });
+
+    const targetInput = await payoutTargetInput(userAddress, flowType, req.body);
+    const targets = {
+      phoneNumber: targetInput.phoneNumber ? normalizePhone(targetInput.phoneNumber) : null,
+      paybillNumber: targetInput.paybillNumber ? normalizeNumber(targetInput.paybillNumber) : null,
+      tillNumber: targetInput.tillNumber ? normalizeNumber(targetInput.tillNumber) : null,
+      accountReference: targetInput.accountReference ? normalizeNumber(targetInput.accountReference) : null,
+    };
+    if (flowType === "paybill" && targets.paybillNumber) {
+      await assertBillerPayment({
+        paybillNumber: targets.paybillNumber,
+        accountReference: targets.accountReference,
+        amountKes: quote.amountKes,
+      });
+    }
+    await enforceLimits(userAddress, flowType, quote.amountKes, targets);
+
+    const tx = await MpesaTransaction.create({
+      flowType,
+      status: "quoted",
+      userAddress,
+      quote,
+      businessId: req.body?.businessId ? String(req.body.businessId).trim() : null,
+      targets,
+      history: [{ from: "created", to: "quoted", reason: "Quote generated", source: "api" }],
+      metadata: {
+        source: "web",
+        ipAddress: req.ip || null,
+        userAgent: req.get("user-agent") || null,
+      },
     });
 
     applyFundingDefaults(tx);
@@ -913,6 +1397,7 @@ router.post("/onramp/stk/initiate", requireIdempotencyKey, async (req, res) => {
 
     tx.idempotencyKey = idempotencyKey;
     tx.targets = { ...tx.targets, phoneNumber };
+    await enforceLimits(userAddress, "onramp", tx.quote.amountKes, tx.targets);
     const creditToAddress = walletAddress || normalizeAddress(tx.onchain?.toAddress || "") || userAddress;
     tx.onchain = {
       ...(tx.onchain || {}),
@@ -982,7 +1467,8 @@ router.post("/offramp/initiate", requireIdempotencyKey, async (req, res) => {
     const auth = ensureSensitiveAuth(req.body);
     await requireUserPinVerified(userAddress, auth.pin);
     const signerAddress = auth.signerAddress || userAddress;
-    const phoneNumber = normalizePhone(req.body?.phoneNumber);
+    const targetInput = await payoutTargetInput(userAddress, "offramp", req.body);
+    const phoneNumber = normalizePhone(targetInput.phoneNumber);
     if (!isValidPhone(phoneNumber)) {
       return res.status(400).json({ success: false, message: "phoneNumber must be in 2547XXXXXXXX format." });
     }
@@ -1003,6 +1489,7 @@ router.post("/offramp/initiate", requireIdempotencyKey, async (req, res) => {
     tx.idempotencyKey = idempotencyKey;
     tx.businessId = req.body?.businessId ? String(req.body.businessId).trim() : tx.businessId;
     tx.targets = { ...tx.targets, phoneNumber };
+    await enforceLimits(userAddress, "offramp", tx.quote.amountKes, tx.targets);
     applyFundingDefaults(tx);
     tx.authorization = {
       pinProvided: true,
@@ -1026,44 +1513,14 @@ router.post("/offramp/initiate", requireIdempotencyKey, async (req, res) => {
 
     assertTransition(tx, "awaiting_user_authorization", "User authorization captured", "api");
     await ensureFundingVerified({ tx, expectedFromAddress: signerAddress, body: req.body });
-    assertTransition(tx, "mpesa_submitted", "Submitting B2C payout", "api");
 
-    const resultUrl = buildCallbackUrl("b2c_result", tx);
-    const timeoutUrl = buildCallbackUrl("b2c_timeout", tx);
+    const held = await screenPayoutOrRespond(req, res, tx);
+    if (held) return held;
 
-    const darajaRes = await initiateB2C({
-      amountKes: tx.quote.expectedReceiveKes,
-      phoneNumber,
-      originatorConversationId: tx.transactionId,
-      remarks: "DotPay wallet cashout",
-      occasion: "DotPay cashout",
-      resultUrl,
-      timeoutUrl,
-      commandId: mpesaConfig.commands?.b2cOfframp || "BusinessPayment",
-    });
-
-    tx.daraja = {
-      ...(tx.daraja || {}),
-      responseCode: String(darajaRes.data?.ResponseCode || ""),
-      responseDescription: darajaRes.data?.ResponseDescription || null,
-      conversationId: darajaRes.data?.ConversationID || null,
-      originatorConversationId: darajaRes.data?.OriginatorConversationID || tx.transactionId,
-      rawRequest: {
-        endpoint: "b2c",
-        resultUrl,
-        timeoutUrl,
-      },
-      rawResponse: darajaRes.data,
-    };
-
-    if (darajaRes.ok && String(darajaRes.data?.ResponseCode || "") === "0") {
-      assertTransition(tx, "mpesa_processing", "B2C request accepted", "daraja");
-      await tx.save();
-    } else {
-      assertTransition(tx, "failed", "B2C request rejected", "daraja");
-      await tx.save();
-      await scheduleAutoRefund(tx, "B2C request rejected");
-    }
+    const submitted = await submitB2CPayout(tx);
+    if (!submitted.accepted) {
+      await enqueueAutoRefund(tx, "B2C request rejected");
+    }
 
     return res.status(200).json({ success: true, data: mapTransaction(tx) });
   } catch (err) {
@@ -1096,8 +1553,9 @@ router.post("/merchant/paybill/initiate", requireIdempotencyKey, async (req, res
     const auth = ensureSensitiveAuth(req.body);
     await requireUserPinVerified(userAddress, auth.pin);
     const signerAddress = auth.signerAddress || userAddress;
-    const paybillNumber = normalizeNumber(req.body?.paybillNumber);
-    const accountReference = normalizeNumber(req.body?.accountReference);
+    const targetInput = await payoutTargetInput(userAddress, "paybill", req.body);
+    const paybillNumber = normalizeNumber(targetInput.paybillNumber);
+    const accountReference = normalizeNumber(targetInput.accountReference);
 
     if (!/^\d{5,8}$/.test(paybillNumber)) {
       return res.status(400).json({ success: false, message: "paybillNumber must be 5-8 digits." });
@@ -1112,6 +1570,7 @@ router.post("/merchant/paybill/initiate", requireIdempotencyKey, async (req, res
       body: req.body,
       idempotencyKey,
     });
+    await assertBillerPayment({ paybillNumber, accountReference, amountKes: tx.quote.amountKes });
 
     await assertLiquidityForQuote({
       flowType: "paybill",
@@ -1122,6 +1581,7 @@ router.post("/merchant/paybill/initiate", requireIdempotencyKey, async (req, res
     tx.idempotencyKey = idempotencyKey;
     tx.businessId = req.body?.businessId ? String(req.body.businessId).trim() : tx.businessId;
     tx.targets = { ...tx.targets, paybillNumber, accountReference };
+    await enforceLimits(userAddress, "paybill", tx.quote.amountKes, tx.targets);
     applyFundingDefaults(tx);
     tx.authorization = {
       pinProvided: true,
@@ -1145,53 +1605,14 @@ router.post("/merchant/paybill/initiate", requireIdempotencyKey, async (req, res
 
     assertTransition(tx, "awaiting_user_authorization", "User authorization captured", "api");
     await ensureFundingVerified({ tx, expectedFromAddress: signerAddress, body: req.body });
-    assertTransition(tx, "mpesa_submitted", "Submitting B2B paybill", "api");
-
-    const resultUrl = buildCallbackUrl("b2b_result", tx);
-    const timeoutUrl = buildCallbackUrl("b2b_timeout", tx);
-    const darajaRes = await initiateB2B({
-      amountKes: tx.quote.expectedReceiveKes,
-      receiverNumber: paybillNumber,
-      accountReference,
-      originatorConversationId: tx.transactionId,
-      resultUrl,
-      timeoutUrl,
-      commandId: mpesaConfig.commands?.b2bPaybill || "BusinessPayBill",
-      remarks: "DotPay merchant paybill",
-      receiverIdentifierType: "4",
-      requester:
-        String(req.body?.requester || "").trim() ||
-        mpesaConfig.credentials?.b2bRequester ||
-        "",
-      initiatorNameOverride:
-        mpesaConfig.credentials?.b2bPaybillInitiatorName ||
-        "",
-      securityCredentialOverride:
-        mpesaConfig.credentials?.b2bPaybillSecurityCredential ||
-        "",
-    });
 
-    tx.daraja = {
-      ...(tx.daraja || {}),
-      responseCode: String(darajaRes.data?.ResponseCode || ""),
-      responseDescription: darajaRes.data?.ResponseDescription || null,
-      conversationId: darajaRes.data?.ConversationID || null,
-      originatorConversationId: darajaRes.data?.OriginatorConversationID || tx.transactionId,
-      rawRequest: {
-        endpoint: "b2b_paybill",
-        resultUrl,
-        timeoutUrl,
-      },
-      rawResponse: darajaRes.data,
-    };
+    const submitOptions = { requester: req.body?.requester || "" };
+    const held = await screenPayoutOrRespond(req, res, tx, submitOptions);
+    if (held) return held;
 
-    if (darajaRes.ok && String(darajaRes.data?.ResponseCode || "") === "0") {
-      assertTransition(tx, "mpesa_processing", "B2B paybill accepted", "daraja");
-      await tx.save();
-    } else {
-      assertTransition(tx, "failed", "B2B paybill rejected", "daraja");
-      await tx.save();
-      await scheduleAutoRefund(tx, "B2B paybill rejected");
+    const submitted = await submitB2BPayout(tx, submitOptions);
+    if (!submitted.accepted) {
+      await enqueueAutoRefund(tx, "B2B paybill rejected");
     }
 
     return res.status(200).json({ success: true, data: mapTransaction(tx) });
@@ -1219,7 +1640,8 @@ router.post("/merchant/buygoods/initiate", requireIdempotencyKey, async (req, re
     const auth = ensureSensitiveAuth(req.body);
     await requireUserPinVerified(userAddress, auth.pin);
     const signerAddress = auth.signerAddress || userAddress;
-    const tillNumber = normalizeNumber(req.body?.tillNumber);
+    const targetInput = await payoutTargetInput(userAddress, "buygoods", req.body);
+    const tillNumber = normalizeNumber(targetInput.tillNumber);
 
     if (!/^\d{5,8}$/.test(tillNumber)) {
       return res.status(400).json({ success: false, message: "tillNumber must be 5-8 digits." });
@@ -1241,6 +1663,7 @@ router.post("/merchant/buygoods/initiate", requireIdempotencyKey, async (req, re
     tx.idempotencyKey = idempotencyKey;
     tx.businessId = req.body?.businessId ? String(req.body.businessId).trim() : tx.businessId;
     tx.targets = { ...tx.targets, tillNumber };
+    await enforceLimits(userAddress, "buygoods", tx.quote.amountKes, tx.targets);
     applyFundingDefaults(tx);
     tx.authorization = {
       pinProvided: true,
@@ -1264,61 +1687,603 @@ router.post("/merchant/buygoods/initiate", requireIdempotencyKey, async (req, re
 
     assertTransition(tx, "awaiting_user_authorization", "User authorization captured", "api");
     await ensureFundingVerified({ tx, expectedFromAddress: signerAddress, body: req.body });
-    assertTransition(tx, "mpesa_submitted", "Submitting B2B buygoods", "api");
 
-    const resultUrl = buildCallbackUrl("b2b_result", tx);
-    const timeoutUrl = buildCallbackUrl("b2b_timeout", tx);
-
-    const darajaRes = await initiateB2B({
-      amountKes: tx.quote.expectedReceiveKes,
-      receiverNumber: tillNumber,
+    const submitOptions = {
       accountReference: req.body?.accountReference ? normalizeNumber(req.body.accountReference) : "DotPay",
-      originatorConversationId: tx.transactionId,
-      resultUrl,
-      timeoutUrl,
-      commandId: mpesaConfig.commands?.b2bBuygoods || "BusinessBuyGoods",
-      remarks: "DotPay buy goods",
-      receiverIdentifierType:
-        mpesaConfig.commands?.b2bBuygoodsReceiverIdentifierType || "2",
-      requester:
-        String(req.body?.requester || "").trim() ||
-        mpesaConfig.credentials?.b2bRequester ||
-        "",
-      initiatorNameOverride:
-        mpesaConfig.credentials?.b2bBuygoodsInitiatorName ||
-        "",
-      securityCredentialOverride:
-        mpesaConfig.credentials?.b2bBuygoodsSecurityCredential ||
-        "",
+      requester: req.body?.requester || "",
+    };
+    const held = await screenPayoutOrRespond(req, res, tx, submitOptions);
+    if (held) return held;
+
+    const submitted = await submitB2BPayout(tx, submitOptions);
+    if (!submitted.accepted) {
+      await enqueueAutoRefund(tx, "B2B buygoods rejected");
+    }
+
+    return res.status(200).json({ success: true, data: mapTransaction(tx) });
+  } catch (err) {
+    console.warn("merchant/buygoods/initiate failed:", err?.message || err);
+    return res.status(400).json({ success: false, message: err.message || "Failed to initiate buygoods." });
+  }
+});
+
+/**
+ * POST /api/mpesa/batches
+ * Quote a bulk B2C payout from `items` ([{ phoneNumber, amount, reference?, name? }]) or `csv`
+ * (header row with phone,amount[,reference,name]). Returns the total USDC funding required.
+ */
+router.post("/batches", async (req, res) => {
+  try {
+    if (!requireMpesaEnabled(req, res)) return;
+
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const items = parseBatchItems({ items: req.body?.items, csv: req.body?.csv });
+    await assertWithinLimits({
+      userAddress,
+      flowType: "offramp",
+      entries: items.map((item) => ({ amountKes: item.amountKes, recipient: item.phoneNumber })),
     });
 
-    tx.daraja = {
-      ...(tx.daraja || {}),
-      responseCode: String(darajaRes.data?.ResponseCode || ""),
-      responseDescription: darajaRes.data?.ResponseDescription || null,
-      conversationId: darajaRes.data?.ConversationID || null,
-      originatorConversationId: darajaRes.data?.OriginatorConversationID || tx.transactionId,
-      rawRequest: {
-        endpoint: "b2b_buygoods",
-        resultUrl,
-        timeoutUrl,
+    const batch = await createPayoutBatch({
+      userAddress,
+      businessId: req.body?.businessId ? String(req.body.businessId).trim() : null,
+      label: req.body?.label ? String(req.body.label).trim().slice(0, 80) : null,
+      items,
+    });
+
+    await assertLiquidityForQuote({ flowType: "offramp", quote: batch.quote, source: "batch_quote" });
+
+    return res.status(200).json({ success: true, data: mapBatch(batch) });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message || "Failed to create batch." });
+  }
+});
+
+/**
+ * POST /api/mpesa/batches/:batchId/submit
+ * Authorize (PIN + signature) and fund a quoted batch, then fan out one B2C payout per item.
+ */
+router.post("/batches/:batchId/submit", requireIdempotencyKey, async (req, res) => {
+  try {
+    if (!requireMpesaEnabled(req, res)) return;
+
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const batch = await MpesaPayoutBatch.findOne({
+      batchId: String(req.params.batchId || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Batch not found." });
+    }
+    if (batch.status !== "quoted") return replaySubmittedBatch(res, batch, req.idempotencyKey);
+    if (isQuoteExpired(batch.quote)) {
+      return res.status(400).json({ success: false, message: "Quote has expired. Please create a new batch." });
+    }
+
+    const auth = ensureSensitiveAuth(req.body);
+    await requireUserPinVerified(userAddress, auth.pin);
+    const signerAddress = auth.signerAddress || userAddress;
+    await verifyAuthorizationSignature({
+      tx: {
+        transactionId: batch.batchId,
+        flowType: "batch",
+        quote: batch.quote,
+        onchain: batch.onchain,
+        items: batch.items,
       },
-      rawResponse: darajaRes.data,
+      expectedAddress: signerAddress,
+      signature: auth.signature,
+      signedAtRaw: auth.signedAtRaw,
+      nonce: auth.nonce,
+    });
+    batch.authorization = {
+      pinProvided: true,
+      signature: auth.signature,
+      signedAt: auth.signedAt,
+      nonce: auth.nonce,
+      signerAddress,
     };
 
-    if (darajaRes.ok && String(darajaRes.data?.ResponseCode || "") === "0") {
-      assertTransition(tx, "mpesa_processing", "B2B buygoods accepted", "daraja");
-      await tx.save();
+    // Usage may have moved since the batch was quoted.
+    await assertWithinLimits({
+      userAddress,
+      flowType: "offramp",
+      entries: batch.items.map((item) => ({ amountKes: item.amountKes, recipient: item.phoneNumber })),
+    });
+    await assertLiquidityForQuote({ flowType: "offramp", quote: batch.quote, source: "batch_submit" });
+    await verifyBatchFunding(batch, {
+      expectedFromAddress: signerAddress,
+      onchainTxHash: req.body?.onchainTxHash,
+      chainId: req.body?.chainId,
+    });
+
+    const claimed = await claimBatchSubmission(batch, { idempotencyKey: req.idempotencyKey });
+    if (!claimed) {
+      // A concurrent submit won the claim; only it queues the disbursement.
+      const current = await MpesaPayoutBatch.findById(batch._id);
+      return replaySubmittedBatch(res, current, req.idempotencyKey);
+    }
+    await enqueueBatchDisbursement(claimed);
+
+    return res.status(200).json({ success: true, data: mapBatch(claimed) });
+  } catch (err) {
+    console.warn("batches/submit failed:", err?.message || err);
+    return res.status(400).json({ success: false, message: err.message || "Failed to submit batch." });
+  }
+});
+
+/**
+ * GET /api/mpesa/batches
+ */
+router.get("/batches", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const limitRaw = Number.parseInt(String(req.query.limit || "20"), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 100) : 20;
+
+    const list = await MpesaPayoutBatch.find({ userAddress })
+      .select({ items: 0 })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit);
+
+    return res.status(200).json({ success: true, data: { batches: list.map(mapBatch) } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list batches." });
+  }
+});
+
+/**
+ * GET /api/mpesa/batches/:batchId
+ */
+router.get("/batches/:batchId", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const batch = await MpesaPayoutBatch.findOne({
+      batchId: String(req.params.batchId || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Batch not found." });
+    }
+
+    await syncPayoutBatch(batch);
+    return res.status(200).json({ success: true, data: mapBatch(batch) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load batch." });
+  }
+});
+
+/**
+ * GET /api/mpesa/batches/:batchId/report
+ * Per-recipient results as a CSV download.
+ */
+router.get("/batches/:batchId/report", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const batch = await MpesaPayoutBatch.findOne({
+      batchId: String(req.params.batchId || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Batch not found." });
+    }
+
+    await syncPayoutBatch(batch);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${batch.batchId}.csv"`);
+    return res.status(200).send(buildBatchReportCsv(batch));
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to build batch report." });
+  }
+});
+
+/**
+ * POST /api/mpesa/standing-orders
+ * Create a recurring paybill/till payment. The PIN and signature (over the standing order
+ * message) pre-authorize every run; each run is quoted, funded and submitted on its own.
+ */
+router.post("/standing-orders", async (req, res) => {
+  try {
+    if (!requireMpesaEnabled(req, res)) return;
+
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const flowType = String(req.body?.flowType || "").trim().toLowerCase();
+    const targets = {};
+    if (flowType === "paybill") {
+      targets.paybillNumber = normalizeNumber(req.body?.paybillNumber);
+      targets.accountReference = normalizeNumber(req.body?.accountReference);
+      if (!/^\d{5,8}$/.test(targets.paybillNumber)) {
+        return res.status(400).json({ success: false, message: "paybillNumber must be 5-8 digits." });
+      }
+      if (!targets.accountReference || targets.accountReference.length < 2 || targets.accountReference.length > 20) {
+        return res.status(400).json({ success: false, message: "accountReference must be 2-20 characters." });
+      }
+    } else if (flowType === "buygoods") {
+      targets.tillNumber = normalizeNumber(req.body?.tillNumber);
+      targets.accountReference = req.body?.accountReference ? normalizeNumber(req.body.accountReference) : null;
+      if (!/^\d{5,8}$/.test(targets.tillNumber)) {
+        return res.status(400).json({ success: false, message: "tillNumber must be 5-8 digits." });
+      }
     } else {
-      assertTransition(tx, "failed", "B2B buygoods rejected", "daraja");
-      await tx.save();
-      await scheduleAutoRefund(tx, "B2B buygoods rejected");
+      return res.status(400).json({ success: false, message: "flowType must be paybill or buygoods." });
     }
 
-    return res.status(200).json({ success: true, data: mapTransaction(tx) });
+    const auth = ensureSensitiveAuth(req.body);
+    await requireUserPinVerified(userAddress, auth.pin);
+    const signerAddress = auth.signerAddress || userAddress;
+    await assertOrderQuota(userAddress);
+
+    if (flowType === "paybill") {
+      await assertBillerPayment({
+        paybillNumber: targets.paybillNumber,
+        accountReference: targets.accountReference,
+        amountKes: parsePositiveNumber(req.body?.amount, "amount"),
+      });
+    }
+
+    const order = buildStandingOrder({
+      userAddress,
+      businessId: req.body?.businessId ? String(req.body.businessId).trim() : null,
+      flowType,
+      targets,
+      amountKes: parsePositiveNumber(req.body?.amount, "amount"),
+      label: req.body?.label ? String(req.body.label).trim().slice(0, 80) : null,
+      schedule: parseSchedule(req.body?.schedule),
+    });
+
+    const message = await verifyAuthorizationSignature({
+      message: buildStandingOrderMessage({ order, signedAtRaw: auth.signedAtRaw, nonce: auth.nonce }),
+      expectedAddress: signerAddress,
+      signature: auth.signature,
+      signedAtRaw: auth.signedAtRaw,
+      nonce: auth.nonce,
+    });
+    order.authorization = {
+      pinProvided: true,
+      signature: auth.signature,
+      signedAt: auth.signedAt,
+      nonce: auth.nonce,
+      signerAddress,
+      message,
+    };
+    await order.save();
+
+    return res.status(201).json({ success: true, data: mapStandingOrder(order) });
   } catch (err) {
-    console.warn("merchant/buygoods/initiate failed:", err?.message || err);
-    return res.status(400).json({ success: false, message: err.message || "Failed to initiate buygoods." });
+    console.warn("standing-orders create failed:", err?.message || err);
+    return res.status(400).json({ success: false, message: err.message || "Failed to create standing order." });
+  }
+});
+
+/**
+ * GET /api/mpesa/standing-orders
+ */
+router.get("/standing-orders", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const status = String(req.query.status || "").trim().toLowerCase();
+    const query = { userAddress };
+    if (status) query.status = status;
+
+    const list = await StandingOrder.find(query).sort({ createdAt: -1, _id: -1 }).limit(100);
+    return res.status(200).json({ success: true, data: { standingOrders: list.map(mapStandingOrder) } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list standing orders." });
+  }
+});
+
+/**
+ * GET /api/mpesa/standing-orders/:orderId
+ * The order plus its most recent runs (one MpesaTransaction each).
+ */
+router.get("/standing-orders/:orderId", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const order = await StandingOrder.findOne({
+      orderId: String(req.params.orderId || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Standing order not found." });
+    }
+
+    const runs = await MpesaTransaction.find({ userAddress, standingOrderId: order.orderId })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(50);
+
+    return res.status(200).json({
+      success: true,
+      data: { ...mapStandingOrder(order), runs: runs.map(mapTransaction) },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load standing order." });
+  }
+});
+
+/**
+ * POST /api/mpesa/standing-orders/:orderId/(pause|resume|cancel)
+ * Resuming skips runs missed while paused and clears the failure streak.
+ */
+router.post("/standing-orders/:orderId/:action(pause|resume|cancel)", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const order = await StandingOrder.findOne({
+      orderId: String(req.params.orderId || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Standing order not found." });
+    }
+
+    const { action } = req.params;
+    const allowedFrom = { pause: ["active"], resume: ["paused"], cancel: ["active", "paused"] }[action];
+    if (!allowedFrom.includes(order.status)) {
+      return res.status(409).json({ success: false, message: `Cannot ${action} a ${order.status} standing order.` });
+    }
+
+    if (action === "pause") {
+      order.status = "paused";
+      order.pausedReason = req.body?.reason ? String(req.body.reason).trim().slice(0, 200) : "Paused by user";
+    } else if (action === "resume") {
+      order.nextRunAt = computeNextRunAt(order.schedule, { runCount: order.runCount });
+      order.status = order.nextRunAt ? "active" : "completed";
+      order.pausedReason = null;
+      order.consecutiveFailures = 0;
+    } else {
+      order.status = "cancelled";
+      order.nextRunAt = null;
+      order.cancelledAt = new Date();
+    }
+    await order.save();
+
+    return res.status(200).json({ success: true, data: mapStandingOrder(order) });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message || "Failed to update standing order." });
+  }
+});
+
+/**
+ * GET /api/mpesa/beneficiaries
+ * Saved phones, paybills and tills, most recently used first (?type=phone|paybill|till).
+ */
+router.get("/beneficiaries", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const type = String(req.query.type || "").trim().toLowerCase();
+    const query = { userAddress, archivedAt: null };
+    if (type) query.type = type;
+
+    const list = await Beneficiary.find(query).sort({ lastUsedAt: -1, createdAt: -1, _id: -1 }).limit(200);
+    return res.status(200).json({ success: true, data: { beneficiaries: list.map(mapBeneficiary) } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list beneficiaries." });
+  }
+});
+
+/**
+ * POST /api/mpesa/beneficiaries
+ * Body: { type, accountNumber, accountReference? (paybill), nickname? }. Saving an account
+ * that is already known renames and restores it.
+ */
+router.post("/beneficiaries", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const input = parseBeneficiaryInput(req.body);
+    if (input.type === "paybill") {
+      await assertBillerPayment({ paybillNumber: input.accountNumber, accountReference: input.accountReference });
+    }
+    const { beneficiary, created } = await saveBeneficiary(userAddress, input);
+    return res.status(created ? 201 : 200).json({ success: true, data: mapBeneficiary(beneficiary) });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message || "Failed to save beneficiary." });
+  }
+});
+
+/**
+ * PATCH /api/mpesa/beneficiaries/:beneficiaryId
+ * Rename a beneficiary (body { nickname }, null clears it).
+ */
+router.patch("/beneficiaries/:beneficiaryId", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const beneficiary = await findBeneficiary(userAddress, req.params.beneficiaryId);
+    if (!beneficiary) {
+      return res.status(404).json({ success: false, message: "Beneficiary not found." });
+    }
+
+    const nickname = req.body?.nickname === null ? null : String(req.body?.nickname ?? "").trim().slice(0, 60);
+    beneficiary.nickname = nickname || null;
+    await beneficiary.save();
+
+    return res.status(200).json({ success: true, data: mapBeneficiary(beneficiary) });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message || "Failed to update beneficiary." });
+  }
+});
+
+/**
+ * DELETE /api/mpesa/beneficiaries/:beneficiaryId
+ * Hides the beneficiary; later payments to the same account do not bring it back.
+ */
+router.delete("/beneficiaries/:beneficiaryId", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const beneficiary = await findBeneficiary(userAddress, req.params.beneficiaryId);
+    if (!beneficiary) {
+      return res.status(404).json({ success: false, message: "Beneficiary not found." });
+    }
+
+    beneficiary.archivedAt = new Date();
+    await beneficiary.save();
+
+    return res.status(200).json({ success: true, data: { beneficiaryId: beneficiary.beneficiaryId } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to remove beneficiary." });
+  }
+});
+
+/**
+ * GET /api/mpesa/statements?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|ofx&businessId=
+ * Every topup, payout and refund in the period with running KES and USDC totals, streamed.
+ */
+router.get("/statements", async (req, res) => {
+  const userAddress = normalizeAddress(req.backendAuth.address);
+  const format = String(req.query?.format || "csv").trim().toLowerCase();
+  const businessId = String(req.query?.businessId || "").trim() || null;
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: `format must be one of: ${STATEMENT_FORMATS.join(", ")}.` });
+  }
+  let range;
+  try {
+    range = parseStatementRange(req.query || {});
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  const writer = createStatementWriter(format, { userAddress, ...range });
+  const day = (date) => date.toISOString().slice(0, 10);
+  const filename = `dotpay-statement-${day(range.from)}-${day(new Date(range.to.getTime() - 1))}.${writer.extension}`;
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk)) await once(res, "drain");
+  };
+
+  try {
+    const entries = streamStatementEntries({ userAddress, businessId, ...range });
+    // Pull the first entry before committing to a 200 so query errors still get a JSON reply.
+    let next = await entries.next();
+    res.set("Content-Type", writer.contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.status(200);
+    await write(writer.header());
+    let last = null;
+    while (!next.done) {
+      last = next.value;
+      await write(writer.entry(last));
+      next = await entries.next();
+    }
+    return res.end(writer.footer(last || undefined));
+  } catch (err) {
+    if (res.headersSent) {
+      console.error("Statement stream failed:", err?.message || err);
+      return res.destroy(err);
+    }
+    return res.status(500).json({ success: false, message: err.message || "Failed to build statement." });
+  }
+});
+
+/**
+ * GET /api/mpesa/transactions/:id/receipt?format=html|pdf
+ * Receipt for a succeeded cash out, paybill or buy goods payment.
+ */
+router.get("/transactions/:id/receipt", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const format = String(req.query?.format || "html").trim().toLowerCase();
+    if (!["html", "pdf"].includes(format)) {
+      return res.status(400).json({ success: false, message: "format must be html or pdf." });
+    }
+
+    const tx = await MpesaTransaction.findOne({
+      transactionId: String(req.params.id || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+    const blocker = receiptBlocker(tx);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    const receipt = buildReceipt(tx, { baseUrl: `${req.protocol}://${req.get("host")}` });
+    if (format === "pdf") {
+      res.set("Content-Type", "application/pdf");
+      res.set("Content-Disposition", `attachment; filename="dotpay-receipt-${tx.transactionId}.pdf"`);
+      return res.status(200).send(renderReceiptPdf(receipt));
+    }
+    res.set("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(renderReceiptHtml(receipt));
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to build receipt." });
+  }
+});
+
+/**
+ * POST /api/mpesa/transactions/:id/disputes
+ * Report a problem with a payout (e.g. the merchant never got a successful paybill payment).
+ * Body: { reasonCode, evidence? }.
+ */
+router.post("/transactions/:id/disputes", async (req, res) => {
+  let input;
+  try {
+    input = parseDisputeInput(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    const tx = await MpesaTransaction.findOne({
+      transactionId: String(req.params.id || "").trim().toUpperCase(),
+      userAddress,
+    });
+    if (!tx) {
+      return res.status(404).json({ success: false, message: "Transaction not found." });
+    }
+    const blocker = disputeBlocker(tx);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    let dispute;
+    try {
+      dispute = await openDispute(tx, { ...input, userAddress });
+    } catch (err) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    return res.status(201).json({ success: true, data: mapDispute(dispute) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to open dispute." });
+  }
+});
+
+/**
+ * GET /api/mpesa/disputes?status=&limit=
+ */
+router.get("/disputes", async (req, res) => {
+  try {
+    const userAddress = normalizeAddress(req.backendAuth.address);
+    let disputes;
+    try {
+      disputes = await listDisputes({
+        userAddress,
+        status: String(req.query?.status || "").trim() || null,
+        limit: req.query?.limit,
+      });
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    return res.status(200).json({ success: true, data: disputes.map(mapDispute) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to list disputes." });
+  }
+});
+
+/**
+ * GET /api/mpesa/disputes/:disputeId
+ */
+router.get("/disputes/:disputeId", async (req, res) => {
+  try {
+    const dispute = await MpesaDispute.findOne({
+      disputeId: String(req.params.disputeId || "").trim().toUpperCase(),
+      userAddress: normalizeAddress(req.backendAuth.address),
+    });
+    if (!dispute) {
+      return res.status(404).json({ success: false, message: "Dispute not found." });
+    }
+    return res.status(200).json({ success: true, data: mapDispute(dispute) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load dispute." });
   }
 });
 
@@ -1347,27 +2312,33 @@ router.get("/transactions/:id", async (req, res) => {
 
 /**
  * GET /api/mpesa/transactions
+ * Newest first, `limit` (max 100) per page; pass `nextCursor` back as `cursor` for the next page.
  */
 router.get("/transactions", async (req, res) => {
+  let query;
   try {
-    const userAddress = normalizeAddress(req.backendAuth.address);
-    const flowType = String(req.query.flowType || "").trim().toLowerCase();
-    const status = String(req.query.status || "").trim();
-    const limitRaw = Number.parseInt(String(req.query.limit || "20"), 10);
-    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 100) : 20;
-
-    const query = { userAddress };
-    if (FLOWS.includes(flowType)) query.flowType = flowType;
-    if (status) query.status = status;
+    query = buildTransactionQuery(normalizeAddress(req.backendAuth.address), req.query || {}, { flowTypes: FLOWS });
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
 
-    const list = await MpesaTransaction.find(query)
-      .sort({ createdAt: -1, _id: -1 })
-      .limit(limit);
+  try {
+    const [list, total] = await Promise.all([
+      MpesaTransaction.find(query.filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(query.limit + 1),
+      query.withTotal ? MpesaTransaction.countDocuments(query.countFilter) : null,
+    ]);
+    const page = list.slice(0, query.limit);
+    const hasMore = list.length > query.limit;
 
     return res.status(200).json({
       success: true,
       data: {
-        transactions: list.map(mapTransaction),
+        transactions: page.map(mapTransaction),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore,
+        ...(query.withTotal ? { total } : {}),
       },
     });
   } catch (err) {
@@ -1,6 +1,7 @@
 const express = require("express");
 const Notification = require("../models/Notification");
 const { connectDB } = require("../config/db");
+const { requireInternalKey } = require("../middleware/requireInternalKey");
 
 const router = express.Router();
 
@@ -23,28 +24,6 @@ function normalizeNote(value) {
   return trimmed.length ? trimmed : null;
 }
 
-function requireInternalKey(req, res, next) {
-  const expected = (process.env.DOTPAY_INTERNAL_API_KEY || "").trim();
-  if (!expected) {
-    return res.status(500).json({
-      success: false,
-      message: "DOTPAY_INTERNAL_API_KEY is not configured.",
-    });
-  }
-
-  const provided =
-    (req.get("x-dotpay-internal-key") || "").trim() ||
-    ((req.get("authorization") || "").trim().toLowerCase().startsWith("bearer ")
-      ? req.get("authorization").trim().slice("bearer ".length)
-      : "");
-
-  if (!provided || provided !== expected) {
-    return res.status(401).json({ success: false, message: "Unauthorized." });
-  }
-
-  return next();
-}
-
 function toResponse(doc) {
   return {
     id: doc._id.toString(),
@@ -59,6 +38,10 @@ function toResponse(doc) {
     tokenSymbol: doc.tokenSymbol,
     tokenDecimal: doc.tokenDecimal,
     note: doc.note,
+    transactionId: doc.transactionId || null,
+    disputeId: doc.disputeId || null,
+    disputeStatus: doc.disputeStatus || null,
+    message: doc.message || null,
     eventAt: doc.eventAt,
     readAt: doc.readAt,
     createdAt: doc.createdAt,
@@ -70,7 +53,7 @@ router.use(requireInternalKey);
 
 /**
  * GET /api/notifications?address=0x...&limit=20&before=ISO
- * Internal-only. Lists notifications for a wallet address.
+ * Internal-only. Lists notifications for a wallet address (payments and dispute updates).
  */
 router.get("/", async (req, res) => {
   try {
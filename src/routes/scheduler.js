@@ -0,0 +1,105 @@
+const express = require("express");
+const { connectDB } = require("../config/db");
+const { schedulerConfig } = require("../config/scheduler");
+const { SchedulerRun } = require("../models/SchedulerRun");
+const {
+  TASK_NAMES,
+  runScheduledTask,
+  runDueTasks,
+  getSchedulerStatus,
+} = require("../services/scheduler/scheduler");
+const { drainJobs } = require("../services/jobs/queue");
+const { registerDefaultJobHandlers } = require("../services/jobs/handlers");
+const { requireInternalKey, readBearer } = require("../middleware/requireInternalKey");
+
+const router = express.Router();
+
+// Vercel Cron authenticates with CRON_SECRET; ops can also trigger it with the internal key.
+function requireCronAuth(req, res, next) {
+  const cronSecret = schedulerConfig.cronSecret;
+  if (cronSecret && readBearer(req) === cronSecret) return next();
+  return requireInternalKey(req, res, next);
+}
+
+router.use(async (req, res, next) => {
+  try {
+    await connectDB();
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/scheduler/cron
+ * Vercel Cron entrypoint: runs every due sweep under its lease, then drains queued jobs.
+ */
+router.get("/cron", requireCronAuth, async (req, res) => {
+  try {
+    const tasks = await runDueTasks({ trigger: "cron" });
+    registerDefaultJobHandlers();
+    const jobs = await drainJobs({ maxJobs: 25, maxMs: 20000 });
+    return res.status(200).json({ success: true, data: { tasks, jobs } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Scheduler run failed." });
+  }
+});
+
+/**
+ * GET /api/scheduler/status
+ * Last run per task (when it ran, outcome, summary).
+ */
+router.get("/status", requireInternalKey, async (req, res) => {
+  try {
+    const data = await getSchedulerStatus();
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load scheduler status." });
+  }
+});
+
+/**
+ * GET /api/scheduler/runs?task=reconcile&limit=20
+ */
+router.get("/runs", requireInternalKey, async (req, res) => {
+  try {
+    const task = String(req.query?.task || "").trim();
+    if (task && !TASK_NAMES.includes(task)) {
+      return res.status(400).json({ success: false, message: `task must be one of ${TASK_NAMES.join(", ")}` });
+    }
+
+    const limitRaw = Number.parseInt(String(req.query?.limit || "20"), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 100) : 20;
+
+    const runs = await SchedulerRun.find(task ? { task } : {})
+      .sort({ startedAt: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+    return res.status(200).json({ success: true, data: runs });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Failed to load scheduler runs." });
+  }
+});
+
+/**
+ * POST /api/scheduler/run/:task
+ * Run a task now, ignoring its interval (still waits for the lease).
+ */
+router.post("/run/:task", requireInternalKey, async (req, res) => {
+  try {
+    const task = String(req.params.task || "").trim();
+    if (!TASK_NAMES.includes(task)) {
+      return res.status(404).json({ success: false, message: `Unknown task. Use one of ${TASK_NAMES.join(", ")}` });
+    }
+
+    const result = await runScheduledTask(task, { trigger: "manual", force: true });
+    if (!result.ran) {
+      return res.status(409).json({ success: false, message: "Task is already running on another instance." });
+    }
+    return res.status(200).json({ success: true, data: result });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || "Scheduler run failed." });
+  }
+});
+
+module.exports = router;
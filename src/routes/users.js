@@ -3,7 +3,7 @@ const User = require("../models/User");
 const { connectDB } = require("../config/db");
 const { requireBackendAuth } = require("../middleware/requireBackendAuth");
 const { assertPinFormat, hashPin, verifyPin } = require("../services/security/pin");
-const { grantSignupUsdcBonus } = require("../services/users/signupBonus");
+const { enqueueSignupBonus } = require("../services/jobs/enqueue");
 
 const router = express.Router();
 const USERNAME_REGEX = /^[a-z0-9_]{3,20}$/;
@@ -395,16 +395,10 @@ router.patch("/:address/identity", requireBackendAuth, async (req, res) => {
     let signupBonus = null;
     const onboardingCompleted = !hadUsername && Boolean(user.pinHash);
     if (onboardingCompleted) {
-      signupBonus = await grantSignupUsdcBonus(user, { source: "identity_setup" });
-      if (signupBonus?.granted) {
-        console.log(
-          `Signup bonus funded for ${user.address}: ${signupBonus.amountUsd} USDC (tx: ${signupBonus.txHash})`
-        );
-      } else if (signupBonus?.reason === "failed") {
-        console.warn(`Signup bonus transfer failed for ${user.address}: ${signupBonus?.message || "unknown error"}`);
-      } else if (signupBonus?.reason && signupBonus?.reason !== "disabled") {
-        console.warn(`Signup bonus skipped for ${user.address}: ${signupBonus.reason}`);
-      }
+      const job = await enqueueSignupBonus(user, { source: "identity_setup" });
+      signupBonus = job
+        ? { queued: true, jobId: job._id.toString() }
+        : { queued: false, reason: "disabled" };
     }
 
     return res.status(200).json({
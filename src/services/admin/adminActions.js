@@ -0,0 +1,63 @@
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { requestTransactionStatus, PAYOUT_FLOWS } = require("../mpesa/transactionStatus");
+const { reconcileStaleTransactions } = require("../mpesa/reconcileService");
+const { refundBlocker, partialRefundBlocker, manualRefund, partialRefund } = require("../mpesa/refundService");
+
+/** Why a transaction cannot be re-queried with Daraja, or null when it can. */
+function requeryBlocker(tx) {
+  if (tx.flowType === "onramp") {
+    if (tx.status !== "mpesa_processing") return `Topup is ${tx.status}; only topups awaiting M-Pesa can be re-queried.`;
+    if (!tx.daraja?.checkoutRequestId) return "Topup has no STK checkout request to query.";
+    return null;
+  }
+  if (!tx.daraja?.conversationId && !tx.daraja?.receiptNumber) return "Payout was never accepted by M-Pesa.";
+  return null;
+}
+
+/**
+ * Ask Daraja again: a Transaction Status query for payouts (answered on the status webhook),
+ * an STK Push Query for topups (applied immediately). Returns { accepted, error, transaction }.
+ */
+async function requeryTransaction(tx) {
+  const blocker = requeryBlocker(tx);
+  if (blocker) throw new Error(blocker);
+
+  if (PAYOUT_FLOWS.has(tx.flowType)) {
+    const queried = await requestTransactionStatus(tx);
+    await tx.save();
+    return { accepted: queried.accepted, error: queried.error, transaction: tx };
+  }
+
+  const summary = await reconcileStaleTransactions({ transactionId: tx.transactionId });
+  const transaction = await MpesaTransaction.findOne({ transactionId: tx.transactionId });
+  return {
+    accepted: summary.queryErrors === 0,
+    error: summary.queryErrors > 0 ? transaction?.metadata?.extra?.lastStkQuery?.response?.errorMessage || "STK query failed." : null,
+    transaction,
+  };
+}
+
+/**
+ * Refund a failed or reversed payout now, regardless of MPESA_AUTO_REFUND, optionally to
+ * `toAddress`; with `amountUsd`, refund only that much (succeeded payouts too). Saves the
+ * transaction; throws with the refund error when the transfer failed.
+ */
+function forceRefund(tx, reason, { toAddress, requestedBy, amountUsd = null } = {}) {
+  if (amountUsd !== null) return partialRefund(tx, { amountUsd, reason, toAddress, requestedBy });
+  return manualRefund(tx, { reason, toAddress, requestedBy });
+}
+
+async function markReviewed(tx, operator, note = null) {
+  tx.opsReview = { reviewedBy: operator.operatorId, reviewedAt: new Date(), note: note || null };
+  await tx.save();
+  return tx;
+}
+
+module.exports = {
+  requeryBlocker,
+  requeryTransaction,
+  refundBlocker,
+  partialRefundBlocker,
+  forceRefund,
+  markReviewed,
+};
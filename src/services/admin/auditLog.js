@@ -0,0 +1,57 @@
+const { AdminAuditLog } = require("../../models/AdminAuditLog");
+
+// Stands in for an operator when the shared internal key was used.
+const INTERNAL_KEY_ACTOR = { operatorId: "internal-key", email: null, role: null };
+
+/**
+ * Record a back-office action. Failures to write are logged, never thrown, so the audit
+ * trail cannot turn a completed action into an error response.
+ */
+async function recordAdminAction(operator, { action, targetType, targetId, details = null, error = null, req = null }) {
+  try {
+    return await AdminAuditLog.create({
+      operatorId: operator.operatorId,
+      operatorEmail: operator.email || null,
+      role: operator.role || null,
+      action,
+      targetType,
+      targetId: String(targetId),
+      details,
+      outcome: error ? "failed" : "ok",
+      error: error ? String(error.message || error) : null,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.("user-agent") || null,
+    });
+  } catch (err) {
+    console.error(`Audit log write failed for ${action} on ${targetType} ${targetId}:`, err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Run `fn` and record it as `action` by `operator`, failed attempts included. Returns or
+ * rethrows whatever `fn` does.
+ */
+async function withAudit(operator, entry, fn) {
+  try {
+    const result = await fn();
+    await recordAdminAction(operator, entry);
+    return result;
+  } catch (err) {
+    await recordAdminAction(operator, { ...entry, error: err });
+    throw err;
+  }
+}
+
+function listAuditEntries(filter = {}, { limit = 50 } = {}) {
+  return AdminAuditLog.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200));
+}
+
+module.exports = {
+  INTERNAL_KEY_ACTOR,
+  recordAdminAction,
+  withAudit,
+  listAuditEntries,
+};
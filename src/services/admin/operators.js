@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const { AdminOperator, ADMIN_ROLES } = require("../../models/AdminOperator");
+
+const API_KEY_PREFIX = "dpa_";
+
+// What each role may do. Every role can read; "operators" is operator management.
+const ROLE_PERMISSIONS = {
+  viewer: ["read"],
+  support: ["read", "note", "requery", "review"],
+  finance: ["read", "note", "requery", "review", "refund"],
+  admin: ["read", "note", "requery", "review", "refund", "operators"],
+};
+
+function hashOperatorKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey || "")).digest("hex");
+}
+
+function issueOperatorKey() {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    apiKey,
+    apiKeyHash: hashOperatorKey(apiKey),
+    apiKeyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+    apiKeyIssuedAt: new Date(),
+  };
+}
+
+function hasPermission(operator, permission) {
+  return Boolean(operator?.active) && (ROLE_PERMISSIONS[operator.role] || []).includes(permission);
+}
+
+function parseRole(value) {
+  const role = String(value || "").trim().toLowerCase();
+  if (!ADMIN_ROLES.includes(role)) throw new Error(`role must be one of: ${ADMIN_ROLES.join(", ")}.`);
+  return role;
+}
+
+/**
+ * The active operator holding `apiKey`, or null. Keys are 256-bit random, so a plain SHA-256
+ * lookup is enough.
+ */
+async function authenticateOperator(apiKey) {
+  const key = String(apiKey || "").trim();
+  if (!key.startsWith(API_KEY_PREFIX)) return null;
+
+  const operator = await AdminOperator.findOne({ apiKeyHash: hashOperatorKey(key), active: true });
+  if (!operator) return null;
+  await AdminOperator.updateOne({ _id: operator._id }, { $set: { lastSeenAt: new Date() } });
+  return operator;
+}
+
+/**
+ * Create an operator. Returns { operator, apiKey }; the key is not stored and cannot be shown again.
+ */
+async function createOperator({ email, name = null, role, createdBy }) {
+  const normalizedEmail = String(email || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) throw new Error("email must be a valid email address.");
+
+  const { apiKey, ...key } = issueOperatorKey();
+  const operator = await AdminOperator.create({
+    email: normalizedEmail,
+    name: String(name || "").trim() || null,
+    role: parseRole(role),
+    createdBy,
+    ...key,
+  });
+  return { operator, apiKey };
+}
+
+/** Replace an operator's API key; the old key stops working immediately. */
+async function rotateOperatorKey(operator) {
+  const { apiKey, ...key } = issueOperatorKey();
+  Object.assign(operator, key);
+  await operator.save();
+  return apiKey;
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hashOperatorKey,
+  hasPermission,
+  parseRole,
+  authenticateOperator,
+  createOperator,
+  rotateOperatorKey,
+};
@@ -0,0 +1,33 @@
+const User = require("../../models/User");
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Users matching `q` by wallet address, email, phone, username or DotPay ID (prefix match,
+ * case-insensitive). Callers must not return pinHash.
+ */
+function searchUsers(q, { limit = 20 } = {}) {
+  const term = String(q || "").trim();
+  const capped = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const filter = {};
+  if (term) {
+    const prefix = new RegExp(`^${escapeRegex(term)}`, "i");
+    const digits = term.replace(/\D/g, "");
+    filter.$or = [
+      { address: new RegExp(`^${escapeRegex(term.toLowerCase())}`) },
+      { email: prefix },
+      { username: prefix },
+      { dotpayId: prefix },
+      { phone: prefix },
+      // 0712... and +254712... find the same user.
+      ...(digits.length >= 6 ? [{ phone: new RegExp(escapeRegex(digits.replace(/^0/, ""))) }] : []),
+    ];
+  }
+  return User.find(filter).sort({ createdAt: -1 }).limit(capped);
+}
+
+module.exports = {
+  searchUsers,
+};
@@ -0,0 +1,145 @@
+const { Beneficiary, BENEFICIARY_TYPES, FLOW_BY_BENEFICIARY_TYPE } = require("../../models/Beneficiary");
+
+const MAX_NICKNAME_LENGTH = 60;
+
+function normalizeAddress(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function parseNickname(value) {
+  if (value === undefined || value === null) return null;
+  const nickname = String(value).trim().slice(0, MAX_NICKNAME_LENGTH);
+  return nickname || null;
+}
+
+/**
+ * Validate a beneficiary from a request body: `type` (phone | paybill | till), `accountNumber`
+ * (the phone, paybill or till number), `accountReference` (paybill only) and `nickname`.
+ */
+function parseBeneficiaryInput(body) {
+  const type = String(body?.type || "").trim().toLowerCase();
+  if (!BENEFICIARY_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${BENEFICIARY_TYPES.join(", ")}.`);
+  }
+
+  const accountNumber = String(body?.accountNumber || "").trim().replace(/[\s()+-]/g, "");
+  let accountReference = null;
+  if (type === "phone") {
+    if (!/^254\d{9}$/.test(accountNumber)) {
+      throw new Error("accountNumber must be a phone number in 2547XXXXXXXX format.");
+    }
+  } else if (!/^\d{5,8}$/.test(accountNumber)) {
+    throw new Error(`accountNumber must be a 5-8 digit ${type} number.`);
+  }
+  if (type === "paybill") {
+    accountReference = String(body?.accountReference || "").trim();
+    if (accountReference.length < 2 || accountReference.length > 20) {
+      throw new Error("accountReference must be 2-20 characters.");
+    }
+  }
+
+  return { type, accountNumber, accountReference, nickname: parseNickname(body?.nickname) };
+}
+
+/** The beneficiary a payout was sent to, or null for flows and transactions that have none. */
+function beneficiaryKeyOf(tx) {
+  const targets = tx.targets || {};
+  if (tx.flowType === "offramp" && targets.phoneNumber) {
+    return { type: "phone", accountNumber: targets.phoneNumber, accountReference: null };
+  }
+  if (tx.flowType === "paybill" && targets.paybillNumber) {
+    return { type: "paybill", accountNumber: targets.paybillNumber, accountReference: targets.accountReference || null };
+  }
+  if (tx.flowType === "buygoods" && targets.tillNumber) {
+    return { type: "till", accountNumber: targets.tillNumber, accountReference: null };
+  }
+  return null;
+}
+
+/**
+ * Remember the recipient of a succeeded payout: bumps `lastUsedAt` / `useCount` on the
+ * matching beneficiary, creating an `auto` one the first time. Bulk payout items are left
+ * out. Best effort: errors are logged, never thrown, so callbacks still complete.
+ */
+async function recordBeneficiaryUse(tx) {
+  const key = beneficiaryKeyOf(tx);
+  if (tx.status !== "succeeded" || tx.batchId || !key || !tx.userAddress) return null;
+
+  const filter = { userAddress: normalizeAddress(tx.userAddress), ...key };
+  const receiverName = String(tx.daraja?.receiverPublicName || "").trim();
+  try {
+    return await Beneficiary.findOneAndUpdate(
+      filter,
+      {
+        $set: { lastUsedAt: tx.updatedAt || new Date() },
+        $inc: { useCount: 1 },
+        $setOnInsert: { source: "auto", nickname: parseNickname(receiverName) },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    console.warn(`Failed to record beneficiary for ${tx.transactionId}:`, err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Save a beneficiary the user entered. An existing one for the same account (auto-populated
+ * or removed earlier) is restored and renamed instead of duplicated. Returns
+ * { beneficiary, created }.
+ */
+async function saveBeneficiary(userAddress, input) {
+  const { nickname, ...key } = input;
+  const existing = await Beneficiary.findOne({ userAddress: normalizeAddress(userAddress), ...key });
+  if (existing) {
+    if (nickname) existing.nickname = nickname;
+    existing.archivedAt = null;
+    await existing.save();
+    return { beneficiary: existing, created: false };
+  }
+
+  const beneficiary = await Beneficiary.create({
+    userAddress: normalizeAddress(userAddress),
+    ...key,
+    nickname,
+    source: "manual",
+  });
+  return { beneficiary, created: true };
+}
+
+async function findBeneficiary(userAddress, beneficiaryId) {
+  return Beneficiary.findOne({
+    beneficiaryId: String(beneficiaryId || "").trim().toUpperCase(),
+    userAddress: normalizeAddress(userAddress),
+    archivedAt: null,
+  });
+}
+
+/**
+ * Targets for paying `flowType` to a saved beneficiary, in the same shape as the raw
+ * `phoneNumber` / `paybillNumber` + `accountReference` / `tillNumber` request fields.
+ */
+async function resolveBeneficiaryTargets({ userAddress, flowType, beneficiaryId }) {
+  const beneficiary = await findBeneficiary(userAddress, beneficiaryId);
+  if (!beneficiary) {
+    throw new Error("Beneficiary not found.");
+  }
+  if (FLOW_BY_BENEFICIARY_TYPE[beneficiary.type] !== flowType) {
+    throw new Error(`Beneficiary ${beneficiary.beneficiaryId} is a ${beneficiary.type}; it cannot be paid by ${flowType}.`);
+  }
+
+  if (beneficiary.type === "phone") return { phoneNumber: beneficiary.accountNumber };
+  if (beneficiary.type === "paybill") {
+    return { paybillNumber: beneficiary.accountNumber, accountReference: beneficiary.accountReference };
+  }
+  return { tillNumber: beneficiary.accountNumber };
+}
+
+module.exports = {
+  parseBeneficiaryInput,
+  beneficiaryKeyOf,
+  recordBeneficiaryUse,
+  saveBeneficiary,
+  findBeneficiary,
+  resolveBeneficiaryTargets,
+};
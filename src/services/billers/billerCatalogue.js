@@ -0,0 +1,229 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { Biller, ACCOUNT_CHECKSUMS } = require("../../models/Biller");
+
+const cache = new Map();
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function optionalAmount(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a non-negative number.`);
+  return n;
+}
+
+/** Luhn (mod 10) check over the whole number, check digit last. */
+function isValidLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Mod 11 check: weights 2..7 repeating from the digit left of the check digit; the check
+ * digit is (11 - sum % 11) % 11, and numbers that would need a 10 are never issued.
+ */
+function isValidMod11(digits) {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i += 1) {
+    sum += Number(body[body.length - 1 - i]) * (2 + (i % 6));
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check < 10 && check === Number(digits[digits.length - 1]);
+}
+
+const CHECKSUMS = {
+  none: () => true,
+  luhn: isValidLuhn,
+  mod11: isValidMod11,
+};
+
+function toPlainBiller(doc) {
+  const plain = typeof doc?.toObject === "function" ? doc.toObject() : doc;
+  return {
+    paybillNumber: plain.paybillNumber,
+    name: plain.name,
+    aliases: plain.aliases || [],
+    category: plain.category || null,
+    logoKey: plain.logoKey || null,
+    accountRule: {
+      label: plain.accountRule?.label || null,
+      pattern: plain.accountRule?.pattern || null,
+      checksum: plain.accountRule?.checksum || "none",
+      example: plain.accountRule?.example || null,
+    },
+    minAmountKes: plain.minAmountKes ?? null,
+    maxAmountKes: plain.maxAmountKes ?? null,
+    active: plain.active !== false,
+    updatedAt: plain.updatedAt || null,
+  };
+}
+
+/**
+ * Active catalogue entry for a paybill, or null when the paybill is not listed. Cached for
+ * MPESA_BILLERS_CACHE_TTL_SECONDS.
+ */
+async function getBiller(paybillNumber) {
+  const key = String(paybillNumber || "").trim();
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.biller;
+
+  const doc = key ? await Biller.findOne({ paybillNumber: key, active: true }) : null;
+  const biller = doc ? toPlainBiller(doc) : null;
+  cache.set(key, { biller, expiresAt: Date.now() + mpesaConfig.billers.cacheTtlSeconds * 1000 });
+  return biller;
+}
+
+function clearBillerCache() {
+  cache.clear();
+}
+
+/** Throw with a message the user can act on when `accountReference` breaks the biller's rules. */
+function assertValidAccountReference(biller, accountReference) {
+  const rule = biller.accountRule || {};
+  const value = String(accountReference || "").trim();
+  const label = rule.label || "account number";
+  const example = rule.example ? ` (e.g. ${rule.example})` : "";
+
+  const patternOk = !rule.pattern || new RegExp(rule.pattern).test(value);
+  const checksum = rule.checksum || "none";
+  const checksumOk = checksum === "none" || (/^\d+$/.test(value) && CHECKSUMS[checksum](value));
+  if (!patternOk || !checksumOk) {
+    throw new Error(`That is not a valid ${biller.name} ${label}${example}. Check it and try again.`);
+  }
+}
+
+/**
+ * Validate a paybill payment against the catalogue: account reference rules and the biller's
+ * min/max amount (`amountKes` is what the biller receives). Unlisted paybills pass. Returns
+ * the biller or null.
+ */
+async function assertBillerPayment({ paybillNumber, accountReference = null, amountKes = null }) {
+  const biller = await getBiller(paybillNumber);
+  if (!biller) return null;
+
+  if (accountReference !== null && accountReference !== undefined) {
+    assertValidAccountReference(biller, accountReference);
+  }
+  if (amountKes !== null && amountKes !== undefined) {
+    const { minAmountKes: min, maxAmountKes: max } = biller;
+    if ((min !== null && amountKes < min) || (max !== null && amountKes > max)) {
+      const range = [min !== null ? `at least KES ${min}` : null, max !== null ? `at most KES ${max}` : null]
+        .filter(Boolean)
+        .join(" and ");
+      throw new Error(`${biller.name} payments must be ${range}.`);
+    }
+  }
+  return biller;
+}
+
+/**
+ * Active billers matching `q` (name, alias or paybill number prefix), optionally within a
+ * category, sorted by name.
+ */
+async function searchBillers({ q = "", category = null, limit = 20 } = {}) {
+  const query = { active: true };
+  const term = String(q || "").trim();
+  if (term) {
+    const pattern = new RegExp(escapeRegex(term), "i");
+    query.$or = [
+      { name: pattern },
+      { aliases: pattern },
+      { paybillNumber: new RegExp(`^${escapeRegex(term)}`) },
+    ];
+  }
+  if (category) query.category = String(category).trim().toLowerCase();
+
+  const docs = await Biller.find(query).sort({ name: 1 }).limit(limit);
+  return docs.map(toPlainBiller);
+}
+
+/** Validate a catalogue entry from the internal API. */
+function parseBillerInput(input = {}) {
+  const name = String(input.name || "").trim();
+  if (!name) throw new Error("name is required.");
+
+  const rule = input.accountRule || {};
+  const pattern = rule.pattern ? String(rule.pattern) : null;
+  if (pattern) {
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      throw new Error(`accountRule.pattern is not a valid regex: ${err.message}`);
+    }
+  }
+  const checksum = String(rule.checksum || "none").trim().toLowerCase();
+  if (!ACCOUNT_CHECKSUMS.includes(checksum)) {
+    throw new Error(`accountRule.checksum must be one of: ${ACCOUNT_CHECKSUMS.join(", ")}.`);
+  }
+  const example = rule.example ? String(rule.example).trim() : null;
+  if (example) {
+    assertValidAccountReference({ name, accountRule: { pattern, checksum } }, example);
+  }
+
+  const minAmountKes = optionalAmount(input.minAmountKes, "minAmountKes");
+  const maxAmountKes = optionalAmount(input.maxAmountKes, "maxAmountKes");
+  if (minAmountKes !== null && maxAmountKes !== null && maxAmountKes < minAmountKes) {
+    throw new Error("maxAmountKes must be >= minAmountKes.");
+  }
+
+  return {
+    name: name.slice(0, 80),
+    aliases: (Array.isArray(input.aliases) ? input.aliases : [])
+      .map((alias) => String(alias || "").trim().slice(0, 40))
+      .filter(Boolean),
+    category: input.category ? String(input.category).trim().toLowerCase().slice(0, 40) : null,
+    logoKey: input.logoKey ? String(input.logoKey).trim().slice(0, 80) : null,
+    accountRule: {
+      label: rule.label ? String(rule.label).trim().slice(0, 40) : null,
+      pattern,
+      checksum,
+      example,
+    },
+    minAmountKes,
+    maxAmountKes,
+    active: input.active !== false,
+  };
+}
+
+/**
+ * Create or replace a catalogue entry (internal API) and clear the cache.
+ */
+async function saveBiller(paybillNumber, input, { updatedBy = null } = {}) {
+  const key = String(paybillNumber || "").trim();
+  if (!/^\d{5,8}$/.test(key)) throw new Error("paybillNumber must be 5-8 digits.");
+  const parsed = parseBillerInput(input);
+
+  const doc = await Biller.findOneAndUpdate(
+    { paybillNumber: key },
+    { $set: { ...parsed, updatedBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  clearBillerCache();
+  return toPlainBiller(doc);
+}
+
+async function listBillers() {
+  const docs = await Biller.find({}).sort({ name: 1 });
+  return docs.map(toPlainBiller);
+}
+
+module.exports = {
+  getBiller,
+  clearBillerCache,
+  assertBillerPayment,
+  searchBillers,
+  parseBillerInput,
+  saveBiller,
+  listBillers,
+};
@@ -0,0 +1,93 @@
+const { createRpcChainAdapter } = require("./rpcChainAdapter");
+const { createMemoryChainAdapter } = require("./memoryChainAdapter");
+
+/**
+ * Single entry point for on-chain access (balances, receipts, Transfer logs, ERC-20 sends).
+ *
+ * Adapter contract (all amounts are bigint base units, addresses lowercased):
+ * - getChainId() -> number
+ * - getBlockNumber() -> number
+ * - getTransactionReceipt(txHash) -> { txHash, status, blockNumber, transfers[] } | null
+ *   where transfers[] = { tokenAddress, from, to, value, logIndex }
+ * - getTokenBalance({ tokenAddress, owner }) -> bigint
+ * - getNativeBalance(owner) -> bigint
+ * - getGasPrice() -> bigint (wei)
+ * - getSignerAddress() -> string
+ * - transferToken({ tokenAddress, to, amountUnits, waitConfirmations }) -> { txHash, receipt }
+ * - getTokenAllowance({ tokenAddress, owner, spender }) -> bigint
+ * - transferTokenFrom({ tokenAddress, from, to, amountUnits, waitConfirmations, onSent }) -> { txHash, receipt }
+ *   (spends an ERC-20 allowance the owner granted to the treasury signer; `onSent(txHash)` is
+ *   awaited once the transaction is broadcast, before waiting for confirmations)
+ * - isValidSignature({ address, hash, signature }) -> boolean (EIP-1271)
+ * - readPriceFeed({ feedAddress }) -> { answer, decimals, updatedAt } (Chainlink AggregatorV3;
+ *   answer is a bigint, updatedAt is unix seconds)
+ *
+ * TREASURY_CHAIN_ADAPTER=memory swaps the RPC node for the in-memory chain.
+ */
+
+let overrideAdapter = null;
+let rpcAdapter = null;
+let rpcAdapterKey = null;
+
+function getMode(treasury = {}) {
+  return String(treasury.chainAdapter || "").trim().toLowerCase() === "memory" ? "memory" : "rpc";
+}
+
+function getMemoryAdapter(treasury = {}) {
+  // Keep one fake chain per process so balances/receipts survive across requests.
+  if (!global.__dotpay_memory_chain) {
+    global.__dotpay_memory_chain = createMemoryChainAdapter({
+      chainId: treasury.chainId || undefined,
+      privateKey: treasury.privateKey,
+      signerAddress: treasury.address,
+    });
+  }
+  return global.__dotpay_memory_chain;
+}
+
+function getChainAdapter(treasury = {}) {
+  if (overrideAdapter) return overrideAdapter;
+  if (getMode(treasury) === "memory") return getMemoryAdapter(treasury);
+
+  const key = [treasury.rpcUrl, treasury.chainId, treasury.privateKey].join("|");
+  if (rpcAdapter && rpcAdapterKey === key) return rpcAdapter;
+
+  rpcAdapter = createRpcChainAdapter({
+    rpcUrl: treasury.rpcUrl,
+    chainId: treasury.chainId,
+    privateKey: treasury.privateKey,
+  });
+  rpcAdapterKey = key;
+  return rpcAdapter;
+}
+
+/** Whether reads (balances, receipts) are possible with the given treasury config. */
+function hasChainAccess(treasury = {}) {
+  if (overrideAdapter || getMode(treasury) === "memory") return true;
+  return Boolean(String(treasury.rpcUrl || "").trim());
+}
+
+/** Whether the treasury can send transfers with the given config. */
+function hasChainSigner(treasury = {}) {
+  if (overrideAdapter || getMode(treasury) === "memory") return true;
+  return Boolean(String(treasury.rpcUrl || "").trim() && String(treasury.privateKey || "").trim());
+}
+
+function setChainAdapter(adapter) {
+  overrideAdapter = adapter || null;
+}
+
+function resetChainAdapter() {
+  overrideAdapter = null;
+  rpcAdapter = null;
+  rpcAdapterKey = null;
+  global.__dotpay_memory_chain = null;
+}
+
+module.exports = {
+  getChainAdapter,
+  hasChainAccess,
+  hasChainSigner,
+  setChainAdapter,
+  resetChainAdapter,
+};
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+function normalizeAddress(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function randomTxHash() {
+  return `0x${crypto.randomBytes(32).toString("hex")}`;
+}
+
+function toUnits(value) {
+  return BigInt(String(value ?? "0"));
+}
+
+/**
+ * In-memory chain adapter for tests and offline development.
+ *
+ * Simulates ERC-20 balances, native balances, blocks, receipts with decoded Transfer logs,
+ * confirmations and reverted transactions. Every transaction is mined into its own block;
+ * call `mine()` to add confirmations.
+ */
+function createMemoryChainAdapter({ chainId = 421614, privateKey = "", signerAddress = "" } = {}) {
+  let derivedSigner = normalizeAddress(signerAddress);
+  if (!derivedSigner && String(privateKey || "").trim()) {
+    derivedSigner = normalizeAddress(new ethers.Wallet(privateKey).address);
+  }
+
+  const state = {
+    chainId: Number(chainId) || 421614,
+    blockNumber: 1,
+    tokenBalances: new Map(),
+    allowances: new Map(),
+    nativeBalances: new Map(),
+    receipts: new Map(),
+    validSignatures: new Set(),
+    priceFeeds: new Map(),
+    gasPriceWei: 100_000_000n,
+    failNext: [],
+    dropConfirmations: 0,
+  };
+
+  function balanceKey(tokenAddress, owner) {
+    return `${normalizeAddress(tokenAddress)}:${normalizeAddress(owner)}`;
+  }
+
+  function readTokenBalance(tokenAddress, owner) {
+    return state.tokenBalances.get(balanceKey(tokenAddress, owner)) || 0n;
+  }
+
+  function writeTokenBalance(tokenAddress, owner, value) {
+    state.tokenBalances.set(balanceKey(tokenAddress, owner), value);
+  }
+
+  /**
+   * Mine one transaction containing the given token transfers.
+   * Reverted transactions keep no logs and move no balances, like on-chain.
+   */
+  function mineTransaction(transfers, { revert = false } = {}) {
+    const normalized = transfers.map((t) => ({
+      tokenAddress: normalizeAddress(t.tokenAddress),
+      from: normalizeAddress(t.from),
+      to: normalizeAddress(t.to),
+      value: toUnits(t.amountUnits ?? t.value),
+    }));
+
+    let reverted = revert;
+    if (!reverted) {
+      const debits = new Map();
+      for (const t of normalized) {
+        const key = balanceKey(t.tokenAddress, t.from);
+        debits.set(key, (debits.get(key) || 0n) + t.value);
+      }
+      for (const [key, amount] of debits) {
+        if ((state.tokenBalances.get(key) || 0n) < amount) reverted = true;
+      }
+    }
+
+    state.blockNumber += 1;
+    const txHash = randomTxHash();
+    const receipt = {
+      txHash,
+      status: reverted ? 0 : 1,
+      blockNumber: state.blockNumber,
+      transfers: [],
+    };
+
+    if (!reverted) {
+      normalized.forEach((t, index) => {
+        writeTokenBalance(t.tokenAddress, t.from, readTokenBalance(t.tokenAddress, t.from) - t.value);
+        writeTokenBalance(t.tokenAddress, t.to, readTokenBalance(t.tokenAddress, t.to) + t.value);
+        receipt.transfers.push({ ...t, logIndex: index });
+      });
+    }
+
+    state.receipts.set(txHash, receipt);
+    return receipt;
+  }
+
+  function cloneReceipt(receipt) {
+    return {
+      ...receipt,
+      transfers: receipt.transfers.map((t) => ({ ...t })),
+    };
+  }
+
+  return {
+    kind: "memory",
+    state,
+
+    async getChainId() {
+      return state.chainId;
+    },
+
+    async getBlockNumber() {
+      return state.blockNumber;
+    },
+
+    async getTransactionReceipt(txHash) {
+      const receipt = state.receipts.get(normalizeAddress(txHash));
+      return receipt ? cloneReceipt(receipt) : null;
+    },
+
+    async getTokenBalance({ tokenAddress, owner }) {
+      return readTokenBalance(tokenAddress, owner);
+    },
+
+    async getNativeBalance(owner) {
+      return state.nativeBalances.get(normalizeAddress(owner)) || 0n;
+    },
+
+    async getGasPrice() {
+      return state.gasPriceWei;
+    },
+
+    getSignerAddress() {
+      if (!derivedSigner) throw new Error("Memory chain adapter has no signer configured.");
+      return derivedSigner;
+    },
+
+    async transferToken({ tokenAddress, to, amountUnits, waitConfirmations = 1 }) {
+      const forced = state.failNext.shift();
+      const receipt = mineTransaction(
+        [{ tokenAddress, from: this.getSignerAddress(), to, amountUnits }],
+        { revert: Boolean(forced) }
+      );
+      // Waiting for N confirmations means N - 1 further blocks get mined.
+      state.blockNumber += Math.max(1, Number(waitConfirmations || 1)) - 1;
+      return { txHash: receipt.txHash, receipt: cloneReceipt(receipt) };
+    },
+
+    async getTokenAllowance({ tokenAddress, owner, spender }) {
+      return state.allowances.get(`${balanceKey(tokenAddress, owner)}:${normalizeAddress(spender)}`) || 0n;
+    },
+
+    async transferTokenFrom({ tokenAddress, from, to, amountUnits, waitConfirmations = 1, onSent = null }) {
+      const key = `${balanceKey(tokenAddress, from)}:${this.getSignerAddress()}`;
+      const allowance = state.allowances.get(key) || 0n;
+      const amount = toUnits(amountUnits);
+      const forced = state.failNext.shift();
+      const receipt = mineTransaction([{ tokenAddress, from, to, amountUnits: amount }], {
+        revert: Boolean(forced) || allowance < amount,
+      });
+      if (receipt.status === 1) state.allowances.set(key, allowance - amount);
+      if (onSent) await onSent(receipt.txHash);
+      if (state.dropConfirmations > 0) {
+        state.dropConfirmations -= 1;
+        throw new Error("Timed out waiting for confirmations.");
+      }
+      state.blockNumber += Math.max(1, Number(waitConfirmations || 1)) - 1;
+      return { txHash: receipt.txHash, receipt: cloneReceipt(receipt) };
+    },
+
+    async readPriceFeed({ feedAddress }) {
+      const feed = state.priceFeeds.get(normalizeAddress(feedAddress));
+      if (!feed) throw new Error(`No price feed at ${feedAddress}`);
+      return { ...feed };
+    },
+
+    async isValidSignature({ address, hash, signature }) {
+      return state.validSignatures.has(`${normalizeAddress(address)}:${hash}:${signature}`);
+    },
+
+    // --- Test helpers (not part of the adapter contract) ---
+
+    mint({ tokenAddress, to, amountUnits }) {
+      writeTokenBalance(tokenAddress, to, readTokenBalance(tokenAddress, to) + toUnits(amountUnits));
+    },
+
+    /** ERC-20 approve() sent by `owner`. */
+    approve({ tokenAddress, owner, spender, amountUnits }) {
+      state.allowances.set(`${balanceKey(tokenAddress, owner)}:${normalizeAddress(spender)}`, toUnits(amountUnits));
+    },
+
+    setNativeBalance(owner, wei) {
+      state.nativeBalances.set(normalizeAddress(owner), toUnits(wei));
+    },
+
+    /**
+     * Record a transfer sent by someone else (e.g. a user funding the treasury).
+     * Pass several `transfers` to simulate batched/multicall transactions.
+     */
+    recordTransfer({ tokenAddress, from, to, amountUnits, transfers = null, revert = false }) {
+      const list = transfers || [{ tokenAddress, from, to, amountUnits }];
+      return cloneReceipt(mineTransaction(list, { revert }));
+    },
+
+    mine(blocks = 1) {
+      state.blockNumber += Math.max(0, Number(blocks) || 0);
+      return state.blockNumber;
+    },
+
+    /** Make the next treasury transfer revert. */
+    failNextTransfer() {
+      state.failNext.push(true);
+    },
+
+    /** The next transferFrom is mined but waiting for it fails, like an RPC timeout after broadcast. */
+    dropNextConfirmation() {
+      state.dropConfirmations += 1;
+    },
+
+    setGasPrice(wei) {
+      state.gasPriceWei = toUnits(wei);
+    },
+
+    /** Local stand-in for an oracle: publish a round on a price feed. */
+    setPriceFeed({ feedAddress, answer, decimals = 8, updatedAt = Math.floor(Date.now() / 1000) }) {
+      state.priceFeeds.set(normalizeAddress(feedAddress), {
+        answer: toUnits(answer),
+        decimals: Number(decimals),
+        updatedAt: Number(updatedAt),
+      });
+    },
+
+    allowSignature({ address, hash, signature }) {
+      state.validSignatures.add(`${normalizeAddress(address)}:${hash}:${signature}`);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryChainAdapter,
+};
@@ -0,0 +1,161 @@
+const { ethers } = require("ethers");
+
+const ERC20_ABI = [
+  "function transfer(address to, uint256 value) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function transferFrom(address from, address to, uint256 value) returns (bool)",
+];
+
+const ERC20_IFACE = new ethers.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+const EIP1271_MAGIC_VALUE = "0x1626ba7e";
+const EIP1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4 magicValue)",
+];
+
+const PRICE_FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+function normalizeAddress(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function decodeTransferLogs(logs) {
+  const transfers = [];
+  for (const log of logs || []) {
+    let parsed;
+    try {
+      parsed = ERC20_IFACE.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (String(parsed?.name || "") !== "Transfer") continue;
+
+    transfers.push({
+      tokenAddress: normalizeAddress(log.address),
+      from: normalizeAddress(parsed.args?.from),
+      to: normalizeAddress(parsed.args?.to),
+      value: BigInt(parsed.args?.value?.toString() || "0"),
+      logIndex: log.logIndex === undefined || log.logIndex === null ? null : Number(log.logIndex),
+    });
+  }
+  return transfers;
+}
+
+function toReceipt(receipt) {
+  if (!receipt) return null;
+  return {
+    txHash: normalizeAddress(receipt.hash),
+    status: Number(receipt.status),
+    blockNumber: Number(receipt.blockNumber),
+    transfers: decodeTransferLogs(receipt.logs),
+  };
+}
+
+/**
+ * Chain adapter backed by a JSON-RPC node (ethers v6).
+ */
+function createRpcChainAdapter({ rpcUrl, chainId = null, privateKey = "" } = {}) {
+  if (!String(rpcUrl || "").trim()) {
+    throw new Error("TREASURY_RPC_URL is required for on-chain access.");
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl, chainId || undefined);
+  let signer = null;
+
+  function getSigner() {
+    if (signer) return signer;
+    if (!String(privateKey || "").trim()) {
+      throw new Error("TREASURY_PRIVATE_KEY is required to send on-chain transfers.");
+    }
+    signer = new ethers.Wallet(privateKey, provider);
+    return signer;
+  }
+
+  return {
+    kind: "rpc",
+
+    async getChainId() {
+      const network = await provider.getNetwork();
+      return Number(network.chainId);
+    },
+
+    async getBlockNumber() {
+      return provider.getBlockNumber();
+    },
+
+    async getTransactionReceipt(txHash) {
+      return toReceipt(await provider.getTransactionReceipt(txHash));
+    },
+
+    async getTokenBalance({ tokenAddress, owner }) {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      return BigInt((await token.balanceOf(owner)).toString());
+    },
+
+    async getNativeBalance(owner) {
+      return provider.getBalance(owner);
+    },
+
+    async getGasPrice() {
+      const feeData = await provider.getFeeData();
+      return BigInt(String(feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n));
+    },
+
+    getSignerAddress() {
+      return normalizeAddress(getSigner().address);
+    },
+
+    async transferToken({ tokenAddress, to, amountUnits, waitConfirmations = 1 }) {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, getSigner());
+      const tx = await token.transfer(to, amountUnits);
+      const receipt = await tx.wait(Math.max(1, Number(waitConfirmations || 1)));
+      return {
+        txHash: normalizeAddress(tx.hash),
+        receipt: toReceipt(receipt),
+      };
+    },
+
+    async getTokenAllowance({ tokenAddress, owner, spender }) {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      return BigInt((await token.allowance(owner, spender)).toString());
+    },
+
+    async transferTokenFrom({ tokenAddress, from, to, amountUnits, waitConfirmations = 1, onSent = null }) {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, getSigner());
+      const tx = await token.transferFrom(from, to, amountUnits);
+      if (onSent) await onSent(normalizeAddress(tx.hash));
+      const receipt = await tx.wait(Math.max(1, Number(waitConfirmations || 1)));
+      return {
+        txHash: normalizeAddress(tx.hash),
+        receipt: toReceipt(receipt),
+      };
+    },
+
+    async readPriceFeed({ feedAddress }) {
+      const feed = new ethers.Contract(feedAddress, PRICE_FEED_ABI, provider);
+      const [decimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+      return {
+        answer: BigInt(round.answer.toString()),
+        decimals: Number(decimals),
+        updatedAt: Number(round.updatedAt),
+      };
+    },
+
+    async isValidSignature({ address, hash, signature }) {
+      const contract = new ethers.Contract(address, EIP1271_ABI, provider);
+      const magic = await contract.isValidSignature(hash, signature);
+      return String(magic || "").trim().toLowerCase() === EIP1271_MAGIC_VALUE;
+    },
+  };
+}
+
+module.exports = {
+  createRpcChainAdapter,
+  decodeTransferLogs,
+};
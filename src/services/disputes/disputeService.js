@@ -0,0 +1,279 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const {
+  MpesaDispute,
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_REASON_CODES,
+  DISPUTE_STATUSES,
+} = require("../../models/MpesaDispute");
+const Notification = require("../../models/Notification");
+const {
+  getRefundAmountUsd,
+  refundBlocker,
+  partialRefundBlocker,
+  manualRefund,
+  partialRefund,
+} = require("../mpesa/refundService");
+const { reversalBlocker, requestReversal } = require("../mpesa/reversal");
+
+const PAYOUT_FLOWS = ["offramp", "paybill", "buygoods"];
+const DISPUTABLE_STATUSES = ["succeeded", "failed"];
+const EVIDENCE_MAX_LENGTH = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DISPUTE_TRANSITIONS = {
+  open: ["investigating", "resolved_refund", "resolved_no_action"],
+  investigating: ["resolved_refund", "resolved_no_action"],
+  resolved_refund: [],
+  resolved_no_action: [],
+};
+
+/** Why the user cannot dispute this transaction, or null when they can. */
+function disputeBlocker(tx, now = Date.now()) {
+  if (!PAYOUT_FLOWS.includes(tx.flowType)) return "Only payouts can be disputed.";
+  if (!DISPUTABLE_STATUSES.includes(tx.status)) {
+    return `Transaction is ${tx.status}; only succeeded or failed payouts can be disputed.`;
+  }
+  const windowDays = mpesaConfig.disputes.windowDays;
+  if (tx.createdAt && now - new Date(tx.createdAt).getTime() > windowDays * DAY_MS) {
+    return `Disputes must be opened within ${windowDays} days of the payment.`;
+  }
+  return null;
+}
+
+/** { reasonCode, evidence } from a request body; throws on invalid input. */
+function parseDisputeInput(body = {}) {
+  const reasonCode = String(body.reasonCode || "").trim().toLowerCase();
+  if (!DISPUTE_REASON_CODES.includes(reasonCode)) {
+    throw new Error(`reasonCode must be one of: ${DISPUTE_REASON_CODES.join(", ")}.`);
+  }
+  const evidence = String(body.evidence || "").trim();
+  if (evidence.length > EVIDENCE_MAX_LENGTH) {
+    throw new Error(`evidence must be at most ${EVIDENCE_MAX_LENGTH} characters.`);
+  }
+  if (reasonCode === "other" && !evidence) throw new Error("evidence is required when reasonCode is other.");
+  return { reasonCode, evidence: evidence || null };
+}
+
+function notificationMessage(dispute) {
+  const id = dispute.transactionId;
+  switch (dispute.status) {
+    case "open":
+      return `We received your dispute about ${id} and will look into it.`;
+    case "investigating":
+      return dispute.pendingReversal?.requestedAt
+        ? `We asked M-Pesa to reverse the payment in your dispute about ${id}; we will let you know the result.`
+        : `We are investigating your dispute about ${id}.`;
+    case "resolved_refund":
+      return dispute.resolution?.action === "reversal"
+        ? `Your dispute about ${id} was resolved: the M-Pesa payment was reversed and your USDC is being returned.`
+        : `Your dispute about ${id} was resolved: ${dispute.resolution?.amountUsd} USDC was refunded to your wallet.`;
+    default:
+      return `Your dispute about ${id} was closed without a refund${dispute.resolution?.note ? `: ${dispute.resolution.note}` : "."}`;
+  }
+}
+
+/**
+ * Tell the user their dispute changed state (or `message` when given). Never throws; a failure
+ * is only logged.
+ */
+async function notifyDisputeUpdate(dispute, message = null) {
+  try {
+    return await Notification.create({
+      toAddress: dispute.userAddress,
+      type: "dispute_update",
+      transactionId: dispute.transactionId,
+      disputeId: dispute.disputeId,
+      disputeStatus: dispute.status,
+      message: (message || notificationMessage(dispute)).slice(0, 500),
+      eventAt: new Date(),
+    });
+  } catch (err) {
+    console.error("Dispute notification failed:", dispute.disputeId, err?.message || err);
+    return null;
+  }
+}
+
+/** Open a dispute on one of the user's payouts and notify them. Throws when it cannot be opened. */
+async function openDispute(tx, { reasonCode, evidence, userAddress }) {
+  const blocker = disputeBlocker(tx);
+  if (blocker) throw new Error(blocker);
+
+  const active = await MpesaDispute.findOne({
+    transactionId: tx.transactionId,
+    status: { $in: ACTIVE_DISPUTE_STATUSES },
+  });
+  if (active) throw new Error(`Dispute ${active.disputeId} is already open for this transaction.`);
+
+  let dispute;
+  try {
+    dispute = await MpesaDispute.create({
+      transactionId: tx.transactionId,
+      userAddress,
+      flowType: tx.flowType,
+      reasonCode,
+      evidence,
+      history: [{ from: null, to: "open", note: null, by: userAddress }],
+    });
+  } catch (err) {
+    // Lost a race with another open request for the same transaction.
+    if (err?.code === 11000) throw new Error("A dispute is already open for this transaction.");
+    throw err;
+  }
+  await notifyDisputeUpdate(dispute);
+  return dispute;
+}
+
+function transitionDispute(dispute, to, { note = null, by = null } = {}) {
+  const allowed = DISPUTE_TRANSITIONS[dispute.status] || [];
+  if (!allowed.includes(to)) throw new Error(`Dispute is ${dispute.status}; it cannot move to ${to}.`);
+  dispute.history.push({ from: dispute.status, to, note, by, at: new Date() });
+  dispute.status = to;
+}
+
+/** Start working a dispute: assigns it to the operator and notifies the user. */
+async function startInvestigation(dispute, operator, note = null) {
+  transitionDispute(dispute, "investigating", { note, by: operator.operatorId });
+  dispute.assignedTo = operator.operatorId;
+  await dispute.save();
+  await notifyDisputeUpdate(dispute);
+  return dispute;
+}
+
+/**
+ * Why a dispute cannot be resolved this way, or null when it can. `outcome` is "refund" or
+ * "no_action"; a refund uses `action` "refund" (USDC from the treasury, optionally only
+ * `amountUsd`) or "reversal" (Daraja reversal of a B2C payout, re-crediting the USDC).
+ */
+function resolutionBlocker(dispute, tx, { outcome, action = "refund", amountUsd = null, note = null }) {
+  if (!(DISPUTE_TRANSITIONS[dispute.status] || []).length) return `Dispute is already ${dispute.status}.`;
+  if (dispute.pendingReversal?.requestedAt) return "A reversal for this dispute is still waiting for M-Pesa.";
+  if (outcome === "no_action") return note ? null : "note is required when closing a dispute without a refund.";
+  if (outcome !== "refund") return "outcome must be one of: refund, no_action.";
+  if (!tx) return "The disputed transaction no longer exists.";
+
+  if (action === "reversal") {
+    if (amountUsd !== null) return "amountUsd cannot be used with a reversal.";
+    return reversalBlocker(tx);
+  }
+  if (action !== "refund") return "action must be one of: refund, reversal.";
+  // A payout M-Pesa completed is refunded as a partial refund (all of it by default).
+  if (tx.status === "succeeded") return partialRefundBlocker(tx, amountUsd ?? getRefundAmountUsd(tx));
+  return amountUsd === null ? refundBlocker(tx) : partialRefundBlocker(tx, amountUsd);
+}
+
+/**
+ * Resolve a dispute, running the refund first when the outcome is "refund", then notify the
+ * user. A reversal only starts: the dispute stays investigating until settleDisputeReversal
+ * sees M-Pesa's answer. Throws (leaving the dispute unresolved) when the money could not be sent.
+ */
+async function resolveDispute(dispute, tx, { outcome, action = "refund", amountUsd = null, note = null, operator }) {
+  const blocker = resolutionBlocker(dispute, tx, { outcome, action, amountUsd, note });
+  if (blocker) throw new Error(blocker);
+
+  const reason = `Dispute ${dispute.disputeId}${note ? `: ${note}` : ""}`;
+  if (outcome === "refund" && action === "reversal") {
+    const requested = await requestReversal(tx, {
+      reason,
+      recreditUsdc: true,
+      requestedBy: operator.operatorId,
+      disputeId: dispute.disputeId,
+    });
+    if (!requested) throw new Error("A reversal is already in progress for this transaction.");
+    if (!requested.accepted) throw new Error(`Reversal rejected by M-Pesa: ${requested.error}`);
+
+    dispute.pendingReversal = { requestedBy: operator.operatorId, requestedAt: new Date(), note };
+    if (dispute.status === "open") {
+      transitionDispute(dispute, "investigating", { note: "Reversal requested", by: operator.operatorId });
+    } else {
+      dispute.history.push({ from: dispute.status, to: dispute.status, note: "Reversal requested", by: operator.operatorId, at: new Date() });
+    }
+    dispute.assignedTo = dispute.assignedTo || operator.operatorId;
+    await dispute.save();
+    await notifyDisputeUpdate(dispute);
+    return dispute;
+  }
+
+  let refundedUsd = null;
+  if (outcome === "refund") {
+    const before = Number(tx.refund?.refundedAmountUsd || 0);
+    if (tx.status === "succeeded" || amountUsd !== null) {
+      await partialRefund(tx, { amountUsd: amountUsd ?? getRefundAmountUsd(tx), reason, requestedBy: operator.operatorId });
+    } else {
+      await manualRefund(tx, { reason, requestedBy: operator.operatorId });
+    }
+    refundedUsd = Math.round((Number(tx.refund?.refundedAmountUsd || 0) - before) * 1e6) / 1e6;
+  }
+
+  const to = outcome === "refund" ? "resolved_refund" : "resolved_no_action";
+  transitionDispute(dispute, to, { note, by: operator.operatorId });
+  dispute.resolution = {
+    action: outcome === "refund" ? action : "none",
+    amountUsd: refundedUsd,
+    note,
+    resolvedBy: operator.operatorId,
+    resolvedAt: new Date(),
+  };
+  await dispute.save();
+  await notifyDisputeUpdate(dispute);
+  return dispute;
+}
+
+/**
+ * Settle the dispute behind a reversal once M-Pesa answered: a completed reversal resolves it
+ * (the USDC re-credit is already queued), a failed or timed-out one leaves it investigating for
+ * ops to resolve another way. `outcome` is applyReversalResult's / applyReversalTimeout's.
+ * Returns the dispute, or null when the reversal was not for an awaiting dispute.
+ */
+async function settleDisputeReversal(tx, outcome) {
+  const disputeId = tx.reversal?.disputeId;
+  if (!disputeId || !["reversed", "failed"].includes(outcome)) return null;
+
+  const dispute = await MpesaDispute.findOne({ disputeId, status: { $in: ACTIVE_DISPUTE_STATUSES } });
+  if (!dispute?.pendingReversal?.requestedAt) return null;
+
+  const { requestedBy, note } = dispute.pendingReversal;
+  dispute.pendingReversal = { requestedBy: null, requestedAt: null, note: null };
+  let message = null;
+  if (outcome === "reversed") {
+    transitionDispute(dispute, "resolved_refund", { note, by: requestedBy });
+    dispute.resolution = {
+      action: "reversal",
+      amountUsd: null,
+      note,
+      resolvedBy: requestedBy,
+      resolvedAt: new Date(),
+    };
+  } else {
+    const failure = tx.reversal?.resultDesc || "no reason given";
+    dispute.history.push({ from: dispute.status, to: dispute.status, note: `Reversal failed: ${failure}`, by: null, at: new Date() });
+    message = `M-Pesa could not reverse the payment in your dispute about ${dispute.transactionId}; we are still looking into it.`;
+  }
+  await dispute.save();
+  await notifyDisputeUpdate(dispute, message);
+  return dispute;
+}
+
+/** Disputes, newest first; `userAddress` scopes them to one user. */
+function listDisputes({ userAddress = null, status = null, limit = 50 } = {}) {
+  const filter = {};
+  if (userAddress) filter.userAddress = userAddress;
+  if (status) {
+    if (!DISPUTE_STATUSES.includes(status)) throw new Error(`status must be one of: ${DISPUTE_STATUSES.join(", ")}.`);
+    filter.status = status;
+  }
+  const capped = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  return MpesaDispute.find(filter).sort({ createdAt: -1 }).limit(capped);
+}
+
+module.exports = {
+  DISPUTE_TRANSITIONS,
+  disputeBlocker,
+  parseDisputeInput,
+  notifyDisputeUpdate,
+  openDispute,
+  startInvestigation,
+  resolutionBlocker,
+  resolveDispute,
+  settleDisputeReversal,
+  listDisputes,
+};
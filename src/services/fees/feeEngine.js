@@ -0,0 +1,240 @@
+const { ethers } = require("ethers");
+const { mpesaConfig } = require("../../config/mpesa");
+const { FeeSchedule, FEE_FLOWS, NETWORK_FEE_MODES } = require("../../models/FeeSchedule");
+const { getChainAdapter, hasChainAccess } = require("../chain/chainAdapter");
+
+const cache = new Map();
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function ceil2(value) {
+  return Math.ceil(Number(value || 0) * 100 - 1e-9) / 100;
+}
+
+/** Free everything; used when a flow has no stored schedule. */
+function defaultFeeSchedule(flowType) {
+  return {
+    flowType,
+    version: 0,
+    percentBps: 0,
+    fixedKes: 0,
+    bands: [],
+    minFeeKes: 0,
+    maxFeeKes: null,
+    networkFee: { mode: "none", fixedKes: 0, gasUnits: 65000, nativeTokenUsd: 0 },
+  };
+}
+
+function toPlainSchedule(doc) {
+  const plain = typeof doc?.toObject === "function" ? doc.toObject() : doc;
+  return {
+    ...defaultFeeSchedule(plain.flowType),
+    ...plain,
+    networkFee: { ...defaultFeeSchedule(plain.flowType).networkFee, ...(plain.networkFee || {}) },
+  };
+}
+
+/**
+ * Stored schedule for a flow (or the free default), cached for MPESA_FEES_CACHE_TTL_SECONDS.
+ */
+async function getFeeSchedule(flowType) {
+  const hit = cache.get(flowType);
+  if (hit && hit.expiresAt > Date.now()) return hit.schedule;
+
+  const doc = await FeeSchedule.findOne({ flowType });
+  const schedule = doc ? toPlainSchedule(doc) : defaultFeeSchedule(flowType);
+  cache.set(flowType, { schedule, expiresAt: Date.now() + mpesaConfig.fees.cacheTtlSeconds * 1000 });
+  return schedule;
+}
+
+function clearFeeScheduleCache() {
+  cache.clear();
+}
+
+/**
+ * Bands are half-open: each runs from its minKes up to the next band's minKes, so 100.5 KES
+ * between tariff rows 1-100 and 101-500 is charged as 1-100. maxKes only caps the last band.
+ */
+function findBand(bands, amountKes) {
+  const sorted = [...(bands || [])].sort((a, b) => Number(a.minKes) - Number(b.minKes));
+  const index = sorted.findLastIndex((band) => amountKes >= Number(band.minKes));
+  if (index === -1) return null;
+
+  const band = sorted[index];
+  const open = band.maxKes === null || band.maxKes === undefined;
+  if (index === sorted.length - 1 && !open && amountKes > Number(band.maxKes)) return null;
+  return band;
+}
+
+/**
+ * KES cost of the on-chain leg. `estimate` prices `gasUnits` at the chain's current gas price;
+ * if that fails the fixed amount is used and the error is kept in the breakdown.
+ */
+async function estimateNetworkFee(schedule, rate) {
+  const config = schedule?.networkFee || {};
+  if (config.mode === "fixed") return { mode: "fixed", kes: round2(config.fixedKes) };
+  if (config.mode !== "estimate") return { mode: "none", kes: 0 };
+
+  try {
+    if (!hasChainAccess(mpesaConfig.treasury)) throw new Error("No chain access configured.");
+    if (!(Number(config.nativeTokenUsd) > 0)) throw new Error("networkFee.nativeTokenUsd is not set.");
+
+    const gasPriceWei = await getChainAdapter(mpesaConfig.treasury).getGasPrice();
+    const costNative = Number(ethers.formatEther(gasPriceWei * BigInt(Math.round(Number(config.gasUnits || 0)))));
+    return {
+      mode: "estimate",
+      kes: ceil2(costNative * Number(config.nativeTokenUsd) * Number(rate?.kesPerUsd || 0)),
+      gasUnits: Number(config.gasUnits || 0),
+      gasPriceGwei: Number(ethers.formatUnits(gasPriceWei, "gwei")),
+      nativeTokenUsd: Number(config.nativeTokenUsd),
+    };
+  } catch (err) {
+    return { mode: "fixed", kes: round2(config.fixedKes), estimateError: err?.message || String(err) };
+  }
+}
+
+/**
+ * Fees for `amountKes` under `schedule`: (percent + fixed + matching band) clamped to the caps,
+ * plus the network fee. Returns { feeAmountKes, networkFeeKes, breakdown }.
+ */
+function calculateFees({ schedule, amountKes, networkFee = null }) {
+  const rules = schedule || defaultFeeSchedule(null);
+  const band = findBand(rules.bands, amountKes);
+
+  const percentFeeKes = round2((amountKes * Number(rules.percentBps || 0)) / 10000);
+  const fixedFeeKes = round2(rules.fixedKes);
+  const bandFeeKes = band ? round2(Number(band.feeKes || 0) + (amountKes * Number(band.percentBps || 0)) / 10000) : 0;
+  const uncappedKes = round2(percentFeeKes + fixedFeeKes + bandFeeKes);
+
+  let feeAmountKes = uncappedKes;
+  let capped = null;
+  if (Number(rules.minFeeKes) > 0 && feeAmountKes < Number(rules.minFeeKes)) {
+    feeAmountKes = round2(rules.minFeeKes);
+    capped = "min";
+  }
+  if (rules.maxFeeKes !== null && rules.maxFeeKes !== undefined && feeAmountKes > Number(rules.maxFeeKes)) {
+    feeAmountKes = round2(rules.maxFeeKes);
+    capped = "max";
+  }
+  const networkFeeKes = round2(networkFee?.kes || 0);
+
+  return {
+    feeAmountKes,
+    networkFeeKes,
+    breakdown: {
+      flowType: rules.flowType || null,
+      scheduleVersion: Number(rules.version || 0),
+      percentBps: Number(rules.percentBps || 0),
+      percentFeeKes,
+      fixedFeeKes,
+      band: band
+        ? {
+            label: band.label || null,
+            minKes: Number(band.minKes),
+            maxKes: band.maxKes === null || band.maxKes === undefined ? null : Number(band.maxKes),
+          }
+        : null,
+      bandFeeKes,
+      uncappedKes,
+      capped,
+      feeAmountKes,
+      networkFee: networkFee ? { ...networkFee, kes: networkFeeKes } : { mode: "none", kes: 0 },
+    },
+  };
+}
+
+function nonNegative(value, name, { nullable = false } = {}) {
+  if (nullable && (value === null || value === undefined || value === "")) return null;
+  const n = Number(value ?? 0);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a non-negative number.`);
+  return n;
+}
+
+/**
+ * Validate an internal API edit. Bands must not overlap.
+ */
+function parseFeeScheduleInput(input = {}) {
+  const bands = (Array.isArray(input.bands) ? input.bands : [])
+    .map((band, i) => {
+      const parsed = {
+        minKes: nonNegative(band?.minKes, `bands[${i}].minKes`),
+        maxKes: nonNegative(band?.maxKes, `bands[${i}].maxKes`, { nullable: true }),
+        feeKes: nonNegative(band?.feeKes, `bands[${i}].feeKes`),
+        percentBps: nonNegative(band?.percentBps, `bands[${i}].percentBps`),
+        label: band?.label ? String(band.label).trim().slice(0, 60) : null,
+      };
+      if (parsed.maxKes !== null && parsed.maxKes < parsed.minKes) {
+        throw new Error(`bands[${i}].maxKes must be >= minKes.`);
+      }
+      return parsed;
+    })
+    .sort((a, b) => a.minKes - b.minKes);
+
+  for (let i = 1; i < bands.length; i += 1) {
+    const prev = bands[i - 1];
+    if (prev.maxKes === null || prev.maxKes >= bands[i].minKes) {
+      throw new Error(`Fee bands overlap at ${bands[i].minKes} KES.`);
+    }
+  }
+
+  const networkFee = input.networkFee || {};
+  const mode = String(networkFee.mode || "none").trim().toLowerCase();
+  if (!NETWORK_FEE_MODES.includes(mode)) {
+    throw new Error(`networkFee.mode must be one of: ${NETWORK_FEE_MODES.join(", ")}.`);
+  }
+
+  const parsed = {
+    percentBps: nonNegative(input.percentBps, "percentBps"),
+    fixedKes: nonNegative(input.fixedKes, "fixedKes"),
+    bands,
+    minFeeKes: nonNegative(input.minFeeKes, "minFeeKes"),
+    maxFeeKes: nonNegative(input.maxFeeKes, "maxFeeKes", { nullable: true }),
+    networkFee: {
+      mode,
+      fixedKes: nonNegative(networkFee.fixedKes, "networkFee.fixedKes"),
+      gasUnits: nonNegative(networkFee.gasUnits ?? 65000, "networkFee.gasUnits"),
+      nativeTokenUsd: nonNegative(networkFee.nativeTokenUsd, "networkFee.nativeTokenUsd"),
+    },
+    note: input.note ? String(input.note).trim().slice(0, 200) : null,
+  };
+  if (parsed.percentBps > 10000) throw new Error("percentBps must be at most 10000.");
+  if (parsed.maxFeeKes !== null && parsed.maxFeeKes < parsed.minFeeKes) {
+    throw new Error("maxFeeKes must be >= minFeeKes.");
+  }
+  return parsed;
+}
+
+/**
+ * Replace the schedule for a flow (internal API). Bumps the version and clears the cache.
+ */
+async function saveFeeSchedule(flowType, input, { updatedBy = null } = {}) {
+  if (!FEE_FLOWS.includes(flowType)) throw new Error(`flowType must be one of: ${FEE_FLOWS.join(", ")}.`);
+  const parsed = parseFeeScheduleInput(input);
+
+  const doc = await FeeSchedule.findOneAndUpdate(
+    { flowType },
+    { $set: { ...parsed, updatedBy }, $inc: { version: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  cache.delete(flowType);
+  return toPlainSchedule(doc);
+}
+
+async function listFeeSchedules() {
+  const docs = await FeeSchedule.find({ flowType: { $in: FEE_FLOWS } });
+  const byFlow = new Map(docs.map((doc) => [doc.flowType, toPlainSchedule(doc)]));
+  return FEE_FLOWS.map((flowType) => byFlow.get(flowType) || defaultFeeSchedule(flowType));
+}
+
+module.exports = {
+  defaultFeeSchedule,
+  getFeeSchedule,
+  clearFeeScheduleCache,
+  estimateNetworkFee,
+  calculateFees,
+  parseFeeScheduleInput,
+  saveFeeSchedule,
+  listFeeSchedules,
+};
@@ -0,0 +1,103 @@
+const { fxConfig } = require("../../config/fx");
+const { RATE_SOURCES } = require("./rateSources");
+
+let cached = null;
+let inFlight = null;
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function round6(value) {
+  return Math.round(Number(value || 0) * 1e6) / 1e6;
+}
+
+function isStale(updatedAt, now = Date.now()) {
+  if (!updatedAt) return false;
+  return now - new Date(updatedAt).getTime() > fxConfig.maxAgeSeconds * 1000;
+}
+
+/**
+ * Ask each configured source in order and return the first sane, fresh mid rate.
+ */
+async function fetchMidRate() {
+  const errors = [];
+  for (const source of fxConfig.providers) {
+    const read = RATE_SOURCES[source];
+    if (!read) {
+      errors.push(`${source}: unknown source`);
+      continue;
+    }
+
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const { kesPerUsd, updatedAt } = await read();
+      if (!Number.isFinite(kesPerUsd) || kesPerUsd < fxConfig.minKesPerUsd || kesPerUsd > fxConfig.maxKesPerUsd) {
+        throw new Error(`rate ${kesPerUsd} is outside ${fxConfig.minKesPerUsd}-${fxConfig.maxKesPerUsd} KES/USD`);
+      }
+      if (isStale(updatedAt)) {
+        throw new Error(`rate from ${new Date(updatedAt).toISOString()} is older than ${fxConfig.maxAgeSeconds}s`);
+      }
+      return {
+        midKesPerUsd: round6(kesPerUsd),
+        source,
+        updatedAt: updatedAt ? new Date(updatedAt) : null,
+        fetchedAt: new Date(),
+      };
+    } catch (err) {
+      errors.push(`${source}: ${String(err?.message || err).replace(/\.$/, "")}`);
+    }
+  }
+
+  throw new Error(`Exchange rate unavailable (${errors.join("; ") || "no FX_PROVIDERS configured"}).`);
+}
+
+/**
+ * Current KES per USD mid rate, cached for FX_CACHE_TTL_SECONDS. Concurrent callers share one fetch.
+ */
+async function getMidRate({ forceRefresh = false } = {}) {
+  const now = Date.now();
+  if (!forceRefresh && cached && cached.expiresAt > now && !isStale(cached.rate.updatedAt, now)) {
+    return cached.rate;
+  }
+
+  if (!inFlight) {
+    inFlight = fetchMidRate()
+      .then((rate) => {
+        cached = { rate, expiresAt: Date.now() + fxConfig.cacheTtlSeconds * 1000 };
+        return rate;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+  return inFlight;
+}
+
+/**
+ * The rate a quote for `flowType` is priced at. The spread always works in DotPay's favour:
+ * topups pay more KES per USD, payouts receive fewer.
+ */
+async function getQuoteRate(flowType) {
+  const mid = await getMidRate();
+  const spread = fxConfig.spreadBps / 10000;
+  const kesPerUsd = flowType === "onramp" ? mid.midKesPerUsd * (1 + spread) : mid.midKesPerUsd * (1 - spread);
+
+  return {
+    kesPerUsd: round2(kesPerUsd),
+    midKesPerUsd: mid.midKesPerUsd,
+    spreadBps: fxConfig.spreadBps,
+    source: mid.source,
+    updatedAt: mid.updatedAt || mid.fetchedAt,
+  };
+}
+
+function clearRateCache() {
+  cached = null;
+}
+
+module.exports = {
+  getMidRate,
+  getQuoteRate,
+  clearRateCache,
+};
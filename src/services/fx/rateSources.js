@@ -0,0 +1,80 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { fxConfig } = require("../../config/fx");
+const { mpesaConfig } = require("../../config/mpesa");
+const { getChainAdapter, hasChainAccess } = require("../chain/chainAdapter");
+
+/**
+ * KES/USD rate sources. Each source is `async () => { kesPerUsd, updatedAt }` where
+ * `updatedAt` is when the source last published the rate (null = never stale).
+ * The rate service handles ordering, caching, staleness and spread.
+ */
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  // Unix seconds or milliseconds, or an ISO string.
+  const n = Number(value);
+  const date = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function readPath(object, dotPath) {
+  return String(dotPath || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+async function readStaticRate() {
+  const { file, kesPerUsd } = fxConfig.static;
+  if (!file) return { kesPerUsd, updatedAt: null };
+
+  const raw = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  const stat = await fs.promises.stat(file);
+  return {
+    kesPerUsd: Number(raw?.kesPerUsd),
+    updatedAt: parseTimestamp(raw?.updatedAt) || stat.mtime,
+  };
+}
+
+async function readHttpRate() {
+  const { url, ratePath, timestampPath, apiKey, timeoutMs } = fxConfig.http;
+  if (!url) throw new Error("FX_HTTP_URL is not set.");
+
+  const response = await fetch(url, {
+    headers: apiKey ? { Accept: "application/json", Authorization: `Bearer ${apiKey}` } : { Accept: "application/json" },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) throw new Error(`FX feed returned HTTP ${response.status}.`);
+
+  const payload = await response.json();
+  return {
+    kesPerUsd: Number(readPath(payload, ratePath)),
+    updatedAt: timestampPath ? parseTimestamp(readPath(payload, timestampPath)) : new Date(),
+  };
+}
+
+async function readOracleRate() {
+  const { feedAddress, invert } = fxConfig.oracle;
+  if (!feedAddress) throw new Error("FX_ORACLE_FEED_ADDRESS is not set.");
+  if (!hasChainAccess(mpesaConfig.treasury)) throw new Error("TREASURY_RPC_URL is required for the FX oracle.");
+
+  const round = await getChainAdapter(mpesaConfig.treasury).readPriceFeed({ feedAddress });
+  if (round.answer <= 0n) throw new Error("FX oracle returned a non-positive answer.");
+
+  const value = Number(ethers.formatUnits(round.answer, round.decimals));
+  return {
+    kesPerUsd: invert ? 1 / value : value,
+    updatedAt: parseTimestamp(round.updatedAt),
+  };
+}
+
+const RATE_SOURCES = {
+  static: readStaticRate,
+  http: readHttpRate,
+  oracle: readOracleRate,
+};
+
+module.exports = {
+  RATE_SOURCES,
+};
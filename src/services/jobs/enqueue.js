@@ -0,0 +1,126 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { getExcessFundingUsd, getBatchExcessFundingUsd } = require("../mpesa/refundService");
+const { enqueueJob } = require("./queue");
+
+const JOB_TYPES = {
+  ONRAMP_CREDIT: "onramp.credit",
+  AUTO_REFUND: "refund.auto",
+  REVERSAL_CREDIT: "refund.reversal",
+  EXCESS_REFUND: "refund.excess",
+  SIGNUP_BONUS: "signup_bonus.grant",
+  BATCH_DISBURSE: "payout_batch.disburse",
+  BATCH_EXCESS_REFUND: "payout_batch.excess_refund",
+  STANDING_ORDER_RUN: "standing_order.run",
+};
+
+function enqueueOnrampCredit(tx, { source = "webhook" } = {}) {
+  return enqueueJob({
+    type: JOB_TYPES.ONRAMP_CREDIT,
+    payload: { transactionId: tx.transactionId, source },
+    dedupeKey: `${JOB_TYPES.ONRAMP_CREDIT}:${tx.transactionId}`,
+  });
+}
+
+/**
+ * Queue an auto refund for a failed payout. No-op when auto refunds are disabled
+ * or the flow is not user-funded.
+ */
+async function enqueueAutoRefund(tx, reason) {
+  if (!mpesaConfig.refunds.autoRefund) return null;
+  if (!["offramp", "paybill", "buygoods"].includes(tx.flowType)) return null;
+  if (tx.status !== "failed") return null;
+
+  return enqueueJob({
+    type: JOB_TYPES.AUTO_REFUND,
+    payload: { transactionId: tx.transactionId, reason: reason || "Auto refund" },
+    dedupeKey: `${JOB_TYPES.AUTO_REFUND}:${tx.transactionId}`,
+  });
+}
+
+/**
+ * Queue the return of USDC funded above the quote once a payout has succeeded. No-op when
+ * MPESA_REFUND_EXCESS_FUNDING is off or the excess is below MPESA_REFUND_EXCESS_MIN_USD.
+ */
+async function enqueueExcessRefund(tx) {
+  if (!mpesaConfig.refunds.excessAutoRefund) return null;
+  if (!["offramp", "paybill", "buygoods"].includes(tx.flowType) || tx.status !== "succeeded") return null;
+  const excessUsd = getExcessFundingUsd(tx);
+  if (excessUsd <= 0 || excessUsd < mpesaConfig.refunds.excessMinUsd) return null;
+
+  return enqueueJob({
+    type: JOB_TYPES.EXCESS_REFUND,
+    payload: { transactionId: tx.transactionId, reason: `Excess funding refund (${excessUsd} USDC above quote)` },
+    dedupeKey: `${JOB_TYPES.EXCESS_REFUND}:${tx.transactionId}`,
+  });
+}
+
+/**
+ * Queue the USDC re-credit for a payout M-Pesa has reversed.
+ */
+function enqueueReversalCredit(tx, reason) {
+  return enqueueJob({
+    type: JOB_TYPES.REVERSAL_CREDIT,
+    payload: { transactionId: tx.transactionId, reason: reason || "Reversal re-credit" },
+    dedupeKey: `${JOB_TYPES.REVERSAL_CREDIT}:${tx.transactionId}`,
+  });
+}
+
+/**
+ * Queue the B2C fan-out of a funded payout batch.
+ */
+function enqueueBatchDisbursement(batch) {
+  return enqueueJob({
+    type: JOB_TYPES.BATCH_DISBURSE,
+    payload: { batchId: batch.batchId },
+    dedupeKey: `${JOB_TYPES.BATCH_DISBURSE}:${batch.batchId}`,
+  });
+}
+
+/**
+ * Queue the return of USDC funded above a settled batch's quote. Same switches as
+ * enqueueExcessRefund.
+ */
+async function enqueueBatchExcessRefund(batch) {
+  if (!mpesaConfig.refunds.excessAutoRefund) return null;
+  const excessUsd = getBatchExcessFundingUsd(batch);
+  if (excessUsd <= 0 || excessUsd < mpesaConfig.refunds.excessMinUsd) return null;
+
+  return enqueueJob({
+    type: JOB_TYPES.BATCH_EXCESS_REFUND,
+    payload: { batchId: batch.batchId },
+    dedupeKey: `${JOB_TYPES.BATCH_EXCESS_REFUND}:${batch.batchId}`,
+  });
+}
+
+/**
+ * Queue one due run of a standing order. `dueAt` is part of the key so each run is queued once.
+ */
+function enqueueStandingOrderRun({ orderId, dueAt }) {
+  return enqueueJob({
+    type: JOB_TYPES.STANDING_ORDER_RUN,
+    payload: { orderId, dueAt },
+    dedupeKey: `${JOB_TYPES.STANDING_ORDER_RUN}:${orderId}:${dueAt}`,
+  });
+}
+
+async function enqueueSignupBonus(user, { source = "identity_setup" } = {}) {
+  if (!mpesaConfig.signupBonus?.enabled) return null;
+
+  return enqueueJob({
+    type: JOB_TYPES.SIGNUP_BONUS,
+    payload: { address: user.address, source },
+    dedupeKey: `${JOB_TYPES.SIGNUP_BONUS}:${user.address}`,
+  });
+}
+
+module.exports = {
+  JOB_TYPES,
+  enqueueOnrampCredit,
+  enqueueAutoRefund,
+  enqueueExcessRefund,
+  enqueueReversalCredit,
+  enqueueBatchDisbursement,
+  enqueueBatchExcessRefund,
+  enqueueStandingOrderRun,
+  enqueueSignupBonus,
+};
@@ -0,0 +1,149 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const User = require("../../models/User");
+const {
+  scheduleAutoRefund,
+  refundReversedPayout,
+  claimRefundAttempt,
+  refundExcessFunding,
+} = require("../mpesa/refundService");
+const { disbursePayoutBatch, refundBatchExcessFunding } = require("../mpesa/payoutBatch");
+const { runStandingOrder } = require("../mpesa/standingOrders");
+const { settleOnrampCredit } = require("../settlement/creditOnramp");
+const { grantSignupUsdcBonus } = require("../users/signupBonus");
+const { registerJobHandler } = require("./queue");
+const { JOB_TYPES, enqueueAutoRefund } = require("./enqueue");
+
+let registered = false;
+
+async function loadTransaction(transactionId) {
+  const tx = await MpesaTransaction.findOne({ transactionId: String(transactionId || "").trim().toUpperCase() });
+  if (!tx) throw new Error(`Transaction ${transactionId} not found.`);
+  return tx;
+}
+
+async function handleOnrampCredit(payload) {
+  const tx = await loadTransaction(payload.transactionId);
+  const settled = await settleOnrampCredit(tx, { source: payload.source || "job" });
+  if (!settled.credited && settled.reason !== "already_credited") {
+    // Throwing schedules a retry with backoff; the job goes dead after maxAttempts.
+    throw new Error(settled.error || `Onramp credit ${settled.reason || "failed"}`);
+  }
+  return { reason: settled.reason, txHash: settled.txHash || null };
+}
+
+/**
+ * A failed transfer is not thrown: the refund is left with refund.nextAttemptAt and the
+ * refund_retry sweep owns its retries, so the job and the sweep never race.
+ */
+async function handleAutoRefund(payload) {
+  const tx = await loadTransaction(payload.transactionId);
+  if (tx.status === "refunded" || tx.refund?.status === "completed") {
+    return { reason: "already_refunded", txHash: tx.refund?.txHash || null };
+  }
+  if (!mpesaConfig.refunds.autoRefund || tx.status !== "failed") {
+    return { reason: "skipped", txHash: null };
+  }
+  if (!(await claimRefundAttempt(tx))) {
+    return { reason: "in_progress", txHash: null };
+  }
+
+  await scheduleAutoRefund(tx, payload.reason);
+  if (tx.refund?.status === "failed") {
+    return { reason: "failed", retryAt: tx.refund.nextAttemptAt || null, error: tx.refund.lastError || null };
+  }
+  return { reason: tx.status === "refunded" ? "refunded" : "skipped", txHash: tx.refund?.txHash || null };
+}
+
+async function handleReversalCredit(payload) {
+  const tx = await loadTransaction(payload.transactionId);
+  if (tx.status === "refunded" || tx.refund?.status === "completed") {
+    return { reason: "already_refunded", txHash: tx.refund?.txHash || null };
+  }
+  if (tx.status !== "reversed") {
+    return { reason: "not_reversed", txHash: null };
+  }
+
+  if (!(await claimRefundAttempt(tx))) {
+    return { reason: "in_progress", txHash: null };
+  }
+
+  await refundReversedPayout(tx, payload.reason);
+  if (tx.refund?.status === "failed") {
+    return { reason: "failed", retryAt: tx.refund.nextAttemptAt || null, error: tx.refund.lastError || null };
+  }
+  return { reason: "refunded", txHash: tx.refund?.txHash || null };
+}
+
+async function handleBatchDisburse(payload) {
+  const { batch, submitted, rejected } = await disbursePayoutBatch(payload.batchId);
+  for (const tx of rejected) {
+    // eslint-disable-next-line no-await-in-loop
+    await enqueueAutoRefund(tx, "B2C request rejected");
+  }
+  return { status: batch.status, submitted, rejected: rejected.length };
+}
+
+async function handleBatchExcessRefund(payload) {
+  const result = await refundBatchExcessFunding(payload.batchId);
+  if (["failed", "in_progress", "not_settled"].includes(result.reason)) {
+    // Throwing schedules a retry with backoff; the job goes dead after maxAttempts.
+    throw new Error(result.error || `Batch excess funding refund is ${result.reason.replace("_", " ")}`);
+  }
+  return { reason: result.reason, amountUsd: result.amountUsd || 0, txHash: result.txHash || null };
+}
+
+async function handleStandingOrderRun(payload) {
+  const { outcome, tx, needsRefund } = await runStandingOrder(payload);
+  if (outcome === "unconfirmed") {
+    // Retried with backoff until the pull's receipt settles it; a dead job is left for ops.
+    throw new Error(`USDC pull ${tx.onchain.txHash} for ${tx.transactionId} is not confirmed yet`);
+  }
+  if (needsRefund) {
+    await enqueueAutoRefund(tx, "Standing order run failed");
+  }
+  return { outcome, transactionId: tx?.transactionId || null, status: tx?.status || null };
+}
+
+async function handleExcessRefund(payload) {
+  const tx = await loadTransaction(payload.transactionId);
+  const result = await refundExcessFunding(tx, { reason: payload.reason });
+  if (result.reason === "failed" || result.reason === "in_progress") {
+    // Throwing schedules a retry with backoff; the job goes dead after maxAttempts.
+    throw new Error(result.error || "Excess funding refund is already in progress");
+  }
+  return { reason: result.reason, amountUsd: result.amountUsd || 0, txHash: result.txHash || null };
+}
+
+async function handleSignupBonus(payload) {
+  const user = await User.findOne({ address: String(payload.address || "").trim().toLowerCase() });
+  if (!user) throw new Error(`User ${payload.address} not found.`);
+
+  const result = await grantSignupUsdcBonus(user, { source: payload.source || "job" });
+  if (result?.reason === "failed") {
+    throw new Error(result.message || "Signup bonus transfer failed");
+  }
+  if (result?.granted) {
+    console.log(`Signup bonus funded for ${user.address}: ${result.amountUsd} USDC (tx: ${result.txHash})`);
+  } else if (result?.reason && result.reason !== "disabled") {
+    console.warn(`Signup bonus skipped for ${user.address}: ${result.reason}`);
+  }
+  return { reason: result?.reason || null, txHash: result?.txHash || null };
+}
+
+function registerDefaultJobHandlers() {
+  if (registered) return;
+  registerJobHandler(JOB_TYPES.ONRAMP_CREDIT, handleOnrampCredit);
+  registerJobHandler(JOB_TYPES.AUTO_REFUND, handleAutoRefund);
+  registerJobHandler(JOB_TYPES.REVERSAL_CREDIT, handleReversalCredit);
+  registerJobHandler(JOB_TYPES.EXCESS_REFUND, handleExcessRefund);
+  registerJobHandler(JOB_TYPES.SIGNUP_BONUS, handleSignupBonus);
+  registerJobHandler(JOB_TYPES.BATCH_DISBURSE, handleBatchDisburse);
+  registerJobHandler(JOB_TYPES.BATCH_EXCESS_REFUND, handleBatchExcessRefund);
+  registerJobHandler(JOB_TYPES.STANDING_ORDER_RUN, handleStandingOrderRun);
+  registered = true;
+}
+
+module.exports = {
+  registerDefaultJobHandlers,
+};
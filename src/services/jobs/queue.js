@@ -0,0 +1,298 @@
+const crypto = require("crypto");
+const os = require("os");
+const { jobsConfig } = require("../../config/jobs");
+const { BackgroundJob } = require("../../models/BackgroundJob");
+
+const handlers = new Map();
+
+function defaultWorkerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Exponential backoff: base * 2^(attempt - 1), capped at max.
+ * `attempt` is the attempt that just failed (1-based).
+ */
+function computeBackoffMs(attempt, { baseSeconds, maxSeconds } = {}) {
+  const base = Math.max(1, Number(baseSeconds || jobsConfig.backoffBaseSeconds)) * 1000;
+  const max = Math.max(1, Number(maxSeconds || jobsConfig.backoffMaxSeconds)) * 1000;
+  const n = Math.max(1, Math.trunc(Number(attempt) || 1));
+  return Math.min(max, base * 2 ** Math.min(n - 1, 30));
+}
+
+function registerJobHandler(type, handler) {
+  if (!type || typeof handler !== "function") {
+    throw new Error("registerJobHandler requires a type and a handler function.");
+  }
+  handlers.set(String(type), handler);
+}
+
+/**
+ * Enqueue a job. When `dedupeKey` is set and an unfinished job with the same key exists,
+ * that job is returned instead of creating a duplicate.
+ */
+async function enqueueJob({ type, payload = null, dedupeKey = null, runAt = null, maxAttempts = null }) {
+  if (!type) throw new Error("Job type is required.");
+
+  const doc = {
+    type: String(type),
+    status: "queued",
+    payload,
+    key: dedupeKey || null,
+    attempts: 0,
+    maxAttempts: Math.max(1, Number(maxAttempts || jobsConfig.maxAttempts)),
+    runAt: runAt ? new Date(runAt) : new Date(),
+  };
+
+  if (!dedupeKey) {
+    return BackgroundJob.create(doc);
+  }
+
+  try {
+    return await BackgroundJob.findOneAndUpdate(
+      { dedupeKey },
+      { $setOnInsert: { ...doc, dedupeKey } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // Concurrent upserts on the same key: the other writer won.
+    if (err?.code === 11000) return BackgroundJob.findOne({ dedupeKey });
+    throw err;
+  }
+}
+
+/**
+ * Dead-letter running jobs whose lease expired on their last attempt (the worker crashed or
+ * hung mid-run), so a job that keeps killing its worker is not reclaimed forever.
+ */
+async function deadLetterExpiredJobs(now, types = null) {
+  const query = {
+    status: "running",
+    lockedUntil: { $lte: now },
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  };
+  if (Array.isArray(types) && types.length > 0) query.type = { $in: types };
+
+  const message = "Lease expired during the last attempt";
+  return BackgroundJob.updateMany(query, {
+    $set: { status: "dead", deadAt: now, lockedBy: null, lockedUntil: null, lastError: message },
+    $unset: { dedupeKey: 1 },
+    $push: { errorLog: { $each: [{ attempt: null, message, at: now }], $slice: -20 } },
+  });
+}
+
+/**
+ * Atomically lease the next due job. Running jobs whose lease expired (crashed worker)
+ * are picked up again and count as a new attempt, unless that was their last one.
+ */
+async function claimNextJob({ workerId, leaseMs, types = null } = {}) {
+  const now = new Date();
+  await deadLetterExpiredJobs(now, types);
+
+  const query = {
+    $or: [
+      { status: "queued", runAt: { $lte: now } },
+      { status: "running", lockedUntil: { $lte: now }, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+    ],
+  };
+  if (Array.isArray(types) && types.length > 0) query.type = { $in: types };
+
+  return BackgroundJob.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1, _id: 1 }, new: true }
+  );
+}
+
+/**
+ * Keep extending a claimed job's lease while its handler runs, so a slow handler (e.g. one
+ * waiting for confirmations) is not reclaimed by another worker. Returns stop().
+ */
+function startLeaseHeartbeat(job, workerId, leaseMs) {
+  const timer = setInterval(() => {
+    BackgroundJob.updateOne(
+      { _id: job._id, lockedBy: workerId, status: "running" },
+      { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+    ).catch((err) => {
+      console.error(`Job ${job.type} (${job._id}) lease heartbeat failed:`, err?.message || err);
+    });
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+  if (typeof timer.unref === "function") timer.unref();
+  return () => clearInterval(timer);
+}
+
+async function completeJob(job, workerId, result = null) {
+  await BackgroundJob.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: {
+        status: "completed",
+        result,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+      },
+      $unset: { dedupeKey: 1 },
+    }
+  );
+}
+
+async function failJob(job, workerId, err) {
+  const message = err?.message || String(err || "Job failed");
+  const attempts = Number(job.attempts || 0);
+  const exhausted = attempts >= Number(job.maxAttempts || 1);
+  const errorEntry = { attempt: attempts, message, at: new Date() };
+
+  if (exhausted) {
+    await BackgroundJob.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      {
+        $set: {
+          status: "dead",
+          deadAt: new Date(),
+          lockedBy: null,
+          lockedUntil: null,
+          lastError: message,
+        },
+        $unset: { dedupeKey: 1 },
+        $push: { errorLog: { $each: [errorEntry], $slice: -20 } },
+      }
+    );
+    return "dead";
+  }
+
+  await BackgroundJob.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: {
+        status: "queued",
+        runAt: new Date(Date.now() + computeBackoffMs(attempts)),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: message,
+      },
+      $push: { errorLog: { $each: [errorEntry], $slice: -20 } },
+    }
+  );
+  return "retry";
+}
+
+/**
+ * Claim and run one job. Returns { processed: false } when nothing is due.
+ */
+async function processNextJob({ workerId = defaultWorkerId(), leaseMs = jobsConfig.leaseSeconds * 1000 } = {}) {
+  const types = Array.from(handlers.keys());
+  if (types.length === 0) return { processed: false };
+
+  const job = await claimNextJob({ workerId, leaseMs, types });
+  if (!job) return { processed: false };
+
+  const handler = handlers.get(job.type);
+  const stopHeartbeat = startLeaseHeartbeat(job, workerId, leaseMs);
+  try {
+    const result = await handler(job.payload || {}, job);
+    await completeJob(job, workerId, result === undefined ? null : result);
+    return { processed: true, jobId: job._id.toString(), type: job.type, outcome: "completed" };
+  } catch (err) {
+    const outcome = await failJob(job, workerId, err);
+    console.error(`Job ${job.type} (${job._id}) attempt ${job.attempts} failed:`, err?.message || err);
+    return { processed: true, jobId: job._id.toString(), type: job.type, outcome, error: err?.message || null };
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+/**
+ * Run due jobs until the queue is empty or a limit is hit (serverless-friendly).
+ */
+async function drainJobs({ maxJobs = 25, maxMs = 20000, workerId = defaultWorkerId() } = {}) {
+  const startedAt = Date.now();
+  const summary = { processed: 0, completed: 0, retried: 0, dead: 0 };
+
+  while (summary.processed < maxJobs && Date.now() - startedAt < maxMs) {
+    // eslint-disable-next-line no-await-in-loop
+    const res = await processNextJob({ workerId });
+    if (!res.processed) break;
+    summary.processed += 1;
+    if (res.outcome === "completed") summary.completed += 1;
+    else if (res.outcome === "retry") summary.retried += 1;
+    else if (res.outcome === "dead") summary.dead += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Long-running poll loop. Returns a stop() function that resolves once the current job finishes.
+ */
+function startJobWorker({ pollIntervalMs = jobsConfig.pollIntervalMs, workerId = defaultWorkerId() } = {}) {
+  let stopped = false;
+  let timer = null;
+  let running = Promise.resolve();
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const res = await processNextJob({ workerId });
+      // Keep draining while there is work; otherwise wait for the next poll.
+      timer = setTimeout(() => {
+        running = tick();
+      }, res.processed ? 0 : pollIntervalMs);
+    } catch (err) {
+      console.error("Job worker poll failed:", err?.message || err);
+      timer = setTimeout(() => {
+        running = tick();
+      }, pollIntervalMs);
+    }
+  };
+
+  running = tick();
+  console.log(`Job worker ${workerId} started (poll ${pollIntervalMs}ms).`);
+
+  return async function stop() {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    await running;
+  };
+}
+
+/**
+ * Move a dead job back to the queue (ops action).
+ */
+async function retryDeadJob(jobId) {
+  const job = await BackgroundJob.findOne({ _id: jobId, status: "dead" });
+  if (!job) return null;
+
+  job.status = "queued";
+  job.runAt = new Date();
+  job.attempts = 0;
+  job.deadAt = null;
+  if (job.key) job.dedupeKey = job.key;
+  try {
+    await job.save();
+  } catch (err) {
+    if (err?.code === 11000) throw new Error("Another job with the same key is already pending.");
+    throw err;
+  }
+  return job;
+}
+
+module.exports = {
+  computeBackoffMs,
+  registerJobHandler,
+  enqueueJob,
+  claimNextJob,
+  processNextJob,
+  drainJobs,
+  startJobWorker,
+  retryDeadJob,
+};
@@ -0,0 +1,294 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { LIMIT_WINDOWS, limitsConfig } = require("../../config/limits");
+const { MpesaTransaction, FLOW_TYPES } = require("../../models/MpesaTransaction");
+const User = require("../../models/User");
+
+// Statuses whose amount counts against a limit. Quotes are free until used; failed,
+// refunded and reversed money came back to the user.
+const COUNTED_STATUSES = [
+  "awaiting_user_authorization",
+  "awaiting_onchain_funding",
+  "risk_review",
+  "mpesa_submitted",
+  "mpesa_processing",
+  "ops_review",
+  "succeeded",
+  "reversal_pending",
+];
+
+// Where the recipient of each outgoing flow lives on a transaction.
+const RECIPIENT_FIELDS = {
+  offramp: "phoneNumber",
+  paybill: "paybillNumber",
+  buygoods: "tillNumber",
+};
+
+const WINDOW_WORDING = {
+  daily: { label: "Daily", period: "today" },
+  weekly: { label: "Weekly", period: "this week" },
+  monthly: { label: "Monthly", period: "this month" },
+};
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: WEEKDAYS.indexOf(get("weekday")),
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** Midnight of a calendar day in `timeZone`. Day/month overflow rolls over like Date.UTC. */
+function zonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - offsetMs(new Date(guess), timeZone);
+  // Second pass for days where the offset changes (DST zones).
+  return new Date(guess - offsetMs(new Date(first), timeZone));
+}
+
+/**
+ * The current daily, weekly (Monday start) and monthly windows as { start, end } in the
+ * limit time zone (Africa/Nairobi by default).
+ */
+function limitWindows(now = new Date(), timeZone = limitsConfig.timeZone) {
+  const { year, month, day, weekday } = zonedParts(now, timeZone);
+  return {
+    daily: { start: zonedMidnight(year, month, day, timeZone), end: zonedMidnight(year, month, day + 1, timeZone) },
+    weekly: {
+      start: zonedMidnight(year, month, day - weekday, timeZone),
+      end: zonedMidnight(year, month, day - weekday + 7, timeZone),
+    },
+    monthly: { start: zonedMidnight(year, month, 1, timeZone), end: zonedMidnight(year, month + 1, 1, timeZone) },
+  };
+}
+
+async function resolveLimitProfile(userAddress) {
+  const user = await User.findOne({ address: userAddress });
+  const requested = String(user?.limitTier || "").trim().toLowerCase();
+  const tier = limitsConfig.tiers[requested] ? requested : limitsConfig.defaultTier;
+  const profile = limitsConfig.tiers[tier] || { label: tier, overall: {}, flows: {}, perRecipient: {} };
+  return { tier, profile };
+}
+
+function capOf(caps, window) {
+  const value = caps?.[`${window}Kes`];
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function minCap(...caps) {
+  const set = caps.filter((cap) => cap !== null && cap !== undefined).map(Number);
+  return set.length > 0 ? Math.min(...set) : null;
+}
+
+function emptyUsage() {
+  return { daily: 0, weekly: 0, monthly: 0 };
+}
+
+/**
+ * Sum counted amounts per window, grouped by flow (or by recipient when `recipients` is set).
+ */
+async function loadUsage({ userAddress, windows, flowType = null, recipients = null, excludeId = null }) {
+  const match = {
+    userAddress,
+    status: { $in: COUNTED_STATUSES },
+    createdAt: { $gte: new Date(Math.min(windows.weekly.start.getTime(), windows.monthly.start.getTime())) },
+  };
+  if (excludeId) match._id = { $ne: excludeId };
+  let groupKey = "$flowType";
+  if (recipients) {
+    const field = `targets.${RECIPIENT_FIELDS[flowType]}`;
+    match.flowType = flowType;
+    match[field] = { $in: recipients };
+    groupKey = `$${field}`;
+  }
+
+  const sumSince = (start) => ({ $sum: { $cond: [{ $gte: ["$createdAt", start] }, "$quote.amountKes", 0] } });
+  const rows = await MpesaTransaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupKey,
+        daily: sumSince(windows.daily.start),
+        weekly: sumSince(windows.weekly.start),
+        monthly: sumSince(windows.monthly.start),
+      },
+    },
+  ]);
+
+  const usage = new Map();
+  for (const row of rows || []) {
+    usage.set(row._id, { daily: Number(row.daily || 0), weekly: Number(row.weekly || 0), monthly: Number(row.monthly || 0) });
+  }
+  return usage;
+}
+
+function totalUsage(usage) {
+  const total = emptyUsage();
+  for (const row of usage.values()) {
+    for (const window of LIMIT_WINDOWS) total[window] += row[window];
+  }
+  return total;
+}
+
+function assertCap({ cap, used, adding, window, scope }) {
+  if (cap === null || used + adding <= cap) return;
+  const { label, period } = WINDOW_WORDING[window];
+  const remaining = Math.max(0, round2(cap - used));
+  throw new Error(`${label} ${scope}limit of ${cap} KES exceeded (KES ${remaining.toFixed(2)} left ${period}).`);
+}
+
+/**
+ * Throw if the payments in `entries` ([{ amountKes, recipient? }]) would take the user past
+ * their tier's per-transaction, daily, weekly or monthly limits for `flowType`. `excludeId`
+ * leaves out a transaction that already counts itself (e.g. a standing order run).
+ */
+async function assertWithinLimits({ userAddress, flowType, entries, excludeId = null, now = new Date() }) {
+  const { tier, profile } = await resolveLimitProfile(userAddress);
+  const flowCaps = profile.flows?.[flowType] || {};
+  const recipientCaps = RECIPIENT_FIELDS[flowType] ? profile.perRecipient || {} : {};
+
+  const perTxnKes = minCap(mpesaConfig.limits.maxTxnKes, profile.overall?.perTxnKes, flowCaps.perTxnKes);
+  const recipientPerTxnKes = minCap(perTxnKes, recipientCaps.perTxnKes);
+  for (const entry of entries) {
+    const cap = entry.recipient ? recipientPerTxnKes : perTxnKes;
+    if (cap !== null && entry.amountKes > cap) {
+      throw new Error(`Amount exceeds per-transaction limit of ${cap} KES.`);
+    }
+  }
+
+  const windows = limitWindows(now);
+  const adding = entries.reduce((sum, entry) => sum + entry.amountKes, 0);
+  const byFlow = await loadUsage({ userAddress, windows, excludeId });
+  const overallUsed = totalUsage(byFlow);
+  const flowUsed = byFlow.get(flowType) || emptyUsage();
+  for (const window of LIMIT_WINDOWS) {
+    assertCap({ cap: capOf(profile.overall, window), used: overallUsed[window], adding, window, scope: "" });
+    assertCap({ cap: capOf(flowCaps, window), used: flowUsed[window], adding, window, scope: `${flowType} ` });
+  }
+
+  const perRecipient = new Map();
+  for (const entry of entries) {
+    if (entry.recipient) perRecipient.set(entry.recipient, (perRecipient.get(entry.recipient) || 0) + entry.amountKes);
+  }
+  if (perRecipient.size > 0 && LIMIT_WINDOWS.some((window) => capOf(recipientCaps, window) !== null)) {
+    const byRecipient = await loadUsage({
+      userAddress,
+      windows,
+      flowType,
+      recipients: Array.from(perRecipient.keys()),
+      excludeId,
+    });
+    for (const [recipient, amountKes] of perRecipient) {
+      const used = byRecipient.get(recipient) || emptyUsage();
+      for (const window of LIMIT_WINDOWS) {
+        assertCap({ cap: capOf(recipientCaps, window), used: used[window], adding: amountKes, window, scope: `per-recipient (${recipient}) ` });
+      }
+    }
+  }
+
+  return { tier };
+}
+
+function describeWindows(caps, used, windows, ceilings = {}) {
+  const out = {};
+  for (const window of LIMIT_WINDOWS) {
+    const limitKes = capOf(caps, window);
+    const own = limitKes === null ? null : Math.max(0, limitKes - used[window]);
+    // Also bounded by any wider limit (e.g. the overall cap for a flow).
+    const remainingKes = minCap(own, ceilings[window]);
+    out[window] = {
+      limitKes,
+      usedKes: round2(used[window]),
+      remainingKes: remainingKes === null ? null : round2(remainingKes),
+      resetsAt: windows[window].end,
+    };
+  }
+  return out;
+}
+
+/**
+ * A user's tier, limits, usage and remaining allowance, overall and per flow. Pass
+ * `flowType` + `recipient` to include that recipient's allowance too.
+ */
+async function getLimitStatus(userAddress, { flowType = null, recipient = null, now = new Date() } = {}) {
+  const { tier, profile } = await resolveLimitProfile(userAddress);
+  const windows = limitWindows(now);
+  const byFlow = await loadUsage({ userAddress, windows });
+  const overallUsed = totalUsage(byFlow);
+  const overall = describeWindows(profile.overall, overallUsed, windows);
+  const overallRemaining = Object.fromEntries(LIMIT_WINDOWS.map((window) => [window, overall[window].remainingKes]));
+  const overallPerTxnKes = minCap(mpesaConfig.limits.maxTxnKes, profile.overall?.perTxnKes);
+
+  const flows = {};
+  for (const flow of FLOW_TYPES) {
+    const caps = profile.flows?.[flow] || {};
+    flows[flow] = {
+      perTxnKes: minCap(overallPerTxnKes, caps.perTxnKes),
+      ...describeWindows(caps, byFlow.get(flow) || emptyUsage(), windows, overallRemaining),
+    };
+  }
+
+  let recipientStatus = null;
+  if (flowType && recipient && RECIPIENT_FIELDS[flowType]) {
+    const caps = profile.perRecipient || {};
+    const byRecipient = await loadUsage({ userAddress, windows, flowType, recipients: [recipient] });
+    const flowRemaining = Object.fromEntries(LIMIT_WINDOWS.map((window) => [window, flows[flowType][window].remainingKes]));
+    recipientStatus = {
+      flowType,
+      recipient,
+      perTxnKes: minCap(flows[flowType].perTxnKes, caps.perTxnKes),
+      ...describeWindows(caps, byRecipient.get(recipient) || emptyUsage(), windows, flowRemaining),
+    };
+  }
+
+  return {
+    tier,
+    label: profile.label || tier,
+    timeZone: limitsConfig.timeZone,
+    overall: { perTxnKes: overallPerTxnKes, ...overall },
+    flows,
+    recipient: recipientStatus,
+  };
+}
+
+/** The limit recipient key for a transaction's targets (null for topups). */
+function recipientOf(flowType, targets) {
+  const field = RECIPIENT_FIELDS[flowType];
+  return field ? targets?.[field] || null : null;
+}
+
+module.exports = {
+  COUNTED_STATUSES,
+  limitWindows,
+  resolveLimitProfile,
+  assertWithinLimits,
+  getLimitStatus,
+  recipientOf,
+};
@@ -0,0 +1,215 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { MpesaBalanceSnapshot } = require("../../models/MpesaBalanceSnapshot");
+const { queryAccountBalance } = require("../mpesa/darajaClient");
+const { buildBalanceCallbackUrl } = require("../mpesa/callbackUrls");
+const { parseResultCode } = require("../mpesa/stkResult");
+const { parseResultParameters } = require("../mpesa/transactionStatus");
+
+// Which M-Pesa account funds each payout product.
+const FLOAT_ACCOUNTS = {
+  b2c: "Utility Account",
+  b2b: "Working Account",
+};
+
+function toKes(value) {
+  const n = Number(String(value ?? "").replace(/,/g, ""));
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+}
+
+/**
+ * Parse Daraja's AccountBalance string:
+ * `Working Account|KES|700.00|700.00|0.00|0.00&Utility Account|KES|...`
+ * (name | currency | current | available | reserved | uncleared per account).
+ */
+function parseAccountBalance(value) {
+  return String(value || "")
+    .split("&")
+    .map((entry) => entry.split("|").map((part) => part.trim()))
+    .filter((parts) => parts[0])
+    .map(([name, currency, current, available, reserved, uncleared]) => ({
+      name,
+      currency: currency || "KES",
+      currentKes: toKes(current),
+      availableKes: toKes(available),
+      reservedKes: toKes(reserved),
+      unclearedKes: toKes(uncleared),
+    }));
+}
+
+/**
+ * BOCompletedTime is `yyyyMMddHHmmss` in Nairobi time (UTC+3).
+ */
+function parseBoCompletedTime(value) {
+  const match = String(value ?? "").trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const [, yyyy, mm, dd, hh, min, sec] = match;
+  const date = new Date(`${yyyy}-${mm}-${dd}T${hh}:${min}:${sec}+03:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function findAvailable(accounts, name) {
+  const account = accounts.find((a) => a.name.toLowerCase() === name.toLowerCase());
+  return account ? account.availableKes : null;
+}
+
+function payoutShortcode(product) {
+  const credentials = mpesaConfig.credentials;
+  return (product === "b2b" ? credentials.b2bShortcode : credentials.b2cShortcode) || credentials.shortcode;
+}
+
+/**
+ * Payout shortcodes to track, one entry per distinct shortcode.
+ */
+function listFloatShortcodes() {
+  const entries = [
+    { product: "b2c", shortcode: payoutShortcode("b2c") },
+    { product: "b2b", shortcode: payoutShortcode("b2b") },
+  ];
+  const seen = new Set();
+  return entries.filter((entry) => {
+    if (!entry.shortcode || seen.has(entry.shortcode)) return false;
+    seen.add(entry.shortcode);
+    return true;
+  });
+}
+
+/**
+ * Send an AccountBalance query for every payout shortcode. Balances arrive on
+ * /webhooks/account-balance/result and are stored by recordAccountBalanceResult.
+ */
+async function requestAccountBalances() {
+  const items = [];
+  for (const { product, shortcode } of listFloatShortcodes()) {
+    const item = { shortcode, product, accepted: false, conversationId: null, error: null };
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await queryAccountBalance({
+        product,
+        resultUrl: buildBalanceCallbackUrl("balance_result", shortcode),
+        timeoutUrl: buildBalanceCallbackUrl("balance_timeout", shortcode),
+      });
+      if (!response.ok || String(response.data?.ResponseCode ?? "") !== "0") {
+        item.error = response.data?.errorMessage || response.data?.ResponseDescription || `HTTP ${response.status}`;
+      } else {
+        item.accepted = true;
+        item.conversationId = response.data?.ConversationID || null;
+      }
+    } catch (err) {
+      item.error = err.message;
+    }
+    items.push(item);
+  }
+
+  return {
+    requested: items.length,
+    accepted: items.filter((item) => item.accepted).length,
+    items,
+  };
+}
+
+/**
+ * Persist an Account Balance result as a snapshot for `shortcode`.
+ * Returns { recorded, reason?, snapshot? }.
+ */
+async function recordAccountBalanceResult({ shortcode, result }) {
+  const code = String(shortcode || "").trim();
+  if (!listFloatShortcodes().some((entry) => entry.shortcode === code)) {
+    return { recorded: false, reason: "unknown_shortcode" };
+  }
+
+  const parsedCode = parseResultCode(result?.ResultCode);
+  if (!parsedCode.isSuccess) {
+    return { recorded: false, reason: "result_failed", resultDesc: result?.ResultDesc || null };
+  }
+
+  const params = parseResultParameters(result);
+  const accounts = parseAccountBalance(params.AccountBalance);
+  if (accounts.length === 0) {
+    return { recorded: false, reason: "no_balances" };
+  }
+
+  const receivedAt = new Date();
+  const reportedAt = parseBoCompletedTime(params.BOCompletedTime);
+
+  return saveSnapshot({
+    shortcode: code,
+    source: "account_balance",
+    conversationId: String(result?.ConversationID || "").trim() || null,
+    originatorConversationId: String(result?.OriginatorConversationID || "").trim() || null,
+    accounts,
+    utilityAvailableKes: findAvailable(accounts, FLOAT_ACCOUNTS.b2c),
+    workingAvailableKes: findAvailable(accounts, FLOAT_ACCOUNTS.b2b),
+    // Never let clock skew date a snapshot into the future.
+    reportedAt: reportedAt && reportedAt < receivedAt ? reportedAt : receivedAt,
+    receivedAt,
+    raw: result,
+  });
+}
+
+/**
+ * Store the balances a successful B2C/B2B result reports for the paying shortcode.
+ * Call after the payout is saved: reportedAt is "now", so liquidity does not subtract
+ * this payout again as completed since the snapshot.
+ */
+async function recordPayoutResultBalance({ product, conversationId, utilityAvailableKes, workingAvailableKes, raw }) {
+  const shortcode = payoutShortcode(product);
+  if (!shortcode) return { recorded: false, reason: "unknown_shortcode" };
+  if (utilityAvailableKes === null && workingAvailableKes === null) {
+    return { recorded: false, reason: "no_balances" };
+  }
+
+  const accounts = [];
+  if (utilityAvailableKes !== null) {
+    accounts.push({ name: FLOAT_ACCOUNTS.b2c, currentKes: utilityAvailableKes, availableKes: utilityAvailableKes });
+  }
+  if (workingAvailableKes !== null) {
+    accounts.push({ name: FLOAT_ACCOUNTS.b2b, currentKes: workingAvailableKes, availableKes: workingAvailableKes });
+  }
+
+  const now = new Date();
+  return saveSnapshot({
+    shortcode,
+    source: product === "b2b" ? "b2b_result" : "b2c_result",
+    conversationId: String(conversationId || "").trim() || null,
+    accounts,
+    utilityAvailableKes,
+    workingAvailableKes,
+    reportedAt: now,
+    receivedAt: now,
+    raw,
+  });
+}
+
+async function saveSnapshot(doc) {
+  try {
+    const snapshot = await MpesaBalanceSnapshot.create(doc);
+    return { recorded: true, snapshot };
+  } catch (err) {
+    if (err?.code === 11000) return { recorded: false, reason: "duplicate" };
+    throw err;
+  }
+}
+
+/**
+ * Latest snapshot for a shortcode and whether it is older than MPESA_BALANCE_MAX_AGE_SECONDS.
+ */
+async function getLatestBalanceSnapshot(shortcode, { maxAgeSeconds = mpesaConfig.balance?.maxAgeSeconds || 900 } = {}) {
+  const snapshot = await MpesaBalanceSnapshot.findOne({ shortcode: String(shortcode || "").trim() })
+    .sort({ reportedAt: -1, _id: -1 })
+    .lean();
+  if (!snapshot) return { snapshot: null, stale: true, ageSeconds: null };
+
+  const ageSeconds = Math.max(0, Math.round((Date.now() - new Date(snapshot.reportedAt).getTime()) / 1000));
+  return { snapshot, stale: ageSeconds > maxAgeSeconds, ageSeconds };
+}
+
+module.exports = {
+  FLOAT_ACCOUNTS,
+  parseAccountBalance,
+  parseBoCompletedTime,
+  listFloatShortcodes,
+  requestAccountBalances,
+  recordAccountBalanceResult,
+  recordPayoutResultBalance,
+  getLatestBalanceSnapshot,
+};
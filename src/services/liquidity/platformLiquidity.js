@@ -1,8 +1,8 @@
 const { ethers } = require("ethers");
 const { mpesaConfig } = require("../../config/mpesa");
 const { MpesaTransaction } = require("../../models/MpesaTransaction");
-
-const ERC20_BALANCE_ABI = ["function balanceOf(address account) view returns (uint256)"];
+const { getChainAdapter, hasChainAccess } = require("../chain/chainAdapter");
+const { FLOAT_ACCOUNTS, getLatestBalanceSnapshot } = require("./accountBalance");
 
 const LIQUIDITY_CACHE_TTL_MS = Math.max(
   5,
@@ -11,6 +11,12 @@ const LIQUIDITY_CACHE_TTL_MS = Math.max(
 
 const OUTFLOW_FLOWS = ["offramp", "paybill", "buygoods"];
 
+// Offramp pays out over B2C; paybill/buygoods over B2B.
+const FLOAT_FLOWS = {
+  b2c: ["offramp"],
+  b2b: ["paybill", "buygoods"],
+};
+
 const ROUNDING_EPSILON = 1e-9;
 
 const cache = {
@@ -63,13 +69,12 @@ async function aggregateNumericSum({ match, fieldPath }) {
 
 async function getTreasuryOnchainBalance() {
   const treasury = mpesaConfig.treasury || {};
-  const rpcUrl = String(treasury.rpcUrl || "").trim();
   const treasuryAddress = String(treasury.address || "").trim().toLowerCase();
   const tokenAddress = String(treasury.usdcContract || "").trim();
   const decimals = Math.max(0, Math.min(18, Number(treasury.usdcDecimals || 6)));
   const chainId = Number(treasury.chainId || 0) || null;
 
-  if (!rpcUrl) {
+  if (!hasChainAccess(treasury)) {
     throw new Error("TREASURY_RPC_URL is not configured.");
   }
   if (!treasuryAddress || !/^0x[a-f0-9]{40}$/.test(treasuryAddress)) {
@@ -79,12 +84,10 @@ async function getTreasuryOnchainBalance() {
     throw new Error("TREASURY_USDC_CONTRACT is not configured correctly.");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl, chainId || undefined);
-  const token = new ethers.Contract(tokenAddress, ERC20_BALANCE_ABI, provider);
-
+  const chain = getChainAdapter(treasury);
   const [tokenUnits, nativeWei] = await Promise.all([
-    token.balanceOf(treasuryAddress),
-    provider.getBalance(treasuryAddress),
+    chain.getTokenBalance({ tokenAddress, owner: treasuryAddress }),
+    chain.getNativeBalance(treasuryAddress),
   ]);
 
   const tokenUnitsStr = tokenUnits.toString();
@@ -110,14 +113,16 @@ async function getMpesaTrackedBalance() {
   });
 
   const outflowSucceededKesPromise = aggregateNumericSum({
-    match: { flowType: { $in: OUTFLOW_FLOWS }, status: "succeeded" },
+    // Money stays paid out until a reversal actually completes.
+    match: { flowType: { $in: OUTFLOW_FLOWS }, status: { $in: ["succeeded", "reversal_pending"] } },
     fieldPath: "quote.expectedReceiveKes",
   });
 
   const reservedOutflowKesPromise = aggregateNumericSum({
     match: {
       flowType: { $in: OUTFLOW_FLOWS },
-      status: { $in: ["mpesa_submitted", "mpesa_processing"] },
+      // A payout in ops review may still have been paid, so its money stays reserved.
+      status: { $in: ["mpesa_submitted", "mpesa_processing", "ops_review"] },
     },
     fieldPath: "quote.expectedReceiveKes",
   });
@@ -150,6 +155,76 @@ async function getMpesaTrackedBalance() {
   };
 }
 
+function floatProductForFlow(flowType) {
+  return flowType === "offramp" ? "b2c" : "b2b";
+}
+
+/**
+ * Payout float for one product from its latest Account Balance snapshot:
+ * snapshot available balance, less payouts still in flight and payouts that succeeded after the
+ * snapshot, less the minimum reserve. Falls back to the tracked estimate when the snapshot is missing or stale.
+ */
+async function getMpesaPayoutFloat(product, tracked) {
+  const credentials = mpesaConfig.credentials || {};
+  const shortcode = (product === "b2b" ? credentials.b2bShortcode : credentials.b2cShortcode) || credentials.shortcode;
+  const account = FLOAT_ACCOUNTS[product];
+  const minReserveKes = getMpesaMinReserveKes();
+  const { snapshot, stale, ageSeconds } = shortcode
+    ? await getLatestBalanceSnapshot(shortcode)
+    : { snapshot: null, stale: true, ageSeconds: null };
+
+  const snapshotAvailableKes = snapshot
+    ? product === "b2b"
+      ? snapshot.workingAvailableKes
+      : snapshot.utilityAvailableKes
+    : null;
+
+  const base = {
+    product,
+    shortcode: shortcode || null,
+    account,
+    snapshotReportedAt: snapshot?.reportedAt || null,
+    snapshotAgeSeconds: ageSeconds,
+    minReserveKes: round(minReserveKes, 2),
+  };
+
+  if (!snapshot || stale || snapshotAvailableKes === null || snapshotAvailableKes === undefined) {
+    return {
+      ...base,
+      source: "tracked",
+      availableForPayoutKes: tracked.availableForPayoutKes,
+    };
+  }
+
+  const flows = FLOAT_FLOWS[product];
+  const [reservedOutflowKes, outflowSinceSnapshotKes] = await Promise.all([
+    aggregateNumericSum({
+      match: { flowType: { $in: flows }, status: { $in: ["mpesa_submitted", "mpesa_processing", "ops_review"] } },
+      fieldPath: "quote.expectedReceiveKes",
+    }),
+    aggregateNumericSum({
+      match: {
+        flowType: { $in: flows },
+        status: { $in: ["succeeded", "reversal_pending"] },
+        updatedAt: { $gt: new Date(snapshot.reportedAt) },
+      },
+      fieldPath: "quote.expectedReceiveKes",
+    }),
+  ]);
+
+  return {
+    ...base,
+    source: "snapshot",
+    snapshotAvailableKes: round(snapshotAvailableKes, 2),
+    reservedOutflowKes: round(reservedOutflowKes, 2),
+    outflowSinceSnapshotKes: round(outflowSinceSnapshotKes, 2),
+    availableForPayoutKes: round(
+      snapshotAvailableKes - reservedOutflowKes - outflowSinceSnapshotKes - minReserveKes,
+      2
+    ),
+  };
+}
+
 async function getReservedOnrampCreditUsd() {
   return aggregateNumericSum({
     match: {
@@ -178,6 +253,11 @@ async function computePlatformLiquidityState() {
     getReservedOnrampCreditUsd(),
   ]);
 
+  const [b2cFloat, b2bFloat] = await Promise.all([
+    getMpesaPayoutFloat("b2c", mpesaTracked),
+    getMpesaPayoutFloat("b2b", mpesaTracked),
+  ]);
+
   const reservedOnrampUsd = round(reservedOnrampUsdRaw, 6);
   const availableForOnrampUsd = round(
     treasuryOnchain.usdcBalanceUsd - reservedOnrampUsd,
@@ -194,6 +274,10 @@ async function computePlatformLiquidityState() {
     },
     mpesa: {
       ...mpesaTracked,
+      floats: {
+        b2c: b2cFloat,
+        b2b: b2bFloat,
+      },
     },
   };
 }
@@ -254,7 +338,8 @@ async function assertLiquidityForQuote({ flowType, quote, source = "unknown" })
 
   if (OUTFLOW_FLOWS.includes(normalizedFlow)) {
     const requiredKes = toSafeNumber(quote.expectedReceiveKes || quote.amountKes, 0);
-    const availableKes = toSafeNumber(state?.mpesa?.availableForPayoutKes, 0);
+    const float = state?.mpesa?.floats?.[floatProductForFlow(normalizedFlow)];
+    const availableKes = toSafeNumber(float ? float.availableForPayoutKes : state?.mpesa?.availableForPayoutKes, 0);
     if (requiredKes > availableKes + ROUNDING_EPSILON) {
       throw new Error(
         `Insufficient M-Pesa float: available KSh ${formatKes(
@@ -274,6 +359,7 @@ function clearPlatformLiquidityCache() {
 }
 
 module.exports = {
+  getMpesaPayoutFloat,
   getPlatformLiquidityState,
   assertLiquidityForQuote,
   clearPlatformLiquidityCache,
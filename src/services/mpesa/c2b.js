@@ -0,0 +1,211 @@
+const { mpesaConfig, ensureC2BConfigured } = require("../../config/mpesa");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { MpesaEvent } = require("../../models/MpesaEvent");
+const User = require("../../models/User");
+const { priceQuote } = require("./quoteService");
+const { assertTransition } = require("./stateMachine");
+const { buildC2BCallbackUrl } = require("./callbackUrls");
+const { registerC2BUrls } = require("./darajaClient");
+const { requestTransactionStatus } = require("./transactionStatus");
+
+// Daraja C2B validation result codes.
+const C2B_ACCEPT = { ResultCode: "0", ResultDesc: "Accepted" };
+const C2B_REJECT_ACCOUNT = { ResultCode: "C2B00012", ResultDesc: "Rejected: unknown DotPay ID" };
+const C2B_REJECT_AMOUNT = { ResultCode: "C2B00013", ResultDesc: "Rejected: invalid amount" };
+const C2B_REJECT_SHORTCODE = { ResultCode: "C2B00015", ResultDesc: "Rejected: invalid shortcode" };
+
+function normalizeAccountReference(value) {
+  return String(value || "").replace(/\s+/g, "").toUpperCase();
+}
+
+function normalizePhone(value) {
+  const phone = String(value || "").replace(/[^\d]/g, "");
+  // Newer C2B payloads mask or hash the MSISDN; keep only a usable number.
+  return /^2547\d{8}$|^2541\d{8}$/.test(phone) ? phone : null;
+}
+
+function isOurShortcode(value) {
+  const shortcode = String(value ?? "").trim();
+  return Boolean(shortcode) && shortcode === mpesaConfig.credentials.c2bShortcode;
+}
+
+function isValidEvmAddress(address) {
+  return /^0x[a-f0-9]{40}$/.test(String(address || "").trim().toLowerCase());
+}
+
+/**
+ * C2B TransTime is `yyyyMMddHHmmss` in Nairobi time (UTC+3).
+ */
+function parseTransTime(value) {
+  const match = String(value ?? "").trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const [, yyyy, mm, dd, hh, min, sec] = match;
+  const date = new Date(`${yyyy}-${mm}-${dd}T${hh}:${min}:${sec}+03:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+async function findUserByAccountReference(reference) {
+  if (!reference) return null;
+  const user = await User.findOne({ dotpayId: reference });
+  return user && isValidEvmAddress(user.address) ? user : null;
+}
+
+/**
+ * Decide a C2B validation request: the account number must be a known DotPay ID and the
+ * amount within the paybill top up limits. Returns the Daraja response body.
+ */
+async function validateC2BPayment(body) {
+  if (!isOurShortcode(body?.BusinessShortCode)) return C2B_REJECT_SHORTCODE;
+
+  const amountKes = Number(body?.TransAmount);
+  if (
+    !Number.isFinite(amountKes) ||
+    amountKes < mpesaConfig.c2b.minAmountKes ||
+    amountKes > mpesaConfig.limits.maxTxnKes
+  ) {
+    return C2B_REJECT_AMOUNT;
+  }
+
+  const user = await findUserByAccountReference(normalizeAccountReference(body?.BillRefNumber));
+  if (!user) return C2B_REJECT_ACCOUNT;
+
+  return C2B_ACCEPT;
+}
+
+async function saveC2BEvent({ eventKey, transactionId, eventType, payload }) {
+  try {
+    await MpesaEvent.create({
+      eventKey,
+      transactionId,
+      eventType,
+      source: "webhook",
+      payload,
+      receivedAt: new Date(),
+    });
+    return true;
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Turn a C2B confirmation into an onramp transaction and ask M-Pesa to confirm the receipt with a
+ * Transaction Status query. The confirmation itself is never trusted: the USDC credit (the same
+ * onramp.credit job an STK top up uses) is queued only once the status result confirms the payment.
+ * Returns { outcome: "created" | "duplicate" | "unmatched" | "invalid", tx? }.
+ */
+async function recordC2BConfirmation(body) {
+  const receiptNumber = String(body?.TransID || "").trim().toUpperCase();
+  const amountKes = Number(body?.TransAmount);
+  if (!receiptNumber || !Number.isFinite(amountKes) || amountKes <= 0 || !isOurShortcode(body?.BusinessShortCode)) {
+    return { outcome: "invalid" };
+  }
+
+  const reference = normalizeAccountReference(body?.BillRefNumber);
+  const user = await findUserByAccountReference(reference);
+  if (!user) {
+    // Money already arrived (validation off or bypassed). Keep it for ops to resolve by hand.
+    await saveC2BEvent({
+      eventKey: `c2b_unmatched:${receiptNumber}`,
+      transactionId: receiptNumber,
+      eventType: "c2b_unmatched",
+      payload: body,
+    });
+    return { outcome: "unmatched" };
+  }
+
+  const userAddress = String(user.address).trim().toLowerCase();
+  const tx = new MpesaTransaction({
+    flowType: "onramp",
+    userAddress,
+    quote: await priceQuote({ flowType: "onramp", amount: amountKes, currency: "KES" }),
+    targets: {
+      phoneNumber: normalizePhone(body?.MSISDN),
+      paybillNumber: String(body?.BusinessShortCode || "").trim() || null,
+      accountReference: reference,
+    },
+    onchain: {
+      required: false,
+      toAddress: userAddress,
+    },
+    metadata: {
+      source: "c2b",
+      extra: {
+        topupWalletAddress: userAddress,
+        c2b: {
+          transactionType: String(body?.TransactionType || "").trim() || null,
+          paidAt: parseTransTime(body?.TransTime),
+          payerFirstName: String(body?.FirstName || "").trim() || null,
+          // pending -> verified | rejected, set by the Transaction Status result.
+          verification: "pending",
+        },
+      },
+    },
+  });
+
+  const eventKey = `c2b_confirmation:${receiptNumber}`;
+  const inserted = await saveC2BEvent({
+    eventKey,
+    transactionId: tx.transactionId,
+    eventType: "c2b_confirmation",
+    payload: body,
+  });
+  if (!inserted) {
+    const existing = await MpesaTransaction.findOne({ flowType: "onramp", "daraja.receiptNumber": receiptNumber });
+    return { outcome: "duplicate", tx: existing };
+  }
+
+  assertTransition(tx, "quoted", "C2B paybill payment received", "webhook");
+  assertTransition(tx, "mpesa_submitted", "C2B confirmation", "webhook");
+  assertTransition(tx, "mpesa_processing", "Waiting for M-Pesa to confirm the receipt", "webhook");
+  // No resultCode until the receipt is confirmed, so the credit sweeps leave this topup alone.
+  tx.daraja = {
+    resultDesc: "C2B confirmation",
+    receiptNumber,
+    rawCallback: body,
+    callbackReceivedAt: new Date(),
+  };
+
+  try {
+    await tx.save();
+  } catch (err) {
+    // Let Daraja's retry of this confirmation try again.
+    await MpesaEvent.deleteOne({ eventKey });
+    throw err;
+  }
+
+  // A query that fails to send is retried by the reconcile sweep.
+  await requestTransactionStatus(tx);
+  await tx.save();
+  return { outcome: "created", tx };
+}
+
+/**
+ * Register our validation/confirmation URLs for the C2B paybill.
+ */
+async function registerC2BCallbackUrls() {
+  ensureC2BConfigured();
+  const confirmationUrl = buildC2BCallbackUrl("c2b_confirmation");
+  const validationUrl = buildC2BCallbackUrl("c2b_validation");
+  const response = await registerC2BUrls({
+    confirmationUrl,
+    validationUrl,
+    responseType: mpesaConfig.c2b.responseType,
+  });
+
+  return {
+    ok: response.ok && String(response.data?.ResponseCode ?? "0") === "0" && !response.data?.errorCode,
+    shortcode: mpesaConfig.credentials.c2bShortcode,
+    confirmationUrl,
+    validationUrl,
+    response: response.data,
+  };
+}
+
+module.exports = {
+  normalizeAccountReference,
+  validateC2BPayment,
+  recordC2BConfirmation,
+  registerC2BCallbackUrls,
+};
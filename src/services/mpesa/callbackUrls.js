@@ -0,0 +1,56 @@
+const { mpesaConfig } = require("../../config/mpesa");
+
+const CALLBACK_PATHS = {
+  stk: ["result", "/api/mpesa/webhooks/stk"],
+  b2c_result: ["result", "/api/mpesa/webhooks/b2c/result"],
+  b2c_timeout: ["timeout", "/api/mpesa/webhooks/b2c/timeout"],
+  b2b_result: ["result", "/api/mpesa/webhooks/b2b/result"],
+  b2b_timeout: ["timeout", "/api/mpesa/webhooks/b2b/timeout"],
+  status_result: ["result", "/api/mpesa/webhooks/transaction-status/result"],
+  status_timeout: ["timeout", "/api/mpesa/webhooks/transaction-status/timeout"],
+  reversal_result: ["result", "/api/mpesa/webhooks/reversal/result"],
+  reversal_timeout: ["timeout", "/api/mpesa/webhooks/reversal/timeout"],
+  balance_result: ["result", "/api/mpesa/webhooks/account-balance/result"],
+  balance_timeout: ["timeout", "/api/mpesa/webhooks/account-balance/timeout"],
+  // Daraja refuses C2B URLs containing "mpesa", so these live outside /api/mpesa.
+  c2b_validation: ["result", "/api/c2b/validation"],
+  c2b_confirmation: ["result", "/api/c2b/confirmation"],
+};
+
+function resolveCallback(kind) {
+  const entry = CALLBACK_PATHS[kind];
+  if (!entry) throw new Error(`Unknown callback kind: ${kind}`);
+
+  const [base, path] = entry;
+  const baseUrl = base === "timeout" ? mpesaConfig.callbacks.timeoutBaseUrl : mpesaConfig.callbacks.resultBaseUrl;
+  return `${baseUrl}${path}`;
+}
+
+/**
+ * Daraja callback URL for a transaction. `?tx=` lets the webhook find the transaction
+ * even when Daraja's conversation IDs do not match what we stored.
+ */
+function buildCallbackUrl(kind, tx) {
+  return `${resolveCallback(kind)}?tx=${encodeURIComponent(tx.transactionId)}`;
+}
+
+/**
+ * Account Balance callbacks are not tied to a transaction; `?shortcode=` says which float answered.
+ */
+function buildBalanceCallbackUrl(kind, shortcode) {
+  return `${resolveCallback(kind)}?shortcode=${encodeURIComponent(shortcode)}`;
+}
+
+/**
+ * C2B validation/confirmation URLs are registered once per shortcode, without a transaction.
+ * They carry the C2B webhook secret, which /api/c2b requires.
+ */
+function buildC2BCallbackUrl(kind) {
+  return `${resolveCallback(kind)}?secret=${encodeURIComponent(mpesaConfig.c2b.webhookSecret)}`;
+}
+
+module.exports = {
+  buildCallbackUrl,
+  buildBalanceCallbackUrl,
+  buildC2BCallbackUrl,
+};
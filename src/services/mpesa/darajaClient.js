@@ -74,6 +74,24 @@ async function initiateStkPush({
   return darajaRequest(mpesaConfig.endpoints.stkPush, payload);
 }
 
+async function queryStkPushStatus({ checkoutRequestId }) {
+  const shortcode = mpesaConfig.credentials.stkShortcode || mpesaConfig.credentials.shortcode;
+  const passkey = mpesaConfig.credentials.passkey;
+  if (!shortcode) throw new Error("Missing M-Pesa STK shortcode (MPESA_STK_SHORTCODE).");
+  if (!passkey) throw new Error("Missing M-Pesa passkey (MPESA_PASSKEY).");
+  if (!checkoutRequestId) throw new Error("checkoutRequestId is required for STK push query.");
+  const timestamp = nowTimestamp();
+
+  const payload = {
+    BusinessShortCode: shortcode,
+    Password: buildStkPassword(shortcode, passkey, timestamp),
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestId,
+  };
+
+  return darajaRequest(mpesaConfig.endpoints.stkQuery, payload);
+}
+
 async function initiateB2C({
   amountKes,
   phoneNumber,
@@ -162,20 +180,45 @@ async function initiateB2B({
   return darajaRequest(mpesaConfig.endpoints.b2bPayment, payload);
 }
 
-async function queryTransactionStatus({ transactionReceipt, originatorConversationId }) {
-  const shortcode = mpesaConfig.credentials.b2cShortcode || mpesaConfig.credentials.shortcode;
-  const initiatorName = mpesaConfig.credentials.b2cInitiatorName || mpesaConfig.credentials.initiatorName;
-  const securityCredential = mpesaConfig.credentials.b2cSecurityCredential || mpesaConfig.credentials.securityCredential;
+/**
+ * TransactionStatusQuery for a payout or a paybill receipt. `product` picks the shortcode/initiator
+ * ("b2c" for offramp, "b2b" for paybill/buygoods, "c2b" for paybill topups). The final answer arrives on `resultUrl`.
+ */
+async function queryTransactionStatus({
+  transactionReceipt,
+  originatorConversationId,
+  resultUrl,
+  timeoutUrl,
+  product = "b2c",
+}) {
+  const credentials = mpesaConfig.credentials;
+  let shortcode;
+  let initiatorName;
+  let securityCredential;
+  if (product === "c2b") {
+    // Paybill receipts are looked up on the paybill that received them.
+    shortcode = credentials.c2bShortcode;
+    initiatorName = credentials.initiatorName;
+    securityCredential = credentials.securityCredential;
+  } else {
+    const isB2B = product === "b2b";
+    shortcode = (isB2B ? credentials.b2bShortcode : credentials.b2cShortcode) || credentials.shortcode;
+    initiatorName = (isB2B ? credentials.b2bInitiatorName : credentials.b2cInitiatorName) || credentials.initiatorName;
+    securityCredential =
+      (isB2B ? credentials.b2bSecurityCredential : credentials.b2cSecurityCredential) || credentials.securityCredential;
+  }
+  if (!resultUrl || !timeoutUrl) throw new Error("resultUrl and timeoutUrl are required for transaction status queries.");
+
   const payload = {
     Initiator: initiatorName,
     SecurityCredential: securityCredential,
     CommandID: "TransactionStatusQuery",
-    TransactionID: transactionReceipt,
+    TransactionID: transactionReceipt || "",
     OriginalConversationID: originatorConversationId,
     PartyA: shortcode,
     IdentifierType: "4",
-    ResultURL: `${mpesaConfig.callbacks.resultBaseUrl}/api/mpesa/webhooks/b2c/result`,
-    QueueTimeOutURL: `${mpesaConfig.callbacks.timeoutBaseUrl}/api/mpesa/webhooks/b2c/timeout`,
+    ResultURL: resultUrl,
+    QueueTimeOutURL: timeoutUrl,
     Remarks: "DotPay reconcile",
     Occasion: "DotPay reconcile",
   };
@@ -183,11 +226,87 @@ async function queryTransactionStatus({ transactionReceipt, originatorConversati
   return darajaRequest(mpesaConfig.endpoints.transactionStatus, payload);
 }
 
+/**
+ * AccountBalance query for the B2C or B2B shortcode. The balances arrive on `resultUrl`.
+ */
+async function queryAccountBalance({ resultUrl, timeoutUrl, product = "b2c" }) {
+  const isB2B = product === "b2b";
+  const credentials = mpesaConfig.credentials;
+  const shortcode = (isB2B ? credentials.b2bShortcode : credentials.b2cShortcode) || credentials.shortcode;
+  const initiatorName = (isB2B ? credentials.b2bInitiatorName : credentials.b2cInitiatorName) || credentials.initiatorName;
+  const securityCredential =
+    (isB2B ? credentials.b2bSecurityCredential : credentials.b2cSecurityCredential) || credentials.securityCredential;
+  if (!resultUrl || !timeoutUrl) throw new Error("resultUrl and timeoutUrl are required for account balance queries.");
+
+  const payload = {
+    Initiator: initiatorName,
+    SecurityCredential: securityCredential,
+    CommandID: "AccountBalance",
+    PartyA: shortcode,
+    IdentifierType: "4",
+    Remarks: "DotPay float check",
+    QueueTimeOutURL: timeoutUrl,
+    ResultURL: resultUrl,
+  };
+
+  return darajaRequest(mpesaConfig.endpoints.accountBalance, payload);
+}
+
+/**
+ * TransactionReversal of a completed B2C payout identified by its M-Pesa receipt.
+ */
+async function reverseTransaction({ transactionReceipt, amountKes, resultUrl, timeoutUrl, remarks }) {
+  const credentials = mpesaConfig.credentials;
+  const shortcode = credentials.b2cShortcode || credentials.shortcode;
+  const initiatorName = credentials.b2cInitiatorName || credentials.initiatorName;
+  const securityCredential = credentials.b2cSecurityCredential || credentials.securityCredential;
+  if (!transactionReceipt) throw new Error("transactionReceipt is required for reversals.");
+  if (!resultUrl || !timeoutUrl) throw new Error("resultUrl and timeoutUrl are required for reversals.");
+
+  const payload = {
+    Initiator: initiatorName,
+    SecurityCredential: securityCredential,
+    CommandID: "TransactionReversal",
+    TransactionID: transactionReceipt,
+    Amount: Math.max(1, Math.round(Number(amountKes))),
+    ReceiverParty: shortcode,
+    // Daraja's field name really is misspelled.
+    RecieverIdentifierType: "11",
+    ResultURL: resultUrl,
+    QueueTimeOutURL: timeoutUrl,
+    Remarks: remarks || "DotPay reversal",
+    Occasion: "DotPay reversal",
+  };
+
+  return darajaRequest(mpesaConfig.endpoints.reversal, payload);
+}
+
+/**
+ * Register the C2B validation and confirmation URLs for the paybill.
+ */
+async function registerC2BUrls({ confirmationUrl, validationUrl, responseType = "Cancelled" }) {
+  const shortcode = mpesaConfig.credentials.c2bShortcode || mpesaConfig.credentials.shortcode;
+  if (!confirmationUrl || !validationUrl) throw new Error("confirmationUrl and validationUrl are required.");
+
+  const payload = {
+    ShortCode: shortcode,
+    ResponseType: responseType,
+    ConfirmationURL: confirmationUrl,
+    ValidationURL: validationUrl,
+  };
+
+  return darajaRequest(mpesaConfig.endpoints.c2bRegisterUrl, payload);
+}
+
 module.exports = {
   nowTimestamp,
   buildStkPassword,
   initiateStkPush,
+  queryStkPushStatus,
   initiateB2C,
   initiateB2B,
   queryTransactionStatus,
+  queryAccountBalance,
+  reverseTransaction,
+  registerC2BUrls,
 };
@@ -0,0 +1,571 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { MpesaPayoutBatch } = require("../../models/MpesaPayoutBatch");
+const { buildQuote, resolvePricing, rateFromQuote } = require("./quoteService");
+const { assertTransition } = require("./stateMachine");
+const { submitB2CPayout } = require("./payoutService");
+const { requestTransactionStatus } = require("./transactionStatus");
+const { executeRefund, getBatchExcessFundingUsd } = require("./refundService");
+const { enqueueBatchExcessRefund } = require("../jobs/enqueue");
+const {
+  calculateExpectedFundingFromQuote,
+  verifyUsdcFunding,
+} = require("../settlement/verifyUsdcFunding");
+const { hasChainAccess } = require("../chain/chainAdapter");
+
+const PHONE_COLUMNS = ["phone", "phonenumber", "msisdn", "mobile"];
+const AMOUNT_COLUMNS = ["amount", "amountkes", "kes"];
+const REFERENCE_COLUMNS = ["reference", "ref", "remarks"];
+const NAME_COLUMNS = ["name", "recipient", "recipientname"];
+
+const SETTLED_BATCH_STATUSES = ["completed", "partially_failed", "failed"];
+// An excess refund left `pending` this long, e.g. after a crash mid-transfer, may be claimed again.
+const STALE_EXCESS_REFUND_MS = 15 * 60 * 1000;
+
+const REPORT_COLUMNS = [
+  "index",
+  "phoneNumber",
+  "name",
+  "reference",
+  "amountKes",
+  "status",
+  "transactionId",
+  "receiptNumber",
+  "resultDesc",
+  "refundStatus",
+  "refundTxHash",
+];
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function normalizePhone(value) {
+  const phone = String(value || "").trim().replace(/[\s()+-]/g, "");
+  // Spreadsheets often drop the country code.
+  if (/^0[17]\d{8}$/.test(phone)) return `254${phone.slice(1)}`;
+  return phone;
+}
+
+function optionalText(value, maxLength) {
+  const text = String(value ?? "").trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF line endings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text || "");
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => String(cell).trim() !== ""));
+}
+
+function csvRowsToItems(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("csv is empty.");
+
+  const columns = header.map((h) => String(h).trim().toLowerCase().replace(/[\s_-]/g, ""));
+  const find = (names) => columns.findIndex((c) => names.includes(c));
+  const phoneCol = find(PHONE_COLUMNS);
+  const amountCol = find(AMOUNT_COLUMNS);
+  if (phoneCol < 0 || amountCol < 0) {
+    throw new Error("csv header must include phone and amount columns.");
+  }
+  const referenceCol = find(REFERENCE_COLUMNS);
+  const nameCol = find(NAME_COLUMNS);
+
+  return rows.map((cells) => ({
+    phoneNumber: cells[phoneCol],
+    amount: cells[amountCol],
+    reference: referenceCol >= 0 ? cells[referenceCol] : null,
+    name: nameCol >= 0 ? cells[nameCol] : null,
+  }));
+}
+
+/**
+ * Normalize a recipient list given as `items` (JSON) or `csv` (text with a header row).
+ * Throws one error listing every invalid row.
+ */
+function parseBatchItems({ items, csv } = {}) {
+  let raw = null;
+  if (Array.isArray(items)) raw = items;
+  else if (typeof csv === "string" && csv.trim()) raw = csvRowsToItems(csv);
+  else throw new Error("Provide items (array) or csv (text).");
+
+  const { maxItems, minItemKes } = mpesaConfig.batch;
+  if (raw.length === 0) throw new Error("Batch has no recipients.");
+  if (raw.length > maxItems) throw new Error(`Batch exceeds ${maxItems} recipients.`);
+
+  const errors = [];
+  const parsed = raw.map((entry, i) => {
+    const index = i + 1;
+    const phoneNumber = normalizePhone(entry?.phoneNumber ?? entry?.phone);
+    const amountKes = Number(String(entry?.amount ?? entry?.amountKes ?? "").replace(/,/g, ""));
+
+    if (!/^254\d{9}$/.test(phoneNumber)) {
+      errors.push(`row ${index}: phoneNumber must be in 2547XXXXXXXX format`);
+    }
+    if (!Number.isFinite(amountKes) || amountKes < minItemKes || amountKes > mpesaConfig.limits.maxTxnKes) {
+      errors.push(`row ${index}: amount must be between ${minItemKes} and ${mpesaConfig.limits.maxTxnKes} KES`);
+    } else if (!Number.isInteger(amountKes)) {
+      errors.push(`row ${index}: amount must be whole shillings`);
+    }
+
+    return {
+      index,
+      phoneNumber,
+      amountKes,
+      reference: optionalText(entry?.reference, 40),
+      name: optionalText(entry?.name, 80),
+    };
+  });
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 10).join("; ");
+    throw new Error(errors.length > 10 ? `${shown}; and ${errors.length - 10} more` : shown);
+  }
+  return parsed;
+}
+
+function applyBatchFundingDefaults(batch) {
+  const required = Boolean(mpesaConfig.settlement?.requireOnchainFunding);
+  const treasuryAddress = String(mpesaConfig.treasury?.address || "").trim().toLowerCase();
+  const tokenAddress = String(mpesaConfig.treasury?.usdcContract || "").trim().toLowerCase();
+
+  batch.onchain = batch.onchain || {};
+  batch.onchain.required = required;
+  batch.onchain.tokenAddress = tokenAddress || null;
+  batch.onchain.treasuryAddress = treasuryAddress || null;
+  batch.onchain.chainId = Number(mpesaConfig.treasury?.chainId) || null;
+
+  if (!required) {
+    batch.onchain.verificationStatus = "not_required";
+    batch.onchain.expectedAmountUsd = 0;
+    batch.onchain.expectedAmountUnits = null;
+    return;
+  }
+
+  if (!tokenAddress || !treasuryAddress) {
+    throw new Error(
+      "Treasury settlement is not configured. Set TREASURY_USDC_CONTRACT and TREASURY_PLATFORM_ADDRESS (or TREASURY_PRIVATE_KEY)."
+    );
+  }
+  if (!hasChainAccess(mpesaConfig.treasury)) {
+    throw new Error("TREASURY_RPC_URL is required when on-chain funding is enabled.");
+  }
+
+  const { expectedUnitsString, expectedUsd } = calculateExpectedFundingFromQuote(
+    batch.quote,
+    mpesaConfig.treasury?.usdcDecimals
+  );
+  batch.onchain.verificationStatus = "pending";
+  batch.onchain.expectedAmountUsd = expectedUsd;
+  batch.onchain.expectedAmountUnits = expectedUnitsString;
+}
+
+/**
+ * Quote a list of recipients as one batch. Every item is priced at the batch rate and fee
+ * schedule, and the per-item USDC shares add up to the single funding transfer. The fee is
+ * charged per item, the network fee once.
+ */
+async function createPayoutBatch({ userAddress, businessId = null, label = null, items }) {
+  const { rate, feeSchedule, networkFee } = await resolvePricing("offramp");
+  const pricedItems = items.map((item) => {
+    const itemQuote = buildQuote({ flowType: "offramp", amount: item.amountKes, currency: "KES", rate, feeSchedule });
+    return {
+      ...item,
+      feeKes: itemQuote.feeAmountKes,
+      amountUsd: round2(itemQuote.totalDebitKes / itemQuote.rateKesPerUsd),
+      status: "pending",
+    };
+  });
+
+  const totalKes = items.reduce((sum, item) => sum + item.amountKes, 0);
+  const quote = buildQuote({ flowType: "offramp", amount: totalKes, currency: "KES", rate, networkFee });
+  quote.feeAmountKes = round2(pricedItems.reduce((sum, item) => sum + item.feeKes, 0));
+  quote.totalDebitKes = round2(quote.amountKes + quote.feeAmountKes + quote.networkFeeKes);
+  quote.feeBreakdown = {
+    flowType: "offramp",
+    scheduleVersion: Number(feeSchedule?.version || 0),
+    perItem: true,
+    itemCount: pricedItems.length,
+    feeAmountKes: quote.feeAmountKes,
+    networkFee: quote.feeBreakdown.networkFee,
+  };
+
+  // Shares are rounded to cents on their own; the last item takes the remainder (and the network
+  // fee) so the shares add up to the funding transfer exactly and refunds can never exceed it.
+  const { expectedUsd: fundingUsd } = calculateExpectedFundingFromQuote(quote, mpesaConfig.treasury?.usdcDecimals);
+  const last = pricedItems[pricedItems.length - 1];
+  const othersUsd = pricedItems.slice(0, -1).reduce((sum, item) => sum + item.amountUsd, 0);
+  last.amountUsd = Math.round((fundingUsd - othersUsd) * 1e6) / 1e6;
+
+  const batch = new MpesaPayoutBatch({
+    userAddress,
+    businessId,
+    label,
+    quote,
+    items: pricedItems,
+  });
+  applyBatchFundingDefaults(batch);
+  await batch.save();
+  return batch;
+}
+
+/**
+ * Verify the one USDC transfer that funds the whole batch. The hash cannot be reused by
+ * another batch or a single payout.
+ */
+async function verifyBatchFunding(batch, { expectedFromAddress, onchainTxHash, chainId }) {
+  if (!batch.onchain?.required) {
+    batch.onchain = { ...(batch.onchain || {}), verificationStatus: "not_required" };
+    return;
+  }
+
+  const txHash = String(onchainTxHash || batch.onchain?.txHash || "").trim().toLowerCase();
+  if (!txHash) throw new Error("onchainTxHash is required before M-Pesa submission.");
+
+  const [usedByTx, usedByBatch] = await Promise.all([
+    MpesaTransaction.findOne({ "onchain.txHash": txHash }).select({ transactionId: 1 }),
+    MpesaPayoutBatch.findOne({ _id: { $ne: batch._id }, "onchain.txHash": txHash }).select({ batchId: 1 }),
+  ]);
+  if (usedByTx || usedByBatch) {
+    throw new Error("This on-chain funding transaction is already linked to another payout.");
+  }
+
+  try {
+    const verified = await verifyUsdcFunding({
+      txHash,
+      expectedFromAddress,
+      providedChainId: chainId,
+      expectedMinAmountUnits: BigInt(String(batch.onchain.expectedAmountUnits || "0")),
+    });
+    batch.onchain = {
+      ...(batch.onchain || {}),
+      txHash: verified.txHash,
+      chainId: verified.chainId,
+      tokenAddress: verified.tokenAddress,
+      treasuryAddress: verified.treasuryAddress,
+      verificationStatus: "verified",
+      verificationError: null,
+      fundedAmountUnits: verified.fundedAmountUnits,
+      fundedAmountUsd: verified.fundedAmountUsd,
+      fromAddress: verified.fromAddress,
+      toAddress: verified.toAddress,
+      verifiedAt: new Date(),
+    };
+  } catch (err) {
+    batch.onchain = {
+      ...(batch.onchain || {}),
+      txHash,
+      verificationStatus: "failed",
+      verificationError: err.message,
+      verifiedAt: new Date(),
+    };
+    await batch.save();
+    throw err;
+  }
+}
+
+/**
+ * Move an authorized, funded batch from quoted to processing. Only one of several concurrent
+ * submits wins; returns the claimed batch, or null when another request got there first.
+ */
+async function claimBatchSubmission(batch, { idempotencyKey }) {
+  const { authorization, onchain } = batch.toObject();
+  return MpesaPayoutBatch.findOneAndUpdate(
+    { _id: batch._id, status: "quoted" },
+    { $set: { status: "processing", submittedAt: new Date(), idempotencyKey, authorization, onchain } },
+    { new: true }
+  );
+}
+
+function itemStatusForTransaction(tx) {
+  switch (tx.status) {
+    case "mpesa_submitted":
+    case "mpesa_processing":
+    case "ops_review":
+      return "processing";
+    case "succeeded":
+    case "reversal_pending":
+      return "succeeded";
+    case "failed":
+    case "refund_pending":
+      return "failed";
+    case "refunded":
+      return tx.reversal?.status === "completed" ? "reversed" : "refunded";
+    case "reversed":
+      return "reversed";
+    default:
+      return "pending";
+  }
+}
+
+/**
+ * Create (once) the MpesaTransaction behind a batch item. Keyed by `<batchId>:<index>` so
+ * a retried disbursement finds the transaction it already created.
+ */
+async function findOrCreateItemTransaction(batch, item) {
+  const idempotencyKey = `${batch.batchId}:${item.index}`;
+  const existing = await MpesaTransaction.findOne({ userAddress: batch.userAddress, flowType: "offramp", idempotencyKey });
+  if (existing) return existing;
+
+  const quote = buildQuote({
+    flowType: "offramp",
+    amount: item.amountKes,
+    currency: "KES",
+    rate: rateFromQuote(batch.quote),
+  });
+  // Charge the fee fixed when the batch was quoted, not whatever the schedule says today.
+  quote.feeAmountKes = Number(item.feeKes || 0);
+  quote.totalDebitKes = round2(quote.amountKes + quote.feeAmountKes);
+  quote.feeBreakdown = {
+    batchId: batch.batchId,
+    scheduleVersion: batch.quote?.feeBreakdown?.scheduleVersion ?? 0,
+    feeAmountKes: quote.feeAmountKes,
+  };
+  // The batch was authorized and funded before its quote expired; keep the quote expiry
+  // sweep away from items still waiting for the fan-out.
+  quote.expiresAt = null;
+  const funded = batch.onchain?.verificationStatus === "verified";
+
+  const tx = new MpesaTransaction({
+    flowType: "offramp",
+    status: "quoted",
+    userAddress: batch.userAddress,
+    businessId: batch.businessId,
+    batchId: batch.batchId,
+    idempotencyKey,
+    quote,
+    targets: { phoneNumber: item.phoneNumber },
+    authorization: batch.authorization,
+    // The batch's funding transfer covers this item; refunds go back to the funder.
+    onchain: {
+      required: Boolean(batch.onchain?.required),
+      verificationStatus: funded ? "verified" : "not_required",
+      chainId: batch.onchain?.chainId || null,
+      tokenAddress: batch.onchain?.tokenAddress || null,
+      treasuryAddress: batch.onchain?.treasuryAddress || null,
+      expectedAmountUsd: funded ? item.amountUsd : 0,
+      fundedAmountUsd: funded ? item.amountUsd : 0,
+      fromAddress: batch.onchain?.fromAddress || null,
+      toAddress: batch.onchain?.toAddress || null,
+      verifiedBy: funded ? "batch" : null,
+      verifiedAt: funded ? batch.onchain.verifiedAt : null,
+    },
+    history: [{ from: "created", to: "quoted", reason: `Batch ${batch.batchId} item ${item.index}`, source: "batch" }],
+    metadata: {
+      source: "batch",
+      extra: {
+        batchId: batch.batchId,
+        batchItem: item.index,
+        fundingTxHash: batch.onchain?.txHash || null,
+        reference: item.reference,
+        recipientName: item.name,
+      },
+    },
+  });
+  assertTransition(tx, "awaiting_user_authorization", "Authorized with batch", "batch");
+  await tx.save();
+  return tx;
+}
+
+/**
+ * Submit every pending item of a processing batch as its own B2C payout. Safe to re-run:
+ * items that already have a submitted transaction are never resubmitted; one left in
+ * `mpesa_submitted` by a crash gets a Transaction Status query instead.
+ * Returns { batch, submitted, rejected } where `rejected` are transactions needing a refund.
+ */
+async function disbursePayoutBatch(batchId) {
+  const batch = await MpesaPayoutBatch.findOne({ batchId: String(batchId || "").trim().toUpperCase() });
+  if (!batch) throw new Error(`Batch ${batchId} not found.`);
+  if (batch.status !== "processing") return { batch, submitted: 0, rejected: [] };
+
+  let submitted = 0;
+  const rejected = [];
+  for (const item of batch.items) {
+    if (item.status !== "pending") continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const tx = await findOrCreateItemTransaction(batch, item);
+    if (tx.status === "awaiting_user_authorization") {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await submitB2CPayout(tx, {
+        remarks: item.reference || "DotPay bulk payout",
+        occasion: batch.label || "DotPay bulk payout",
+      });
+      if (result.accepted) submitted += 1;
+      else rejected.push(tx);
+    } else if (tx.status === "mpesa_submitted") {
+      // Sent before a crash and Daraja's answer was never recorded: ask M-Pesa instead of paying twice.
+      // eslint-disable-next-line no-await-in-loop
+      await requestTransactionStatus(tx);
+      // eslint-disable-next-line no-await-in-loop
+      await tx.save();
+    }
+
+    item.transactionId = tx.transactionId;
+    item.status = itemStatusForTransaction(tx);
+    item.resultDesc = tx.daraja?.resultDesc || tx.daraja?.responseDescription || null;
+    // Persist progress per item so a crash does not resubmit.
+    // eslint-disable-next-line no-await-in-loop
+    await batch.save();
+  }
+
+  await syncPayoutBatch(batch);
+  return { batch, submitted, rejected };
+}
+
+/**
+ * Refresh item statuses from their transactions (results arrive on the normal B2C webhooks)
+ * and roll them up into the batch status and summary.
+ */
+async function syncPayoutBatch(batch) {
+  if (batch.status === "quoted") return batch;
+
+  const txs = await MpesaTransaction.find({ batchId: batch.batchId });
+  const byId = new Map(txs.map((tx) => [tx.transactionId, tx]));
+
+  const summary = { pending: 0, processing: 0, succeeded: 0, failed: 0, refunded: 0, reversed: 0, succeededKes: 0, failedKes: 0 };
+  for (const item of batch.items) {
+    const tx = item.transactionId ? byId.get(item.transactionId) : null;
+    if (tx) {
+      item.status = itemStatusForTransaction(tx);
+      item.receiptNumber = tx.daraja?.receiptNumber || null;
+      item.resultDesc = tx.daraja?.resultDesc || tx.daraja?.responseDescription || null;
+      item.refundStatus = tx.refund?.status || "none";
+      item.refundTxHash = tx.refund?.txHash || null;
+    }
+    summary[item.status] += 1;
+    if (item.status === "succeeded") summary.succeededKes += item.amountKes;
+    if (["failed", "refunded"].includes(item.status)) summary.failedKes += item.amountKes;
+  }
+  batch.summary = summary;
+
+  const open = summary.pending + summary.processing;
+  const settling = open === 0 && batch.status === "processing";
+  if (settling) {
+    const failed = summary.failed + summary.refunded;
+    if (failed === 0) batch.status = "completed";
+    else if (failed === batch.items.length) batch.status = "failed";
+    else batch.status = "partially_failed";
+    batch.completedAt = new Date();
+  }
+
+  await batch.save();
+  if (settling) await enqueueBatchExcessRefund(batch);
+  return batch;
+}
+
+/**
+ * Return USDC funded above a settled batch's quote to its funder (the
+ * payout_batch.excess_refund job). Returns { reason: "refunded" | "no_excess" | "not_settled" |
+ * "in_progress" | "failed", amountUsd?, txHash?, error? }.
+ */
+async function refundBatchExcessFunding(batchId) {
+  const batch = await MpesaPayoutBatch.findOne({ batchId: String(batchId || "").trim().toUpperCase() });
+  if (!batch) throw new Error(`Batch ${batchId} not found.`);
+  if (!SETTLED_BATCH_STATUSES.includes(batch.status)) return { reason: "not_settled" };
+  const amountUsd = getBatchExcessFundingUsd(batch);
+  if (amountUsd <= 0 || amountUsd < mpesaConfig.refunds.excessMinUsd) return { reason: "no_excess" };
+
+  const now = new Date();
+  const claimed = await MpesaPayoutBatch.findOneAndUpdate(
+    {
+      _id: batch._id,
+      "excessRefund.status": { $ne: "completed" },
+      $or: [
+        { "excessRefund.status": { $ne: "pending" } },
+        { "excessRefund.lastAttemptAt": { $lte: new Date(now.getTime() - STALE_EXCESS_REFUND_MS) } },
+      ],
+    },
+    {
+      $set: { "excessRefund.status": "pending", "excessRefund.amountUsd": amountUsd, "excessRefund.lastAttemptAt": now },
+      $inc: { "excessRefund.attempts": 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) return { reason: "in_progress" };
+
+  let result;
+  try {
+    const executed = await executeRefund(claimed, amountUsd);
+    claimed.excessRefund.status = "completed";
+    claimed.excessRefund.txHash = executed.txHash;
+    claimed.excessRefund.error = null;
+    claimed.excessRefund.completedAt = new Date();
+    result = { reason: "refunded", amountUsd, txHash: executed.txHash };
+  } catch (err) {
+    claimed.excessRefund.status = "failed";
+    claimed.excessRefund.error = err.message;
+    result = { reason: "failed", amountUsd, error: err.message };
+  }
+  await claimed.save();
+  return result;
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Spreadsheets run a cell starting with =, +, - or @ as a formula; negative amounts stay numbers.
+  if (/^[=+\-@]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-item result report as CSV (one row per recipient).
+ */
+function buildBatchReportCsv(batch) {
+  const lines = [REPORT_COLUMNS.join(",")];
+  for (const item of batch.items) {
+    lines.push(REPORT_COLUMNS.map((column) => csvCell(item[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseBatchItems,
+  createPayoutBatch,
+  verifyBatchFunding,
+  claimBatchSubmission,
+  disbursePayoutBatch,
+  syncPayoutBatch,
+  refundBatchExcessFunding,
+  buildBatchReportCsv,
+};
@@ -0,0 +1,92 @@
+const { parseResultParameters } = require("./transactionStatus");
+const { parseAccountBalance } = require("../liquidity/accountBalance");
+
+function toKesOrNull(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const n = Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+}
+
+function toTextOrNull(value) {
+  return String(value ?? "").trim() || null;
+}
+
+// Daraja result times are Nairobi time (UTC+3).
+function nairobiDate(yyyy, mm, dd, hh, min, sec) {
+  const date = new Date(`${yyyy}-${mm}-${dd}T${hh}:${min}:${sec}+03:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * B2C sends `dd.MM.yyyy HH:mm:ss`, B2B sends `yyyyMMddHHmmss`.
+ */
+function parseCompletedTime(value) {
+  const raw = String(value ?? "").trim();
+  const dotted = raw.match(/^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+  if (dotted) {
+    const [, dd, mm, yyyy, hh, min, sec] = dotted;
+    return nairobiDate(yyyy, mm, dd, hh, min, sec);
+  }
+  const compact = raw.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (compact) {
+    const [, yyyy, mm, dd, hh, min, sec] = compact;
+    return nairobiDate(yyyy, mm, dd, hh, min, sec);
+  }
+  return null;
+}
+
+/**
+ * B2B DebitPartyCharges: `Business Pay Bill Charge|KES|77.00` (several joined by `&`), or empty when free.
+ */
+function parseDebitPartyCharges(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return 0;
+  return raw
+    .split("&")
+    .map((entry) => toKesOrNull(entry.split("|")[2]) || 0)
+    .reduce((sum, amount) => Math.round((sum + amount) * 100) / 100, 0);
+}
+
+function parseRegistered(value) {
+  const raw = String(value ?? "").trim().toUpperCase();
+  if (raw === "Y") return true;
+  if (raw === "N") return false;
+  return null;
+}
+
+/**
+ * Typed fields from a B2C (`product: "b2c"`) or B2B (`"b2b"`) result.
+ * Fields Daraja does not send for a product are null.
+ */
+function parsePayoutResult(result, product) {
+  const params = parseResultParameters(result);
+
+  if (product === "b2b") {
+    const accounts = parseAccountBalance(params.DebitPartyAffectedAccountBalance);
+    const find = (name) => accounts.find((a) => a.name.toLowerCase() === name)?.availableKes ?? null;
+    return {
+      receiverPublicName: toTextOrNull(params.ReceiverPartyPublicName),
+      completedAt: parseCompletedTime(params.TransCompletedTime),
+      chargesPaidKes: "DebitPartyCharges" in params ? parseDebitPartyCharges(params.DebitPartyCharges) : null,
+      chargesPaidAccountBalanceKes: null,
+      utilityAccountBalanceKes: find("utility account"),
+      workingAccountBalanceKes: find("working account"),
+      recipientRegistered: null,
+    };
+  }
+
+  return {
+    receiverPublicName: toTextOrNull(params.ReceiverPartyPublicName),
+    completedAt: parseCompletedTime(params.TransactionCompletedDateTime),
+    chargesPaidKes: null,
+    chargesPaidAccountBalanceKes: toKesOrNull(params.B2CChargesPaidAccountAvailableFunds),
+    utilityAccountBalanceKes: toKesOrNull(params.B2CUtilityAccountAvailableFunds),
+    workingAccountBalanceKes: toKesOrNull(params.B2CWorkingAccountAvailableFunds),
+    recipientRegistered: parseRegistered(params.B2CRecipientIsRegisteredCustomer),
+  };
+}
+
+module.exports = {
+  parseCompletedTime,
+  parsePayoutResult,
+};
@@ -0,0 +1,116 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { initiateB2C, initiateB2B } = require("./darajaClient");
+const { assertTransition } = require("./stateMachine");
+const { buildCallbackUrl } = require("./callbackUrls");
+
+/**
+ * Submit an authorized (and, when required, funded) offramp transaction as a B2C payout.
+ * Saves the transaction in `mpesa_submitted` first, then in `mpesa_processing` or `failed`;
+ * the caller queues the refund when the request was rejected. Returns { accepted }.
+ */
+async function submitB2CPayout(tx, { remarks = "DotPay wallet cashout", occasion = "DotPay cashout" } = {}) {
+  assertTransition(tx, "mpesa_submitted", "Submitting B2C payout", "api");
+  // Saved before the request: if Daraja's answer is lost, a status query resolves the payout
+  // (see reconcileStaleTransactions) instead of it being sent twice.
+  await tx.save();
+
+  const resultUrl = buildCallbackUrl("b2c_result", tx);
+  const timeoutUrl = buildCallbackUrl("b2c_timeout", tx);
+
+  const darajaRes = await initiateB2C({
+    amountKes: tx.quote.expectedReceiveKes,
+    phoneNumber: tx.targets.phoneNumber,
+    originatorConversationId: tx.transactionId,
+    remarks,
+    occasion,
+    resultUrl,
+    timeoutUrl,
+    commandId: mpesaConfig.commands?.b2cOfframp || "BusinessPayment",
+  });
+
+  tx.daraja = {
+    ...(tx.daraja || {}),
+    responseCode: String(darajaRes.data?.ResponseCode || ""),
+    responseDescription: darajaRes.data?.ResponseDescription || null,
+    conversationId: darajaRes.data?.ConversationID || null,
+    originatorConversationId: darajaRes.data?.OriginatorConversationID || tx.transactionId,
+    rawRequest: {
+      endpoint: "b2c",
+      resultUrl,
+      timeoutUrl,
+    },
+    rawResponse: darajaRes.data,
+  };
+
+  const accepted = darajaRes.ok && String(darajaRes.data?.ResponseCode || "") === "0";
+  if (accepted) {
+    assertTransition(tx, "mpesa_processing", "B2C request accepted", "daraja");
+  } else {
+    assertTransition(tx, "failed", "B2C request rejected", "daraja");
+  }
+  await tx.save();
+
+  return { accepted };
+}
+
+/**
+ * Submit an authorized paybill or buygoods transaction as a B2B payment to
+ * `targets.paybillNumber` / `targets.tillNumber`. Same contract as submitB2CPayout.
+ */
+async function submitB2BPayout(tx, { accountReference = null, requester = "" } = {}) {
+  const paybill = tx.flowType === "paybill";
+  const label = paybill ? "paybill" : "buygoods";
+  const credentials = mpesaConfig.credentials || {};
+  assertTransition(tx, "mpesa_submitted", `Submitting B2B ${label}`, "api");
+  await tx.save();
+
+  const resultUrl = buildCallbackUrl("b2b_result", tx);
+  const timeoutUrl = buildCallbackUrl("b2b_timeout", tx);
+
+  const darajaRes = await initiateB2B({
+    amountKes: tx.quote.expectedReceiveKes,
+    receiverNumber: paybill ? tx.targets.paybillNumber : tx.targets.tillNumber,
+    accountReference: accountReference || tx.targets?.accountReference || "DotPay",
+    originatorConversationId: tx.transactionId,
+    resultUrl,
+    timeoutUrl,
+    commandId: paybill
+      ? mpesaConfig.commands?.b2bPaybill || "BusinessPayBill"
+      : mpesaConfig.commands?.b2bBuygoods || "BusinessBuyGoods",
+    remarks: paybill ? "DotPay merchant paybill" : "DotPay buy goods",
+    receiverIdentifierType: paybill ? "4" : mpesaConfig.commands?.b2bBuygoodsReceiverIdentifierType || "2",
+    requester: String(requester || "").trim() || credentials.b2bRequester || "",
+    initiatorNameOverride: (paybill ? credentials.b2bPaybillInitiatorName : credentials.b2bBuygoodsInitiatorName) || "",
+    securityCredentialOverride:
+      (paybill ? credentials.b2bPaybillSecurityCredential : credentials.b2bBuygoodsSecurityCredential) || "",
+  });
+
+  tx.daraja = {
+    ...(tx.daraja || {}),
+    responseCode: String(darajaRes.data?.ResponseCode || ""),
+    responseDescription: darajaRes.data?.ResponseDescription || null,
+    conversationId: darajaRes.data?.ConversationID || null,
+    originatorConversationId: darajaRes.data?.OriginatorConversationID || tx.transactionId,
+    rawRequest: {
+      endpoint: `b2b_${label}`,
+      resultUrl,
+      timeoutUrl,
+    },
+    rawResponse: darajaRes.data,
+  };
+
+  const accepted = darajaRes.ok && String(darajaRes.data?.ResponseCode || "") === "0";
+  if (accepted) {
+    assertTransition(tx, "mpesa_processing", `B2B ${label} accepted`, "daraja");
+  } else {
+    assertTransition(tx, "failed", `B2B ${label} rejected`, "daraja");
+  }
+  await tx.save();
+
+  return { accepted };
+}
+
+module.exports = {
+  submitB2CPayout,
+  submitB2BPayout,
+};
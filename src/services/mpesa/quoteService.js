@@ -1,12 +1,7 @@
 const crypto = require("crypto");
 const { mpesaConfig } = require("../../config/mpesa");
-
-const FEE_BPS_BY_FLOW = {
-  onramp: 0,
-  offramp: 0,
-  paybill: 0,
-  buygoods: 0,
-};
+const { getQuoteRate } = require("../fx/rateService");
+const { calculateFees, estimateNetworkFee, getFeeSchedule } = require("../fees/feeEngine");
 
 function round2(value) {
   return Math.round(Number(value || 0) * 100) / 100;
@@ -27,32 +22,61 @@ function generateQuoteId() {
     .toUpperCase()}`;
 }
 
-function buildQuote({ flowType, amount, currency = "KES", kesPerUsd }) {
+/**
+ * Price a quote at an already-resolved server-side `rate` (see rateService.getQuoteRate) and
+ * fee schedule (see feeEngine). Without a schedule the quote is fee-free.
+ *
+ * Payouts add fees on top: the user funds `totalDebitKes` and the recipient gets `amountKes`.
+ * Topups take fees out of the credit: the user pays `amountKes` over STK and is credited
+ * `amountUsd`, worth `expectedReceiveKes`.
+ */
+function buildQuote({ flowType, amount, currency = "KES", rate, feeSchedule = null, networkFee = null }) {
   const amountRequested = toPositiveNumber(amount, "amount");
   const normalizedCurrency = String(currency || "KES").toUpperCase();
   if (!["KES", "USD"].includes(normalizedCurrency)) {
     throw new Error("currency must be KES or USD.");
   }
 
-  const rateKesPerUsd =
-    Number.isFinite(Number(kesPerUsd)) && Number(kesPerUsd) > 0
-      ? Number(kesPerUsd)
-      : 150;
+  const rateKesPerUsd = round2(rate?.kesPerUsd);
+  if (!(rateKesPerUsd > 0)) {
+    throw new Error("An exchange rate is required to price a quote.");
+  }
 
-  const amountKes =
+  const principalKes =
     normalizedCurrency === "KES"
       ? amountRequested
       : round2(amountRequested * rateKesPerUsd);
-  const amountUsd =
-    normalizedCurrency === "USD"
-      ? amountRequested
-      : round2(amountRequested / rateKesPerUsd);
+  const { feeAmountKes, networkFeeKes, breakdown } = calculateFees({
+    schedule: feeSchedule,
+    amountKes: principalKes,
+    networkFee,
+  });
+  const feesKes = round2(feeAmountKes + networkFeeKes);
 
-  const feeBps = FEE_BPS_BY_FLOW[flowType] ?? 0;
-  const feeAmountKes = round2((amountKes * feeBps) / 10000);
-  const networkFeeKes = 0;
-  const totalDebitKes = round2(amountKes + feeAmountKes + networkFeeKes);
-  const expectedReceiveKes = round2(amountKes);
+  let amountKes;
+  let amountUsd;
+  let totalDebitKes;
+  let expectedReceiveKes;
+  if (flowType === "onramp") {
+    amountKes = normalizedCurrency === "KES" ? principalKes : round2(principalKes + feesKes);
+    expectedReceiveKes = normalizedCurrency === "KES" ? round2(principalKes - feesKes) : principalKes;
+    if (!(expectedReceiveKes > 0)) {
+      throw new Error(`Fees of KES ${feesKes.toFixed(2)} exceed the top up amount.`);
+    }
+    amountUsd =
+      normalizedCurrency === "USD"
+        ? amountRequested
+        : round2(expectedReceiveKes / rateKesPerUsd);
+    totalDebitKes = amountKes;
+  } else {
+    amountKes = principalKes;
+    amountUsd =
+      normalizedCurrency === "USD"
+        ? amountRequested
+        : round2(amountRequested / rateKesPerUsd);
+    totalDebitKes = round2(amountKes + feesKes);
+    expectedReceiveKes = round2(amountKes);
+  }
 
   const ttlMs = mpesaConfig.quote.ttlSeconds * 1000;
   const now = new Date();
@@ -63,9 +87,14 @@ function buildQuote({ flowType, amount, currency = "KES", kesPerUsd }) {
     amountRequested: round2(amountRequested),
     amountKes,
     amountUsd,
-    rateKesPerUsd: round2(rateKesPerUsd),
+    rateKesPerUsd,
+    midRateKesPerUsd: Number(rate.midKesPerUsd) || rateKesPerUsd,
+    spreadBps: Number(rate.spreadBps) || 0,
+    rateSource: rate.source || null,
+    rateUpdatedAt: rate.updatedAt || null,
     feeAmountKes,
     networkFeeKes,
+    feeBreakdown: breakdown,
     totalDebitKes,
     expectedReceiveKes,
     expiresAt: new Date(now.getTime() + ttlMs),
@@ -73,13 +102,46 @@ function buildQuote({ flowType, amount, currency = "KES", kesPerUsd }) {
   };
 }
 
+/**
+ * Live rate, fee schedule and network fee estimate for a flow.
+ */
+async function resolvePricing(flowType) {
+  const [rate, feeSchedule] = await Promise.all([getQuoteRate(flowType), getFeeSchedule(flowType)]);
+  const networkFee = await estimateNetworkFee(feeSchedule, rate);
+  return { rate, feeSchedule, networkFee };
+}
+
+/**
+ * Quote at the live rate and fee schedule for the flow. This is the only way user-facing
+ * quotes are priced; clients cannot supply a rate or fee.
+ */
+async function priceQuote({ flowType, amount, currency = "KES" }) {
+  const pricing = await resolvePricing(flowType);
+  return buildQuote({ flowType, amount, currency, ...pricing });
+}
+
+/**
+ * The rate an existing quote was priced at, to price related quotes (e.g. batch items) identically.
+ */
+function rateFromQuote(quote) {
+  return {
+    kesPerUsd: quote?.rateKesPerUsd,
+    midKesPerUsd: quote?.midRateKesPerUsd,
+    spreadBps: quote?.spreadBps,
+    source: quote?.rateSource,
+    updatedAt: quote?.rateUpdatedAt,
+  };
+}
+
 function isQuoteExpired(quote) {
   if (!quote?.expiresAt) return true;
   return new Date(quote.expiresAt).getTime() < Date.now();
 }
 
 module.exports = {
-  FEE_BPS_BY_FLOW,
   buildQuote,
+  resolvePricing,
+  priceQuote,
+  rateFromQuote,
   isQuoteExpired,
 };
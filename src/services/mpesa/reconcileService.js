@@ -0,0 +1,323 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { MpesaEvent } = require("../../models/MpesaEvent");
+const { BackgroundJob } = require("../../models/BackgroundJob");
+const { assertTransition } = require("./stateMachine");
+const { queryStkPushStatus } = require("./darajaClient");
+const { applyStkResult, classifyStkQueryResponse, parseResultCode } = require("./stkResult");
+const { PAYOUT_FLOWS, isUnverifiedC2BTopup, requestTransactionStatus } = require("./transactionStatus");
+const { settleOnrampCredit } = require("../settlement/creditOnramp");
+const { JOB_TYPES, enqueueAutoRefund, enqueueOnrampCredit } = require("../jobs/enqueue");
+
+// Statuses where the user has not reached M-Pesa yet, so an expired quote can be closed out.
+const PRE_SUBMISSION_STATUSES = [
+  "created",
+  "quoted",
+  "awaiting_user_authorization",
+  "awaiting_onchain_funding",
+];
+
+function isDarajaSuccess(tx) {
+  const darajaCode = tx?.daraja?.resultCode;
+  const darajaRaw = String(tx?.daraja?.resultCodeRaw || "").trim();
+  return darajaCode === 0 || darajaRaw === "0";
+}
+
+async function recordStkQueryEvent(tx, checkoutRequestId, resultCode, payload) {
+  // Same key as the STK callback, so a late callback for an already-resolved topup is ignored.
+  const eventKey = `stk:${tx.transactionId}:${checkoutRequestId || "none"}:${parseResultCode(resultCode).key}`;
+  try {
+    await MpesaEvent.create({
+      eventKey,
+      transactionId: tx.transactionId,
+      eventType: "stk_query",
+      source: "reconcile",
+      payload,
+      receivedAt: new Date(),
+    });
+    return true;
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Resolve a topup whose STK callback never arrived by asking Daraja directly.
+ * Only a final ResultCode changes the transaction; pending or failed queries leave it for the next run.
+ */
+async function resolveStuckTopup(tx, summary) {
+  if (isDarajaSuccess(tx)) {
+    // Callback (or an earlier query) already confirmed payment; only the USDC credit is outstanding.
+    await enqueueOnrampCredit(tx, { source: "reconcile" });
+    summary.creditsQueued += 1;
+    return;
+  }
+
+  const checkoutRequestId = tx.daraja?.checkoutRequestId;
+  if (!checkoutRequestId) {
+    summary.stkUnresolved += 1;
+    return;
+  }
+
+  summary.stkQueried += 1;
+  let response;
+  try {
+    response = await queryStkPushStatus({ checkoutRequestId });
+  } catch (err) {
+    response = { ok: false, status: null, data: { errorMessage: err.message } };
+  }
+
+  const outcome = classifyStkQueryResponse(response);
+  tx.metadata = tx.metadata || {};
+  tx.metadata.extra = {
+    ...(tx.metadata.extra || {}),
+    lastStkQuery: { at: new Date(), state: outcome.state, response: response.data },
+  };
+
+  if (outcome.state === "pending" || outcome.state === "error") {
+    if (outcome.state === "error") summary.queryErrors += 1;
+    else summary.stkPending += 1;
+    await tx.save();
+    return;
+  }
+
+  const inserted = await recordStkQueryEvent(tx, checkoutRequestId, outcome.resultCode, response.data);
+  if (!inserted && tx.status !== "mpesa_processing") {
+    // The callback with this result already landed and moved the transaction on.
+    await tx.save();
+    return;
+  }
+
+  const applied = await applyStkResult(tx, {
+    resultCode: outcome.resultCode,
+    resultDesc: outcome.resultDesc,
+    merchantRequestId: response.data?.MerchantRequestID,
+    checkoutRequestId,
+    source: "reconcile",
+  });
+  if (applied === "paid") {
+    summary.stkPaid += 1;
+    summary.creditsQueued += 1;
+  } else {
+    summary.stkFailed += 1;
+    summary.markedFailed += 1;
+  }
+}
+
+/**
+ * Resolve payouts stuck in mpesa_submitted or mpesa_processing via Transaction Status queries (answered on
+ * /webhooks/transaction-status/result); resolve stuck topups via STK Push Query. Paybill topups whose
+ * receipt check went unanswered are queried again, and left uncredited for ops once the attempts run out.
+ * A payout whose MPESA_STATUS_QUERY_MAX_ATTEMPTS queries all went unanswered moves to ops_review: it may
+ * have been paid, so it is neither failed nor refunded.
+ */
+async function reconcileStaleTransactions({ maxAgeMinutes = 30, transactionId = "" } = {}) {
+  const txId = String(transactionId || "").trim().toUpperCase();
+  const cutoff = new Date(Date.now() - Math.max(1, Number(maxAgeMinutes) || 30) * 60 * 1000);
+  const query = txId
+    ? { transactionId: txId }
+    : { status: { $in: ["mpesa_submitted", "mpesa_processing"] }, updatedAt: { $lte: cutoff } };
+  const maxStatusQueries = Math.max(1, Number(mpesaConfig.reconcile?.statusQueryMaxAttempts || 3));
+
+  const candidates = await MpesaTransaction.find(query).limit(100);
+  const summary = {
+    scanned: candidates.length,
+    markedFailed: 0,
+    creditsQueued: 0,
+    refundsQueued: 0,
+    statusQueried: 0,
+    queryErrors: 0,
+    stkQueried: 0,
+    stkPaid: 0,
+    stkFailed: 0,
+    stkPending: 0,
+    stkUnresolved: 0,
+    c2bUnverified: 0,
+    sentToOpsReview: 0,
+  };
+
+  for (const tx of candidates) {
+    const shouldForceById = Boolean(txId);
+    // A payout still in mpesa_submitted was saved before its Daraja request and never got an answer recorded.
+    const open = tx.status === "mpesa_processing" || (tx.status === "mpesa_submitted" && PAYOUT_FLOWS.has(tx.flowType));
+    if (open && (shouldForceById || tx.updatedAt <= cutoff)) {
+      const attempts = Number(tx.metadata?.extra?.statusQuery?.attempts || 0);
+      if (isUnverifiedC2BTopup(tx)) {
+        // The paybill receipt check got no answer: ask again, then leave the topup uncredited for ops.
+        if (attempts < maxStatusQueries) {
+          const queried = await requestTransactionStatus(tx);
+          summary.statusQueried += 1;
+          if (!queried.accepted) summary.queryErrors += 1;
+          await tx.save();
+        } else {
+          summary.c2bUnverified += 1;
+        }
+        continue;
+      }
+
+      if (tx.flowType === "onramp") {
+        // Never fail a topup on age alone: the customer may have paid and the callback got lost.
+        await resolveStuckTopup(tx, summary);
+        continue;
+      }
+
+      if (PAYOUT_FLOWS.has(tx.flowType) && attempts < maxStatusQueries) {
+        // Saving bumps updatedAt, so the next query waits another maxAgeMinutes.
+        const queried = await requestTransactionStatus(tx);
+        summary.statusQueried += 1;
+        if (!queried.accepted) summary.queryErrors += 1;
+        await tx.save();
+        continue;
+      }
+
+      assertTransition(tx, "ops_review", `No answer to ${attempts} transaction status queries`, "reconcile");
+      summary.sentToOpsReview += 1;
+      await tx.save();
+      continue;
+    }
+
+    if (tx.status === "failed" && (await enqueueAutoRefund(tx, "Automatic refund after reconcile timeout"))) {
+      summary.refundsQueued += 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Find successful topups that are missing their USDC credit.
+ * `mode: "inline"` settles immediately (manual ops call); `mode: "enqueue"` hands each one to the job queue,
+ * skipping topups whose credit job is already dead-lettered so a permanent failure is not retried forever.
+ */
+async function settlePendingOnrampCredits({ transactionId = "", limit = 25, mode = "inline" } = {}) {
+  const txId = String(transactionId || "").trim().toUpperCase();
+  const query = txId
+    ? { transactionId: txId, flowType: "onramp" }
+    : {
+        flowType: "onramp",
+        status: { $in: ["mpesa_processing", "succeeded"] },
+        $and: [
+          { $or: [{ "daraja.resultCode": 0 }, { "daraja.resultCodeRaw": "0" }] },
+          {
+            $or: [
+              { "onchain.verificationStatus": { $ne: "verified" } },
+              { "onchain.txHash": { $exists: false } },
+              { "onchain.txHash": null },
+              { "onchain.txHash": "" },
+            ],
+          },
+        ],
+      };
+
+  const candidates = await MpesaTransaction.find(query)
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(Math.min(Math.max(Number(limit) || 25, 1), 200));
+
+  const summary = {
+    scanned: candidates.length,
+    credited: 0,
+    alreadyCredited: 0,
+    queued: 0,
+    failed: 0,
+    skipped: 0,
+    items: [],
+  };
+
+  for (const tx of candidates) {
+    if (!isDarajaSuccess(tx)) {
+      summary.skipped += 1;
+      summary.items.push({
+        transactionId: tx.transactionId,
+        outcome: "skipped",
+        reason: "M-Pesa result is not successful.",
+      });
+      continue;
+    }
+
+    if (mode === "enqueue") {
+      const key = `${JOB_TYPES.ONRAMP_CREDIT}:${tx.transactionId}`;
+      const dead = await BackgroundJob.exists({ key, status: "dead" });
+      if (dead) {
+        summary.skipped += 1;
+        summary.items.push({
+          transactionId: tx.transactionId,
+          outcome: "skipped",
+          reason: "Credit job is dead-lettered; retry it via /internal/jobs/:id/retry.",
+        });
+        continue;
+      }
+
+      await enqueueOnrampCredit(tx, { source: "scheduler" });
+      summary.queued += 1;
+      summary.items.push({ transactionId: tx.transactionId, outcome: "queued" });
+      continue;
+    }
+
+    const settled = await settleOnrampCredit(tx, { source: "reconcile" });
+    if (settled.credited) {
+      summary.credited += 1;
+      summary.items.push({
+        transactionId: tx.transactionId,
+        outcome: "credited",
+        txHash: settled.txHash || null,
+      });
+    } else if (settled.reason === "already_credited") {
+      summary.alreadyCredited += 1;
+      summary.items.push({
+        transactionId: tx.transactionId,
+        outcome: "already_credited",
+        txHash: settled.txHash || null,
+      });
+    } else {
+      summary.failed += 1;
+      summary.items.push({
+        transactionId: tx.transactionId,
+        outcome: "failed",
+        reason: settled.error || settled.reason || "Unknown error",
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Close out transactions whose quote expired before they reached M-Pesa.
+ * Funding that was already verified on-chain is handed to the auto refund job.
+ */
+async function expireStaleQuotes({ graceMinutes = 15, limit = 200 } = {}) {
+  const cutoff = new Date(Date.now() - Math.max(0, Number(graceMinutes) || 0) * 60 * 1000);
+  const candidates = await MpesaTransaction.find({
+    status: { $in: PRE_SUBMISSION_STATUSES },
+    "quote.expiresAt": { $ne: null, $lte: cutoff },
+    // A standing order pull that was sent but not confirmed is settled by its run job, not expired.
+    $nor: [{ "metadata.source": "standing_order", "onchain.verificationStatus": "pending", "onchain.txHash": { $type: "string" } }],
+  })
+    .sort({ "quote.expiresAt": 1, _id: 1 })
+    .limit(Math.min(Math.max(Number(limit) || 200, 1), 1000));
+
+  const summary = {
+    scanned: candidates.length,
+    expired: 0,
+    refundsQueued: 0,
+  };
+
+  for (const tx of candidates) {
+    assertTransition(tx, "failed", "Quote expired before submission", "scheduler");
+    await tx.save();
+    summary.expired += 1;
+
+    if (tx.onchain?.verificationStatus === "verified" && (await enqueueAutoRefund(tx, "Quote expired after funding"))) {
+      summary.refundsQueued += 1;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  reconcileStaleTransactions,
+  settlePendingOnrampCredits,
+  expireStaleQuotes,
+};
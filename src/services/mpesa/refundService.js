@@ -1,11 +1,9 @@
 const crypto = require("crypto");
 const { ethers } = require("ethers");
 const { mpesaConfig } = require("../../config/mpesa");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
 const { assertTransition } = require("./stateMachine");
-
-const ERC20_ABI = [
-  "function transfer(address to, uint256 value) returns (bool)",
-];
+const { getChainAdapter, hasChainSigner } = require("../chain/chainAdapter");
 
 function pseudoRefundReference() {
   return `RF_${Date.now().toString(36).toUpperCase()}_${crypto
@@ -14,7 +12,16 @@ function pseudoRefundReference() {
     .toUpperCase()}`;
 }
 
-function getRefundAmountUsd(transaction) {
+function round6(value) {
+  return Math.round(Number(value || 0) * 1e6) / 1e6;
+}
+
+function usdcDecimals() {
+  return Math.max(0, Math.min(18, Number(mpesaConfig.treasury?.usdcDecimals || 6)));
+}
+
+/** USDC the user paid in for a payout (falls back to the quote when funding was not on-chain). */
+function getFundedAmountUsd(transaction) {
   const funded = Number(transaction?.onchain?.fundedAmountUsd || 0);
   if (Number.isFinite(funded) && funded > 0) return funded;
 
@@ -25,12 +32,49 @@ function getRefundAmountUsd(transaction) {
   return Number.isFinite(amount) ? Math.max(0, amount) : 0;
 }
 
+/** Funded USDC not yet sent back by earlier (excess or partial) refunds. */
+function getRefundAmountUsd(transaction) {
+  const refunded = Number(transaction?.refund?.refundedAmountUsd || 0);
+  return Math.max(0, round6(getFundedAmountUsd(transaction) - refunded));
+}
+
+/**
+ * USDC received above the quote's expected amount on a verified funding transfer, or 0 once
+ * it has been refunded.
+ */
+function getExcessFundingUsd(transaction) {
+  const onchain = transaction?.onchain || {};
+  if (!onchain.required || onchain.verificationStatus !== "verified") return 0;
+  const items = transaction?.refund?.items || [];
+  if (items.some((item) => item.kind === "excess" && item.status === "completed")) return 0;
+
+  if (/^\d+$/.test(String(onchain.fundedAmountUnits || "")) && /^\d+$/.test(String(onchain.expectedAmountUnits || ""))) {
+    const excessUnits = BigInt(onchain.fundedAmountUnits) - BigInt(onchain.expectedAmountUnits);
+    return excessUnits > 0n ? Number.parseFloat(ethers.formatUnits(excessUnits, usdcDecimals())) : 0;
+  }
+  return Math.max(0, round6(Number(onchain.fundedAmountUsd || 0) - Number(onchain.expectedAmountUsd || 0)));
+}
+
+/** USDC funded above a payout batch's quote, until its batch-level excess refund completes. */
+function getBatchExcessFundingUsd(batch) {
+  if (batch?.excessRefund?.status === "completed") return 0;
+  return getExcessFundingUsd({ onchain: batch?.onchain });
+}
+
 function hasTreasuryConfig() {
   const treasury = mpesaConfig.treasury || {};
-  return Boolean(treasury.rpcUrl && treasury.privateKey && treasury.usdcContract);
+  return Boolean(hasChainSigner(treasury) && treasury.usdcContract);
 }
 
 function getRefundRecipient(transaction) {
+  // A manual refund may redirect the USDC, e.g. when the funding wallet is lost.
+  const toAddress = String(transaction?.refund?.toAddress || "")
+    .trim()
+    .toLowerCase();
+  if (/^0x[a-f0-9]{40}$/.test(toAddress)) {
+    return toAddress;
+  }
+
   const fromAddress = String(transaction?.onchain?.fromAddress || "")
     .trim()
     .toLowerCase();
@@ -53,7 +97,7 @@ function getRefundRecipient(transaction) {
   return "";
 }
 
-async function executeOnchainRefund(transaction) {
+async function executeOnchainRefund(transaction, amountUsd) {
   const treasury = mpesaConfig.treasury || {};
   if (!treasury.refundEnabled) {
     throw new Error("Treasury refund is disabled.");
@@ -70,36 +114,36 @@ async function executeOnchainRefund(transaction) {
     throw new Error("Refund recipient address is invalid.");
   }
 
-  const amountUsd = getRefundAmountUsd(transaction);
-  if (amountUsd <= 0) {
+  if (!(amountUsd > 0)) {
     throw new Error("Refund amount must be greater than zero.");
   }
 
-  const decimals = Math.max(0, Math.min(18, Number(treasury.usdcDecimals || 6)));
+  const decimals = usdcDecimals();
   const amountUnits = ethers.parseUnits(amountUsd.toFixed(decimals), decimals);
   if (amountUnits <= 0n) {
     throw new Error("Refund amount rounds to zero.");
   }
 
-  const provider = new ethers.JsonRpcProvider(treasury.rpcUrl, treasury.chainId || undefined);
-  const signer = new ethers.Wallet(treasury.privateKey, provider);
-  const token = new ethers.Contract(treasury.usdcContract, ERC20_ABI, signer);
-
-  const tx = await token.transfer(recipient, amountUnits);
-  const receipt = await tx.wait(Math.max(1, Number(treasury.waitConfirmations || 1)));
-  if (!receipt || Number(receipt.status) !== 1) {
+  const sent = await getChainAdapter(treasury).transferToken({
+    tokenAddress: treasury.usdcContract,
+    to: recipient,
+    amountUnits,
+    waitConfirmations: Math.max(1, Number(treasury.waitConfirmations || 1)),
+  });
+  if (!sent.receipt || Number(sent.receipt.status) !== 1) {
     throw new Error("On-chain refund transaction failed.");
   }
 
   return {
-    txHash: tx.hash,
+    txHash: sent.txHash,
     mode: "onchain",
   };
 }
 
-async function executeRefund(transaction) {
+/** Send `amountUsd` (default: everything not yet refunded) back to the refund recipient. */
+async function executeRefund(transaction, amountUsd = getRefundAmountUsd(transaction)) {
   if (hasTreasuryConfig() && mpesaConfig.treasury?.refundEnabled !== false) {
-    return executeOnchainRefund(transaction);
+    return executeOnchainRefund(transaction, amountUsd);
   }
 
   // Sandbox-first fallback when treasury is not configured yet.
@@ -115,28 +159,105 @@ async function executeRefund(transaction) {
   );
 }
 
-async function scheduleAutoRefund(transaction, reason) {
-  if (!mpesaConfig.refunds.autoRefund) return transaction;
+const PAYOUT_FLOWS = ["offramp", "paybill", "buygoods"];
+// A refund left `pending` (or locked) this long, e.g. after a crash mid-transfer, may be claimed again.
+const STALE_PENDING_MS = 15 * 60 * 1000;
+
+function nextRetryAt(attempts, now = Date.now()) {
+  const { retryMaxAttempts, retryBaseSeconds, retryMaxDelaySeconds } = mpesaConfig.refunds;
+  if (attempts >= retryMaxAttempts) return null;
+  const delaySeconds = Math.min(retryBaseSeconds * 2 ** Math.max(0, attempts - 1), retryMaxDelaySeconds);
+  return new Date(now + delaySeconds * 1000);
+}
+
+function beginRefundAttempt(transaction, reason) {
+  const now = new Date();
+  transaction.refund = {
+    ...(transaction.refund || {}),
+    status: "pending",
+    reason,
+    initiatedAt: transaction.refund?.initiatedAt || now,
+    attempts: Number(transaction.refund?.attempts || 0) + 1,
+    lastAttemptAt: now,
+    nextAttemptAt: null,
+    toAddress: transaction.refund?.toAddress || null,
+    requestedBy: transaction.refund?.requestedBy || null,
+    items: transaction.refund?.items || [],
+    refundedAmountUsd: Number(transaction.refund?.refundedAmountUsd || 0),
+  };
+}
 
-  if (!["offramp", "paybill", "buygoods"].includes(transaction.flowType)) {
+/** Add a line item for one refund transfer; completed ones count towards refundedAmountUsd. */
+function recordRefundItem(transaction, item) {
+  transaction.refund = transaction.refund || {};
+  if (!transaction.refund.items) transaction.refund.items = [];
+  transaction.refund.items.push({
+    toAddress: getRefundRecipient(transaction) || null,
+    txHash: null,
+    reason: null,
+    error: null,
+    requestedBy: null,
+    ...item,
+    amountUsd: round6(item.amountUsd),
+    createdAt: new Date(),
+  });
+  if (item.status === "completed") {
+    transaction.refund.refundedAmountUsd = round6(Number(transaction.refund.refundedAmountUsd || 0) + item.amountUsd);
+  }
+}
+
+async function sendRefundItem(transaction, { kind, amountUsd, reason, requestedBy = null }) {
+  try {
+    const executed = await executeRefund(transaction, amountUsd);
+    recordRefundItem(transaction, { kind, status: "completed", amountUsd, txHash: executed.txHash, reason, requestedBy });
+    return executed;
+  } catch (err) {
+    recordRefundItem(transaction, { kind, status: "failed", amountUsd, reason, error: err.message, requestedBy });
+    throw err;
+  }
+}
+
+function recordRefundSuccess(transaction, executed) {
+  transaction.refund.status = "completed";
+  transaction.refund.txHash = executed.txHash;
+  transaction.refund.completedAt = new Date();
+  transaction.refund.lastError = null;
+  transaction.refund.nextAttemptAt = null;
+}
+
+function recordRefundFailure(transaction, reason, err) {
+  transaction.refund.status = "failed";
+  transaction.refund.reason = `${reason}: ${err.message}`;
+  transaction.refund.completedAt = new Date();
+  transaction.refund.lastError = err.message;
+  transaction.refund.nextAttemptAt = nextRetryAt(transaction.refund.attempts);
+}
+
+/**
+ * Refund a failed payout's USDC and save it. `force` (back-office refunds) ignores
+ * MPESA_AUTO_REFUND. A failed transfer is left `failed` with refund.nextAttemptAt set for the
+ * refund_retry sweep, until MPESA_REFUND_RETRY_MAX_ATTEMPTS is reached.
+ */
+async function scheduleAutoRefund(transaction, reason, { force = false } = {}) {
+  if (!mpesaConfig.refunds.autoRefund && !force) return transaction;
+
+  if (!PAYOUT_FLOWS.includes(transaction.flowType)) {
     return transaction;
   }
 
   if (transaction.status !== "failed") return transaction;
 
   assertTransition(transaction, "refund_pending", reason || "Auto refund pending", "refund_service");
-  transaction.refund = {
-    ...(transaction.refund || {}),
-    status: "pending",
-    reason: reason || "Auto refund",
-    initiatedAt: new Date(),
-  };
+  beginRefundAttempt(transaction, reason || "Auto refund");
 
   try {
-    const executed = await executeRefund(transaction);
-    transaction.refund.status = "completed";
-    transaction.refund.txHash = executed.txHash;
-    transaction.refund.completedAt = new Date();
+    const executed = await sendRefundItem(transaction, {
+      kind: "full",
+      amountUsd: getRefundAmountUsd(transaction),
+      reason: reason || "Auto refund",
+      requestedBy: transaction.refund.requestedBy,
+    });
+    recordRefundSuccess(transaction, executed);
     transaction.refund.reason = reason || "Auto refund completed";
     assertTransition(
       transaction,
@@ -145,9 +266,7 @@ async function scheduleAutoRefund(transaction, reason) {
       "refund_service"
     );
   } catch (err) {
-    transaction.refund.status = "failed";
-    transaction.refund.reason = `${reason || "Auto refund failed"}: ${err.message}`;
-    transaction.refund.completedAt = new Date();
+    recordRefundFailure(transaction, reason || "Auto refund failed", err);
     assertTransition(transaction, "failed", "Auto refund failed", "refund_service");
   }
 
@@ -155,6 +274,288 @@ async function scheduleAutoRefund(transaction, reason) {
   return transaction;
 }
 
+/**
+ * Send the user's USDC back after M-Pesa reversed their payout. The transaction stays
+ * `reversed` (refund.status "failed") when the transfer fails so it can be retried.
+ */
+async function refundReversedPayout(transaction, reason) {
+  if (transaction.status !== "reversed") return transaction;
+
+  beginRefundAttempt(transaction, reason || "Reversal re-credit");
+
+  try {
+    const executed = await sendRefundItem(transaction, {
+      kind: "full",
+      amountUsd: getRefundAmountUsd(transaction),
+      reason: reason || "Reversal re-credit",
+      requestedBy: transaction.refund.requestedBy,
+    });
+    recordRefundSuccess(transaction, executed);
+    assertTransition(
+      transaction,
+      "refunded",
+      executed.mode === "onchain" ? "Reversal re-credit completed on-chain" : "Reversal re-credit completed (sandbox simulation)",
+      "refund_service"
+    );
+  } catch (err) {
+    recordRefundFailure(transaction, reason || "Reversal re-credit failed", err);
+  }
+
+  await transaction.save();
+  return transaction;
+}
+
+function isStale(at, now = Date.now()) {
+  return now - (at ? new Date(at).getTime() : 0) >= STALE_PENDING_MS;
+}
+
+function refundInProgress(tx) {
+  return (
+    tx.status === "refund_pending" ||
+    (tx.refund?.status === "pending" && !isStale(tx.refund?.lastAttemptAt)) ||
+    (Boolean(tx.refund?.lockedAt) && !isStale(tx.refund.lockedAt))
+  );
+}
+
+/**
+ * Why a payout's USDC cannot be refunded by hand, or null when it can. Refunds are for failed
+ * or reversed payouts whose funding actually arrived, and never run twice.
+ */
+function refundBlocker(tx) {
+  if (!PAYOUT_FLOWS.includes(tx.flowType)) return "Only payouts can be refunded.";
+  if (tx.status === "refunded" || tx.refund?.status === "completed") return "Transaction is already refunded.";
+  if (refundInProgress(tx)) return "A refund is already in progress.";
+  if (!["failed", "reversed"].includes(tx.status)) {
+    return `Transaction is ${tx.status}; only failed or reversed payouts can be refunded.`;
+  }
+  if (tx.onchain?.required && tx.onchain?.verificationStatus !== "verified") {
+    return "Funding was never verified; there is nothing to refund.";
+  }
+  if (getRefundAmountUsd(tx) <= 0) return "Nothing is left to refund.";
+  return null;
+}
+
+/**
+ * Why `amountUsd` of a payout's funding cannot be refunded by hand, or null when it can.
+ * Partial refunds never exceed what is left after earlier refunds.
+ */
+function partialRefundBlocker(tx, amountUsd) {
+  if (!PAYOUT_FLOWS.includes(tx.flowType)) return "Only payouts can be refunded.";
+  if (tx.status === "refunded" || tx.refund?.status === "completed") return "Transaction is already refunded.";
+  if (refundInProgress(tx)) return "A refund is already in progress.";
+  if (!["succeeded", "failed", "reversed"].includes(tx.status)) {
+    return `Transaction is ${tx.status}; only succeeded, failed or reversed payouts can be partially refunded.`;
+  }
+  if (tx.onchain?.required && tx.onchain?.verificationStatus !== "verified") {
+    return "Funding was never verified; there is nothing to refund.";
+  }
+  const amount = Number(amountUsd);
+  if (!Number.isFinite(amount) || amount <= 0) return "amountUsd must be greater than zero.";
+  const remaining = getRefundAmountUsd(tx);
+  if (round6(amount) > remaining) return `amountUsd exceeds the ${remaining} USDC left to refund.`;
+  return null;
+}
+
+/**
+ * Atomically mark the refund `pending` (or, with `partial`, take refund.lockedAt for an excess
+ * or partial refund) so jobs, the retry sweep and operators never send refunds side by side.
+ * Returns false when someone else holds it; a claim is only taken over once it is stale.
+ */
+async function claimRefundAttempt(tx, { partial = false } = {}) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_PENDING_MS);
+  const filter = {
+    _id: tx._id,
+    status: tx.status,
+    "refund.status": { $ne: "completed" },
+    $and: [
+      {
+        $or: [
+          { "refund.status": { $ne: "pending" } },
+          { "refund.lastAttemptAt": null },
+          { "refund.lastAttemptAt": { $lte: staleBefore } },
+        ],
+      },
+      { $or: [{ "refund.lockedAt": null }, { "refund.lockedAt": { $lte: staleBefore } }] },
+    ],
+  };
+  const update = partial
+    ? { $set: { "refund.lockedAt": now } }
+    : { $set: { "refund.status": "pending", "refund.lastAttemptAt": now } };
+
+  const result = await MpesaTransaction.updateOne(filter, update);
+  if (Number(result?.modifiedCount || 0) !== 1) return false;
+  // Mirror the lock so the save that releases it writes a change.
+  if (partial) tx.refund = { ...(tx.refund || {}), lockedAt: now };
+  return true;
+}
+
+function refundFailedOrReversed(tx, reason, options) {
+  return tx.status === "reversed" ? refundReversedPayout(tx, reason) : scheduleAutoRefund(tx, reason, options);
+}
+
+/**
+ * Refund one failed or reversed payout now (internal ops / back office), optionally to an
+ * alternate address that later retries also use. Ignores MPESA_AUTO_REFUND. Saves the
+ * transaction; throws with the refund error when the transfer failed.
+ */
+async function manualRefund(tx, { reason, toAddress, requestedBy } = {}) {
+  const blocker = refundBlocker(tx);
+  if (blocker) throw new Error(blocker);
+
+  const recipient = String(toAddress || "").trim().toLowerCase();
+  if (recipient && !/^0x[a-f0-9]{40}$/.test(recipient)) {
+    throw new Error("toAddress must be a 0x-prefixed 40-hex-character address.");
+  }
+  if (!(await claimRefundAttempt(tx))) throw new Error("A refund is already in progress.");
+
+  tx.refund = {
+    ...(tx.refund || {}),
+    toAddress: recipient || tx.refund?.toAddress || null,
+    requestedBy: requestedBy || null,
+  };
+  await refundFailedOrReversed(tx, reason || "Manual refund", { force: true });
+
+  if (tx.refund?.status !== "completed") throw new Error(tx.refund?.reason || "Refund failed.");
+  return tx;
+}
+
+/**
+ * Refund `amountUsd` of a payout's funding now (ops), optionally to an alternate address. A
+ * failed or reversed payout with nothing left to refund afterwards ends `refunded`. Saves the
+ * transaction; throws with the transfer error when it failed.
+ */
+async function partialRefund(tx, { amountUsd, reason, toAddress, requestedBy } = {}) {
+  const blocker = partialRefundBlocker(tx, amountUsd);
+  if (blocker) throw new Error(blocker);
+
+  const recipient = String(toAddress || "").trim().toLowerCase();
+  if (recipient && !/^0x[a-f0-9]{40}$/.test(recipient)) {
+    throw new Error("toAddress must be a 0x-prefixed 40-hex-character address.");
+  }
+  if (!(await claimRefundAttempt(tx, { partial: true }))) throw new Error("A refund is already in progress.");
+
+  // The alternate address applies to this transfer only.
+  const previousToAddress = tx.refund?.toAddress || null;
+  if (recipient) tx.refund.toAddress = recipient;
+  let failure = null;
+  try {
+    await sendRefundItem(tx, { kind: "partial", amountUsd: Number(amountUsd), reason: reason || "Partial refund", requestedBy });
+  } catch (err) {
+    failure = err;
+  }
+  tx.refund.toAddress = previousToAddress;
+  tx.refund.lockedAt = null;
+
+  if (!failure && ["failed", "reversed"].includes(tx.status) && getRefundAmountUsd(tx) <= 0) {
+    tx.refund.status = "completed";
+    tx.refund.completedAt = new Date();
+    tx.refund.nextAttemptAt = null;
+    assertTransition(tx, "refunded", "Funding fully refunded by partial refunds", "refund_service");
+  }
+  await tx.save();
+
+  if (failure) throw failure;
+  return tx;
+}
+
+/**
+ * Return USDC sent above the quote once a payout has succeeded (the refund.excess job). The
+ * payout stays `succeeded`. Returns { reason: "refunded" | "no_excess" | "in_progress" |
+ * "failed", amountUsd?, txHash?, error? }.
+ */
+async function refundExcessFunding(tx, { reason = "Excess funding refund" } = {}) {
+  if (tx.status !== "succeeded" || !PAYOUT_FLOWS.includes(tx.flowType)) return { reason: "no_excess" };
+  const amountUsd = getExcessFundingUsd(tx);
+  if (amountUsd < mpesaConfig.refunds.excessMinUsd || amountUsd <= 0) return { reason: "no_excess" };
+  if (!(await claimRefundAttempt(tx, { partial: true }))) return { reason: "in_progress" };
+
+  let result;
+  try {
+    const executed = await sendRefundItem(tx, { kind: "excess", amountUsd, reason });
+    result = { reason: "refunded", amountUsd, txHash: executed.txHash };
+  } catch (err) {
+    result = { reason: "failed", amountUsd, error: err.message };
+  }
+  tx.refund.lockedAt = null;
+  await tx.save();
+  return result;
+}
+
+/**
+ * Retry failed refunds whose backoff has elapsed (the refund_retry scheduler task).
+ * Returns { checked, refunded, failed, skipped }.
+ */
+async function retryFailedRefunds({ limit = 25 } = {}) {
+  const candidates = await MpesaTransaction.find({
+    flowType: { $in: PAYOUT_FLOWS },
+    status: { $in: ["failed", "reversed"] },
+    "refund.status": "failed",
+    "refund.nextAttemptAt": { $ne: null, $lte: new Date() },
+  })
+    .sort({ "refund.nextAttemptAt": 1 })
+    .limit(Math.max(1, Number(limit) || 25));
+
+  const summary = { checked: candidates.length, refunded: 0, failed: 0, skipped: 0 };
+  for (const tx of candidates) {
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await claimRefundAttempt(tx))) {
+      summary.skipped += 1;
+      continue;
+    }
+    const attempt = Number(tx.refund?.attempts || 0) + 1;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await refundFailedOrReversed(tx, `Refund retry (attempt ${attempt})`, { force: true });
+    } catch (err) {
+      console.error("Refund retry failed:", tx.transactionId, err?.message || err);
+    }
+    if (tx.refund?.status === "completed") summary.refunded += 1;
+    else summary.failed += 1;
+  }
+  return summary;
+}
+
+/**
+ * Payouts whose user is still owed a refund: refunds pending or failed (including those out of
+ * retries), verified-funded failures never refunded (e.g. MPESA_AUTO_REFUND=false), reversals
+ * not yet re-credited and succeeded payouts whose excess funding could not be returned. Oldest first.
+ */
+function listOutstandingRefunds({ limit = 50 } = {}) {
+  const fundedOrFree = { $or: [{ "onchain.required": { $ne: true } }, { "onchain.verificationStatus": "verified" }] };
+  return MpesaTransaction.find({
+    flowType: { $in: PAYOUT_FLOWS },
+    $or: [
+      { status: { $in: ["failed", "reversed", "refund_pending"] }, "refund.status": { $in: ["pending", "failed"] } },
+      { status: "failed", "refund.status": "none", ...fundedOrFree },
+      { status: "reversed", "refund.status": "none" },
+      {
+        status: "succeeded",
+        "refund.items": {
+          $elemMatch: { kind: "excess", status: "failed" },
+          $not: { $elemMatch: { kind: "excess", status: "completed" } },
+        },
+      },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200));
+}
+
 module.exports = {
+  getFundedAmountUsd,
+  getRefundAmountUsd,
+  getExcessFundingUsd,
+  getBatchExcessFundingUsd,
+  executeRefund,
   scheduleAutoRefund,
+  refundReversedPayout,
+  refundBlocker,
+  partialRefundBlocker,
+  claimRefundAttempt,
+  manualRefund,
+  partialRefund,
+  refundExcessFunding,
+  retryFailedRefunds,
+  listOutstandingRefunds,
 };
@@ -0,0 +1,145 @@
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { reverseTransaction } = require("./darajaClient");
+const { assertTransition } = require("./stateMachine");
+const { buildCallbackUrl } = require("./callbackUrls");
+const { parseResultCode } = require("./stkResult");
+const { parseResultParameters } = require("./transactionStatus");
+const { parseCompletedTime } = require("./payoutResult");
+const { enqueueReversalCredit } = require("../jobs/enqueue");
+
+/**
+ * Why a transaction cannot be reversed, or null when it can.
+ * Only succeeded B2C payouts with an M-Pesa receipt are reversible.
+ */
+function reversalBlocker(tx) {
+  if (tx.flowType !== "offramp") return "Only B2C (offramp) payouts can be reversed.";
+  if (tx.status !== "succeeded") return `Transaction is ${tx.status}; only succeeded payouts can be reversed.`;
+  if (!tx.daraja?.receiptNumber) return "Transaction has no M-Pesa receipt number.";
+  return null;
+}
+
+/**
+ * Submit a Daraja TransactionReversal for a succeeded payout. The move to `reversal_pending`
+ * is claimed atomically first, so of two concurrent requests only one reaches Daraja; the
+ * loser gets null. A synchronous rejection puts the payout back to `succeeded`.
+ * The outcome arrives on /webhooks/reversal/result.
+ */
+async function requestReversal(tx, { reason, recreditUsdc = false, requestedBy = null, disputeId = null } = {}) {
+  const blocker = reversalBlocker(tx);
+  if (blocker) throw new Error(blocker);
+
+  const claimed = await MpesaTransaction.findOneAndUpdate(
+    { _id: tx._id, status: "succeeded" },
+    { $set: { status: "reversal_pending", "reversal.status": "pending" } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  assertTransition(tx, "reversal_pending", `Reversal requested: ${reason}`, "internal");
+  tx.reversal = {
+    status: "pending",
+    reason,
+    requestedBy,
+    requestedAt: new Date(),
+    completedAt: null,
+    recreditUsdc: Boolean(recreditUsdc),
+    disputeId,
+  };
+
+  let error = null;
+  try {
+    const response = await reverseTransaction({
+      transactionReceipt: tx.daraja.receiptNumber,
+      amountKes: tx.quote?.expectedReceiveKes || tx.quote?.amountKes,
+      resultUrl: buildCallbackUrl("reversal_result", tx),
+      timeoutUrl: buildCallbackUrl("reversal_timeout", tx),
+      remarks: reason,
+    });
+    tx.reversal.rawResponse = response.data;
+    tx.reversal.conversationId = response.data?.ConversationID || null;
+    tx.reversal.originatorConversationId = response.data?.OriginatorConversationID || null;
+    if (!response.ok || String(response.data?.ResponseCode ?? "") !== "0") {
+      error = response.data?.errorMessage || response.data?.ResponseDescription || `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (error) {
+    tx.reversal.status = "failed";
+    tx.reversal.resultDesc = error;
+    tx.reversal.completedAt = new Date();
+    assertTransition(tx, "succeeded", `Reversal request rejected: ${error}`, "internal");
+  }
+
+  await tx.save();
+  return { accepted: !error, error };
+}
+
+/**
+ * Apply a reversal result callback. Saves the transaction and, when requested, queues the
+ * USDC re-credit. Returns "reversed" | "failed" | "unchanged".
+ */
+async function applyReversalResult(tx, result, { source = "webhook" } = {}) {
+  const parsedCode = parseResultCode(result?.ResultCode);
+  const resultDesc = String(result?.ResultDesc || "").trim() || null;
+  const params = parseResultParameters(result);
+
+  tx.reversal = {
+    ...(tx.reversal || {}),
+    conversationId: result?.ConversationID || tx.reversal?.conversationId || null,
+    originatorConversationId: result?.OriginatorConversationID || tx.reversal?.originatorConversationId || null,
+    resultCode: parsedCode.number,
+    resultCodeRaw: parsedCode.raw,
+    resultDesc,
+    receiptNumber: String(result?.TransactionID || "").trim() || null,
+    rawCallback: result,
+  };
+
+  if (tx.status !== "reversal_pending") {
+    await tx.save();
+    return "unchanged";
+  }
+
+  if (!parsedCode.isSuccess) {
+    tx.reversal.status = "failed";
+    tx.reversal.completedAt = new Date();
+    assertTransition(tx, "succeeded", `Reversal failed: ${resultDesc || parsedCode.raw}`, source);
+    await tx.save();
+    return "failed";
+  }
+
+  tx.reversal.status = "completed";
+  tx.reversal.completedAt = parseCompletedTime(params.TransCompletedTime) || new Date();
+  assertTransition(tx, "reversed", "Reversal completed", source);
+  await tx.save();
+
+  if (tx.reversal.recreditUsdc) {
+    await enqueueReversalCredit(tx, `Payout reversed: ${tx.reversal.reason || "no reason given"}`);
+  }
+  return "reversed";
+}
+
+/**
+ * The reversal request timed out in Daraja's queue; the payout stands and ops may retry.
+ */
+async function applyReversalTimeout(tx, { source = "webhook" } = {}) {
+  if (tx.status !== "reversal_pending") return "unchanged";
+
+  tx.reversal = {
+    ...(tx.reversal || {}),
+    status: "failed",
+    resultDesc: "Timeout",
+    completedAt: new Date(),
+  };
+  assertTransition(tx, "succeeded", "Reversal request timed out", source);
+  await tx.save();
+  return "failed";
+}
+
+module.exports = {
+  reversalBlocker,
+  requestReversal,
+  applyReversalResult,
+  applyReversalTimeout,
+};
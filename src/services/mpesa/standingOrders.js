@@ -0,0 +1,423 @@
+const { mpesaConfig } = require("../../config/mpesa");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { StandingOrder, STANDING_ORDER_FREQUENCIES } = require("../../models/StandingOrder");
+const { priceQuote } = require("./quoteService");
+const { assertTransition } = require("./stateMachine");
+const { submitB2BPayout } = require("./payoutService");
+const { assertLiquidityForQuote } = require("../liquidity/platformLiquidity");
+const { assertWithinLimits, recipientOf } = require("../limits/limitService");
+const { calculateExpectedFundingFromQuote } = require("../settlement/verifyUsdcFunding");
+const { getChainAdapter, hasChainSigner } = require("../chain/chainAdapter");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeAddress(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function formatFixed(value, decimals) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return (0).toFixed(decimals);
+  return n.toFixed(decimals);
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === "" || Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO-8601 date.`);
+  }
+  return date;
+}
+
+/**
+ * The nth (0-based) run time of a schedule. Monthly runs keep the start day-of-month and
+ * fall back to the last day of shorter months.
+ */
+function occurrenceAt(schedule, n) {
+  const start = new Date(schedule.startAt);
+  if (schedule.frequency === "daily") return new Date(start.getTime() + n * DAY_MS);
+  if (schedule.frequency === "weekly") return new Date(start.getTime() + n * 7 * DAY_MS);
+  if (schedule.frequency === "monthly") {
+    const month = start.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    return new Date(
+      Date.UTC(
+        start.getUTCFullYear(),
+        month,
+        Math.min(start.getUTCDate(), lastDay),
+        start.getUTCHours(),
+        start.getUTCMinutes(),
+        start.getUTCSeconds()
+      )
+    );
+  }
+  return n === 0 ? start : null;
+}
+
+/**
+ * Next run time, or null when the schedule is exhausted. With `after` (the run just taken)
+ * this is the first run after both `after` and `now`, so missed runs are skipped rather than
+ * replayed; without it, the first run from now on. `runCount` is the number of runs taken.
+ */
+function computeNextRunAt(schedule, { after = null, runCount = 0, now = new Date() } = {}) {
+  if (schedule.maxRuns && runCount >= schedule.maxRuns) return null;
+
+  const floor = after ? Math.max(new Date(after).getTime(), now.getTime()) : now.getTime() - 60_000;
+  for (let n = 0; ; n += 1) {
+    const candidate = occurrenceAt(schedule, n);
+    if (!candidate) return null;
+    if (after ? candidate.getTime() > floor : candidate.getTime() >= floor) {
+      if (schedule.endAt && candidate.getTime() > new Date(schedule.endAt).getTime()) return null;
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Validate the `schedule` block of a create request.
+ */
+function parseSchedule(input = {}, { now = new Date() } = {}) {
+  const frequency = String(input?.frequency || "").trim().toLowerCase();
+  if (!STANDING_ORDER_FREQUENCIES.includes(frequency)) {
+    throw new Error(`schedule.frequency must be one of: ${STANDING_ORDER_FREQUENCIES.join(", ")}.`);
+  }
+
+  const startAt = parseDate(input?.startAt, "schedule.startAt");
+  if (startAt.getTime() < now.getTime() - 60_000) {
+    throw new Error("schedule.startAt must not be in the past.");
+  }
+
+  const endAt = input?.endAt ? parseDate(input.endAt, "schedule.endAt") : null;
+  if (endAt && endAt.getTime() <= startAt.getTime()) {
+    throw new Error("schedule.endAt must be after schedule.startAt.");
+  }
+
+  let maxRuns = null;
+  if (input?.maxRuns !== undefined && input?.maxRuns !== null && input?.maxRuns !== "") {
+    maxRuns = Number(input.maxRuns);
+    if (!Number.isInteger(maxRuns) || maxRuns < 1) {
+      throw new Error("schedule.maxRuns must be a positive integer.");
+    }
+  }
+
+  return { frequency, startAt, endAt, maxRuns: frequency === "once" ? 1 : maxRuns };
+}
+
+function orderTargetDescriptor(order) {
+  if (order.flowType === "paybill") {
+    return `paybill:${order.targets?.paybillNumber || "-"}:${order.targets?.accountReference || "-"}`;
+  }
+  return `buygoods:${order.targets?.tillNumber || "-"}:${order.targets?.accountReference || "DotPay"}`;
+}
+
+/**
+ * The message a user signs once to pre-authorize every run of a standing order.
+ */
+function buildStandingOrderMessage({ order, signedAtRaw, nonce }) {
+  const schedule = order.schedule || {};
+  return [
+    "DotPay Standing Order Authorization",
+    `Flow: ${order.flowType}`,
+    `Target: ${orderTargetDescriptor(order)}`,
+    `AmountKES: ${formatFixed(order.amountKes, 2)} per run`,
+    `Frequency: ${schedule.frequency}`,
+    `StartAt: ${new Date(schedule.startAt).toISOString()}`,
+    `EndAt: ${schedule.endAt ? new Date(schedule.endAt).toISOString() : "-"}`,
+    `MaxRuns: ${schedule.maxRuns || "-"}`,
+    `Nonce: ${nonce}`,
+    `SignedAt: ${signedAtRaw}`,
+  ].join("\n");
+}
+
+async function assertOrderQuota(userAddress) {
+  const open = await StandingOrder.countDocuments({ userAddress, status: { $in: ["active", "paused"] } });
+  if (open >= mpesaConfig.standingOrders.maxPerUser) {
+    throw new Error(`You can have at most ${mpesaConfig.standingOrders.maxPerUser} open standing orders.`);
+  }
+}
+
+/**
+ * Build (unsaved) standing order from validated input; the caller verifies the signature
+ * against buildStandingOrderMessage before saving.
+ */
+function buildStandingOrder({ userAddress, businessId = null, flowType, targets, amountKes, label = null, schedule }) {
+  if (!["paybill", "buygoods"].includes(flowType)) {
+    throw new Error("flowType must be paybill or buygoods.");
+  }
+  const amount = Number(amountKes);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error("amount must be a positive number.");
+  }
+  if (amount > mpesaConfig.limits.maxTxnKes) {
+    throw new Error(`Amount exceeds per-transaction limit of ${mpesaConfig.limits.maxTxnKes} KES.`);
+  }
+
+  const order = new StandingOrder({
+    userAddress: normalizeAddress(userAddress),
+    businessId,
+    flowType,
+    targets,
+    amountKes: amount,
+    label,
+    schedule,
+  });
+  order.nextRunAt = computeNextRunAt(order.schedule);
+  if (!order.nextRunAt) throw new Error("Schedule has no future runs.");
+  return order;
+}
+
+/**
+ * Take every active order whose run is due, advancing `nextRunAt` atomically so a run is
+ * handed out once even with several scheduler instances. Returns [{ orderId, dueAt }].
+ */
+async function claimDueStandingOrders({ now = new Date(), limit = 50 } = {}) {
+  const due = await StandingOrder.find({ status: "active", nextRunAt: { $ne: null, $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(limit);
+
+  const claims = [];
+  for (const order of due) {
+    const dueAt = order.nextRunAt;
+    const nextRunAt = computeNextRunAt(order.schedule, { after: dueAt, runCount: order.runCount + 1, now });
+    // eslint-disable-next-line no-await-in-loop
+    const claimed = await StandingOrder.findOneAndUpdate(
+      { _id: order._id, status: "active", nextRunAt: dueAt },
+      { $set: { nextRunAt }, $inc: { runCount: 1 } },
+      { new: true }
+    );
+    if (claimed) claims.push({ orderId: claimed.orderId, dueAt: dueAt.toISOString() });
+  }
+  return claims;
+}
+
+/**
+ * Pull the run's USDC from the user's wallet through the allowance they granted the treasury.
+ */
+async function pullRunFunding(tx, order) {
+  tx.onchain = tx.onchain || {};
+  if (!mpesaConfig.settlement?.requireOnchainFunding) {
+    tx.onchain.required = false;
+    tx.onchain.verificationStatus = "not_required";
+    return;
+  }
+
+  const treasury = mpesaConfig.treasury || {};
+  if (!treasury.usdcContract || !treasury.address || !hasChainSigner(treasury)) {
+    throw new Error("Treasury settlement is not configured for standing order funding.");
+  }
+
+  const { expectedUnits, expectedUnitsString, expectedUsd } = calculateExpectedFundingFromQuote(
+    tx.quote,
+    treasury.usdcDecimals
+  );
+  const owner = normalizeAddress(order.authorization?.signerAddress || order.userAddress);
+  const adapter = getChainAdapter(treasury);
+
+  tx.onchain = {
+    ...tx.onchain,
+    required: true,
+    tokenSymbol: "USDC",
+    tokenAddress: normalizeAddress(treasury.usdcContract),
+    treasuryAddress: normalizeAddress(treasury.address),
+    chainId: Number(treasury.chainId) || null,
+    expectedAmountUsd: expectedUsd,
+    expectedAmountUnits: expectedUnitsString,
+    verificationStatus: "pending",
+  };
+  if (tx.status === "awaiting_user_authorization") {
+    assertTransition(tx, "awaiting_onchain_funding", "Pulling USDC allowance", "standing_order");
+  }
+
+  const allowance = await adapter.getTokenAllowance({
+    tokenAddress: treasury.usdcContract,
+    owner,
+    spender: adapter.getSignerAddress(),
+  });
+  if (allowance < expectedUnits) {
+    throw new Error("USDC allowance is too low for this run. Approve DotPay to spend more USDC.");
+  }
+
+  const sent = await adapter.transferTokenFrom({
+    tokenAddress: treasury.usdcContract,
+    from: owner,
+    to: treasury.address,
+    amountUnits: expectedUnits,
+    waitConfirmations: Math.max(1, Number(treasury.waitConfirmations || 1)),
+    // Saved before waiting for confirmations: if the wait fails, the hash shows USDC may have moved.
+    onSent: async (txHash) => {
+      tx.onchain = { ...tx.onchain, txHash, fromAddress: owner, toAddress: normalizeAddress(treasury.address) };
+      await tx.save();
+    },
+  });
+  if (!sent.receipt || Number(sent.receipt.status) !== 1) {
+    tx.onchain.verificationStatus = "failed";
+    throw new Error("USDC transferFrom reverted.");
+  }
+  markPullVerified(tx);
+}
+
+function markPullVerified(tx) {
+  tx.onchain = {
+    ...tx.onchain,
+    verificationStatus: "verified",
+    verificationError: null,
+    fundedAmountUnits: tx.onchain.expectedAmountUnits,
+    fundedAmountUsd: tx.onchain.expectedAmountUsd,
+    verifiedBy: "allowance",
+    verifiedAt: new Date(),
+  };
+}
+
+/**
+ * Settle a pull an earlier attempt sent but never saw confirmed, from its receipt.
+ * Returns "verified" | "unconfirmed"; throws when it reverted.
+ */
+async function confirmSentPull(tx) {
+  const treasury = mpesaConfig.treasury || {};
+  const adapter = getChainAdapter(treasury);
+  const receipt = await adapter.getTransactionReceipt(tx.onchain.txHash);
+  if (!receipt) return "unconfirmed";
+  if (Number(receipt.status) !== 1) {
+    tx.onchain.verificationStatus = "failed";
+    throw new Error("USDC transferFrom reverted.");
+  }
+  const confirmations = (await adapter.getBlockNumber()) - Number(receipt.blockNumber) + 1;
+  if (confirmations < Math.max(1, Number(treasury.waitConfirmations || 1))) return "unconfirmed";
+  markPullVerified(tx);
+  return "verified";
+}
+
+async function findOrCreateRunTransaction(order, dueAt) {
+  const idempotencyKey = `${order.orderId}:${dueAt}`;
+  const existing = await MpesaTransaction.findOne({ userAddress: order.userAddress, flowType: order.flowType, idempotencyKey });
+  if (existing) return { tx: existing, created: false };
+
+  const tx = new MpesaTransaction({
+    flowType: order.flowType,
+    status: "quoted",
+    userAddress: order.userAddress,
+    businessId: order.businessId,
+    standingOrderId: order.orderId,
+    idempotencyKey,
+    quote: await priceQuote({ flowType: order.flowType, amount: order.amountKes, currency: "KES" }),
+    targets: { ...order.targets },
+    authorization: {
+      pinProvided: Boolean(order.authorization?.pinProvided),
+      signature: order.authorization?.signature || null,
+      signedAt: order.authorization?.signedAt || null,
+      nonce: order.authorization?.nonce || null,
+      signerAddress: order.authorization?.signerAddress || null,
+    },
+    history: [{ from: "created", to: "quoted", reason: `Standing order ${order.orderId} run`, source: "standing_order" }],
+    metadata: {
+      source: "standing_order",
+      extra: {
+        standingOrderId: order.orderId,
+        dueAt,
+        authorizationMessage: order.authorization?.message || null,
+      },
+    },
+  });
+  assertTransition(tx, "awaiting_user_authorization", "Pre-authorized by standing order", "standing_order");
+  await tx.save();
+  return { tx, created: true };
+}
+
+async function recordRunOutcome(order, tx, error) {
+  const failed = Boolean(error) || tx.status === "failed";
+  order.lastRunAt = new Date();
+  order.lastRunTransactionId = tx.transactionId;
+  order.lastRunStatus = tx.status;
+  order.lastError = failed ? error || tx.daraja?.responseDescription || "M-Pesa rejected the payment." : null;
+  order.consecutiveFailures = failed ? (order.consecutiveFailures || 0) + 1 : 0;
+
+  const maxFailures = mpesaConfig.standingOrders.maxConsecutiveFailures;
+  if (order.status === "active" && order.consecutiveFailures >= maxFailures) {
+    order.status = "paused";
+    order.pausedReason = `Paused after ${order.consecutiveFailures} failed runs: ${order.lastError}`;
+  } else if (order.status === "active" && !order.nextRunAt) {
+    order.status = "completed";
+  }
+  await order.save();
+}
+
+/**
+ * Execute one due run: quote, limit and liquidity checks, USDC pull, then the same B2B submission as
+ * /merchant/paybill/initiate. Re-running the same (orderId, dueAt) resumes or returns the
+ * run's transaction and never pulls funds twice. A pull that was sent but not seen confirmed
+ * leaves the run in awaiting_onchain_funding with outcome "unconfirmed"; the next attempt
+ * checks its receipt. Returns { outcome, tx, needsRefund } where `needsRefund` asks the
+ * caller to queue the auto refund.
+ */
+async function runStandingOrder({ orderId, dueAt }) {
+  const order = await StandingOrder.findOne({ orderId: String(orderId || "").trim().toUpperCase() });
+  if (!order) throw new Error(`Standing order ${orderId} not found.`);
+  if (order.status !== "active") return { outcome: "skipped", reason: order.status, tx: null, needsRefund: false };
+
+  const { tx } = await findOrCreateRunTransaction(order, dueAt);
+  if (!["awaiting_user_authorization", "awaiting_onchain_funding"].includes(tx.status)) {
+    return { outcome: "duplicate", tx, needsRefund: false };
+  }
+
+  let error = null;
+  let unconfirmed = false;
+  if (tx.onchain?.verificationStatus !== "verified") {
+    try {
+      if (tx.onchain?.txHash) {
+        unconfirmed = (await confirmSentPull(tx)) === "unconfirmed";
+      } else {
+        await assertWithinLimits({
+          userAddress: order.userAddress,
+          flowType: order.flowType,
+          entries: [{ amountKes: tx.quote.amountKes, recipient: recipientOf(order.flowType, tx.targets) }],
+          excludeId: tx._id,
+        });
+        await assertLiquidityForQuote({ flowType: order.flowType, quote: tx.quote, source: "standing_order" });
+        await pullRunFunding(tx, order);
+      }
+      // Record the pull before Daraja is called: a retry after a crash or a thrown submit
+      // finds the funding verified and skips straight to the submission.
+      await tx.save();
+    } catch (err) {
+      error = err?.message || String(err);
+      if (tx.onchain?.txHash && tx.onchain.verificationStatus === "pending") {
+        // Sent, but whether it moved the USDC is unknown: failing the run could lose the user's money.
+        unconfirmed = true;
+        tx.onchain.verificationError = error;
+      } else {
+        if (tx.onchain?.verificationStatus === "pending") {
+          tx.onchain.verificationStatus = "failed";
+          tx.onchain.verificationError = error;
+        }
+        assertTransition(tx, "failed", `Standing order run failed: ${error}`, "standing_order");
+      }
+      await tx.save();
+    }
+  }
+  if (unconfirmed) return { outcome: "unconfirmed", tx, needsRefund: false };
+
+  let rejected = false;
+  if (!error) {
+    const submitted = await submitB2BPayout(tx, { accountReference: order.targets?.accountReference });
+    rejected = !submitted.accepted;
+  }
+
+  await recordRunOutcome(order, tx, error);
+
+  return {
+    outcome: tx.status === "failed" ? "failed" : "submitted",
+    tx,
+    // Nothing left the user's wallet when the run failed before the USDC pull.
+    needsRefund: rejected || (Boolean(error) && tx.onchain?.verificationStatus === "verified"),
+  };
+}
+
+module.exports = {
+  parseSchedule,
+  computeNextRunAt,
+  buildStandingOrderMessage,
+  assertOrderQuota,
+  buildStandingOrder,
+  claimDueStandingOrders,
+  runStandingOrder,
+};
@@ -3,14 +3,22 @@ const { STATUSES } = require("../../models/MpesaTransaction");
 const ALLOWED_TRANSITIONS = {
   created: ["quoted", "awaiting_user_authorization", "failed"],
   quoted: ["awaiting_user_authorization", "mpesa_submitted", "failed"],
-  awaiting_user_authorization: ["awaiting_onchain_funding", "mpesa_submitted", "failed"],
-  awaiting_onchain_funding: ["mpesa_submitted", "failed"],
-  mpesa_submitted: ["mpesa_processing", "succeeded", "failed"],
-  mpesa_processing: ["succeeded", "failed"],
-  succeeded: [],
+  awaiting_user_authorization: ["awaiting_onchain_funding", "risk_review", "mpesa_submitted", "failed"],
+  awaiting_onchain_funding: ["risk_review", "mpesa_submitted", "failed"],
+  // Held by a risk rule until an operator approves (submit) or rejects (fail + refund).
+  risk_review: ["mpesa_submitted", "failed"],
+  mpesa_submitted: ["mpesa_processing", "ops_review", "succeeded", "failed"],
+  mpesa_processing: ["ops_review", "succeeded", "failed"],
+  // A payout M-Pesa never answered for; a late result or an ops re-query settles it.
+  ops_review: ["succeeded", "failed"],
+  succeeded: ["reversal_pending"],
   failed: ["refund_pending", "refunded"],
   refund_pending: ["refunded", "failed"],
   refunded: [],
+  // A rejected or timed-out reversal returns the payout to succeeded.
+  reversal_pending: ["reversed", "succeeded"],
+  // USDC re-credit after a completed reversal.
+  reversed: ["refunded"],
 };
 
 function canTransition(from, to) {
@@ -0,0 +1,104 @@
+const { assertTransition } = require("./stateMachine");
+const { enqueueOnrampCredit } = require("../jobs/enqueue");
+
+// Daraja returns this while the customer has not answered the STK prompt yet.
+const STK_QUERY_PENDING_CODES = new Set(["500.001.1001"]);
+
+function parseResultCode(value) {
+  const raw =
+    value === undefined || value === null
+      ? null
+      : String(value).trim() || null;
+  const asNumber = raw === null ? NaN : Number(raw);
+  return {
+    raw,
+    number: Number.isFinite(asNumber) ? asNumber : null,
+    key: raw ?? "unknown",
+    isSuccess: raw === "0" || asNumber === 0,
+  };
+}
+
+/**
+ * Classify an STK Push Query response.
+ * - paid: ResultCode 0
+ * - failed: any other ResultCode (Daraja has a final answer and no money moved)
+ * - pending: still waiting on the customer
+ * - error: request failed; the outcome is unknown, so nothing should change
+ */
+function classifyStkQueryResponse(response) {
+  const data = response?.data || {};
+  const errorCode = String(data.errorCode || "").trim();
+
+  if (errorCode && STK_QUERY_PENDING_CODES.has(errorCode)) {
+    return { state: "pending", resultCode: null, resultDesc: data.errorMessage || null };
+  }
+
+  const hasResult = data.ResultCode !== undefined && data.ResultCode !== null && String(data.ResultCode).trim() !== "";
+  if (!response?.ok || String(data.ResponseCode ?? "") !== "0" || !hasResult) {
+    return {
+      state: "error",
+      resultCode: null,
+      resultDesc: data.errorMessage || data.ResponseDescription || `HTTP ${response?.status ?? "error"}`,
+    };
+  }
+
+  const parsed = parseResultCode(data.ResultCode);
+  return {
+    state: parsed.isSuccess ? "paid" : "failed",
+    resultCode: data.ResultCode,
+    resultDesc: String(data.ResultDesc || "").trim() || null,
+  };
+}
+
+/**
+ * Apply a final STK outcome (from the callback or an STK Push Query) to a transaction.
+ * Topups move to mpesa_processing and get a queued USDC credit; failures move to failed.
+ * Saves the transaction. Returns "paid" or "failed".
+ */
+async function applyStkResult(
+  tx,
+  { resultCode, resultDesc = null, merchantRequestId = null, checkoutRequestId = null, receiptNumber = null, source }
+) {
+  const parsedCode = parseResultCode(resultCode);
+  const label = source === "webhook" ? "STK callback" : "STK query";
+
+  tx.daraja = {
+    ...(tx.daraja || {}),
+    merchantRequestId: merchantRequestId || tx.daraja?.merchantRequestId || null,
+    checkoutRequestId: checkoutRequestId || tx.daraja?.checkoutRequestId || null,
+    resultCode: parsedCode.number,
+    resultCodeRaw: parsedCode.raw,
+    resultDesc,
+    receiptNumber: receiptNumber || tx.daraja?.receiptNumber || null,
+  };
+
+  if (parsedCode.isSuccess) {
+    // For topups, STK success must be followed by treasury -> user USDC credit.
+    if (tx.flowType === "onramp") {
+      if (tx.status === "mpesa_submitted") {
+        assertTransition(tx, "mpesa_processing", `${label} success`, source);
+      }
+      await tx.save();
+      await enqueueOnrampCredit(tx, { source });
+      return "paid";
+    }
+
+    if (tx.status !== "succeeded") {
+      assertTransition(tx, "succeeded", `${label} success`, source);
+    }
+    await tx.save();
+    return "paid";
+  }
+
+  if (tx.status !== "failed") {
+    assertTransition(tx, "failed", `${label} failure`, source);
+  }
+  await tx.save();
+  return "failed";
+}
+
+module.exports = {
+  parseResultCode,
+  classifyStkQueryResponse,
+  applyStkResult,
+};
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Date-only bounds are whole days in Nairobi time (UTC+3, no DST).
+const NAIROBI_OFFSET = "+03:00";
+const REFUND_STATUSES = ["none", "pending", "completed", "failed"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * A YYYY-MM-DD day (Nairobi time) or an ISO-8601 timestamp. With `endOfDay`, a day means the
+ * start of the next one, so it can be used as an exclusive upper bound.
+ */
+function parseDateParam(value, name, { endOfDay = false } = {}) {
+  const raw = String(value || "").trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    const start = new Date(`${raw}T00:00:00${NAIROBI_OFFSET}`);
+    if (!Number.isNaN(start.getTime())) return endOfDay ? new Date(start.getTime() + DAY_MS) : start;
+  } else {
+    const date = new Date(raw);
+    if (raw && !Number.isNaN(date.getTime())) return date;
+  }
+  throw new Error(`${name} must be a date (YYYY-MM-DD) or ISO-8601 timestamp.`);
+}
+
+function parseAmountParam(value, name) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${name} must be a non-negative number.`);
+  return n;
+}
+
+function normalizePhone(value) {
+  const phone = String(value || "").trim().replace(/[\s()+-]/g, "");
+  if (/^0[17]\d{8}$/.test(phone)) return `254${phone.slice(1)}`;
+  return phone;
+}
+
+/** Opaque page cursor: the (createdAt, _id) of the last transaction on the page. */
+function encodeCursor(tx) {
+  return Buffer.from(JSON.stringify([new Date(tx.createdAt).getTime(), String(tx._id)])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAtMs, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Number.isSafeInteger(createdAtMs) && mongoose.Types.ObjectId.isValid(id) && /^[a-f0-9]{24}$/.test(id)) {
+      return { createdAt: new Date(createdAtMs), id: new mongoose.Types.ObjectId(id) };
+    }
+  } catch {
+    // Falls through to the error below.
+  }
+  throw new Error("cursor is invalid.");
+}
+
+/**
+ * Mongo filter and page for GET /transactions. Every filter is scoped to `userAddress` (the back
+ * office passes null to search across users); only that scope and the sort use the
+ * { userAddress, createdAt, _id } index, the other filters are checked against the documents it
+ * walks. Pages are newest first by (createdAt, _id), so
+ * transactions created after the first page never shift later ones. Throws on malformed filters.
+ *
+ * Returns { filter, countFilter, limit, withTotal }: `countFilter` leaves out the cursor.
+ */
+function buildTransactionQuery(userAddress, params = {}, { flowTypes = [] } = {}) {
+  const text = (key) => String(params[key] ?? "").trim();
+  const filter = userAddress ? { userAddress } : {};
+
+  // Unknown flow types are ignored, as they always were.
+  const flowType = text("flowType").toLowerCase();
+  if (flowTypes.includes(flowType)) filter.flowType = flowType;
+  if (text("status")) filter.status = text("status");
+  if (text("businessId")) filter.businessId = text("businessId");
+
+  const refundStatus = text("refundStatus").toLowerCase();
+  if (refundStatus) {
+    if (!REFUND_STATUSES.includes(refundStatus)) {
+      throw new Error(`refundStatus must be one of: ${REFUND_STATUSES.join(", ")}.`);
+    }
+    filter["refund.status"] = refundStatus;
+  }
+
+  if (text("phoneNumber")) {
+    const phoneNumber = normalizePhone(text("phoneNumber"));
+    if (!/^254\d{9}$/.test(phoneNumber)) throw new Error("phoneNumber must be a Kenyan MSISDN (2547XXXXXXXX).");
+    filter["targets.phoneNumber"] = phoneNumber;
+  }
+  if (text("paybillNumber")) {
+    if (!/^\d{5,8}$/.test(text("paybillNumber"))) throw new Error("paybillNumber must be 5-8 digits.");
+    filter["targets.paybillNumber"] = text("paybillNumber");
+  }
+  if (text("tillNumber")) {
+    if (!/^\d{5,8}$/.test(text("tillNumber"))) throw new Error("tillNumber must be 5-8 digits.");
+    filter["targets.tillNumber"] = text("tillNumber");
+  }
+  if (text("receiptNumber")) filter["daraja.receiptNumber"] = text("receiptNumber").toUpperCase();
+
+  const createdAt = {};
+  if (text("from")) createdAt.$gte = parseDateParam(text("from"), "from");
+  if (text("to")) createdAt.$lt = parseDateParam(text("to"), "to", { endOfDay: true });
+  if (createdAt.$gte && createdAt.$lt && createdAt.$gte >= createdAt.$lt) throw new Error("from must be before to.");
+  if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+
+  const amountKes = {};
+  if (text("minAmountKes")) amountKes.$gte = parseAmountParam(text("minAmountKes"), "minAmountKes");
+  if (text("maxAmountKes")) amountKes.$lte = parseAmountParam(text("maxAmountKes"), "maxAmountKes");
+  if (amountKes.$gte > amountKes.$lte) throw new Error("maxAmountKes must be >= minAmountKes.");
+  if (Object.keys(amountKes).length > 0) filter["quote.amountKes"] = amountKes;
+
+  const countFilter = { ...filter };
+  if (text("cursor")) {
+    const cursor = decodeCursor(text("cursor"));
+    filter.$or = [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }];
+  }
+
+  const limitRaw = Number.parseInt(text("limit") || String(DEFAULT_PAGE_SIZE), 10);
+  const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+  const withTotal = ["1", "true"].includes(text("count").toLowerCase());
+
+  return { filter, countFilter, limit, withTotal };
+}
+
+module.exports = {
+  REFUND_STATUSES,
+  parseDateParam,
+  encodeCursor,
+  decodeCursor,
+  buildTransactionQuery,
+};
@@ -0,0 +1,199 @@
+const { queryTransactionStatus } = require("./darajaClient");
+const { assertTransition } = require("./stateMachine");
+const { buildCallbackUrl } = require("./callbackUrls");
+const { parseResultCode } = require("./stkResult");
+const { enqueueAutoRefund, enqueueExcessRefund, enqueueOnrampCredit } = require("../jobs/enqueue");
+const { recordBeneficiaryUse } = require("../beneficiaries/beneficiaryService");
+
+const PAYOUT_FLOWS = new Set(["offramp", "paybill", "buygoods"]);
+const FAILED_TRANSACTION_STATUSES = new Set(["failed", "declined", "cancelled", "expired", "reversed"]);
+const OPEN_STATUSES = new Set(["mpesa_submitted", "mpesa_processing", "ops_review"]);
+
+/** A paybill topup whose receipt M-Pesa has not confirmed yet (see c2b.recordC2BConfirmation). */
+function isUnverifiedC2BTopup(tx) {
+  return tx?.flowType === "onramp" && tx.metadata?.extra?.c2b?.verification === "pending";
+}
+
+function statusQueryProduct(tx) {
+  if (tx.flowType === "onramp") return "c2b";
+  return tx.flowType === "offramp" ? "b2c" : "b2b";
+}
+
+function parseResultParameters(result) {
+  const list = result?.ResultParameters?.ResultParameter;
+  const items = Array.isArray(list) ? list : list ? [list] : [];
+  const params = {};
+  for (const item of items) {
+    const key = String(item?.Key || "").trim();
+    if (key) params[key] = item?.Value ?? null;
+  }
+  return params;
+}
+
+/**
+ * Read a TransactionStatusQuery result.
+ * ResultCode only says whether the query worked; the payout outcome is in ResultParameters.TransactionStatus.
+ * Returns state "completed" | "failed" | "unknown".
+ */
+function classifyTransactionStatusResult(result) {
+  const parsedCode = parseResultCode(result?.ResultCode);
+  const params = parseResultParameters(result);
+  const transactionStatus = String(params.TransactionStatus || "").trim() || null;
+  const normalized = String(transactionStatus || "").toLowerCase();
+
+  let state = "unknown";
+  if (parsedCode.isSuccess && normalized === "completed") state = "completed";
+  else if (parsedCode.isSuccess && FAILED_TRANSACTION_STATUSES.has(normalized)) state = "failed";
+
+  return {
+    state,
+    resultCode: parsedCode,
+    resultDesc: String(result?.ResultDesc || "").trim() || null,
+    transactionStatus,
+    reasonType: String(params.ReasonType || "").trim() || null,
+    receiptNumber: String(params.ReceiptNo || "").trim() || null,
+    originatorConversationId: String(params.OriginatorConversationID || "").trim() || null,
+    conversationId: String(params.ConversationID || "").trim() || null,
+    params,
+  };
+}
+
+/**
+ * Ask Daraja for the status of a payout or an unverified paybill topup. The answer arrives on
+ * /webhooks/transaction-status/result. Records the attempt on metadata.extra.statusQuery; the caller
+ * saves the transaction.
+ */
+async function requestTransactionStatus(tx) {
+  if (!PAYOUT_FLOWS.has(tx.flowType) && !isUnverifiedC2BTopup(tx)) {
+    throw new Error("Transaction status queries are only supported for payouts and paybill topups.");
+  }
+
+  const previous = tx.metadata?.extra?.statusQuery || {};
+  const record = {
+    attempts: Number(previous.attempts || 0) + 1,
+    lastSentAt: new Date(),
+    lastResponse: null,
+    lastError: null,
+    lastResult: previous.lastResult || null,
+  };
+
+  try {
+    const response = await queryTransactionStatus({
+      transactionReceipt: tx.daraja?.receiptNumber || "",
+      originatorConversationId: tx.daraja?.originatorConversationId || tx.transactionId,
+      resultUrl: buildCallbackUrl("status_result", tx),
+      timeoutUrl: buildCallbackUrl("status_timeout", tx),
+      product: statusQueryProduct(tx),
+    });
+    record.lastResponse = response.data;
+    if (!response.ok || String(response.data?.ResponseCode ?? "") !== "0") {
+      record.lastError = response.data?.errorMessage || response.data?.ResponseDescription || `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    record.lastError = err.message;
+  }
+
+  tx.metadata = tx.metadata || {};
+  tx.metadata.extra = {
+    ...(tx.metadata.extra || {}),
+    statusQuery: record,
+  };
+
+  return { accepted: !record.lastError, attempts: record.attempts, error: record.lastError };
+}
+
+/**
+ * Settle a paybill topup's receipt check: only a completed payment of the confirmed amount is
+ * credited. Anything else fails the topup without crediting. Returns "verified" | "failed" | "unchanged".
+ */
+async function applyC2BVerification(tx, outcome, source) {
+  if (outcome.state === "unknown" || tx.status !== "mpesa_processing") {
+    await tx.save();
+    return "unchanged";
+  }
+
+  const paidKes = Number(outcome.params.Amount);
+  const receiptMatches = !outcome.receiptNumber || outcome.receiptNumber.toUpperCase() === tx.daraja?.receiptNumber;
+  const amountMatches = Number.isFinite(paidKes) && Math.abs(paidKes - Number(tx.quote?.amountKes || 0)) < 0.01;
+  const verified = outcome.state === "completed" && receiptMatches && amountMatches;
+
+  tx.metadata.extra = {
+    ...tx.metadata.extra,
+    c2b: { ...(tx.metadata.extra.c2b || {}), verification: verified ? "verified" : "rejected" },
+  };
+
+  if (verified) {
+    tx.daraja = { ...(tx.daraja || {}), resultCode: 0, resultCodeRaw: "0", resultDesc: "C2B receipt confirmed" };
+    await tx.save();
+    await enqueueOnrampCredit(tx, { source });
+    return "verified";
+  }
+
+  const reason =
+    outcome.state === "completed"
+      ? `C2B receipt does not match the confirmation (M-Pesa amount ${outcome.params.Amount ?? "missing"})`
+      : `C2B receipt ${String(outcome.transactionStatus).toLowerCase()} per transaction status query`;
+  assertTransition(tx, "failed", reason, source);
+  await tx.save();
+  return "failed";
+}
+
+/**
+ * Finalize an open payout from a Transaction Status result. Saves the transaction and queues
+ * a refund when the payout failed. Paybill topups go to applyC2BVerification.
+ * Returns "succeeded" | "verified" | "failed" | "unchanged".
+ */
+async function applyTransactionStatusResult(tx, outcome, { source = "webhook" } = {}) {
+  tx.metadata = tx.metadata || {};
+  tx.metadata.extra = {
+    ...(tx.metadata.extra || {}),
+    statusQuery: {
+      ...(tx.metadata.extra?.statusQuery || {}),
+      lastResult: {
+        at: new Date(),
+        state: outcome.state,
+        resultCode: outcome.resultCode.raw,
+        resultDesc: outcome.resultDesc,
+        transactionStatus: outcome.transactionStatus,
+        reasonType: outcome.reasonType,
+        params: outcome.params,
+      },
+    },
+  };
+
+  if (isUnverifiedC2BTopup(tx)) return applyC2BVerification(tx, outcome, source);
+
+  if (outcome.state === "unknown" || !OPEN_STATUSES.has(tx.status) || !PAYOUT_FLOWS.has(tx.flowType)) {
+    await tx.save();
+    return "unchanged";
+  }
+
+  tx.daraja = {
+    ...(tx.daraja || {}),
+    conversationId: tx.daraja?.conversationId || outcome.conversationId || null,
+    receiptNumber: outcome.receiptNumber || tx.daraja?.receiptNumber || null,
+    resultDesc: outcome.reasonType || outcome.transactionStatus || tx.daraja?.resultDesc || null,
+  };
+
+  if (outcome.state === "completed") {
+    assertTransition(tx, "succeeded", "Transaction status: completed", source);
+    await tx.save();
+    await recordBeneficiaryUse(tx);
+    await enqueueExcessRefund(tx);
+    return "succeeded";
+  }
+
+  assertTransition(tx, "failed", `Transaction status: ${outcome.transactionStatus}`, source);
+  await tx.save();
+  await enqueueAutoRefund(tx, `Payout ${String(outcome.transactionStatus).toLowerCase()} per transaction status query`);
+  return "failed";
+}
+
+module.exports = {
+  PAYOUT_FLOWS,
+  isUnverifiedC2BTopup,
+  parseResultParameters,
+  classifyTransactionStatusResult,
+  requestTransactionStatus,
+  applyTransactionStatusResult,
+};
@@ -0,0 +1,94 @@
+// Minimal single-page PDF writer for receipts: Helvetica text only, A4, no dependencies.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const VALUE_X = 210;
+const CHAR_WIDTH_EM = 0.55;
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+}
+
+function wrap(text, size, width) {
+  const max = Math.max(8, Math.floor(width / (size * CHAR_WIDTH_EM)));
+  const chunks = [];
+  let rest = String(text ?? "");
+  while (rest.length > max) {
+    const cut = rest.lastIndexOf(" ", max) > max / 2 ? rest.lastIndexOf(" ", max) : max;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).trimStart();
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+function textOp(x, y, size, bold, text) {
+  return `BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`;
+}
+
+/**
+ * Render `blocks` top to bottom:
+ *   { text, size?, bold?, gap? }   a paragraph (wrapped to the page width)
+ *   { label, value, size? }        a label/value row (long values wrap in the value column)
+ *   { rule: true }                 a horizontal line
+ * Returns the PDF as a Buffer.
+ */
+function renderPdf(blocks) {
+  const ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    const size = block.size || 10;
+    y -= block.gap || 0;
+    if (block.rule) {
+      y -= 6;
+      ops.push(`0.8 G ${MARGIN} ${y} m ${PAGE_WIDTH - MARGIN} ${y} l S 0 G`);
+      y -= 10;
+      continue;
+    }
+    if (block.label !== undefined) {
+      const lines = wrap(block.value, size, PAGE_WIDTH - MARGIN - VALUE_X);
+      ops.push(textOp(MARGIN, y, size, false, block.label));
+      lines.forEach((line, i) => ops.push(textOp(VALUE_X, y - i * size * 1.4, size, true, line)));
+      y -= lines.length * size * 1.4 + 4;
+      continue;
+    }
+    for (const line of wrap(block.text, size, PAGE_WIDTH - 2 * MARGIN)) {
+      ops.push(textOp(MARGIN, y, size, Boolean(block.bold), line));
+      y -= size * 1.4;
+    }
+    y -= 4;
+  }
+
+  const content = ops.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      "/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(out, "latin1"));
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefAt = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+
+module.exports = {
+  renderPdf,
+};
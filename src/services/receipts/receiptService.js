@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+const { mpesaConfig } = require("../../config/mpesa");
+const { renderPdf } = require("./pdf");
+
+const RECEIPT_FLOWS = new Set(["offramp", "paybill", "buygoods"]);
+const FLOW_TITLES = {
+  offramp: "Cash out to M-Pesa",
+  paybill: "Paybill payment",
+  buygoods: "Buy goods payment",
+};
+// Crockford base32: no I, L, O or U, so codes survive being read out or retyped.
+const CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const CODE_BYTES = 10;
+
+function formatKes(value) {
+  const n = Number(value || 0);
+  return `KES ${n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatUsd(value) {
+  return `${Number(value || 0).toFixed(2)} USDC`;
+}
+
+function formatNairobiTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "-";
+  const text = new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Africa/Nairobi",
+    dateStyle: "medium",
+    timeStyle: "medium",
+  }).format(date);
+  return `${text} EAT`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function base32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += CODE_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += CODE_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function normalizeCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/[IL]/g, "1")
+    .replace(/O/g, "0");
+}
+
+/** Why a transaction has no receipt, or null when it does. */
+function receiptBlocker(tx) {
+  if (!RECEIPT_FLOWS.has(tx.flowType)) return "Receipts are only issued for cash outs, paybill and buy goods payments.";
+  if (tx.status !== "succeeded") return `Transaction is ${tx.status}; receipts are only issued for succeeded payments.`;
+  if (!tx.daraja?.receiptNumber) return "M-Pesa has not confirmed a receipt number for this payment yet.";
+  return null;
+}
+
+/**
+ * Verification code for a receipt: an HMAC over the fields that never change once a payout
+ * succeeds (transaction ID, M-Pesa receipt number, KES amount), as XXXX-XXXX-XXXX-XXXX.
+ */
+function receiptVerificationCode(tx) {
+  const secret = mpesaConfig.receipts.signingSecret;
+  if (!secret) throw new Error("Receipt signing is not configured (RECEIPT_SIGNING_SECRET).");
+
+  const payload = [
+    "dotpay-receipt",
+    tx.transactionId,
+    tx.daraja?.receiptNumber || "",
+    Number(tx.quote?.amountKes || 0).toFixed(2),
+  ].join("|");
+  const digest = crypto.createHmac("sha256", secret).update(payload).digest().subarray(0, CODE_BYTES);
+  return base32(digest).match(/.{4}/g).join("-");
+}
+
+function matchesVerificationCode(tx, code) {
+  if (!tx.daraja?.receiptNumber) return false;
+  const expected = Buffer.from(normalizeCode(receiptVerificationCode(tx)));
+  const provided = Buffer.from(normalizeCode(code));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function recipientOf(tx) {
+  const targets = tx.targets || {};
+  if (tx.flowType === "paybill") {
+    return { label: `Paybill ${targets.paybillNumber}`, accountReference: targets.accountReference || null };
+  }
+  if (tx.flowType === "buygoods") return { label: `Till ${targets.tillNumber}`, accountReference: null };
+  return { label: `M-Pesa ${targets.phoneNumber}`, accountReference: null };
+}
+
+function verifyUrlFor(tx, code, baseUrl) {
+  const origin = mpesaConfig.receipts.publicBaseUrl || String(baseUrl || "").replace(/\/+$/, "");
+  return `${origin}/api/mpesa/receipts/${tx.transactionId}/verify?code=${code}`;
+}
+
+/**
+ * Everything a receipt shows, in display order. Throws when the transaction has no receipt
+ * (see receiptBlocker). `baseUrl` is used for the verification link unless
+ * RECEIPT_PUBLIC_BASE_URL is set.
+ */
+function buildReceipt(tx, { baseUrl = "" } = {}) {
+  const blocker = receiptBlocker(tx);
+  if (blocker) throw new Error(blocker);
+
+  const quote = tx.quote || {};
+  const recipient = recipientOf(tx);
+  const verificationCode = receiptVerificationCode(tx);
+  const fundedUsd = tx.onchain?.fundedAmountUsd || tx.onchain?.expectedAmountUsd || quote.amountUsd || 0;
+
+  const rows = [
+    ["Paid to", recipient.label],
+    ...(recipient.accountReference ? [["Account number", recipient.accountReference]] : []),
+    ...(tx.daraja?.receiverPublicName ? [["Recipient name", tx.daraja.receiverPublicName]] : []),
+    ["M-Pesa receipt", tx.daraja.receiptNumber],
+    ["Date", formatNairobiTime(tx.daraja?.completedAt || tx.daraja?.callbackReceivedAt || tx.updatedAt)],
+    ["Transaction ID", tx.transactionId],
+  ];
+  const breakdown = [
+    ["Amount", formatKes(quote.amountKes)],
+    ["DotPay fee", formatKes(quote.feeAmountKes)],
+    ["Network fee", formatKes(quote.networkFeeKes)],
+    ["Total debited", formatKes(quote.totalDebitKes)],
+    ["Exchange rate", `1 USD = ${Number(quote.rateKesPerUsd || 0).toFixed(2)} KES`],
+    ["Paid in USDC", formatUsd(fundedUsd)],
+    ...(tx.refund?.refundedAmountUsd > 0 ? [["Refunded in USDC", formatUsd(tx.refund.refundedAmountUsd)]] : []),
+  ];
+  const funding = [
+    ["Funding transaction", tx.onchain?.txHash || "Not required"],
+    ...(tx.onchain?.chainId ? [["Chain ID", String(tx.onchain.chainId)]] : []),
+  ];
+
+  return {
+    transactionId: tx.transactionId,
+    flowType: tx.flowType,
+    title: FLOW_TITLES[tx.flowType],
+    amount: formatKes(quote.amountKes),
+    rows,
+    breakdown,
+    funding,
+    verificationCode,
+    verifyUrl: verifyUrlFor(tx, verificationCode, baseUrl),
+  };
+}
+
+function htmlRows(rows) {
+  return rows
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("\n");
+}
+
+function renderReceiptHtml(receipt) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>DotPay receipt ${escapeHtml(receipt.transactionId)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111; margin: 0; background: #f4f5f7; }
+  main { max-width: 560px; margin: 24px auto; background: #fff; padding: 28px 32px; border-radius: 8px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  .amount { font-size: 28px; font-weight: 700; margin: 12px 0 20px; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: .06em; color: #666; margin: 24px 0 8px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th { text-align: left; font-weight: 400; color: #555; padding: 6px 12px 6px 0; width: 40%; vertical-align: top; }
+  td { font-weight: 600; padding: 6px 0; word-break: break-all; }
+  .code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 16px; }
+  footer { font-size: 12px; color: #666; margin-top: 24px; }
+</style>
+</head>
+<body>
+<main>
+<h1>DotPay receipt</h1>
+<div>${escapeHtml(receipt.title)}</div>
+<div class="amount">${escapeHtml(receipt.amount)}</div>
+<table>
+${htmlRows(receipt.rows)}
+</table>
+<h2>Breakdown</h2>
+<table>
+${htmlRows(receipt.breakdown)}
+</table>
+<h2>Funding</h2>
+<table>
+${htmlRows(receipt.funding)}
+</table>
+<h2>Verification</h2>
+<table>
+<tr><th>Verification code</th><td class="code">${escapeHtml(receipt.verificationCode)}</td></tr>
+</table>
+<footer>Anyone can confirm this receipt is genuine at <a href="${escapeHtml(receipt.verifyUrl)}">${escapeHtml(receipt.verifyUrl)}</a>.</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+function renderReceiptPdf(receipt) {
+  const section = (title) => [{ rule: true }, { text: title.toUpperCase(), size: 9, bold: true }];
+  const rows = (list) => list.map(([label, value]) => ({ label, value }));
+  return renderPdf([
+    { text: "DotPay receipt", size: 18, bold: true },
+    { text: receipt.title, size: 11 },
+    { text: receipt.amount, size: 22, bold: true, gap: 6 },
+    { rule: true },
+    ...rows(receipt.rows),
+    ...section("Breakdown"),
+    ...rows(receipt.breakdown),
+    ...section("Funding"),
+    ...rows(receipt.funding),
+    ...section("Verification"),
+    { label: "Verification code", value: receipt.verificationCode, size: 12 },
+    { text: `Anyone can confirm this receipt is genuine at ${receipt.verifyUrl}`, size: 9, gap: 6 },
+  ]);
+}
+
+/**
+ * What the public verification route discloses for a genuine receipt: enough for a merchant
+ * to match the payment, nothing about the payer.
+ */
+function describeVerifiedReceipt(tx) {
+  const recipient = recipientOf(tx);
+  return {
+    transactionId: tx.transactionId,
+    type: FLOW_TITLES[tx.flowType] || tx.flowType,
+    status: tx.status,
+    amountKes: Number(tx.quote?.amountKes || 0),
+    paidTo: recipient.label,
+    accountReference: recipient.accountReference,
+    mpesaReceiptNumber: tx.daraja?.receiptNumber || null,
+    completedAt: tx.daraja?.completedAt || tx.daraja?.callbackReceivedAt || null,
+    // A genuine receipt for a payment M-Pesa later reversed.
+    reversed: tx.reversal?.status === "completed",
+  };
+}
+
+module.exports = {
+  receiptBlocker,
+  receiptVerificationCode,
+  matchesVerificationCode,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  describeVerifiedReceipt,
+};
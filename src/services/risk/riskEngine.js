@@ -0,0 +1,215 @@
+const { riskConfig } = require("../../config/risk");
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const User = require("../../models/User");
+const { assertTransition } = require("../mpesa/stateMachine");
+const { submitB2CPayout, submitB2BPayout } = require("../mpesa/payoutService");
+const { recipientOf } = require("../limits/limitService");
+
+const OUTFLOW_FLOWS = ["offramp", "paybill", "buygoods"];
+const ACTION_SEVERITY = { allow: 0, review: 1, block: 2 };
+const MINUTE_MS = 60 * 1000;
+
+// Statuses a payout can hold without the user ever authorizing it. Attempts that got as far as
+// authorization count towards velocity whatever their outcome; an abandoned quote (including one
+// the expiry sweep failed) does not.
+const UNAUTHORIZED_STATUSES = ["created", "quoted", "failed"];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function recipientKey(tx) {
+  const recipient = recipientOf(tx.flowType, tx.targets);
+  return recipient ? `${tx.flowType}:${recipient}` : null;
+}
+
+function wasAttempted(tx) {
+  if (!UNAUTHORIZED_STATUSES.includes(tx.status)) return true;
+  return (tx.history || []).some((step) => !UNAUTHORIZED_STATUSES.includes(step.to));
+}
+
+function attemptsSince(history, since) {
+  return history.filter((h) => wasAttempted(h) && new Date(h.createdAt).getTime() >= since);
+}
+
+/**
+ * Each rule returns null (did not fire) or { reason } and may override the configured action.
+ * `ctx` = { tx, amountKes, recipient, history, user, ipAddress, userAgent, now }.
+ */
+const RULES = {
+  velocity(ctx, config) {
+    const count = attemptsSince(ctx.history, ctx.now - config.windowMinutes * MINUTE_MS).length + 1;
+    if (count <= config.maxTxns) return null;
+    return { reason: `${count} payouts in ${config.windowMinutes} minutes (max ${config.maxTxns}).` };
+  },
+
+  newRecipientBurst(ctx, config) {
+    const since = ctx.now - config.windowMinutes * MINUTE_MS;
+    const known = new Set(
+      ctx.history
+        .filter((h) => h.status === "succeeded" && new Date(h.createdAt).getTime() < since)
+        .map(recipientKey)
+    );
+    const fresh = new Set(attemptsSince(ctx.history, since).map(recipientKey).filter((key) => key && !known.has(key)));
+    if (ctx.recipient && !known.has(ctx.recipient)) fresh.add(ctx.recipient);
+    if (fresh.size <= config.maxNewRecipients) return null;
+    return { reason: `${fresh.size} new recipients in ${config.windowMinutes} minutes (max ${config.maxNewRecipients}).` };
+  },
+
+  newRecipientAmount(ctx, config) {
+    if (!ctx.recipient || ctx.amountKes <= config.maxKes) return null;
+    const paidBefore = ctx.history.some((h) => h.status === "succeeded" && recipientKey(h) === ctx.recipient);
+    if (paidBefore) return null;
+    return { reason: `KES ${ctx.amountKes} to a recipient never paid before (max KES ${config.maxKes}).` };
+  },
+
+  pinFailures(ctx, config) {
+    const since = ctx.now - config.windowMinutes * MINUTE_MS;
+    const failures = (ctx.user?.pinFailedAt || []).filter((at) => new Date(at).getTime() >= since).length;
+    if (failures < config.maxFailures) return null;
+    return { reason: `${failures} wrong PIN attempts in the last ${config.windowMinutes} minutes.` };
+  },
+
+  deviceChange(ctx, config) {
+    const seen = ctx.history.filter((h) => h.status === "succeeded" && (h.metadata?.ipAddress || h.metadata?.userAgent));
+    if (seen.length === 0 || (!ctx.ipAddress && !ctx.userAgent)) return null;
+    const newIp = ctx.ipAddress && !seen.some((h) => h.metadata?.ipAddress === ctx.ipAddress);
+    const newAgent = ctx.userAgent && !seen.some((h) => h.metadata?.userAgent === ctx.userAgent);
+    if (!newIp || !newAgent) return null;
+    return {
+      reason: "IP address and user agent not seen on earlier payouts.",
+      action: ctx.amountKes < config.minKes ? "allow" : undefined,
+    };
+  },
+
+  amountAnomaly(ctx, config) {
+    const amounts = ctx.history
+      .filter((h) => h.status === "succeeded")
+      .slice(0, 20)
+      .map((h) => Number(h.quote?.amountKes || 0));
+    if (amounts.length < config.minHistory || ctx.amountKes < config.minKes) return null;
+    const typical = median(amounts);
+    if (ctx.amountKes <= typical * config.multiplier) return null;
+    return { reason: `KES ${ctx.amountKes} is over ${config.multiplier}x the usual KES ${typical}.` };
+  },
+};
+
+/**
+ * Run every rule against a payout about to be submitted. Returns { action, rules, ... } where
+ * `action` is the most severe action among the rules that fired (allow when none did).
+ */
+async function evaluatePayoutRisk(tx, { ipAddress = null, userAgent = null, now = Date.now() } = {}) {
+  const base = { action: "allow", rules: [], evaluatedAt: new Date(now), ipAddress, userAgent };
+  if (!riskConfig.enabled) return base;
+
+  const [user, history] = await Promise.all([
+    User.findOne({ address: tx.userAddress }),
+    MpesaTransaction.find(
+      {
+        userAddress: tx.userAddress,
+        flowType: { $in: OUTFLOW_FLOWS },
+        _id: { $ne: tx._id },
+        createdAt: { $gte: new Date(now - riskConfig.historyDays * 24 * 60 * MINUTE_MS) },
+      },
+      { flowType: 1, status: 1, targets: 1, quote: 1, metadata: 1, "history.to": 1, createdAt: 1 },
+      { sort: { createdAt: -1 }, limit: 500 }
+    ),
+  ]);
+
+  const ctx = {
+    tx,
+    amountKes: Number(tx.quote?.amountKes || 0),
+    recipient: recipientKey(tx),
+    history: [...(history || [])].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    user,
+    ipAddress,
+    userAgent,
+    now,
+  };
+
+  for (const [name, rule] of Object.entries(RULES)) {
+    const config = riskConfig.rules[name];
+    const hit = rule(ctx, config);
+    if (!hit) continue;
+    const action = hit.action || config.action;
+    base.rules.push({ rule: name, action, reason: hit.reason });
+    if (ACTION_SEVERITY[action] > ACTION_SEVERITY[base.action]) base.action = action;
+  }
+  return base;
+}
+
+/**
+ * Evaluate and record the decision on the transaction. `block` fails it (the caller queues
+ * the refund), `review` parks it in `risk_review`; both are saved. `submitOptions` are the
+ * Daraja options to replay if a held payout is approved.
+ */
+async function screenPayout(tx, { ipAddress = null, userAgent = null, submitOptions = null } = {}) {
+  const decision = await evaluatePayoutRisk(tx, { ipAddress, userAgent });
+  // The device rule compares against earlier payouts' metadata, so make sure this one has it.
+  tx.metadata = tx.metadata || {};
+  tx.metadata.ipAddress = tx.metadata.ipAddress || ipAddress;
+  tx.metadata.userAgent = tx.metadata.userAgent || userAgent;
+  tx.risk = {
+    ...decision,
+    reviewStatus: decision.action === "review" ? "pending" : null,
+    submitOptions,
+  };
+
+  const reasons = decision.rules
+    .filter((r) => r.action === decision.action)
+    .map((r) => r.reason)
+    .join(" ");
+  if (decision.action === "block") {
+    assertTransition(tx, "failed", `Blocked by risk rules: ${reasons}`, "risk");
+    await tx.save();
+  } else if (decision.action === "review") {
+    assertTransition(tx, "risk_review", `Held for review: ${reasons}`, "risk");
+    await tx.save();
+  }
+  return decision;
+}
+
+/**
+ * Operator decision on a held payout. The review is claimed atomically first, so of two
+ * concurrent decisions only one submits or fails the payout; the loser gets null.
+ * Approval submits it to Daraja exactly as the initiate route would have; rejection fails it.
+ * Returns { tx, submitted, accepted } with the claimed transaction, and leaves queueing the
+ * refund (rejected, or approved but refused by Daraja) to the caller.
+ */
+async function resolveRiskReview(tx, { approve, reviewedBy = null, note = null }) {
+  if (tx.status !== "risk_review") {
+    throw new Error(`Transaction is ${tx.status}, not awaiting risk review.`);
+  }
+  const claimed = await MpesaTransaction.findOneAndUpdate(
+    { _id: tx._id, status: "risk_review", "risk.reviewStatus": "pending" },
+    {
+      $set: {
+        "risk.reviewStatus": approve ? "approved" : "rejected",
+        "risk.reviewedBy": reviewedBy,
+        "risk.reviewedAt": new Date(),
+        "risk.reviewNote": note,
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  if (!approve) {
+    assertTransition(claimed, "failed", `Rejected in risk review${note ? `: ${note}` : ""}`, "risk");
+    await claimed.save();
+    return { tx: claimed, submitted: false, accepted: false };
+  }
+
+  const options = claimed.risk?.submitOptions || {};
+  const { accepted } =
+    claimed.flowType === "offramp" ? await submitB2CPayout(claimed, options) : await submitB2BPayout(claimed, options);
+  return { tx: claimed, submitted: true, accepted };
+}
+
+module.exports = {
+  evaluatePayoutRisk,
+  screenPayout,
+  resolveRiskReview,
+};
@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const os = require("os");
+const { schedulerConfig } = require("../../config/scheduler");
+const { mpesaConfig } = require("../../config/mpesa");
+const { SchedulerLease } = require("../../models/SchedulerLease");
+const { SchedulerRun } = require("../../models/SchedulerRun");
+const {
+  reconcileStaleTransactions,
+  settlePendingOnrampCredits,
+  expireStaleQuotes,
+} = require("../mpesa/reconcileService");
+const { requestAccountBalances } = require("../liquidity/accountBalance");
+const { claimDueStandingOrders } = require("../mpesa/standingOrders");
+const { retryFailedRefunds } = require("../mpesa/refundService");
+const { enqueueStandingOrderRun } = require("../jobs/enqueue");
+
+const TASKS = {
+  reconcile: () =>
+    reconcileStaleTransactions({
+      maxAgeMinutes: schedulerConfig.tasks.reconcile.maxAgeMinutes,
+    }),
+  onramp_settle: () =>
+    settlePendingOnrampCredits({
+      limit: schedulerConfig.tasks.onramp_settle.limit,
+      mode: "enqueue",
+    }),
+  quote_expiry: () =>
+    expireStaleQuotes({
+      graceMinutes: schedulerConfig.tasks.quote_expiry.graceMinutes,
+    }),
+  account_balance: () =>
+    mpesaConfig.enabled ? requestAccountBalances() : Promise.resolve({ skipped: true, reason: "mpesa_disabled" }),
+  standing_orders: () => runDueStandingOrders(),
+  refund_retry: () =>
+    retryFailedRefunds({
+      limit: schedulerConfig.tasks.refund_retry.limit,
+    }),
+};
+
+/**
+ * Hand every due standing order run to the job queue; the queue's dedupe key keeps a run
+ * from being queued twice if a claim is retried.
+ */
+async function runDueStandingOrders() {
+  if (!mpesaConfig.enabled) return { skipped: true, reason: "mpesa_disabled" };
+
+  const claims = await claimDueStandingOrders({ limit: schedulerConfig.tasks.standing_orders.limit });
+  for (const claim of claims) {
+    // eslint-disable-next-line no-await-in-loop
+    await enqueueStandingOrderRun(claim);
+  }
+  return { queued: claims.length };
+}
+
+const TASK_NAMES = Object.keys(TASKS);
+
+function defaultHolder() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function taskIntervalMs(task) {
+  return Number(schedulerConfig.tasks[task]?.intervalSeconds || 300) * 1000;
+}
+
+/**
+ * A task is due when it last started at least one interval ago. Allow a little slack so a
+ * timer that fires a few ms early (or a cron on the same cadence) does not skip a whole cycle.
+ */
+function computeDueBefore(intervalMs, now = Date.now()) {
+  const slackMs = Math.min(intervalMs * 0.1, 10_000);
+  return new Date(now - (intervalMs - slackMs));
+}
+
+/**
+ * Atomically take the task lease if it is free (or expired) and the task is due.
+ * Returns null when another instance holds it or the task ran recently.
+ */
+async function acquireLease(task, { holder, force = false } = {}) {
+  const now = new Date();
+  const conditions = [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }];
+  if (!force) {
+    conditions.push({
+      $or: [{ lastStartedAt: null }, { lastStartedAt: { $lte: computeDueBefore(taskIntervalMs(task), now.getTime()) } }],
+    });
+  }
+
+  try {
+    return await SchedulerLease.findOneAndUpdate(
+      { task, $and: conditions },
+      {
+        $set: {
+          holder,
+          lockedUntil: new Date(now.getTime() + schedulerConfig.leaseSeconds * 1000),
+          lastStartedAt: now,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // The lease document exists but did not match: held by someone else or not due.
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+async function releaseLease(task, holder, { status, runId }) {
+  await SchedulerLease.updateOne(
+    { task, holder },
+    {
+      $set: {
+        lockedUntil: null,
+        lastFinishedAt: new Date(),
+        lastStatus: status,
+        lastRunId: runId,
+      },
+    }
+  );
+}
+
+/**
+ * Run one task under its lease and persist the run summary.
+ */
+async function runScheduledTask(task, { trigger = "interval", force = false, holder = defaultHolder() } = {}) {
+  const runTask = TASKS[task];
+  if (!runTask) throw new Error(`Unknown scheduler task: ${task}`);
+
+  const lease = await acquireLease(task, { holder, force });
+  if (!lease) return { task, ran: false, reason: "not_due_or_locked" };
+
+  const startedAt = new Date();
+  const run = await SchedulerRun.create({
+    task,
+    trigger,
+    holder,
+    startedAt,
+    expiresAt: new Date(startedAt.getTime() + schedulerConfig.runHistoryDays * 24 * 60 * 60 * 1000),
+  });
+
+  try {
+    run.summary = await runTask();
+    run.status = "completed";
+  } catch (err) {
+    console.error(`Scheduler task ${task} failed:`, err);
+    run.status = "failed";
+    run.error = err?.message || String(err);
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt.getTime() - startedAt.getTime();
+  await run.save();
+  await releaseLease(task, holder, { status: run.status, runId: run._id });
+
+  return {
+    task,
+    ran: true,
+    runId: run._id.toString(),
+    status: run.status,
+    durationMs: run.durationMs,
+    summary: run.summary,
+    error: run.error,
+  };
+}
+
+/**
+ * Run every due task once (Vercel cron entrypoint).
+ */
+async function runDueTasks({ trigger = "cron", holder = defaultHolder() } = {}) {
+  const results = [];
+  for (const task of TASK_NAMES) {
+    // eslint-disable-next-line no-await-in-loop
+    results.push(await runScheduledTask(task, { trigger, holder }));
+  }
+  return results;
+}
+
+/**
+ * Timers for long-running servers. Returns stop().
+ */
+function startScheduler({ holder = defaultHolder() } = {}) {
+  const timers = [];
+  const inFlight = new Set();
+
+  const fire = (task) => {
+    if (inFlight.has(task)) return;
+    inFlight.add(task);
+    runScheduledTask(task, { trigger: "interval", holder })
+      .catch((err) => console.error(`Scheduler task ${task} crashed:`, err?.message || err))
+      .finally(() => inFlight.delete(task));
+  };
+
+  for (const task of TASK_NAMES) {
+    timers.push(setTimeout(() => fire(task), 5_000));
+    timers.push(setInterval(() => fire(task), taskIntervalMs(task)));
+  }
+  console.log(`Scheduler ${holder} started (${TASK_NAMES.join(", ")}).`);
+
+  return function stop() {
+    for (const timer of timers) clearTimeout(timer);
+  };
+}
+
+async function getSchedulerStatus() {
+  const leases = await SchedulerLease.find({ task: { $in: TASK_NAMES } }).lean();
+  const byTask = new Map(leases.map((lease) => [lease.task, lease]));
+  const lastRunIds = leases.map((lease) => lease.lastRunId).filter(Boolean);
+  const runs = await SchedulerRun.find({ _id: { $in: lastRunIds } }).lean();
+  const runById = new Map(runs.map((run) => [run._id.toString(), run]));
+
+  return TASK_NAMES.map((task) => {
+    const lease = byTask.get(task) || {};
+    const lastRun = lease.lastRunId ? runById.get(lease.lastRunId.toString()) || null : null;
+    return {
+      task,
+      intervalSeconds: taskIntervalMs(task) / 1000,
+      running: Boolean(lease.lockedUntil && new Date(lease.lockedUntil).getTime() > Date.now()),
+      lastStartedAt: lease.lastStartedAt || null,
+      lastFinishedAt: lease.lastFinishedAt || null,
+      lastStatus: lease.lastStatus || null,
+      lastRun,
+    };
+  });
+}
+
+module.exports = {
+  TASK_NAMES,
+  computeDueBefore,
+  runScheduledTask,
+  runDueTasks,
+  startScheduler,
+  getSchedulerStatus,
+};
@@ -1,10 +1,7 @@
 const { ethers } = require("ethers");
 const { mpesaConfig } = require("../../config/mpesa");
 const { assertTransition } = require("../mpesa/stateMachine");
-
-const ERC20_ABI = [
-  "function transfer(address to, uint256 value) returns (bool)",
-];
+const { getChainAdapter, hasChainAccess, hasChainSigner } = require("../chain/chainAdapter");
 
 function normalizeAddress(value) {
   return String(value || "").trim().toLowerCase();
@@ -46,8 +43,8 @@ function ensureTreasuryConfig() {
   const treasury = mpesaConfig.treasury || {};
   const missing = [];
 
-  if (!String(treasury.rpcUrl || "").trim()) missing.push("TREASURY_RPC_URL");
-  if (!String(treasury.privateKey || "").trim()) missing.push("TREASURY_PRIVATE_KEY");
+  if (!hasChainAccess(treasury)) missing.push("TREASURY_RPC_URL");
+  if (!hasChainSigner(treasury)) missing.push("TREASURY_PRIVATE_KEY");
   if (!String(treasury.usdcContract || "").trim()) missing.push("TREASURY_USDC_CONTRACT");
   if (!getTreasuryWalletAddress()) missing.push("TREASURY_PLATFORM_ADDRESS (or TREASURY_PRIVATE_KEY)");
 
@@ -124,17 +121,17 @@ async function settleOnrampCredit(tx, options = {}) {
   await tx.save();
 
   try {
-    const provider = new ethers.JsonRpcProvider(treasury.rpcUrl, chainId || undefined);
-    const signer = new ethers.Wallet(treasury.privateKey, provider);
-    const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
-
-    const transferTx = await token.transfer(recipient, amountUnits);
-    const receipt = await transferTx.wait(Math.max(1, Number(treasury.waitConfirmations || 1)));
-    if (!receipt || Number(receipt.status) !== 1) {
+    const sent = await getChainAdapter(treasury).transferToken({
+      tokenAddress,
+      to: recipient,
+      amountUnits,
+      waitConfirmations: Math.max(1, Number(treasury.waitConfirmations || 1)),
+    });
+    if (!sent.receipt || Number(sent.receipt.status) !== 1) {
       throw new Error("On-chain topup credit transaction failed.");
     }
 
-    tx.onchain.txHash = normalizeAddress(transferTx.hash);
+    tx.onchain.txHash = normalizeAddress(sent.txHash);
     tx.onchain.fundedAmountUnits = amountUnits.toString();
     tx.onchain.fundedAmountUsd = amountUsd;
     tx.onchain.fromAddress = treasuryAddress;
@@ -1,9 +1,6 @@
 const { ethers } = require("ethers");
 const { mpesaConfig } = require("../../config/mpesa");
-
-const ERC20_IFACE = new ethers.Interface([
-  "event Transfer(address indexed from, address indexed to, uint256 value)",
-]);
+const { getChainAdapter, hasChainAccess } = require("../chain/chainAdapter");
 
 function normalizeAddress(value) {
   return String(value || "").trim().toLowerCase();
@@ -55,13 +52,12 @@ async function verifyUsdcFunding({
 }) {
   const treasury = mpesaConfig.treasury || {};
   const settlement = mpesaConfig.settlement || {};
-  const rpcUrl = String(treasury.rpcUrl || "").trim();
   const usdcContract = normalizeAddress(treasury.usdcContract);
   const treasuryAddress = normalizeAddress(treasury.address);
   const expectedFrom = normalizeAddress(expectedFromAddress);
   const txHashNormalized = String(txHash || "").trim().toLowerCase();
 
-  if (!rpcUrl) throw new Error("TREASURY_RPC_URL is required for funding verification.");
+  if (!hasChainAccess(treasury)) throw new Error("TREASURY_RPC_URL is required for funding verification.");
   if (!usdcContract) throw new Error("TREASURY_USDC_CONTRACT is required for funding verification.");
   if (!treasuryAddress) {
     throw new Error("TREASURY_PLATFORM_ADDRESS (or TREASURY_PRIVATE_KEY) is required for funding verification.");
@@ -73,9 +69,8 @@ async function verifyUsdcFunding({
     throw new Error("Invalid onchainTxHash.");
   }
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl, treasury.chainId || undefined);
-  const network = await provider.getNetwork();
-  const networkChainId = Number(network.chainId);
+  const chain = getChainAdapter(treasury);
+  const networkChainId = Number(await chain.getChainId());
   const configuredChainId = parsePositiveInteger(treasury.chainId);
   const requestChainId = parsePositiveInteger(providedChainId);
 
@@ -90,7 +85,7 @@ async function verifyUsdcFunding({
     );
   }
 
-  const receipt = await provider.getTransactionReceipt(txHashNormalized);
+  const receipt = await chain.getTransactionReceipt(txHashNormalized);
   if (!receipt) {
     throw new Error("Funding transaction receipt not found yet.");
   }
@@ -100,7 +95,7 @@ async function verifyUsdcFunding({
 
   const minConfirmations = Math.max(1, Number(settlement.minFundingConfirmations || 1));
   if (minConfirmations > 1) {
-    const currentBlock = await provider.getBlockNumber();
+    const currentBlock = await chain.getBlockNumber();
     const confirmations = currentBlock - Number(receipt.blockNumber) + 1;
     if (confirmations < minConfirmations) {
       throw new Error(
@@ -112,30 +107,21 @@ async function verifyUsdcFunding({
   let fundedAmountUnits = 0n;
   let firstMatchLogIndex = null;
 
-  for (const log of receipt.logs || []) {
-    if (normalizeAddress(log.address) !== usdcContract) continue;
-
-    let parsed;
-    try {
-      parsed = ERC20_IFACE.parseLog(log);
-    } catch {
-      continue;
-    }
-
-    if (String(parsed?.name || "") !== "Transfer") continue;
+  for (const transfer of receipt.transfers || []) {
+    if (normalizeAddress(transfer.tokenAddress) !== usdcContract) continue;
 
-    const fromAddress = normalizeAddress(parsed.args?.from);
-    const toAddress = normalizeAddress(parsed.args?.to);
-    const amount = BigInt(parsed.args?.value?.toString() || "0");
+    const fromAddress = normalizeAddress(transfer.from);
+    const toAddress = normalizeAddress(transfer.to);
+    const amount = BigInt(transfer.value?.toString() || "0");
 
     if (fromAddress !== expectedFrom || toAddress !== treasuryAddress) continue;
     if (amount <= 0n) continue;
 
     fundedAmountUnits += amount;
     const idx =
-      log.logIndex === undefined || log.logIndex === null
+      transfer.logIndex === undefined || transfer.logIndex === null
         ? null
-        : Number(log.logIndex);
+        : Number(transfer.logIndex);
     if (firstMatchLogIndex === null || (Number.isFinite(idx) && idx < firstMatchLogIndex)) {
       firstMatchLogIndex = Number.isFinite(idx) ? idx : firstMatchLogIndex;
     }
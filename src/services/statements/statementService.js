@@ -0,0 +1,295 @@
+const { MpesaTransaction } = require("../../models/MpesaTransaction");
+const { getFundedAmountUsd } = require("../mpesa/refundService");
+const { parseDateParam } = require("../mpesa/transactionQuery");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+const STATEMENT_FORMATS = ["csv", "ofx"];
+const PAYOUT_FLOWS = new Set(["offramp", "paybill", "buygoods"]);
+const REFUND_LABELS = { full: "Refund", excess: "Excess funding refund", partial: "Partial refund" };
+
+const CSV_COLUMNS = [
+  "date",
+  "transactionId",
+  "type",
+  "description",
+  "status",
+  "direction",
+  "amountKes",
+  "amountUsdc",
+  "runningKes",
+  "runningUsdc",
+  "mpesaReceipt",
+  "onchainTxHash",
+  "businessId",
+];
+
+function round2(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function round6(value) {
+  return Math.round(Number(value || 0) * 1e6) / 1e6;
+}
+
+/**
+ * Statement period from `from` / `to` (YYYY-MM-DD days in Nairobi time, both inclusive, or
+ * ISO timestamps). Defaults to the last 30 days; at most 366 days. Returns { from, to } with
+ * `to` exclusive.
+ */
+function parseStatementRange({ from, to } = {}, now = new Date()) {
+  const end = to ? parseDateParam(to, "to", { endOfDay: true }) : now;
+  const start = from ? parseDateParam(from, "from") : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start >= end) throw new Error("from must be before to.");
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) throw new Error(`Statements cover at most ${MAX_RANGE_DAYS} days.`);
+  return { from: start, to: end };
+}
+
+function transitionAt(tx, status) {
+  const entry = (tx.history || []).find((h) => h.to === status);
+  return entry?.at ? new Date(entry.at) : null;
+}
+
+function describe(tx) {
+  const targets = tx.targets || {};
+  if (tx.flowType === "onramp") return `M-Pesa top up from ${targets.phoneNumber || "paybill"}`;
+  if (tx.flowType === "offramp") return `Cash out to ${targets.phoneNumber}`;
+  if (tx.flowType === "paybill") {
+    return `Paybill ${targets.paybillNumber}${targets.accountReference ? ` acc ${targets.accountReference}` : ""}`;
+  }
+  return `Till ${targets.tillNumber}`;
+}
+
+/**
+ * Money movements of one transaction, each { entryId, date, type, direction, amountKes,
+ * amountUsd, ... } with credits positive and entryId unique across the statement. A topup is one credit once it succeeded; a payout is a debit once
+ * its USDC was taken (funding verified or sent to M-Pesa) plus a refund credit for each
+ * completed refund line item. Only a full refund gives the KES back; excess and partial
+ * refunds are USDC only.
+ */
+function transactionEntries(tx) {
+  const base = {
+    transactionId: tx.transactionId,
+    status: tx.status,
+    mpesaReceipt: tx.daraja?.receiptNumber || null,
+    businessId: tx.businessId || null,
+  };
+  const quote = tx.quote || {};
+  const entries = [];
+
+  if (tx.flowType === "onramp") {
+    if (tx.status !== "succeeded") return entries;
+    entries.push({
+      ...base,
+      entryId: `${tx.transactionId}-P`,
+      date: transitionAt(tx, "succeeded") || new Date(tx.updatedAt || tx.createdAt),
+      type: "onramp",
+      description: describe(tx),
+      direction: "credit",
+      amountKes: round2(quote.amountKes),
+      amountUsd: round6(tx.onchain?.fundedAmountUsd || quote.amountUsd),
+      onchainTxHash: tx.onchain?.txHash || null,
+    });
+    return entries;
+  }
+  if (!PAYOUT_FLOWS.has(tx.flowType)) return entries;
+
+  const submittedAt = transitionAt(tx, "mpesa_submitted");
+  const funded = tx.onchain?.verificationStatus === "verified" || Boolean(submittedAt);
+  if (!funded) return entries;
+
+  const amountKes = round2(quote.totalDebitKes || quote.amountKes);
+  const amountUsd = round6(getFundedAmountUsd(tx));
+  entries.push({
+    ...base,
+    entryId: `${tx.transactionId}-P`,
+    date: tx.onchain?.verifiedAt ? new Date(tx.onchain.verifiedAt) : submittedAt || new Date(tx.createdAt),
+    type: tx.flowType,
+    description: describe(tx),
+    direction: "debit",
+    amountKes: -amountKes,
+    amountUsd: -amountUsd,
+    onchainTxHash: tx.onchain?.txHash || null,
+  });
+
+  // Numbered by position in refund.items, which only ever grows, so ids stay stable.
+  const items = (tx.refund?.items || [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item.status === "completed");
+  for (const { item, index } of items) {
+    entries.push({
+      ...base,
+      entryId: `${tx.transactionId}-R${index + 1}`,
+      date: new Date(item.createdAt || tx.updatedAt),
+      type: "refund",
+      description: `${REFUND_LABELS[item.kind] || "Refund"}: ${describe(tx)}`,
+      direction: "credit",
+      amountKes: item.kind === "full" ? amountKes : 0,
+      amountUsd: round6(item.amountUsd),
+      onchainTxHash: item.txHash || null,
+    });
+  }
+  // Refunds completed before line items were recorded.
+  if (items.length === 0 && tx.refund?.status === "completed") {
+    entries.push({
+      ...base,
+      entryId: `${tx.transactionId}-R`,
+      date: new Date(tx.refund.completedAt || tx.updatedAt),
+      type: "refund",
+      description: `Refund: ${describe(tx)}`,
+      direction: "credit",
+      amountKes,
+      amountUsd,
+      onchainTxHash: tx.refund.txHash || null,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Every money movement for a user in [from, to), oldest first, with running KES and USDC
+ * totals for the period. Reads transactions through a cursor; only entries dated after the
+ * cursor position (e.g. later refunds) are held back.
+ */
+async function* streamStatementEntries({ userAddress, businessId = null, from, to }) {
+  const query = {
+    userAddress,
+    $or: [
+      { createdAt: { $gte: from, $lt: to } },
+      { "refund.completedAt": { $gte: from, $lt: to } },
+      // Partial and excess refunds leave refund.completedAt alone.
+      { "refund.items": { $elemMatch: { status: "completed", createdAt: { $gte: from, $lt: to } } } },
+    ],
+  };
+  if (businessId) query.businessId = businessId;
+
+  const pending = [];
+  const running = { kes: 0, usd: 0 };
+  const release = function* release(until) {
+    pending.sort((a, b) => a.date - b.date);
+    while (pending.length > 0 && (until === null || pending[0].date <= until)) {
+      const entry = pending.shift();
+      running.kes = round2(running.kes + entry.amountKes);
+      running.usd = round6(running.usd + entry.amountUsd);
+      yield { ...entry, runningKes: running.kes, runningUsd: running.usd };
+    }
+  };
+
+  const cursor = MpesaTransaction.find(query).sort({ createdAt: 1, _id: 1 }).cursor();
+  for await (const tx of cursor) {
+    // Every entry is dated at or after its transaction's creation, so nothing later in the
+    // cursor can come before this point.
+    yield* release(new Date(tx.createdAt));
+    for (const entry of transactionEntries(tx)) {
+      if (entry.date >= from && entry.date < to) pending.push(entry);
+    }
+  }
+  yield* release(null);
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Account references and names are user text: quote anything a spreadsheet would run as a formula.
+  if (/^[=+\-@]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ofxDate(date) {
+  return `${new Date(date).toISOString().replace(/[-:T]/g, "").replace(/\.(\d{3})Z$/, ".$1")}[0:GMT]`;
+}
+
+function ofxText(value, max) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .slice(0, max);
+}
+
+/**
+ * Serializer for a statement in `format` (csv | ofx): { contentType, extension, header(),
+ * entry(entry), footer(totals) }, each returning a string chunk. OFX amounts are USDC
+ * (CURDEF USD); the KES amount and running totals go in each MEMO.
+ */
+function createStatementWriter(format, { userAddress, from, to, generatedAt = new Date() }) {
+  if (format === "csv") {
+    return {
+      contentType: "text/csv; charset=utf-8",
+      extension: "csv",
+      header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+      entry: (e) =>
+        `${[
+          e.date.toISOString(),
+          e.transactionId,
+          e.type,
+          e.description,
+          e.status,
+          e.direction,
+          e.amountKes.toFixed(2),
+          e.amountUsd.toFixed(6),
+          e.runningKes.toFixed(2),
+          e.runningUsd.toFixed(6),
+          e.mpesaReceipt,
+          e.onchainTxHash,
+          e.businessId,
+        ]
+          .map(csvCell)
+          .join(",")}\r\n`,
+      footer: () => "",
+    };
+  }
+
+  if (format === "ofx") {
+    return {
+      contentType: "application/x-ofx; charset=utf-8",
+      extension: "ofx",
+      header: () =>
+        [
+          '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+          '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+          "<OFX>",
+          "<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>" +
+            `<DTSERVER>${ofxDate(generatedAt)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+          "<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+          "<STMTRS><CURDEF>USD</CURDEF>",
+          `<BANKACCTFROM><BANKID>DOTPAY</BANKID><ACCTID>${ofxText(userAddress, 42)}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+          `<BANKTRANLIST><DTSTART>${ofxDate(from)}</DTSTART><DTEND>${ofxDate(to)}</DTEND>`,
+          "",
+        ].join("\n"),
+      entry: (e) =>
+        `${[
+          "<STMTTRN>",
+          `<TRNTYPE>${e.direction === "credit" ? "CREDIT" : "DEBIT"}</TRNTYPE>`,
+          `<DTPOSTED>${ofxDate(e.date)}</DTPOSTED>`,
+          `<TRNAMT>${e.amountUsd.toFixed(6)}</TRNAMT>`,
+          `<FITID>${ofxText(e.entryId, 255)}</FITID>`,
+          `<NAME>${ofxText(e.description, 32)}</NAME>`,
+          `<MEMO>${ofxText(
+            `${e.type} ${e.status}; KES ${e.amountKes.toFixed(2)}; running KES ${e.runningKes.toFixed(2)}, ` +
+              `USDC ${e.runningUsd.toFixed(6)}${e.mpesaReceipt ? `; M-Pesa ${e.mpesaReceipt}` : ""}`,
+            255
+          )}</MEMO>`,
+          "</STMTTRN>",
+        ].join("")}\n`,
+      footer: (totals = { runningUsd: 0 }) =>
+        [
+          "</BANKTRANLIST>",
+          `<LEDGERBAL><BALAMT>${Number(totals.runningUsd || 0).toFixed(6)}</BALAMT><DTASOF>${ofxDate(to)}</DTASOF></LEDGERBAL>`,
+          "</STMTRS></STMTTRNRS></BANKMSGSRSV1>",
+          "</OFX>",
+          "",
+        ].join("\n"),
+    };
+  }
+
+  throw new Error(`format must be one of: ${STATEMENT_FORMATS.join(", ")}.`);
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  parseStatementRange,
+  transactionEntries,
+  streamStatementEntries,
+  createStatementWriter,
+};
@@ -1,9 +1,6 @@
 const { ethers } = require("ethers");
 const { mpesaConfig } = require("../../config/mpesa");
-
-const ERC20_ABI = [
-  "function transfer(address to, uint256 value) returns (bool)",
-];
+const { getChainAdapter, hasChainAccess, hasChainSigner } = require("../chain/chainAdapter");
 
 function normalizeAddress(value) {
   return String(value || "").trim().toLowerCase();
@@ -22,8 +19,7 @@ function readBonusConfig() {
     amountUsd: Number(bonus.amountUsd || 0),
     chainId: Number(bonus.chainId || 0) || null,
     waitConfirmations: Math.max(1, Number(bonus.waitConfirmations || treasury.waitConfirmations || 1)),
-    rpcUrl: String(treasury.rpcUrl || "").trim(),
-    privateKey: String(treasury.privateKey || "").trim(),
+    treasury,
     tokenAddress: normalizeAddress(treasury.usdcContract),
     treasuryChainId: Number(treasury.chainId || 0) || null,
     decimals: Math.max(0, Math.min(18, Number(treasury.usdcDecimals || 6))),
@@ -32,8 +28,8 @@ function readBonusConfig() {
 
 function ensureTransferConfig(config) {
   const missing = [];
-  if (!config.rpcUrl) missing.push("TREASURY_RPC_URL");
-  if (!config.privateKey) missing.push("TREASURY_PRIVATE_KEY");
+  if (!hasChainAccess(config.treasury)) missing.push("TREASURY_RPC_URL");
+  if (!hasChainSigner(config.treasury)) missing.push("TREASURY_PRIVATE_KEY");
   if (!config.tokenAddress) missing.push("TREASURY_USDC_CONTRACT");
   if (missing.length > 0) {
     throw new Error(`Missing signup bonus treasury config: ${missing.join(", ")}`);
@@ -133,17 +129,17 @@ async function grantSignupUsdcBonus(user, options = {}) {
       throw new Error("Signup bonus amount rounds to zero.");
     }
 
-    const provider = new ethers.JsonRpcProvider(config.rpcUrl, config.treasuryChainId || undefined);
-    const signer = new ethers.Wallet(config.privateKey, provider);
-    const token = new ethers.Contract(config.tokenAddress, ERC20_ABI, signer);
-
-    const transferTx = await token.transfer(recipient, amountUnits);
-    const receipt = await transferTx.wait(config.waitConfirmations);
-    if (!receipt || Number(receipt.status) !== 1) {
+    const sent = await getChainAdapter(config.treasury).transferToken({
+      tokenAddress: config.tokenAddress,
+      to: recipient,
+      amountUnits,
+      waitConfirmations: config.waitConfirmations,
+    });
+    if (!sent.receipt || Number(sent.receipt.status) !== 1) {
       throw new Error("Signup bonus transfer transaction failed.");
     }
 
-    const txHash = normalizeAddress(transferTx.hash);
+    const txHash = normalizeAddress(sent.txHash);
     await markFunded(user, {
       amountUsd: config.amountUsd,
       amountUnits: amountUnits.toString(),
@@ -0,0 +1,883 @@
+const crypto = require("crypto");
+const express = require("express");
+
+/**
+ * Local stand-in for Safaricom Daraja.
+ *
+ * Point MPESA_BASE_URL at this server and the real darajaClient/authTokenCache talk to it
+ * unchanged. Accepted requests are answered synchronously like Daraja does, then the
+ * asynchronous result is POSTed to the CallBackURL / ResultURL / QueueTimeOutURL that the
+ * backend supplied, so the real /api/mpesa/webhooks/* routes are exercised end to end.
+ *
+ * Outcomes are scripted per API ("stk", "b2c", "b2b", "status", "balance", "reversal") through a FIFO scenario queue,
+ * per-party rules (phone, paybill, till), or the default scenario.
+ */
+
+const APIS = ["stk", "b2c", "b2b", "status", "balance", "reversal"];
+
+const STK_SCENARIOS = {
+  success: { resultCode: 0, resultDesc: "The service request is processed successfully." },
+  cancelled: { resultCode: 1032, resultDesc: "Request cancelled by user" },
+  insufficient_funds: { resultCode: 1, resultDesc: "The balance is insufficient for the transaction." },
+  wrong_pin: { resultCode: 2001, resultDesc: "The initiator information is invalid." },
+  timeout: { resultCode: 1037, resultDesc: "DS timeout user cannot be reached" },
+};
+
+const RESULT_SCENARIOS = {
+  success: { resultCode: 0, resultDesc: "The service request is processed successfully." },
+  insufficient_funds: {
+    resultCode: 1,
+    resultDesc: "The balance is insufficient for the transaction.",
+  },
+  invalid_initiator: { resultCode: 2001, resultDesc: "The initiator information is invalid." },
+  invalid_receiver: { resultCode: 2040, resultDesc: "Credit Party customer type (Unregistered or Registered Customer) can't be supported by the service." },
+  failure: { resultCode: 17, resultDesc: "System internal error." },
+};
+
+// Scenarios that every API understands in addition to its result codes.
+const CONTROL_SCENARIOS = ["timeout", "no_callback", "rejected"];
+
+function normalizeUrl(value) {
+  return String(value || "").trim().replace(/\/+$/, "");
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function randomDigits(length) {
+  let out = "";
+  while (out.length < length) {
+    out += crypto.randomInt(0, 10).toString();
+  }
+  return out;
+}
+
+function randomAlnum(length) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let out = "";
+  for (let i = 0; i < length; i += 1) {
+    out += alphabet[crypto.randomInt(0, alphabet.length)];
+  }
+  return out;
+}
+
+function darajaTimestamp(date = new Date()) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  const hh = String(date.getHours()).padStart(2, "0");
+  const min = String(date.getMinutes()).padStart(2, "0");
+  const sec = String(date.getSeconds()).padStart(2, "0");
+  return `${yyyy}${mm}${dd}${hh}${min}${sec}`;
+}
+
+// Daraja reports BOCompletedTime in Nairobi time (UTC+3) whatever the server timezone.
+function nairobiTimestamp(date = new Date()) {
+  return new Date(date.getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+function b2cCompletedDateTime(date = new Date()) {
+  const dd = String(date.getDate()).padStart(2, "0");
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const hh = String(date.getHours()).padStart(2, "0");
+  const min = String(date.getMinutes()).padStart(2, "0");
+  const sec = String(date.getSeconds()).padStart(2, "0");
+  return `${dd}.${mm}.${date.getFullYear()} ${hh}:${min}:${sec}`;
+}
+
+function isKnownScenario(api, scenario) {
+  if (CONTROL_SCENARIOS.includes(scenario)) return true;
+  if (api === "stk") return Boolean(STK_SCENARIOS[scenario]);
+  if (api === "status" || api === "balance" || api === "reversal") return scenario === "success" || scenario === "failure";
+  return Boolean(RESULT_SCENARIOS[scenario]);
+}
+
+function darajaError(res, status, errorCode, errorMessage) {
+  return res.status(status).json({
+    requestId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+    errorCode,
+    errorMessage,
+  });
+}
+
+function createDarajaSimulator(options = {}) {
+  const config = {
+    consumerKey: String(options.consumerKey ?? process.env.MPESA_CONSUMER_KEY ?? "").trim(),
+    consumerSecret: String(options.consumerSecret ?? process.env.MPESA_CONSUMER_SECRET ?? "").trim(),
+    callbackDelayMs: Math.max(0, toNumber(options.callbackDelayMs ?? process.env.DARAJA_SIM_CALLBACK_DELAY_MS, 1500)),
+    tokenTtlSeconds: Math.max(60, toNumber(options.tokenTtlSeconds, 3599)),
+    defaultScenario: String(options.defaultScenario || process.env.DARAJA_SIM_DEFAULT_SCENARIO || "success").trim(),
+    // Rewrites the origin of every callback URL (useful when .env still holds tunnel URLs).
+    callbackBaseUrl: normalizeUrl(options.callbackBaseUrl ?? process.env.DARAJA_SIM_CALLBACK_BASE_URL),
+    initialUtilityBalanceKes: toNumber(options.initialUtilityBalanceKes, 1000000),
+    initialWorkingBalanceKes: toNumber(options.initialWorkingBalanceKes, 500000),
+  };
+
+  const postCallback =
+    typeof options.postCallback === "function"
+      ? options.postCallback
+      : async (url, body) => {
+          const response = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+          });
+          // C2B validation answers in the response body.
+          const payload = await response.json().catch(() => null);
+          return { status: response.status, body: payload };
+        };
+  const logger = options.logger === undefined ? console : options.logger;
+
+  const state = {
+    tokens: new Map(),
+    stk: new Map(),
+    payments: new Map(),
+    c2bUrls: new Map(),
+    c2bPayments: [],
+    queues: Object.fromEntries(APIS.map((api) => [api, []])),
+    rules: [],
+    callbacks: [],
+    balances: {
+      utilityKes: config.initialUtilityBalanceKes,
+      workingKes: config.initialWorkingBalanceKes,
+    },
+  };
+  const pending = new Set();
+
+  function log(...args) {
+    if (logger && typeof logger.log === "function") logger.log("[daraja-sim]", ...args);
+  }
+
+  function rewriteCallbackUrl(url) {
+    const raw = String(url || "").trim();
+    if (!raw || !config.callbackBaseUrl) return raw;
+    try {
+      const parsed = new URL(raw);
+      return `${config.callbackBaseUrl}${parsed.pathname}${parsed.search}`;
+    } catch {
+      return raw;
+    }
+  }
+
+  function resolveScenario(api, party) {
+    const queued = state.queues[api].shift();
+    if (queued) return queued;
+
+    const partyKey = String(party || "").trim();
+    const rule = state.rules.find(
+      (r) => (r.api === api || r.api === "any") && r.party === partyKey && isKnownScenario(api, r.scenario)
+    );
+    if (rule) return rule.scenario;
+
+    return isKnownScenario(api, config.defaultScenario) ? config.defaultScenario : "success";
+  }
+
+  function scheduleCallback(kind, url, body) {
+    const target = rewriteCallbackUrl(url);
+    if (!target) return;
+
+    const delivery = new Promise((resolve) => {
+      setTimeout(async () => {
+        const record = { kind, url: target, body, sentAt: new Date().toISOString(), status: null, error: null };
+        try {
+          const result = await postCallback(target, body);
+          record.status = result?.status ?? null;
+        } catch (err) {
+          record.error = err?.message || String(err);
+          log(`callback ${kind} to ${target} failed:`, record.error);
+        }
+        state.callbacks.push(record);
+        resolve(record);
+      }, config.callbackDelayMs);
+    });
+
+    pending.add(delivery);
+    delivery.finally(() => pending.delete(delivery));
+  }
+
+  function requireBearer(req, res, next) {
+    const auth = String(req.get("authorization") || "").trim();
+    const token = auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : "";
+    const expiresAt = state.tokens.get(token);
+    if (!token || !expiresAt || expiresAt < Date.now()) {
+      return darajaError(res, 401, "404.001.03", "Invalid Access Token");
+    }
+    return next();
+  }
+
+  function buildStkCallback(record) {
+    const stkCallback = {
+      MerchantRequestID: record.merchantRequestId,
+      CheckoutRequestID: record.checkoutRequestId,
+      ResultCode: record.resultCode,
+      ResultDesc: record.resultDesc,
+    };
+    if (record.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: "Amount", Value: record.amount },
+          { Name: "MpesaReceiptNumber", Value: record.receiptNumber },
+          { Name: "TransactionDate", Value: Number(darajaTimestamp(record.completedAt)) },
+          { Name: "PhoneNumber", Value: Number(record.phoneNumber) },
+        ],
+      };
+    }
+    return { Body: { stkCallback } };
+  }
+
+  function b2cResultParameters(record) {
+    return [
+      { Key: "TransactionAmount", Value: record.amount },
+      { Key: "TransactionReceipt", Value: record.receiptNumber },
+      { Key: "B2CRecipientIsRegisteredCustomer", Value: "Y" },
+      { Key: "B2CChargesPaidAccountAvailableFunds", Value: 0 },
+      { Key: "ReceiverPartyPublicName", Value: `${record.partyB} - Simulated Customer` },
+      { Key: "TransactionCompletedDateTime", Value: b2cCompletedDateTime(record.completedAt) },
+      { Key: "B2CUtilityAccountAvailableFunds", Value: state.balances.utilityKes },
+      { Key: "B2CWorkingAccountAvailableFunds", Value: state.balances.workingKes },
+    ];
+  }
+
+  function b2bResultParameters(record) {
+    const working = state.balances.workingKes.toFixed(2);
+    const utility = state.balances.utilityKes.toFixed(2);
+    return [
+      {
+        Key: "DebitAccountBalance",
+        Value: `{Amount={BasicAmount=${working}, MinimumAmount=${Math.round(
+          state.balances.workingKes * 100
+        )}, CurrencyCode=KES}}`,
+      },
+      { Key: "Amount", Value: record.amount },
+      {
+        Key: "DebitPartyAffectedAccountBalance",
+        Value: `Working Account|KES|${working}|${working}|0.00|0.00&Utility Account|KES|${utility}|${utility}|0.00|0.00`,
+      },
+      { Key: "TransCompletedTime", Value: Number(darajaTimestamp(record.completedAt)) },
+      { Key: "DebitPartyCharges", Value: "" },
+      { Key: "ReceiverPartyPublicName", Value: `${record.partyB} - Simulated Merchant` },
+      { Key: "Currency", Value: "KES" },
+    ];
+  }
+
+  function buildResultBody(record, resultParameters) {
+    const result = {
+      ResultType: 0,
+      ResultCode: record.resultCode,
+      ResultDesc: record.resultDesc,
+      OriginatorConversationID: record.originatorConversationId,
+      ConversationID: record.conversationId,
+      TransactionID: record.receiptNumber || randomAlnum(10),
+      ReferenceData: {
+        ReferenceItem: { Key: "QueueTimeoutURL", Value: record.timeoutUrl || "" },
+      },
+    };
+    if (record.resultCode === 0 && resultParameters) {
+      result.ResultParameters = { ResultParameter: resultParameters };
+    }
+    return { Result: result };
+  }
+
+  function buildTimeoutBody(record) {
+    return {
+      Result: {
+        ResultType: 1,
+        ResultCode: "SFC_IC0003",
+        ResultDesc: "The request was not processed within the queue timeout.",
+        OriginatorConversationID: record.originatorConversationId,
+        ConversationID: record.conversationId,
+        TransactionID: randomAlnum(10),
+      },
+    };
+  }
+
+  function acceptPayment(api, body, res) {
+    const amount = Math.round(Number(body?.Amount));
+    const partyB = String(body?.PartyB || "").trim();
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Amount");
+    }
+    if (!partyB) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid PartyB");
+    }
+    if (!body?.ResultURL || !body?.QueueTimeOutURL) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ResultURL");
+    }
+
+    const scenario = resolveScenario(api, partyB);
+    if (scenario === "rejected") {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Initiator");
+    }
+
+    const record = {
+      api,
+      scenario,
+      amount,
+      partyA: String(body?.PartyA || "").trim(),
+      partyB,
+      commandId: String(body?.CommandID || "").trim(),
+      accountReference: body?.AccountReference || null,
+      originatorConversationId: String(body?.OriginatorConversationID || "").trim() || randomAlnum(20),
+      conversationId: `AG_${darajaTimestamp()}_${randomAlnum(20)}`,
+      receiptNumber: null,
+      resultUrl: body.ResultURL,
+      timeoutUrl: body.QueueTimeOutURL,
+      resultCode: null,
+      resultDesc: null,
+      status: "processing",
+      createdAt: new Date(),
+      completedAt: null,
+    };
+    state.payments.set(record.conversationId, record);
+
+    if (scenario === "timeout") {
+      record.status = "timeout";
+      scheduleCallback(`${api}_timeout`, record.timeoutUrl, buildTimeoutBody(record));
+    } else if (scenario !== "no_callback") {
+      const outcome = RESULT_SCENARIOS[scenario] || RESULT_SCENARIOS.success;
+      record.resultCode = outcome.resultCode;
+      record.resultDesc = outcome.resultDesc;
+      record.completedAt = new Date();
+      if (outcome.resultCode === 0) {
+        record.status = "completed";
+        record.receiptNumber = randomAlnum(10);
+        if (api === "b2c") state.balances.utilityKes -= amount;
+        else state.balances.workingKes -= amount;
+      } else {
+        record.status = "failed";
+      }
+      const params = api === "b2c" ? b2cResultParameters(record) : b2bResultParameters(record);
+      scheduleCallback(`${api}_result`, record.resultUrl, buildResultBody(record, params));
+    }
+
+    log(`${api} ${record.originatorConversationId} -> ${scenario}`);
+    return res.status(200).json({
+      ConversationID: record.conversationId,
+      OriginatorConversationID: record.originatorConversationId,
+      ResponseCode: "0",
+      ResponseDescription: "Accept the service request successfully.",
+    });
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.get("/oauth/v1/generate", (req, res) => {
+    if (String(req.query?.grant_type || "") !== "client_credentials") {
+      return darajaError(res, 400, "400.008.02", "Invalid grant type passed");
+    }
+
+    const auth = String(req.get("authorization") || "").trim();
+    const encoded = auth.toLowerCase().startsWith("basic ") ? auth.slice(6).trim() : "";
+    const [key, secret] = Buffer.from(encoded, "base64").toString("utf8").split(":");
+    if (!encoded || (config.consumerKey && (key !== config.consumerKey || secret !== config.consumerSecret))) {
+      return darajaError(res, 400, "400.008.01", "Invalid Authentication passed");
+    }
+
+    const token = randomAlnum(28);
+    state.tokens.set(token, Date.now() + config.tokenTtlSeconds * 1000);
+    return res.status(200).json({ access_token: token, expires_in: String(config.tokenTtlSeconds) });
+  });
+
+  app.post("/mpesa/stkpush/v1/processrequest", requireBearer, (req, res) => {
+    const body = req.body || {};
+    const phoneNumber = String(body.PhoneNumber || body.PartyA || "").trim();
+    const amount = Math.round(Number(body.Amount));
+    if (!/^254\d{9}$/.test(phoneNumber)) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid PhoneNumber");
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Amount");
+    }
+    if (!body.CallBackURL) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid CallBackURL");
+    }
+
+    const scenario = resolveScenario("stk", phoneNumber);
+    if (scenario === "rejected") {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid BusinessShortCode");
+    }
+
+    const record = {
+      scenario,
+      amount,
+      phoneNumber,
+      shortcode: String(body.BusinessShortCode || "").trim(),
+      accountReference: body.AccountReference || null,
+      merchantRequestId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+      checkoutRequestId: `ws_CO_${darajaTimestamp()}${randomDigits(10)}`,
+      callbackUrl: body.CallBackURL,
+      resultCode: null,
+      resultDesc: null,
+      receiptNumber: null,
+      status: "processing",
+      createdAt: new Date(),
+      completedAt: null,
+    };
+    state.stk.set(record.checkoutRequestId, record);
+
+    // "timeout" on STK is a real result code (1037) rather than a missing callback.
+    const outcome = STK_SCENARIOS[scenario];
+    if (outcome) {
+      record.resultCode = outcome.resultCode;
+      record.resultDesc = outcome.resultDesc;
+      record.completedAt = new Date();
+      record.status = outcome.resultCode === 0 ? "completed" : "failed";
+      if (outcome.resultCode === 0) {
+        record.receiptNumber = randomAlnum(10);
+        state.balances.utilityKes += amount;
+      }
+      scheduleCallback("stk", record.callbackUrl, buildStkCallback(record));
+    }
+
+    log(`stk ${record.checkoutRequestId} -> ${scenario}`);
+    return res.status(200).json({
+      MerchantRequestID: record.merchantRequestId,
+      CheckoutRequestID: record.checkoutRequestId,
+      ResponseCode: "0",
+      ResponseDescription: "Success. Request accepted for processing",
+      CustomerMessage: "Success. Request accepted for processing",
+    });
+  });
+
+  app.post("/mpesa/stkpushquery/v1/query", requireBearer, (req, res) => {
+    const checkoutRequestId = String(req.body?.CheckoutRequestID || "").trim();
+    const record = state.stk.get(checkoutRequestId);
+    if (!record) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid CheckoutRequestID");
+    }
+    if (record.status === "processing") {
+      return darajaError(res, 500, "500.001.1001", "The transaction is being processed");
+    }
+
+    return res.status(200).json({
+      ResponseCode: "0",
+      ResponseDescription: "The service request has been accepted successsfully",
+      MerchantRequestID: record.merchantRequestId,
+      CheckoutRequestID: record.checkoutRequestId,
+      ResultCode: String(record.resultCode),
+      ResultDesc: record.resultDesc,
+    });
+  });
+
+  app.post(["/mpesa/b2c/v1/paymentrequest", "/mpesa/b2c/v3/paymentrequest"], requireBearer, (req, res) =>
+    acceptPayment("b2c", req.body || {}, res)
+  );
+
+  app.post("/mpesa/b2b/v1/paymentrequest", requireBearer, (req, res) => acceptPayment("b2b", req.body || {}, res));
+
+  app.post("/mpesa/transactionstatus/v1/query", requireBearer, (req, res) => {
+    const body = req.body || {};
+    const transactionId = String(body.TransactionID || "").trim();
+    const originalConversationId = String(body.OriginalConversationID || "").trim();
+    if (!body.ResultURL || !body.QueueTimeOutURL) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ResultURL");
+    }
+
+    const payment = Array.from(state.payments.values()).find(
+      (p) =>
+        (transactionId && p.receiptNumber === transactionId) ||
+        (originalConversationId && p.originatorConversationId === originalConversationId)
+    );
+    // Paybill receipts (C2B) are looked up too: the backend confirms each one before crediting.
+    const paybill = state.c2bPayments.find((p) => p.accepted && transactionId && p.TransID === transactionId);
+    const scenario = resolveScenario("status", transactionId || originalConversationId);
+    const conversationId = `AG_${darajaTimestamp()}_${randomAlnum(20)}`;
+    const originatorConversationId = `${randomDigits(5)}-${randomDigits(8)}-1`;
+    const query = { originatorConversationId, conversationId, timeoutUrl: body.QueueTimeOutURL };
+
+    if (scenario === "rejected") {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid TransactionID");
+    }
+    if (scenario === "timeout") {
+      scheduleCallback("status_timeout", body.QueueTimeOutURL, buildTimeoutBody(query));
+    } else if (scenario !== "no_callback") {
+      const found = (Boolean(paybill) || (Boolean(payment) && payment.status !== "processing")) && scenario !== "failure";
+      const result = {
+        ResultType: 0,
+        ResultCode: found ? 0 : 2001,
+        ResultDesc: found
+          ? "The service request is processed successfully."
+          : "The transaction could not be found.",
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: randomAlnum(10),
+        ReferenceData: {
+          ReferenceItem: { Key: "Occasion", Value: body.Occasion || "" },
+        },
+      };
+      if (found && paybill) {
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: "DebitPartyName", Value: `${paybill.MSISDN} - ${paybill.FirstName}` },
+            { Key: "CreditPartyName", Value: `${paybill.BusinessShortCode} - DotPay` },
+            { Key: "OriginatorConversationID", Value: originalConversationId },
+            { Key: "InitiatedTime", Value: Number(paybill.TransTime) },
+            { Key: "ReasonType", Value: "Pay Bill Online" },
+            { Key: "TransactionStatus", Value: "Completed" },
+            { Key: "FinalisedTime", Value: Number(paybill.TransTime) },
+            { Key: "Amount", Value: Number(paybill.TransAmount) },
+            { Key: "ConversationID", Value: conversationId },
+            { Key: "ReceiptNo", Value: paybill.TransID },
+          ],
+        };
+      } else if (found) {
+        const completed = payment.status === "completed";
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: "DebitPartyName", Value: `${payment.partyA} - DotPay` },
+            { Key: "CreditPartyName", Value: `${payment.partyB} - Simulated Customer` },
+            { Key: "OriginatorConversationID", Value: payment.originatorConversationId },
+            { Key: "InitiatedTime", Value: Number(darajaTimestamp(payment.createdAt)) },
+            { Key: "DebitAccountType", Value: "Utility Account" },
+            { Key: "DebitPartyCharges", Value: "" },
+            { Key: "TransactionReason", Value: "" },
+            { Key: "ReasonType", Value: completed ? "Salary Payment via API" : payment.resultDesc || "" },
+            {
+              Key: "TransactionStatus",
+              Value: completed ? "Completed" : payment.status === "reversed" ? "Reversed" : "Failed",
+            },
+            { Key: "FinalisedTime", Value: Number(darajaTimestamp(payment.completedAt || new Date())) },
+            { Key: "Amount", Value: payment.amount },
+            { Key: "ConversationID", Value: payment.conversationId },
+            { Key: "ReceiptNo", Value: payment.receiptNumber || "" },
+          ],
+        };
+      }
+      scheduleCallback("status_result", body.ResultURL, { Result: result });
+    }
+
+    return res.status(200).json({
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      ResponseCode: "0",
+      ResponseDescription: "Accept the service request successfully.",
+    });
+  });
+
+  app.post("/mpesa/accountbalance/v1/query", requireBearer, (req, res) => {
+    const body = req.body || {};
+    const partyA = String(body.PartyA || "").trim();
+    if (!partyA) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid PartyA");
+    }
+    if (!body.ResultURL || !body.QueueTimeOutURL) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ResultURL");
+    }
+
+    const scenario = resolveScenario("balance", partyA);
+    const conversationId = `AG_${darajaTimestamp()}_${randomAlnum(20)}`;
+    const originatorConversationId = `${randomDigits(5)}-${randomDigits(8)}-1`;
+    const query = { originatorConversationId, conversationId, timeoutUrl: body.QueueTimeOutURL };
+
+    if (scenario === "rejected") {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Initiator");
+    }
+    if (scenario === "timeout") {
+      scheduleCallback("balance_timeout", body.QueueTimeOutURL, buildTimeoutBody(query));
+    } else if (scenario !== "no_callback") {
+      const ok = scenario === "success";
+      const result = {
+        ResultType: 0,
+        ResultCode: ok ? 0 : 2001,
+        ResultDesc: ok ? "The service request is processed successfully." : "The initiator information is invalid.",
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: randomAlnum(10),
+        ReferenceData: {
+          ReferenceItem: { Key: "QueueTimeoutURL", Value: body.QueueTimeOutURL },
+        },
+      };
+      if (ok) {
+        const working = state.balances.workingKes.toFixed(2);
+        const utility = state.balances.utilityKes.toFixed(2);
+        result.ResultParameters = {
+          ResultParameter: [
+            {
+              Key: "AccountBalance",
+              Value: [
+                `Working Account|KES|${working}|${working}|0.00|0.00`,
+                "Float Account|KES|0.00|0.00|0.00|0.00",
+                `Utility Account|KES|${utility}|${utility}|0.00|0.00`,
+                "Charges Paid Account|KES|0.00|0.00|0.00|0.00",
+                "Organization Settlement Account|KES|0.00|0.00|0.00|0.00",
+              ].join("&"),
+            },
+            { Key: "BOCompletedTime", Value: Number(nairobiTimestamp()) },
+          ],
+        };
+      }
+      scheduleCallback("balance_result", body.ResultURL, { Result: result });
+    }
+
+    return res.status(200).json({
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      ResponseCode: "0",
+      ResponseDescription: "Accept the service request successfully.",
+    });
+  });
+
+  app.post("/mpesa/reversal/v1/request", requireBearer, (req, res) => {
+    const body = req.body || {};
+    const transactionId = String(body.TransactionID || "").trim();
+    if (!transactionId) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid TransactionID");
+    }
+    if (!body.ResultURL || !body.QueueTimeOutURL) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ResultURL");
+    }
+
+    const payment = Array.from(state.payments.values()).find((p) => p.receiptNumber === transactionId);
+    const scenario = resolveScenario("reversal", transactionId);
+    const conversationId = `AG_${darajaTimestamp()}_${randomAlnum(20)}`;
+    const originatorConversationId = `${randomDigits(5)}-${randomDigits(8)}-1`;
+    const request = { originatorConversationId, conversationId, timeoutUrl: body.QueueTimeOutURL };
+
+    if (scenario === "rejected") {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Initiator");
+    }
+    if (scenario === "timeout") {
+      scheduleCallback("reversal_timeout", body.QueueTimeOutURL, buildTimeoutBody(request));
+    } else if (scenario !== "no_callback") {
+      const ok = scenario === "success" && Boolean(payment) && payment.status === "completed";
+      const result = {
+        ResultType: 0,
+        ResultCode: ok ? 0 : "R000002",
+        ResultDesc: ok ? "The service request is processed successfully." : "The OriginalTransactionID is invalid.",
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: randomAlnum(10),
+        ReferenceData: {
+          ReferenceItem: { Key: "QueueTimeoutURL", Value: body.QueueTimeOutURL },
+        },
+      };
+      if (ok) {
+        payment.status = "reversed";
+        if (payment.api === "b2c") state.balances.utilityKes += payment.amount;
+        else state.balances.workingKes += payment.amount;
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: "DebitAccountBalance", Value: `Utility Account|KES|${state.balances.utilityKes.toFixed(2)}` },
+            { Key: "Amount", Value: payment.amount },
+            { Key: "TransCompletedTime", Value: Number(nairobiTimestamp()) },
+            { Key: "OriginalTransactionID", Value: payment.receiptNumber },
+            { Key: "Charge", Value: 0 },
+            { Key: "CreditPartyPublicName", Value: `${payment.partyA} - DotPay` },
+            { Key: "DebitPartyPublicName", Value: `${payment.partyB} - Simulated Customer` },
+          ],
+        };
+      }
+      scheduleCallback("reversal_result", body.ResultURL, { Result: result });
+    }
+
+    return res.status(200).json({
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      ResponseCode: "0",
+      ResponseDescription: "Accept the service request successfully.",
+    });
+  });
+
+  app.post(["/mpesa/c2b/v1/registerurl", "/mpesa/c2b/v2/registerurl"], requireBearer, (req, res) => {
+    const body = req.body || {};
+    const shortcode = String(body.ShortCode || "").trim();
+    const responseType = String(body.ResponseType || "").trim();
+    if (!shortcode) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ShortCode");
+    }
+    if (!body.ConfirmationURL || !body.ValidationURL) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ConfirmationURL");
+    }
+    // Daraja refuses URLs mentioning M-Pesa or Safaricom.
+    if (/mpesa|m-pesa|safaricom/i.test(`${body.ConfirmationURL} ${body.ValidationURL}`)) {
+      return darajaError(res, 400, "400.003.02", "Bad Request - Invalid URL keyword");
+    }
+    if (!["Completed", "Cancelled"].includes(responseType)) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ResponseType");
+    }
+
+    state.c2bUrls.set(shortcode, {
+      confirmationUrl: body.ConfirmationURL,
+      validationUrl: body.ValidationURL,
+      responseType,
+    });
+    return res.status(200).json({
+      OriginatorCoversationID: `${randomDigits(5)}-${randomDigits(8)}-1`,
+      ResponseCode: "0",
+      ResponseDescription: "Success",
+    });
+  });
+
+  /**
+   * A customer pays the paybill from the M-Pesa menu: validation is called synchronously,
+   * and an accepted payment credits the utility float and is confirmed asynchronously.
+   */
+  async function payBill({ shortcode, msisdn, amount, billRefNumber }) {
+    const registration = state.c2bUrls.get(String(shortcode || "").trim());
+    if (!registration) throw new Error(`No C2B URLs registered for ${shortcode}.`);
+    const amountKes = Math.round(Number(amount));
+    if (!Number.isFinite(amountKes) || amountKes <= 0) throw new Error("amount must be positive.");
+
+    const payment = {
+      TransactionType: "Pay Bill",
+      TransID: randomAlnum(10),
+      TransTime: nairobiTimestamp(),
+      TransAmount: amountKes.toFixed(2),
+      BusinessShortCode: String(shortcode),
+      BillRefNumber: String(billRefNumber || ""),
+      InvoiceNumber: "",
+      OrgAccountBalance: "",
+      ThirdPartyTransID: "",
+      MSISDN: String(msisdn || ""),
+      FirstName: "Simulated",
+    };
+
+    const target = rewriteCallbackUrl(registration.validationUrl);
+    const record = { kind: "c2b_validation", url: target, body: payment, sentAt: new Date().toISOString(), status: null, error: null };
+    let accepted;
+    let validation = null;
+    try {
+      const result = await postCallback(target, payment);
+      record.status = result?.status ?? null;
+      validation = result?.body ?? null;
+      accepted =
+        validation && validation.ResultCode !== undefined
+          ? String(validation.ResultCode) === "0"
+          : registration.responseType === "Completed";
+    } catch (err) {
+      record.error = err?.message || String(err);
+      accepted = registration.responseType === "Completed";
+    }
+    state.callbacks.push(record);
+
+    if (accepted) {
+      state.balances.utilityKes += amountKes;
+      payment.OrgAccountBalance = state.balances.utilityKes.toFixed(2);
+    }
+    state.c2bPayments.push({ ...payment, accepted, validation });
+    if (accepted) scheduleCallback("c2b_confirmation", registration.confirmationUrl, payment);
+    return { accepted, payment, validation };
+  }
+
+  // Simulator control endpoints (not part of Daraja).
+  app.post("/simulator/c2b/pay", async (req, res) => {
+    try {
+      const data = await payBill({
+        shortcode: req.body?.shortcode,
+        msisdn: req.body?.msisdn,
+        amount: req.body?.amount,
+        billRefNumber: req.body?.billRefNumber,
+      });
+      return res.json({ success: true, data });
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+  });
+
+  app.get("/simulator/state", (req, res) => {
+    res.json({
+      balances: state.balances,
+      queues: state.queues,
+      rules: state.rules,
+      stk: Array.from(state.stk.values()),
+      payments: Array.from(state.payments.values()),
+      c2bUrls: Object.fromEntries(state.c2bUrls),
+      c2bPayments: state.c2bPayments,
+      callbacks: state.callbacks,
+    });
+  });
+
+  app.post("/simulator/scenarios", (req, res) => {
+    const api = String(req.body?.api || "").trim().toLowerCase();
+    const scenario = String(req.body?.scenario || "").trim().toLowerCase();
+    const party = req.body?.party === undefined ? null : String(req.body.party).trim();
+    const count = Math.min(Math.max(Number.parseInt(String(req.body?.count || "1"), 10) || 1, 1), 100);
+
+    if (!APIS.includes(api) && !(party && api === "any")) {
+      return res.status(400).json({ success: false, message: `api must be one of ${APIS.join("/")}.` });
+    }
+    if (api !== "any" && !isKnownScenario(api, scenario)) {
+      return res.status(400).json({ success: false, message: `Unknown ${api} scenario: ${scenario}` });
+    }
+
+    if (party) {
+      state.rules = state.rules.filter((r) => !(r.api === api && r.party === party));
+      state.rules.push({ api, party, scenario });
+    } else {
+      for (let i = 0; i < count; i += 1) state.queues[api].push(scenario);
+    }
+    return res.json({ success: true, data: { queues: state.queues, rules: state.rules } });
+  });
+
+  app.delete("/simulator/scenarios", (req, res) => {
+    for (const api of APIS) state.queues[api] = [];
+    state.rules = [];
+    res.json({ success: true });
+  });
+
+  app.post("/simulator/reset", (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  function reset() {
+    state.stk.clear();
+    state.payments.clear();
+    state.c2bUrls.clear();
+    state.c2bPayments = [];
+    state.callbacks = [];
+    state.rules = [];
+    for (const api of APIS) state.queues[api] = [];
+    state.balances.utilityKes = config.initialUtilityBalanceKes;
+    state.balances.workingKes = config.initialWorkingBalanceKes;
+  }
+
+  let server = null;
+
+  return {
+    app,
+    state,
+    config,
+    reset,
+    payBill,
+    enqueueScenario(api, scenario, count = 1) {
+      if (!isKnownScenario(api, scenario)) throw new Error(`Unknown ${api} scenario: ${scenario}`);
+      for (let i = 0; i < count; i += 1) state.queues[api].push(scenario);
+    },
+    setPartyScenario(api, party, scenario) {
+      state.rules = state.rules.filter((r) => !(r.api === api && r.party === String(party)));
+      state.rules.push({ api, party: String(party), scenario });
+    },
+    /** Wait until every scheduled callback has been delivered. */
+    async flush() {
+      while (pending.size > 0) {
+        // eslint-disable-next-line no-await-in-loop
+        await Promise.all(Array.from(pending));
+      }
+      return state.callbacks;
+    },
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, () => {
+          const address = server.address();
+          resolve({ port: address.port, url: `http://${host}:${address.port}` });
+        });
+        server.on("error", reject);
+      });
+    },
+    close() {
+      if (!server) return Promise.resolve();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = {
+  STK_SCENARIOS,
+  RESULT_SCENARIOS,
+  CONTROL_SCENARIOS,
+  createDarajaSimulator,
+};
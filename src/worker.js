@@ -0,0 +1,28 @@
+require("dotenv").config();
+
+const { connectDB } = require("./config/db");
+const { jobsConfig } = require("./config/jobs");
+const { startJobWorker } = require("./services/jobs/queue");
+const { registerDefaultJobHandlers } = require("./services/jobs/handlers");
+
+// Standalone background job worker (onramp credits, auto refunds, signup bonuses).
+// Run alongside the API with JOBS_INLINE_WORKER=false, or on its own host.
+async function start() {
+  try {
+    await connectDB();
+    registerDefaultJobHandlers();
+    const stop = startJobWorker({ pollIntervalMs: jobsConfig.pollIntervalMs });
+
+    const shutdown = () => {
+      console.log("Stopping job worker...");
+      stop().then(() => process.exit(0));
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  } catch (err) {
+    console.error("Failed to start job worker:", err);
+    process.exit(1);
+  }
+}
+
+start();
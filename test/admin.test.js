@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { stubStatics, fakePayoutTx } = require("./helpers/fakes");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function payoutTx(overrides = {}) {
+  return fakePayoutTx({
+    transactionId: "MPXADMIN1",
+    flowType: "paybill",
+    userAddress: "0x9999999999999999999999999999999999999999",
+    quote: { amountUsd: 19.69 },
+    onchain: { required: true, verificationStatus: "verified", fundedAmountUsd: 20 },
+    daraja: { conversationId: "AG_1" },
+    ...overrides,
+  });
+}
+
+test("operators authenticate by API key and act only within their role", async (t) => {
+  const { AdminOperator } = require("../src/models/AdminOperator");
+  const operators = freshRequire("../src/services/admin/operators");
+  const { requireAdminOperator, requirePermission } = freshRequire("../src/middleware/requireAdminOperator");
+
+  const stored = [];
+  const lookups = [];
+  stubStatics(t, AdminOperator, {
+    create: async (doc) => {
+      stored.push(doc);
+      return { operatorId: "OPR1", active: true, ...doc };
+    },
+    findOne: async (filter) => {
+      lookups.push(filter);
+      const doc = stored.find((s) => s.apiKeyHash === filter.apiKeyHash);
+      return doc ? { _id: "id1", operatorId: "OPR1", active: true, ...doc } : null;
+    },
+    updateOne: async () => ({}),
+  });
+
+  const { operator, apiKey } = await operators.createOperator({ email: " Ops@DotPay.Example ", role: "Support", createdBy: "internal-key" });
+  assert.match(apiKey, /^dpa_[A-Za-z0-9_-]{43}$/);
+  assert.equal(operator.email, "ops@dotpay.example");
+  assert.equal(operator.role, "support");
+  assert.equal(operator.apiKeyPrefix, apiKey.slice(0, 10));
+  // Only the hash is stored.
+  assert.ok(!JSON.stringify(stored).includes(apiKey));
+  assert.equal(stored[0].apiKeyHash, operators.hashOperatorKey(apiKey));
+
+  await assert.rejects(operators.createOperator({ email: "ops@dotpay.example", role: "root" }), /role must be one of: viewer, support, finance, admin/);
+  await assert.rejects(operators.createOperator({ email: "nope", role: "viewer" }), /email must be a valid email address/);
+
+  const authed = await operators.authenticateOperator(apiKey);
+  assert.equal(authed.operatorId, "OPR1");
+  assert.equal(lookups[0].active, true);
+  assert.equal(await operators.authenticateOperator("dpa_wrong"), null);
+  // Keys without the prefix (e.g. the shared internal key) are not looked up at all.
+  assert.equal(await operators.authenticateOperator("internal-secret"), null);
+  assert.equal(lookups.length, 2);
+
+  const req = { get: (name) => (name === "authorization" ? `Bearer ${apiKey}` : "") };
+  let nextCalled = false;
+  await requireAdminOperator(req, mockResponse(), () => {
+    nextCalled = true;
+  });
+  assert.ok(nextCalled);
+  assert.equal(req.adminOperator.role, "support");
+
+  const denied = mockResponse();
+  requirePermission("refund")(req, denied, () => assert.fail("support must not refund"));
+  assert.equal(denied.statusCode, 403);
+  assert.match(denied.body.message, /Role support may not refund/);
+
+  const missing = mockResponse();
+  await requireAdminOperator({ get: () => "" }, missing, () => assert.fail("no key"));
+  assert.equal(missing.statusCode, 401);
+
+  assert.ok(operators.hasPermission({ role: "finance", active: true }, "refund"));
+  assert.ok(!operators.hasPermission({ role: "finance", active: false }, "read"));
+  assert.ok(!operators.hasPermission({ role: "viewer", active: true }, "note"));
+  assert.ok(!operators.hasPermission({ role: "finance", active: true }, "operators"));
+});
+
+test("back-office refunds are audited with the operator, including failures", async (t) => {
+  Object.assign(process.env, {
+    MPESA_ENV: "sandbox",
+    MPESA_AUTO_REFUND: "false",
+    TREASURY_RPC_URL: "",
+    TREASURY_PRIVATE_KEY: "",
+    TREASURY_USDC_CONTRACT: "",
+  });
+  t.after(() => {
+    delete process.env.MPESA_AUTO_REFUND;
+  });
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/refundService");
+  const actions = freshRequire("../src/services/admin/adminActions");
+  const { AdminAuditLog } = require("../src/models/AdminAuditLog");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const audit = freshRequire("../src/services/admin/auditLog");
+
+  const entries = [];
+  stubStatics(t, AdminAuditLog, {
+    create: async (doc) => {
+      entries.push(doc);
+      return doc;
+    },
+  });
+  stubStatics(t, MpesaTransaction, { updateOne: async () => ({ modifiedCount: 1 }) });
+  const operator = { operatorId: "OPRFIN", email: "finance@dotpay.example", role: "finance" };
+
+  assert.match(actions.refundBlocker(payoutTx({ status: "succeeded" })), /only failed or reversed payouts/);
+  assert.match(actions.refundBlocker(payoutTx({ refund: { status: "completed" } })), /already refunded/);
+  assert.match(actions.refundBlocker(payoutTx({ onchain: { required: true, verificationStatus: "pending" } })), /never verified/);
+  assert.match(actions.refundBlocker(payoutTx({ flowType: "onramp" })), /Only payouts/);
+
+  // MPESA_AUTO_REFUND=false does not stop an operator's refund.
+  const tx = payoutTx();
+  await audit.withAudit(
+    operator,
+    { action: "transaction.refund", targetType: "transaction", targetId: tx.transactionId, details: { reason: "stuck" } },
+    () => actions.forceRefund(tx, "stuck")
+  );
+  assert.equal(tx.status, "refunded");
+  assert.equal(tx.refund.status, "completed");
+  assert.ok(tx.saves > 0);
+  assert.deepEqual(
+    entries[0],
+    {
+      operatorId: "OPRFIN",
+      operatorEmail: "finance@dotpay.example",
+      role: "finance",
+      action: "transaction.refund",
+      targetType: "transaction",
+      targetId: "MPXADMIN1",
+      details: { reason: "stuck" },
+      outcome: "ok",
+      error: null,
+      ipAddress: null,
+      userAgent: null,
+    }
+  );
+
+  await assert.rejects(
+    audit.withAudit(operator, { action: "transaction.refund", targetType: "transaction", targetId: tx.transactionId }, () =>
+      actions.forceRefund(tx, "again")
+    ),
+    /already refunded/
+  );
+  assert.equal(entries[1].outcome, "failed");
+  assert.equal(entries[1].error, "Transaction is already refunded.");
+
+  const reviewed = payoutTx({ status: "succeeded" });
+  await actions.markReviewed(reviewed, operator, "looked fine");
+  assert.equal(reviewed.opsReview.reviewedBy, "OPRFIN");
+  assert.equal(reviewed.opsReview.note, "looked fine");
+
+  assert.equal(actions.requeryBlocker(payoutTx({ status: "mpesa_processing" })), null);
+  assert.match(actions.requeryBlocker(payoutTx({ daraja: {} })), /never accepted by M-Pesa/);
+  assert.match(actions.requeryBlocker(payoutTx({ flowType: "onramp", status: "succeeded" })), /only topups awaiting M-Pesa/);
+
+  // A broken audit store never turns a completed action into an error.
+  AdminAuditLog.create = async () => {
+    throw new Error("mongo down");
+  };
+  assert.equal(await audit.withAudit(operator, { action: "x", targetType: "user", targetId: "0x1" }, async () => "done"), "done");
+});
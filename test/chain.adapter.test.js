@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const USDC = "0x75faf114eafb1bdbe2f0316df893fd58ce46aa4d";
+const TREASURY = "0x9999999999999999999999999999999999999999";
+const USER = "0x4444444444444444444444444444444444444444";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function setup({ minConfirmations = 1 } = {}) {
+  process.env.MPESA_ENV = "sandbox";
+  process.env.TREASURY_CHAIN_ADAPTER = "memory";
+  process.env.TREASURY_RPC_URL = "";
+  process.env.TREASURY_PRIVATE_KEY = "";
+  process.env.TREASURY_PLATFORM_ADDRESS = TREASURY;
+  process.env.TREASURY_USDC_CONTRACT = USDC;
+  process.env.TREASURY_CHAIN_ID = "421614";
+  process.env.TREASURY_USDC_DECIMALS = "6";
+  process.env.MPESA_MIN_FUNDING_CONFIRMATIONS = String(minConfirmations);
+
+  freshRequire("../src/config/mpesa");
+  const chainModule = freshRequire("../src/services/chain/chainAdapter");
+  const { createMemoryChainAdapter } = require("../src/services/chain/memoryChainAdapter");
+  const chain = createMemoryChainAdapter({ chainId: 421614, signerAddress: TREASURY });
+  chainModule.setChainAdapter(chain);
+
+  return {
+    chain,
+    funding: freshRequire("../src/services/settlement/verifyUsdcFunding"),
+    refunds: freshRequire("../src/services/mpesa/refundService"),
+    credit: freshRequire("../src/services/settlement/creditOnramp"),
+  };
+}
+
+function buildTx(overrides = {}) {
+  return {
+    transactionId: "MPXCHAINTEST",
+    status: "failed",
+    userAddress: USER,
+    history: [],
+    refund: { status: "none" },
+    onchain: {},
+    async save() {
+      return this;
+    },
+    ...overrides,
+  };
+}
+
+test("verifyUsdcFunding sums matching Transfer logs from the memory chain", async () => {
+  const { chain, funding } = setup();
+  chain.mint({ tokenAddress: USDC, to: USER, amountUnits: 20_000_000n });
+
+  const receipt = chain.recordTransfer({
+    transfers: [
+      { tokenAddress: USDC, from: USER, to: TREASURY, amountUnits: 3_000_000n },
+      { tokenAddress: USDC, from: USER, to: TREASURY, amountUnits: 2_000_000n },
+    ],
+  });
+
+  const verified = await funding.verifyUsdcFunding({
+    txHash: receipt.txHash,
+    expectedFromAddress: USER,
+    expectedMinAmountUnits: 5_000_000n,
+  });
+  assert.equal(verified.fundedAmountUnits, "5000000");
+  assert.equal(verified.fundedAmountUsd, 5);
+  assert.equal(verified.logIndex, 0);
+  assert.equal(verified.chainId, 421614);
+});
+
+test("verifyUsdcFunding rejects reverted, short and unconfirmed transfers", async () => {
+  const { chain, funding } = setup({ minConfirmations: 3 });
+  chain.mint({ tokenAddress: USDC, to: USER, amountUnits: 10_000_000n });
+
+  const reverted = chain.recordTransfer({
+    tokenAddress: USDC,
+    from: USER,
+    to: TREASURY,
+    amountUnits: 5_000_000n,
+    revert: true,
+  });
+  await assert.rejects(
+    funding.verifyUsdcFunding({ txHash: reverted.txHash, expectedFromAddress: USER, expectedMinAmountUnits: 1n }),
+    /failed on-chain/
+  );
+
+  const ok = chain.recordTransfer({ tokenAddress: USDC, from: USER, to: TREASURY, amountUnits: 1_000_000n });
+  await assert.rejects(
+    funding.verifyUsdcFunding({ txHash: ok.txHash, expectedFromAddress: USER, expectedMinAmountUnits: 1n }),
+    /needs 3 confirmations/
+  );
+
+  chain.mine(2);
+  await assert.rejects(
+    funding.verifyUsdcFunding({ txHash: ok.txHash, expectedFromAddress: USER, expectedMinAmountUnits: 2_000_000n }),
+    /below the required amount/
+  );
+  const verified = await funding.verifyUsdcFunding({
+    txHash: ok.txHash,
+    expectedFromAddress: USER,
+    expectedMinAmountUnits: 1_000_000n,
+  });
+  assert.equal(verified.fundedAmountUnits, "1000000");
+});
+
+test("settleOnrampCredit transfers USDC from the treasury on the memory chain", async () => {
+  const { chain, credit } = setup();
+  chain.mint({ tokenAddress: USDC, to: TREASURY, amountUnits: 100_000_000n });
+
+  const tx = buildTx({
+    flowType: "onramp",
+    status: "mpesa_processing",
+    quote: { amountUsd: 7.5 },
+    onchain: { toAddress: USER },
+  });
+  const settled = await credit.settleOnrampCredit(tx, { source: "test" });
+
+  assert.equal(settled.credited, true);
+  assert.equal(tx.status, "succeeded");
+  assert.equal(await chain.getTokenBalance({ tokenAddress: USDC, owner: USER }), 7_500_000n);
+  const receipt = await chain.getTransactionReceipt(settled.txHash);
+  assert.equal(receipt.status, 1);
+  assert.equal(receipt.transfers[0].to, USER);
+});
+
+test("scheduleAutoRefund records a failed refund when the treasury transfer reverts", async () => {
+  const { chain, refunds } = setup();
+  chain.mint({ tokenAddress: USDC, to: TREASURY, amountUnits: 100_000_000n });
+  chain.failNextTransfer();
+
+  const tx = buildTx({ flowType: "offramp", onchain: { fundedAmountUsd: 4, fromAddress: USER } });
+  await refunds.scheduleAutoRefund(tx, "test refund");
+
+  assert.equal(tx.status, "failed");
+  assert.equal(tx.refund.status, "failed");
+  assert.match(tx.refund.reason, /On-chain refund transaction failed/);
+
+  const retry = buildTx({ flowType: "offramp", onchain: { fundedAmountUsd: 4, fromAddress: USER } });
+  await refunds.scheduleAutoRefund(retry, "test refund");
+  assert.equal(retry.status, "refunded");
+  assert.equal(await chain.getTokenBalance({ tokenAddress: USDC, owner: USER }), 4_000_000n);
+});
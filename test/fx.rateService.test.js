@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const FEED = "0x5555555555555555555555555555555555555555";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+const FX_ENV = [
+  "FX_PROVIDERS",
+  "FX_CACHE_TTL_SECONDS",
+  "FX_MAX_AGE_SECONDS",
+  "FX_SPREAD_BPS",
+  "FX_STATIC_RATE_FILE",
+  "FX_STATIC_KES_PER_USD",
+  "FX_HTTP_URL",
+  "FX_HTTP_RATE_PATH",
+  "FX_HTTP_TIMESTAMP_PATH",
+  "FX_ORACLE_FEED_ADDRESS",
+  "FX_ORACLE_INVERT",
+];
+
+function loadRateService(t, env = {}) {
+  for (const key of FX_ENV) delete process.env[key];
+  Object.assign(process.env, env);
+  t.after(() => {
+    for (const key of FX_ENV) delete process.env[key];
+  });
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/config/fx");
+  const chainModule = freshRequire("../src/services/chain/chainAdapter");
+  freshRequire("../src/services/fx/rateSources");
+  return { rates: freshRequire("../src/services/fx/rateService"), chainModule };
+}
+
+async function startFeed(t, respond) {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    calls += 1;
+    const { status = 200, body } = respond(calls);
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/rates`, calls: () => calls };
+}
+
+test("the HTTP feed is cached and the spread is applied per direction", async (t) => {
+  const feed = await startFeed(t, () => ({
+    body: { data: { KES: "129.40", asOf: new Date().toISOString() } },
+  }));
+  const { rates } = loadRateService(t, {
+    FX_PROVIDERS: "http,static",
+    FX_HTTP_URL: feed.url,
+    FX_HTTP_RATE_PATH: "data.KES",
+    FX_HTTP_TIMESTAMP_PATH: "data.asOf",
+    FX_SPREAD_BPS: "100",
+  });
+
+  const onramp = await rates.getQuoteRate("onramp");
+  const offramp = await rates.getQuoteRate("offramp");
+  assert.equal(onramp.source, "http");
+  assert.equal(onramp.midKesPerUsd, 129.4);
+  assert.equal(onramp.kesPerUsd, 130.69);
+  assert.equal(offramp.kesPerUsd, 128.11);
+  assert.equal(offramp.spreadBps, 100);
+  assert.equal(feed.calls(), 1);
+
+  await rates.getMidRate({ forceRefresh: true });
+  assert.equal(feed.calls(), 2);
+});
+
+test("broken, out-of-band or stale sources fall through to the next one", async (t) => {
+  const feed = await startFeed(t, (call) => (call === 1 ? { status: 503, body: {} } : { body: { kesPerUsd: 1.2 } }));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dotpay-fx-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rates.json");
+  fs.writeFileSync(file, JSON.stringify({ kesPerUsd: 131.25, updatedAt: new Date(Date.now() - 2 * 3600 * 1000).toISOString() }));
+
+  const { rates } = loadRateService(t, {
+    FX_PROVIDERS: "http,static",
+    FX_HTTP_URL: feed.url,
+    FX_STATIC_RATE_FILE: file,
+    FX_MAX_AGE_SECONDS: "3600",
+    FX_CACHE_TTL_SECONDS: "0",
+  });
+
+  await assert.rejects(rates.getMidRate(), /Exchange rate unavailable \(http: FX feed returned HTTP 503; static: rate from .* is older than 3600s\)/);
+  await assert.rejects(rates.getMidRate(), /http: rate 1.2 is outside 50-500 KES\/USD/);
+
+  fs.writeFileSync(file, JSON.stringify({ kesPerUsd: 131.25, updatedAt: new Date().toISOString() }));
+  const rate = await rates.getMidRate();
+  assert.equal(rate.source, "static");
+  assert.equal(rate.midKesPerUsd, 131.25);
+});
+
+test("the oracle source reads an AggregatorV3 feed through the chain adapter", async (t) => {
+  const { rates, chainModule } = loadRateService(t, {
+    FX_PROVIDERS: "oracle",
+    FX_ORACLE_FEED_ADDRESS: FEED,
+    FX_ORACLE_INVERT: "true",
+  });
+  const { createMemoryChainAdapter } = require("../src/services/chain/memoryChainAdapter");
+  const chain = createMemoryChainAdapter({ chainId: 421614 });
+  chainModule.setChainAdapter(chain);
+  t.after(() => chainModule.setChainAdapter(null));
+
+  // USD per KES with 8 decimals: 0.00775 USD -> 129.03 KES per USD.
+  chain.setPriceFeed({ feedAddress: FEED, answer: 775_000n, decimals: 8 });
+  const rate = await rates.getQuoteRate("paybill");
+  assert.equal(rate.source, "oracle");
+  assert.equal(rate.kesPerUsd, 129.03);
+
+  chain.setPriceFeed({ feedAddress: FEED, answer: 775_000n, decimals: 8, updatedAt: Math.floor(Date.now() / 1000) - 7200 });
+  await assert.rejects(rates.getMidRate({ forceRefresh: true }), /oracle: rate from .* is older than 3600s/);
+});
@@ -0,0 +1,47 @@
+// Stand-ins for Mongoose models shared by the service tests, so none of them needs Mongo.
+
+/** Replace static model methods for one test; the originals are put back in t.after. */
+function stubStatics(t, Model, stubs) {
+  const originals = Object.fromEntries(Object.keys(stubs).map((key) => [key, Model[key]]));
+  t.after(() => Object.assign(Model, originals));
+  Object.assign(Model, stubs);
+}
+
+/** A plain-object document whose save() counts its calls in `saves`. Overrides win over defaults. */
+function fakeDoc(defaults = {}, overrides = {}) {
+  return {
+    saves: 0,
+    async save() {
+      this.saves += 1;
+      return this;
+    },
+    ...defaults,
+    ...overrides,
+  };
+}
+
+/** A funded payout transaction as the refund, dispute and admin services read it. */
+function fakePayoutTx(overrides = {}) {
+  return fakeDoc(
+    {
+      _id: "tx1",
+      transactionId: "MPXTEST1",
+      flowType: "offramp",
+      status: "failed",
+      userAddress: "0x4444444444444444444444444444444444444444",
+      createdAt: new Date(),
+      quote: { amountUsd: 8 },
+      onchain: { required: true, verificationStatus: "verified", fundedAmountUsd: 8.2 },
+      daraja: {},
+      refund: { status: "none" },
+      history: [],
+    },
+    overrides
+  );
+}
+
+module.exports = {
+  stubStatics,
+  fakeDoc,
+  fakePayoutTx,
+};
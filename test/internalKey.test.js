@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { requireInternalKey } = require("../src/middleware/requireInternalKey");
+
+function createReq(headers = {}) {
+  return {
+    get(name) {
+      return headers[String(name).toLowerCase()] || "";
+    },
+  };
+}
+
+function createRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+function run(req) {
+  const res = createRes();
+  let called = false;
+  requireInternalKey(req, res, () => {
+    called = true;
+  });
+  return { res, called };
+}
+
+test("requireInternalKey accepts the key as a header or a Bearer token", (t) => {
+  process.env.DOTPAY_INTERNAL_API_KEY = "internal-secret";
+  t.after(() => {
+    delete process.env.DOTPAY_INTERNAL_API_KEY;
+  });
+
+  assert.equal(run(createReq({ "x-dotpay-internal-key": "internal-secret" })).called, true);
+  assert.equal(run(createReq({ authorization: "Bearer internal-secret" })).called, true);
+
+  const wrong = run(createReq({ authorization: "Bearer nope" }));
+  assert.equal(wrong.called, false);
+  assert.equal(wrong.res.statusCode, 401);
+  assert.equal(run(createReq()).res.statusCode, 401);
+});
+
+test("requireInternalKey refuses every request when no key is configured", () => {
+  delete process.env.DOTPAY_INTERNAL_API_KEY;
+
+  const { res, called } = run(createReq({ "x-dotpay-internal-key": "" }));
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 500);
+  assert.match(res.body.message, /DOTPAY_INTERNAL_API_KEY is not configured/);
+});
@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function setup() {
+  process.env.JOBS_BACKOFF_BASE_SECONDS = "10";
+  process.env.JOBS_BACKOFF_MAX_SECONDS = "300";
+  process.env.JOBS_MAX_ATTEMPTS = "3";
+  freshRequire("../src/config/jobs");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const queue = freshRequire("../src/services/jobs/queue");
+  return { BackgroundJob, queue };
+}
+
+// Stub the model calls used by processNextJob so the lease/retry flow runs without Mongo.
+function stubModel(BackgroundJob, job) {
+  const updates = [];
+  const claims = [];
+  const original = {
+    findOneAndUpdate: BackgroundJob.findOneAndUpdate,
+    updateOne: BackgroundJob.updateOne,
+    updateMany: BackgroundJob.updateMany,
+  };
+  // The expired-lease sweep: only a running job past its lease on its last attempt matches.
+  BackgroundJob.updateMany = async (query, update) => {
+    const expired = job.status === "running" && job.lockedUntil <= query.lockedUntil.$lte;
+    if (!expired || job.attempts < job.maxAttempts) return { modifiedCount: 0 };
+    updates.push(update);
+    Object.assign(job, update.$set);
+    return { modifiedCount: 1 };
+  };
+  BackgroundJob.findOneAndUpdate = async (query, update) => {
+    claims.push(query);
+    if (job.status !== "queued") return null;
+    job.status = update.$set.status;
+    job.lockedBy = update.$set.lockedBy;
+    job.attempts += update.$inc.attempts;
+    return { ...job };
+  };
+  BackgroundJob.updateOne = async (filter, update) => {
+    assert.equal(filter.lockedBy, job.lockedBy);
+    updates.push(update);
+    Object.assign(job, update.$set);
+    return { modifiedCount: 1 };
+  };
+  return {
+    updates,
+    claims,
+    restore() {
+      Object.assign(BackgroundJob, original);
+    },
+  };
+}
+
+test("computeBackoffMs doubles per attempt and caps at the configured max", () => {
+  const { queue } = setup();
+  assert.equal(queue.computeBackoffMs(1), 10_000);
+  assert.equal(queue.computeBackoffMs(2), 20_000);
+  assert.equal(queue.computeBackoffMs(4), 80_000);
+  assert.equal(queue.computeBackoffMs(10), 300_000);
+  assert.equal(queue.computeBackoffMs(1, { baseSeconds: 2, maxSeconds: 5 }), 2_000);
+  assert.equal(queue.computeBackoffMs(3, { baseSeconds: 2, maxSeconds: 5 }), 5_000);
+});
+
+test("processNextJob retries failed handlers with backoff, then dead-letters", async () => {
+  const { BackgroundJob, queue } = setup();
+  const job = { _id: "job1", type: "test.flaky", status: "queued", attempts: 0, maxAttempts: 2, payload: { n: 1 } };
+  const stub = stubModel(BackgroundJob, job);
+
+  let calls = 0;
+  queue.registerJobHandler("test.flaky", async (payload) => {
+    calls += 1;
+    assert.deepEqual(payload, { n: 1 });
+    throw new Error("rpc down");
+  });
+
+  try {
+    const first = await queue.processNextJob({ workerId: "w1", leaseMs: 1000 });
+    assert.equal(first.outcome, "retry");
+    assert.equal(job.status, "queued");
+    assert.ok(job.runAt.getTime() > Date.now() + 9_000);
+    assert.equal(job.lastError, "rpc down");
+
+    const second = await queue.processNextJob({ workerId: "w1", leaseMs: 1000 });
+    assert.equal(second.outcome, "dead");
+    assert.equal(job.status, "dead");
+    assert.deepEqual(stub.updates[1].$unset, { dedupeKey: 1 });
+
+    const third = await queue.processNextJob({ workerId: "w1", leaseMs: 1000 });
+    assert.equal(third.processed, false);
+    assert.equal(calls, 2);
+  } finally {
+    stub.restore();
+  }
+});
+
+test("processNextJob completes successful jobs and releases the dedupe key", async () => {
+  const { BackgroundJob, queue } = setup();
+  const job = { _id: "job2", type: "test.ok", status: "queued", attempts: 0, maxAttempts: 3, payload: {} };
+  const stub = stubModel(BackgroundJob, job);
+  queue.registerJobHandler("test.ok", async () => ({ done: true }));
+
+  try {
+    const res = await queue.processNextJob({ workerId: "w2", leaseMs: 1000 });
+    assert.equal(res.outcome, "completed");
+    assert.equal(job.status, "completed");
+    assert.deepEqual(job.result, { done: true });
+    assert.deepEqual(stub.updates[0].$unset, { dedupeKey: 1 });
+  } finally {
+    stub.restore();
+  }
+});
+
+test("a job whose lease expires on its last attempt is dead-lettered instead of reclaimed", async () => {
+  const { BackgroundJob, queue } = setup();
+  const job = {
+    _id: "job3",
+    type: "test.crashy",
+    status: "running",
+    lockedBy: "w-crashed",
+    lockedUntil: new Date(Date.now() - 1000),
+    attempts: 2,
+    maxAttempts: 2,
+    payload: {},
+  };
+  const stub = stubModel(BackgroundJob, job);
+  let calls = 0;
+  queue.registerJobHandler("test.crashy", async () => {
+    calls += 1;
+  });
+
+  try {
+    const res = await queue.processNextJob({ workerId: "w3", leaseMs: 1000 });
+    assert.equal(res.processed, false);
+    assert.equal(calls, 0);
+    assert.equal(job.status, "dead");
+    assert.equal(job.lastError, "Lease expired during the last attempt");
+    assert.deepEqual(stub.updates[0].$unset, { dedupeKey: 1 });
+    // Expired leases are only reclaimed while attempts remain.
+    assert.deepEqual(stub.claims[0].$or[1].$expr, { $lt: ["$attempts", "$maxAttempts"] });
+  } finally {
+    stub.restore();
+  }
+});
+
+test("processNextJob extends the lease while a slow handler runs", async () => {
+  const { BackgroundJob, queue } = setup();
+  const job = { _id: "job4", type: "test.slow", status: "queued", attempts: 0, maxAttempts: 3, payload: {} };
+  const stub = stubModel(BackgroundJob, job);
+  queue.registerJobHandler("test.slow", () => new Promise((resolve) => setTimeout(() => resolve({ done: true }), 1100)));
+
+  try {
+    const startedAt = Date.now();
+    const res = await queue.processNextJob({ workerId: "w4", leaseMs: 3000 });
+    assert.equal(res.outcome, "completed");
+    const [beat] = stub.updates;
+    assert.deepEqual(Object.keys(beat.$set), ["lockedUntil"]);
+    assert.ok(beat.$set.lockedUntil.getTime() >= startedAt + 3000);
+    assert.equal(job.status, "completed");
+  } finally {
+    stub.restore();
+  }
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function startSimulator() {
+  const delivered = [];
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    initialUtilityBalanceKes: 250000,
+    initialWorkingBalanceKes: 80000,
+    postCallback: async (url, body) => {
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  const balance = freshRequire("../src/services/liquidity/accountBalance");
+  const liquidity = freshRequire("../src/services/liquidity/platformLiquidity");
+
+  return { simulator, balance, liquidity, delivered };
+}
+
+test("account balance query round-trips through the simulator into a snapshot", async (t) => {
+  const ctx = await startSimulator();
+  t.after(() => ctx.simulator.close());
+
+  const { MpesaBalanceSnapshot } = require("../src/models/MpesaBalanceSnapshot");
+  const original = MpesaBalanceSnapshot.create;
+  const created = [];
+  MpesaBalanceSnapshot.create = async (doc) => {
+    created.push(doc);
+    return doc;
+  };
+  t.after(() => {
+    MpesaBalanceSnapshot.create = original;
+  });
+
+  // B2C and B2B share MPESA_SHORTCODE, so a single query covers both floats.
+  const summary = await ctx.balance.requestAccountBalances();
+  assert.equal(summary.requested, 1);
+  assert.equal(summary.accepted, 1);
+
+  await ctx.simulator.flush();
+  assert.equal(ctx.delivered.length, 1);
+  assert.equal(ctx.delivered[0].url, "http://backend.local/api/mpesa/webhooks/account-balance/result?shortcode=600000");
+
+  const recorded = await ctx.balance.recordAccountBalanceResult({
+    shortcode: "600000",
+    result: ctx.delivered[0].body.Result,
+  });
+  assert.equal(recorded.recorded, true);
+  assert.equal(created[0].utilityAvailableKes, 250000);
+  assert.equal(created[0].workingAvailableKes, 80000);
+  assert.equal(created[0].accounts.length, 5);
+  assert.ok(Math.abs(created[0].reportedAt.getTime() - Date.now()) < 5000);
+
+  const unknown = await ctx.balance.recordAccountBalanceResult({
+    shortcode: "999999",
+    result: ctx.delivered[0].body.Result,
+  });
+  assert.deepEqual(unknown, { recorded: false, reason: "unknown_shortcode" });
+  assert.equal(created.length, 1);
+});
+
+test("payout float uses a fresh snapshot and falls back to the tracked estimate when stale", async (t) => {
+  const ctx = await startSimulator();
+  t.after(() => ctx.simulator.close());
+
+  const { MpesaBalanceSnapshot } = require("../src/models/MpesaBalanceSnapshot");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const originalFindOne = MpesaBalanceSnapshot.findOne;
+  const originalAggregate = MpesaTransaction.aggregate;
+  t.after(() => {
+    MpesaBalanceSnapshot.findOne = originalFindOne;
+    MpesaTransaction.aggregate = originalAggregate;
+  });
+
+  let snapshot = null;
+  MpesaBalanceSnapshot.findOne = () => ({ sort: () => ({ lean: async () => snapshot }) });
+  MpesaTransaction.aggregate = async ([stage]) => {
+    // In-flight payouts vs payouts that succeeded after the snapshot.
+    const total = stage.$match.updatedAt ? 500 : 1000;
+    return [{ _id: null, total }];
+  };
+
+  const tracked = { availableForPayoutKes: 4200 };
+
+  snapshot = { reportedAt: new Date(Date.now() - 60 * 1000), utilityAvailableKes: 10000, workingAvailableKes: 3000 };
+  const fresh = await ctx.liquidity.getMpesaPayoutFloat("b2c", tracked);
+  assert.equal(fresh.source, "snapshot");
+  assert.equal(fresh.account, "Utility Account");
+  assert.equal(fresh.availableForPayoutKes, 8500);
+
+  const working = await ctx.liquidity.getMpesaPayoutFloat("b2b", tracked);
+  assert.equal(working.account, "Working Account");
+  assert.equal(working.availableForPayoutKes, 1500);
+
+  snapshot = { ...snapshot, reportedAt: new Date(Date.now() - 2 * 60 * 60 * 1000) };
+  const stale = await ctx.liquidity.getMpesaPayoutFloat("b2c", tracked);
+  assert.equal(stale.source, "tracked");
+  assert.equal(stale.availableForPayoutKes, 4200);
+});
@@ -0,0 +1,416 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function startSimulator(t) {
+  const delivered = [];
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async (url, body) => {
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+  t.after(() => simulator.close());
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+  process.env.FX_STATIC_KES_PER_USD = "130";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/config/fx");
+  freshRequire("../src/services/fx/rateSources");
+  freshRequire("../src/services/fx/rateService");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/fees/feeEngine");
+  freshRequire("../src/services/mpesa/quoteService");
+  freshRequire("../src/services/mpesa/payoutService");
+  freshRequire("../src/services/mpesa/transactionStatus");
+  const batches = freshRequire("../src/services/mpesa/payoutBatch");
+
+  return { simulator, batches, delivered };
+}
+
+test("parseBatchItems reads CSV with quoted fields and reports every bad row", () => {
+  freshRequire("../src/config/mpesa");
+  const { parseBatchItems } = freshRequire("../src/services/mpesa/payoutBatch");
+
+  const items = parseBatchItems({
+    csv: 'Phone Number,Amount,Name,Reference\r\n0711000001,"1,500","Wanjiru, A.",March salary\r\n254722000002,800,,\r\n',
+  });
+  assert.deepEqual(items, [
+    { index: 1, phoneNumber: "254711000001", amountKes: 1500, reference: "March salary", name: "Wanjiru, A." },
+    { index: 2, phoneNumber: "254722000002", amountKes: 800, reference: null, name: null },
+  ]);
+
+  assert.throws(
+    () => parseBatchItems({ items: [{ phoneNumber: "12345", amount: 100 }, { phoneNumber: "254711000003", amount: 5 }] }),
+    /row 1: phoneNumber.*row 2: amount/
+  );
+  assert.throws(() => parseBatchItems({ csv: "msisdn,value\n254711000001,10" }), /phone and amount columns/);
+});
+
+test("a batch fans out one B2C payout per item and reports partial failures", async (t) => {
+  const ctx = await startSimulator(t);
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { MpesaPayoutBatch } = require("../src/models/MpesaPayoutBatch");
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+  const { assertTransition } = require("../src/services/mpesa/stateMachine");
+
+  const originals = {
+    batchSave: MpesaPayoutBatch.prototype.save,
+    batchFindOne: MpesaPayoutBatch.findOne,
+    txSave: MpesaTransaction.prototype.save,
+    txFindOne: MpesaTransaction.findOne,
+    txFind: MpesaTransaction.find,
+    feeFindOne: FeeSchedule.findOne,
+  };
+  t.after(() => {
+    FeeSchedule.findOne = originals.feeFindOne;
+    MpesaPayoutBatch.prototype.save = originals.batchSave;
+    MpesaPayoutBatch.findOne = originals.batchFindOne;
+    MpesaTransaction.prototype.save = originals.txSave;
+    MpesaTransaction.findOne = originals.txFindOne;
+    MpesaTransaction.find = originals.txFind;
+  });
+
+  const txs = new Map();
+  MpesaPayoutBatch.prototype.save = async function save() {
+    return this;
+  };
+  MpesaTransaction.prototype.save = async function save() {
+    txs.set(this.idempotencyKey, this);
+    return this;
+  };
+  MpesaTransaction.findOne = async (query) => txs.get(query.idempotencyKey) || null;
+  MpesaTransaction.find = async () => Array.from(txs.values());
+  FeeSchedule.findOne = async () => ({ flowType: "offramp", version: 2, fixedKes: 15 });
+
+  const items = ctx.batches.parseBatchItems({
+    items: [
+      { phoneNumber: "254711000001", amount: 1000, reference: "Agent 1" },
+      { phoneNumber: "254711000002", amount: 2000 },
+      { phoneNumber: "254711000003", amount: 3000 },
+    ],
+  });
+  const batch = await ctx.batches.createPayoutBatch({
+    userAddress: "0x4444444444444444444444444444444444444444",
+    items,
+  });
+  assert.equal(batch.status, "quoted");
+  assert.equal(batch.quote.amountKes, 6000);
+  assert.equal(batch.quote.amountUsd, 46.15);
+  // The fee is charged per recipient and each item's USDC share covers its own fee.
+  assert.equal(batch.quote.feeAmountKes, 45);
+  assert.equal(batch.quote.totalDebitKes, 6045);
+  assert.equal(batch.quote.feeBreakdown.scheduleVersion, 2);
+  assert.deepEqual(
+    batch.items.map((item) => item.amountUsd),
+    [7.81, 15.5, 23.19]
+  );
+  const { calculateExpectedFundingFromQuote } = require("../src/services/settlement/verifyUsdcFunding");
+  const fundingUsd = calculateExpectedFundingFromQuote(batch.quote).expectedUsd;
+  assert.equal(Math.round(batch.items.reduce((sum, item) => sum + item.amountUsd, 0) * 1e6) / 1e6, fundingUsd);
+
+  batch.status = "processing";
+  MpesaPayoutBatch.findOne = async () => batch;
+  ctx.simulator.setPartyScenario("b2c", "254711000002", "invalid_receiver");
+  ctx.simulator.setPartyScenario("b2c", "254711000003", "rejected");
+
+  const run = await ctx.batches.disbursePayoutBatch(batch.batchId);
+  assert.equal(run.submitted, 2);
+  assert.equal(run.rejected.length, 1);
+  assert.equal(run.rejected[0].targets.phoneNumber, "254711000003");
+  assert.deepEqual(
+    batch.items.map((item) => item.status),
+    ["processing", "processing", "failed"]
+  );
+  assert.equal(txs.size, 3);
+  for (const tx of txs.values()) {
+    assert.equal(tx.batchId, batch.batchId);
+    assert.equal(tx.quote.rateKesPerUsd, 130);
+    assert.equal(tx.quote.feeAmountKes, 15);
+    assert.equal(tx.quote.totalDebitKes, tx.quote.amountKes + 15);
+  }
+
+  // A re-run (e.g. a retried job) does not submit anything twice.
+  const again = await ctx.batches.disbursePayoutBatch(batch.batchId);
+  assert.equal(again.submitted, 0);
+
+  // Apply the B2C results the way the webhook does.
+  await ctx.simulator.flush();
+  for (const { body } of ctx.delivered) {
+    const tx = Array.from(txs.values()).find((x) => x.transactionId === body.Result.OriginatorConversationID);
+    tx.daraja.receiptNumber = body.Result.ResultCode === 0 ? body.Result.TransactionID : null;
+    tx.daraja.resultDesc = body.Result.ResultDesc;
+    assertTransition(tx, body.Result.ResultCode === 0 ? "succeeded" : "failed", "B2C callback", "webhook");
+  }
+
+  await ctx.batches.syncPayoutBatch(batch);
+  assert.equal(batch.status, "partially_failed");
+  assert.equal(batch.summary.succeeded, 1);
+  assert.equal(batch.summary.failed, 2);
+  assert.equal(batch.summary.succeededKes, 1000);
+  assert.ok(batch.completedAt instanceof Date);
+
+  const report = ctx.batches.buildBatchReportCsv(batch).split("\r\n");
+  assert.equal(report[0], "index,phoneNumber,name,reference,amountKes,status,transactionId,receiptNumber,resultDesc,refundStatus,refundTxHash");
+  assert.match(report[1], /^1,254711000001,,Agent 1,1000,succeeded,MPX\w+,\w{10},/);
+  assert.match(report[2], /^2,254711000002,,,2000,failed,/);
+  assert.equal(report.length, 5);
+
+  // Recipient names and references from the uploaded CSV cannot smuggle spreadsheet formulas.
+  const [row] = ctx.batches
+    .buildBatchReportCsv({ items: [{ index: 1, phoneNumber: "254711000001", name: "+cmd|' /C calc'!A0", reference: "-1+1", amountKes: 100 }] })
+    .split("\r\n")
+    .slice(1);
+  assert.equal(row, "1,254711000001,'+cmd|' /C calc'!A0,'-1+1,100,,,,,,");
+});
+
+test("a disbursement retried after a lost Daraja answer queries the item instead of paying it again", async (t) => {
+  const ctx = await startSimulator(t);
+  const { classifyTransactionStatusResult, applyTransactionStatusResult } = require("../src/services/mpesa/transactionStatus");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { MpesaPayoutBatch } = require("../src/models/MpesaPayoutBatch");
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+
+  const originals = {
+    batchSave: MpesaPayoutBatch.prototype.save,
+    batchFindOne: MpesaPayoutBatch.findOne,
+    txSave: MpesaTransaction.prototype.save,
+    txFindOne: MpesaTransaction.findOne,
+    txFind: MpesaTransaction.find,
+    feeFindOne: FeeSchedule.findOne,
+  };
+  t.after(() => {
+    FeeSchedule.findOne = originals.feeFindOne;
+    MpesaPayoutBatch.prototype.save = originals.batchSave;
+    MpesaPayoutBatch.findOne = originals.batchFindOne;
+    MpesaTransaction.prototype.save = originals.txSave;
+    MpesaTransaction.findOne = originals.txFindOne;
+    MpesaTransaction.find = originals.txFind;
+  });
+
+  // Keep what was saved, not the live documents, and lose the save that records Daraja's answer.
+  const stored = new Map();
+  let crashAfterSubmit = true;
+  MpesaPayoutBatch.prototype.save = async function save() {
+    return this;
+  };
+  MpesaTransaction.prototype.save = async function save() {
+    if (crashAfterSubmit && this.status === "mpesa_processing") {
+      crashAfterSubmit = false;
+      throw new Error("connection reset");
+    }
+    stored.set(this.idempotencyKey, this.toObject());
+    return this;
+  };
+  MpesaTransaction.findOne = async (query) => {
+    const doc = stored.get(query.idempotencyKey);
+    return doc ? MpesaTransaction.hydrate(doc) : null;
+  };
+  MpesaTransaction.find = async () => Array.from(stored.values()).map((doc) => MpesaTransaction.hydrate(doc));
+  FeeSchedule.findOne = async () => null;
+
+  const items = ctx.batches.parseBatchItems({ items: [{ phoneNumber: "254711000001", amount: 1000 }] });
+  const batch = await ctx.batches.createPayoutBatch({ userAddress: "0x4444444444444444444444444444444444444444", items });
+  batch.status = "processing";
+  MpesaPayoutBatch.findOne = async () => batch;
+
+  await assert.rejects(ctx.batches.disbursePayoutBatch(batch.batchId), /connection reset/);
+  const [lost] = stored.values();
+  assert.equal(lost.status, "mpesa_submitted");
+  assert.equal(ctx.simulator.state.payments.size, 1);
+
+  const retried = await ctx.batches.disbursePayoutBatch(batch.batchId);
+  assert.equal(retried.submitted, 0);
+  assert.equal(ctx.simulator.state.payments.size, 1);
+  const [queried] = stored.values();
+  assert.equal(queried.metadata.extra.statusQuery.attempts, 1);
+
+  await ctx.simulator.flush();
+  const statusResult = ctx.delivered.find((d) => d.url.includes("/transaction-status/result"));
+  assert.ok(statusResult);
+  const tx = MpesaTransaction.hydrate(queried);
+  const outcome = classifyTransactionStatusResult(statusResult.body.Result);
+  assert.equal(await applyTransactionStatusResult(tx, outcome), "succeeded");
+});
+
+test("only one concurrent submit claims a quoted batch", async (t) => {
+  const ctx = await startSimulator(t);
+  const { MpesaPayoutBatch } = require("../src/models/MpesaPayoutBatch");
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+  const originals = {
+    batchSave: MpesaPayoutBatch.prototype.save,
+    findOneAndUpdate: MpesaPayoutBatch.findOneAndUpdate,
+    feeFindOne: FeeSchedule.findOne,
+  };
+  t.after(() => {
+    MpesaPayoutBatch.prototype.save = originals.batchSave;
+    MpesaPayoutBatch.findOneAndUpdate = originals.findOneAndUpdate;
+    FeeSchedule.findOne = originals.feeFindOne;
+  });
+  MpesaPayoutBatch.prototype.save = async function save() {
+    return this;
+  };
+  FeeSchedule.findOne = async () => null;
+
+  const items = ctx.batches.parseBatchItems({ items: [{ phoneNumber: "254711000001", amount: 1000 }] });
+  const batch = await ctx.batches.createPayoutBatch({ userAddress: "0x4444444444444444444444444444444444444444", items });
+  batch.authorization = { pinProvided: true, signature: "0xsig", signerAddress: batch.userAddress };
+
+  // Stand-in for Mongo's conditional update on one stored document.
+  let stored = batch.toObject();
+  const filters = [];
+  MpesaPayoutBatch.findOneAndUpdate = async (filter, update) => {
+    filters.push(filter);
+    if (stored.status !== filter.status) return null;
+    stored = { ...stored, ...update.$set };
+    return MpesaPayoutBatch.hydrate(stored);
+  };
+
+  const [first, second] = await Promise.all([
+    ctx.batches.claimBatchSubmission(batch, { idempotencyKey: "batch-submit-0001" }),
+    ctx.batches.claimBatchSubmission(batch, { idempotencyKey: "batch-submit-0002" }),
+  ]);
+  assert.equal(first.status, "processing");
+  assert.equal(first.idempotencyKey, "batch-submit-0001");
+  assert.equal(first.authorization.signature, "0xsig");
+  assert.equal(second, null);
+  assert.deepEqual(filters[0], { _id: batch._id, status: "quoted" });
+});
+
+test("batch item shares add up to the funding transfer exactly", async (t) => {
+  const ctx = await startSimulator(t);
+  const { MpesaPayoutBatch } = require("../src/models/MpesaPayoutBatch");
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+  const { calculateExpectedFundingFromQuote } = require("../src/services/settlement/verifyUsdcFunding");
+  const originals = { batchSave: MpesaPayoutBatch.prototype.save, feeFindOne: FeeSchedule.findOne };
+  t.after(() => {
+    MpesaPayoutBatch.prototype.save = originals.batchSave;
+    FeeSchedule.findOne = originals.feeFindOne;
+  });
+  MpesaPayoutBatch.prototype.save = async function save() {
+    return this;
+  };
+  FeeSchedule.findOne = async () => null;
+
+  // 1000 KES at 130 is 7.6923.. USDC: three cent-rounded shares would come to 23.07, not 23.076924.
+  const items = ctx.batches.parseBatchItems({
+    items: [
+      { phoneNumber: "254711000001", amount: 1000 },
+      { phoneNumber: "254711000002", amount: 1000 },
+      { phoneNumber: "254711000003", amount: 1000 },
+    ],
+  });
+  const batch = await ctx.batches.createPayoutBatch({ userAddress: "0x4444444444444444444444444444444444444444", items });
+  const fundingUsd = calculateExpectedFundingFromQuote(batch.quote).expectedUsd;
+  assert.deepEqual(
+    batch.items.map((item) => item.amountUsd),
+    [7.69, 7.69, Math.round((fundingUsd - 15.38) * 1e6) / 1e6]
+  );
+  assert.equal(Math.round(batch.items.reduce((sum, item) => sum + item.amountUsd, 0) * 1e6) / 1e6, fundingUsd);
+});
+
+test("USDC funded above a batch quote is refunded once, after the batch settles", async (t) => {
+  Object.assign(process.env, { MPESA_ENV: "sandbox", TREASURY_RPC_URL: "", TREASURY_PRIVATE_KEY: "", TREASURY_USDC_CONTRACT: "" });
+  await startSimulator(t);
+  freshRequire("../src/services/mpesa/refundService");
+  freshRequire("../src/services/jobs/enqueue");
+  const batches = freshRequire("../src/services/mpesa/payoutBatch");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { MpesaPayoutBatch } = require("../src/models/MpesaPayoutBatch");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const originals = {
+    batchSave: MpesaPayoutBatch.prototype.save,
+    batchFindOne: MpesaPayoutBatch.findOne,
+    batchClaim: MpesaPayoutBatch.findOneAndUpdate,
+    txFind: MpesaTransaction.find,
+    enqueue: BackgroundJob.findOneAndUpdate,
+  };
+  t.after(() => {
+    MpesaPayoutBatch.prototype.save = originals.batchSave;
+    MpesaPayoutBatch.findOne = originals.batchFindOne;
+    MpesaPayoutBatch.findOneAndUpdate = originals.batchClaim;
+    MpesaTransaction.find = originals.txFind;
+    BackgroundJob.findOneAndUpdate = originals.enqueue;
+  });
+
+  // 20 USDC expected, 22.5 sent: each item carries only its own share.
+  const batch = new MpesaPayoutBatch({
+    status: "processing",
+    userAddress: "0x4444444444444444444444444444444444444444",
+    quote: { amountKes: 2600, amountUsd: 20 },
+    items: [{ index: 1, phoneNumber: "254711000001", amountKes: 2600, amountUsd: 20, status: "processing", transactionId: "MPXBATCHITEM1" }],
+    onchain: {
+      required: true,
+      verificationStatus: "verified",
+      expectedAmountUsd: 20,
+      expectedAmountUnits: "20000000",
+      fundedAmountUsd: 22.5,
+      fundedAmountUnits: "22500000",
+      fromAddress: "0x5555555555555555555555555555555555555555",
+    },
+  });
+  MpesaPayoutBatch.prototype.save = async function save() {
+    return this;
+  };
+  MpesaPayoutBatch.findOne = async () => batch;
+  let claims = 0;
+  MpesaPayoutBatch.findOneAndUpdate = async (filter, update) => {
+    if (batch.excessRefund.status === "completed" || batch.excessRefund.status === "pending") return null;
+    claims += 1;
+    Object.entries(update.$set).forEach(([path, value]) => batch.set(path, value));
+    batch.excessRefund.attempts += update.$inc["excessRefund.attempts"];
+    return batch;
+  };
+  MpesaTransaction.find = async () => [{ transactionId: "MPXBATCHITEM1", status: "mpesa_processing", daraja: {} }];
+  const enqueued = [];
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+
+  // Nothing goes back while an item is still open.
+  await batches.syncPayoutBatch(batch);
+  assert.equal(batch.status, "processing");
+  assert.deepEqual(await batches.refundBatchExcessFunding(batch.batchId), { reason: "not_settled" });
+  assert.deepEqual(enqueued, []);
+
+  MpesaTransaction.find = async () => [{ transactionId: "MPXBATCHITEM1", status: "succeeded", daraja: {} }];
+  await batches.syncPayoutBatch(batch);
+  assert.equal(batch.status, "completed");
+  assert.deepEqual(enqueued, [`payout_batch.excess_refund:${batch.batchId}`]);
+
+  const refunded = await batches.refundBatchExcessFunding(batch.batchId);
+  assert.equal(refunded.reason, "refunded");
+  assert.equal(refunded.amountUsd, 2.5);
+  assert.equal(batch.excessRefund.status, "completed");
+  assert.equal(batch.excessRefund.amountUsd, 2.5);
+  assert.equal(batch.excessRefund.attempts, 1);
+  assert.equal(batch.excessRefund.txHash, refunded.txHash);
+
+  // A retried job finds nothing left to return.
+  assert.deepEqual(await batches.refundBatchExcessFunding(batch.batchId), { reason: "no_excess" });
+  assert.equal(claims, 1);
+});
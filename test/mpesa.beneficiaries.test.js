@@ -0,0 +1,199 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const USER = "0x5555555555555555555555555555555555555555";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function stubBeneficiaries(t) {
+  const { Beneficiary } = require("../src/models/Beneficiary");
+  const originals = {
+    findOne: Beneficiary.findOne,
+    findOneAndUpdate: Beneficiary.findOneAndUpdate,
+    create: Beneficiary.create,
+  };
+  t.after(() => Object.assign(Beneficiary, originals));
+
+  const calls = { findOne: [], upserts: [], created: [] };
+  const state = { saved: [] };
+  Beneficiary.findOne = async (filter) => {
+    calls.findOne.push(filter);
+    return state.saved.find((b) => Object.entries(filter).every(([key, value]) => (b[key] ?? null) === value)) || null;
+  };
+  Beneficiary.findOneAndUpdate = async (filter, update, options) => {
+    calls.upserts.push({ filter, update, options });
+    if (state.failUpsert) throw new Error("E11000 duplicate key error");
+    return { ...filter, ...update.$set };
+  };
+  Beneficiary.create = async (doc) => {
+    calls.created.push(doc);
+    return { beneficiaryId: "BNFNEW", ...doc };
+  };
+
+  const service = freshRequire("../src/services/beneficiaries/beneficiaryService");
+  return { service, calls, state };
+}
+
+test("beneficiary input is validated per type", () => {
+  const { parseBeneficiaryInput } = freshRequire("../src/services/beneficiaries/beneficiaryService");
+
+  assert.deepEqual(parseBeneficiaryInput({ type: "Phone", accountNumber: "+254 711 000 001", nickname: "  Mum " }), {
+    type: "phone",
+    accountNumber: "254711000001",
+    accountReference: null,
+    nickname: "Mum",
+  });
+  assert.deepEqual(parseBeneficiaryInput({ type: "paybill", accountNumber: "888880", accountReference: "METER-42" }), {
+    type: "paybill",
+    accountNumber: "888880",
+    accountReference: "METER-42",
+    nickname: null,
+  });
+  // Tills have no account reference.
+  assert.equal(parseBeneficiaryInput({ type: "till", accountNumber: "123456", accountReference: "x1" }).accountReference, null);
+
+  assert.throws(() => parseBeneficiaryInput({ type: "bank", accountNumber: "1" }), /type must be one of: phone, paybill, till/);
+  assert.throws(() => parseBeneficiaryInput({ type: "phone", accountNumber: "0711000001" }), /2547XXXXXXXX/);
+  assert.throws(() => parseBeneficiaryInput({ type: "till", accountNumber: "12" }), /5-8 digit till number/);
+  assert.throws(() => parseBeneficiaryInput({ type: "paybill", accountNumber: "888880" }), /accountReference must be 2-20/);
+});
+
+test("succeeded payouts populate beneficiaries; batch items, topups and failures do not", async (t) => {
+  const { service, calls, state } = stubBeneficiaries(t);
+  const at = new Date("2026-03-02T09:00:00Z");
+
+  await service.recordBeneficiaryUse({
+    transactionId: "MPX1",
+    flowType: "offramp",
+    status: "succeeded",
+    userAddress: USER.toUpperCase(),
+    targets: { phoneNumber: "254711000001" },
+    daraja: { receiverPublicName: "254711000001 - JANE DOE" },
+    updatedAt: at,
+  });
+  await service.recordBeneficiaryUse({
+    transactionId: "MPX2",
+    flowType: "paybill",
+    status: "succeeded",
+    userAddress: USER,
+    targets: { paybillNumber: "888880", accountReference: "METER-42" },
+    updatedAt: at,
+  });
+
+  assert.equal(calls.upserts.length, 2);
+  assert.deepEqual(calls.upserts[0].filter, {
+    userAddress: USER,
+    type: "phone",
+    accountNumber: "254711000001",
+    accountReference: null,
+  });
+  assert.deepEqual(calls.upserts[0].update, {
+    $set: { lastUsedAt: at },
+    $inc: { useCount: 1 },
+    $setOnInsert: { source: "auto", nickname: "254711000001 - JANE DOE" },
+  });
+  assert.equal(calls.upserts[0].options.upsert, true);
+  assert.deepEqual(calls.upserts[1].filter, {
+    userAddress: USER,
+    type: "paybill",
+    accountNumber: "888880",
+    accountReference: "METER-42",
+  });
+  assert.equal(calls.upserts[1].update.$setOnInsert.nickname, null);
+
+  const skipped = [
+    { flowType: "offramp", status: "succeeded", batchId: "BPX1", targets: { phoneNumber: "254711000002" } },
+    { flowType: "onramp", status: "succeeded", targets: { phoneNumber: "254711000003" } },
+    { flowType: "buygoods", status: "failed", targets: { tillNumber: "123456" } },
+  ];
+  for (const tx of skipped) {
+    assert.equal(await service.recordBeneficiaryUse({ userAddress: USER, ...tx }), null);
+  }
+  assert.equal(calls.upserts.length, 2);
+
+  // A failed upsert never breaks the callback that triggered it.
+  state.failUpsert = true;
+  const warn = console.warn;
+  console.warn = () => {};
+  t.after(() => {
+    console.warn = warn;
+  });
+  const result = await service.recordBeneficiaryUse({
+    transactionId: "MPX3",
+    flowType: "buygoods",
+    status: "succeeded",
+    userAddress: USER,
+    targets: { tillNumber: "123456" },
+  });
+  assert.equal(result, null);
+});
+
+test("a beneficiary resolves to the targets of its own flow only", async (t) => {
+  const { service, calls, state } = stubBeneficiaries(t);
+  state.saved.push(
+    { beneficiaryId: "BNFPHONE", userAddress: USER, type: "phone", accountNumber: "254711000001", archivedAt: null },
+    {
+      beneficiaryId: "BNFBILL",
+      userAddress: USER,
+      type: "paybill",
+      accountNumber: "888880",
+      accountReference: "METER-42",
+      archivedAt: null,
+    }
+  );
+
+  assert.deepEqual(
+    await service.resolveBeneficiaryTargets({ userAddress: USER, flowType: "offramp", beneficiaryId: " bnfphone " }),
+    { phoneNumber: "254711000001" }
+  );
+  assert.deepEqual(
+    await service.resolveBeneficiaryTargets({ userAddress: USER, flowType: "paybill", beneficiaryId: "BNFBILL" }),
+    { paybillNumber: "888880", accountReference: "METER-42" }
+  );
+  assert.deepEqual(calls.findOne[0], { beneficiaryId: "BNFPHONE", userAddress: USER, archivedAt: null });
+
+  await assert.rejects(
+    service.resolveBeneficiaryTargets({ userAddress: USER, flowType: "buygoods", beneficiaryId: "BNFBILL" }),
+    /BNFBILL is a paybill; it cannot be paid by buygoods/
+  );
+  await assert.rejects(
+    service.resolveBeneficiaryTargets({ userAddress: USER, flowType: "offramp", beneficiaryId: "BNFOTHER" }),
+    /Beneficiary not found/
+  );
+
+  // Saving a known account restores and renames it instead of creating a duplicate.
+  const archived = {
+    beneficiaryId: "BNFOLD",
+    userAddress: USER,
+    type: "till",
+    accountNumber: "123456",
+    accountReference: null,
+    nickname: null,
+    archivedAt: new Date(),
+    save: async () => {},
+  };
+  state.saved.push(archived);
+  const restored = await service.saveBeneficiary(USER, {
+    type: "till",
+    accountNumber: "123456",
+    accountReference: null,
+    nickname: "Mama Mboga",
+  });
+  assert.equal(restored.created, false);
+  assert.equal(restored.beneficiary.nickname, "Mama Mboga");
+  assert.equal(restored.beneficiary.archivedAt, null);
+
+  const created = await service.saveBeneficiary(USER, {
+    type: "phone",
+    accountNumber: "254722000000",
+    accountReference: null,
+    nickname: null,
+  });
+  assert.equal(created.created, true);
+  assert.deepEqual(calls.created, [
+    { userAddress: USER, type: "phone", accountNumber: "254722000000", accountReference: null, nickname: null, source: "manual" },
+  ]);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+const KPLC = {
+  paybillNumber: "888880",
+  name: "KPLC Prepaid",
+  aliases: ["Kenya Power", "tokens"],
+  category: "utilities",
+  logoKey: "kplc",
+  accountRule: { label: "meter number", pattern: "^\\d{11}$", checksum: "luhn", example: "79927398713" },
+  minAmountKes: 100,
+  maxAmountKes: 35000,
+  active: true,
+};
+
+const WATER = {
+  paybillNumber: "444400",
+  name: "Nairobi Water",
+  category: "utilities",
+  accountRule: { label: "account number", checksum: "mod11" },
+  minAmountKes: null,
+  maxAmountKes: null,
+  active: true,
+};
+
+function loadCatalogue(t) {
+  const { Biller } = require("../src/models/Biller");
+  const originals = { findOne: Biller.findOne, find: Biller.find };
+  t.after(() => Object.assign(Biller, originals));
+
+  const calls = { findOne: [], find: [] };
+  Biller.findOne = async (filter) => {
+    calls.findOne.push(filter);
+    return [KPLC, WATER].find((b) => b.paybillNumber === filter.paybillNumber) || null;
+  };
+  Biller.find = (filter) => {
+    calls.find.push(filter);
+    const chain = {
+      sort: () => chain,
+      limit: async () => [KPLC],
+    };
+    return chain;
+  };
+
+  freshRequire("../src/config/mpesa");
+  const catalogue = freshRequire("../src/services/billers/billerCatalogue");
+  return { catalogue, calls };
+}
+
+test("paybill payments are checked against the biller's account rules and amount range", async (t) => {
+  const { catalogue, calls } = loadCatalogue(t);
+  const pay = (paybillNumber, accountReference, amountKes = 500) =>
+    catalogue.assertBillerPayment({ paybillNumber, accountReference, amountKes });
+
+  const biller = await pay("888880", "79927398713");
+  assert.equal(biller.name, "KPLC Prepaid");
+  assert.equal(biller.accountRule.checksum, "luhn");
+
+  await assert.rejects(
+    pay("888880", "79927398710"),
+    /That is not a valid KPLC Prepaid meter number \(e\.g\. 79927398713\)\. Check it and try again\./
+  );
+  await assert.rejects(pay("888880", "7992739871"), /not a valid KPLC Prepaid meter number/);
+  await assert.rejects(pay("888880", "79927398713", 50), /KPLC Prepaid payments must be at least KES 100 and at most KES 35000\./);
+  await assert.rejects(pay("888880", "79927398713", 40000), /at most KES 35000/);
+
+  // Mod 11: weights 2..7 from the right; 1234567 needs check digit 4.
+  await pay("444400", "12345674", 1);
+  await assert.rejects(pay("444400", "12345675"), /not a valid Nairobi Water account number\. Check/);
+  await assert.rejects(pay("444400", "1234567A"), /not a valid Nairobi Water/);
+
+  // Unlisted paybills are not validated.
+  assert.equal(await pay("123456", "anything", 1), null);
+
+  // Lookups are cached per paybill, misses included.
+  await pay("123456", "anything", 1);
+  assert.deepEqual(
+    calls.findOne.map((f) => f.paybillNumber),
+    ["888880", "444400", "123456"]
+  );
+  assert.ok(calls.findOne.every((f) => f.active === true));
+});
+
+test("catalogue entries are validated and search escapes user input", async (t) => {
+  const { catalogue, calls } = loadCatalogue(t);
+
+  assert.throws(() => catalogue.parseBillerInput({}), /name is required/);
+  assert.throws(
+    () => catalogue.parseBillerInput({ name: "X", accountRule: { pattern: "^(\\d+$" } }),
+    /accountRule.pattern is not a valid regex/
+  );
+  assert.throws(
+    () => catalogue.parseBillerInput({ name: "X", accountRule: { checksum: "crc32" } }),
+    /checksum must be one of: none, luhn, mod11/
+  );
+  assert.throws(
+    () => catalogue.parseBillerInput({ name: "KPLC", accountRule: { checksum: "luhn", example: "12345" } }),
+    /not a valid KPLC account number/
+  );
+  assert.throws(() => catalogue.parseBillerInput({ name: "X", minAmountKes: 500, maxAmountKes: 100 }), /maxAmountKes must be >= minAmountKes/);
+
+  const parsed = catalogue.parseBillerInput({ ...KPLC, category: " Utilities ", aliases: ["Kenya Power", "", 42] });
+  assert.equal(parsed.category, "utilities");
+  assert.deepEqual(parsed.aliases, ["Kenya Power", "42"]);
+  assert.equal(parsed.active, true);
+
+  const results = await catalogue.searchBillers({ q: "kplc (prepaid", category: "Utilities" });
+  assert.equal(results[0].paybillNumber, "888880");
+  const filter = calls.find[0];
+  assert.equal(filter.active, true);
+  assert.equal(filter.category, "utilities");
+  assert.ok(filter.$or[0].name.test("KPLC (Prepaid) tokens"));
+  assert.ok(!filter.$or[2].paybillNumber.test("888880"));
+
+  await catalogue.searchBillers({ q: "8888" });
+  assert.ok(calls.find[1].$or[2].paybillNumber.test("888880"));
+});
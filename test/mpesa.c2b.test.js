@@ -0,0 +1,225 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+const USER = { address: "0x1111111111111111111111111111111111111111", dotpayId: "DP123456789" };
+
+async function startSimulator(t) {
+  const delivered = [];
+  let c2b = null;
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async (url, body) => {
+      if (url.startsWith("http://backend.local/api/c2b/validation")) {
+        return { status: 200, body: await c2b.validateC2BPayment(body) };
+      }
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+  t.after(() => simulator.close());
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+  process.env.MPESA_C2B_WEBHOOK_SECRET = "c2b-secret";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/fees/feeEngine");
+  freshRequire("../src/services/mpesa/quoteService");
+  const transactionStatus = freshRequire("../src/services/mpesa/transactionStatus");
+  c2b = freshRequire("../src/services/mpesa/c2b");
+
+  const User = require("../src/models/User");
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+  const originalFindOne = User.findOne;
+  const originalFeeFindOne = FeeSchedule.findOne;
+  User.findOne = async (query) => (query.dotpayId === USER.dotpayId ? { ...USER } : null);
+  FeeSchedule.findOne = async () => null;
+  t.after(() => {
+    User.findOne = originalFindOne;
+    FeeSchedule.findOne = originalFeeFindOne;
+  });
+
+  return { simulator, c2b, transactionStatus, delivered };
+}
+
+test("C2B validation rejects unknown DotPay IDs and accepts known ones", async (t) => {
+  const { simulator, c2b, delivered } = await startSimulator(t);
+
+  const registered = await c2b.registerC2BCallbackUrls();
+  assert.equal(registered.ok, true);
+  assert.equal(registered.validationUrl, "http://backend.local/api/c2b/validation?secret=c2b-secret");
+  assert.equal(registered.confirmationUrl, "http://backend.local/api/c2b/confirmation?secret=c2b-secret");
+
+  const unknown = await simulator.payBill({ shortcode: "600000", msisdn: "254711000004", amount: 500, billRefNumber: "DP000000000" });
+  assert.equal(unknown.accepted, false);
+  assert.equal(unknown.validation.ResultCode, "C2B00012");
+
+  const tooSmall = await simulator.payBill({ shortcode: "600000", msisdn: "254711000004", amount: 1, billRefNumber: "DP123456789" });
+  assert.equal(tooSmall.validation.ResultCode, "C2B00013");
+
+  const known = await simulator.payBill({ shortcode: "600000", msisdn: "254711000004", amount: 500, billRefNumber: "dp 123456789" });
+  assert.equal(known.accepted, true);
+
+  await simulator.flush();
+  assert.equal(delivered.length, 1);
+  assert.equal(delivered[0].url, "http://backend.local/api/c2b/confirmation?secret=c2b-secret");
+  assert.equal(delivered[0].body.TransID, known.payment.TransID);
+});
+
+test("C2B confirmation creates one onramp transaction and credits it once M-Pesa confirms the receipt", async (t) => {
+  const { simulator, c2b, transactionStatus, delivered } = await startSimulator(t);
+  await c2b.registerC2BCallbackUrls();
+  await simulator.payBill({ shortcode: "600000", msisdn: "254711000004", amount: 1500, billRefNumber: "DP123456789" });
+  await simulator.flush();
+
+  const { MpesaEvent } = require("../src/models/MpesaEvent");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const originals = {
+    create: MpesaEvent.create,
+    save: MpesaTransaction.prototype.save,
+    findOne: MpesaTransaction.findOne,
+    enqueue: BackgroundJob.findOneAndUpdate,
+  };
+  t.after(() => {
+    MpesaEvent.create = originals.create;
+    MpesaTransaction.prototype.save = originals.save;
+    MpesaTransaction.findOne = originals.findOne;
+    BackgroundJob.findOneAndUpdate = originals.enqueue;
+  });
+
+  const eventKeys = new Set();
+  const saved = [];
+  const enqueued = [];
+  MpesaEvent.create = async (doc) => {
+    if (eventKeys.has(doc.eventKey)) throw Object.assign(new Error("duplicate"), { code: 11000 });
+    eventKeys.add(doc.eventKey);
+    return doc;
+  };
+  MpesaTransaction.prototype.save = async function save() {
+    if (!saved.includes(this)) saved.push(this);
+    return this;
+  };
+  MpesaTransaction.findOne = async () => saved[0];
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+
+  const confirmation = delivered[0].body;
+  const first = await c2b.recordC2BConfirmation(confirmation);
+  assert.equal(first.outcome, "created");
+  assert.equal(first.tx.flowType, "onramp");
+  assert.equal(first.tx.status, "mpesa_processing");
+  assert.equal(first.tx.userAddress, USER.address);
+  assert.equal(first.tx.onchain.toAddress, USER.address);
+  assert.equal(first.tx.quote.amountKes, 1500);
+  assert.equal(first.tx.daraja.receiptNumber, confirmation.TransID);
+  assert.equal(first.tx.targets.accountReference, "DP123456789");
+  // Nothing is credited on the confirmation alone.
+  assert.equal(first.tx.daraja.resultCode, undefined);
+  assert.equal(first.tx.metadata.extra.c2b.verification, "pending");
+  assert.equal(first.tx.metadata.extra.statusQuery.attempts, 1);
+  assert.deepEqual(enqueued, []);
+
+  const again = await c2b.recordC2BConfirmation(confirmation);
+  assert.equal(again.outcome, "duplicate");
+  assert.equal(saved.length, 1);
+
+  await simulator.flush();
+  const statusResult = delivered.find((d) => d.url.includes("/transaction-status/result"));
+  assert.ok(statusResult);
+  const outcome = transactionStatus.classifyTransactionStatusResult(statusResult.body.Result);
+  assert.equal(await transactionStatus.applyTransactionStatusResult(first.tx, outcome), "verified");
+  assert.equal(first.tx.daraja.resultCode, 0);
+  assert.equal(first.tx.metadata.extra.c2b.verification, "verified");
+  assert.deepEqual(enqueued, [`onramp.credit:${first.tx.transactionId}`]);
+
+  const unmatched = await c2b.recordC2BConfirmation({ ...confirmation, TransID: "QWE123RTY9", BillRefNumber: "NOPE" });
+  assert.equal(unmatched.outcome, "unmatched");
+  assert.ok(eventKeys.has("c2b_unmatched:QWE123RTY9"));
+
+  const otherShortcode = await c2b.recordC2BConfirmation({ ...confirmation, TransID: "QWE123RTY8", BusinessShortCode: "999999" });
+  assert.equal(otherShortcode.outcome, "invalid");
+});
+
+test("C2B confirmation with an amount M-Pesa does not confirm fails without crediting", async (t) => {
+  const { simulator, c2b, transactionStatus, delivered } = await startSimulator(t);
+  await c2b.registerC2BCallbackUrls();
+  await simulator.payBill({ shortcode: "600000", msisdn: "254711000004", amount: 100, billRefNumber: "DP123456789" });
+  await simulator.flush();
+
+  const { MpesaEvent } = require("../src/models/MpesaEvent");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const originals = {
+    create: MpesaEvent.create,
+    save: MpesaTransaction.prototype.save,
+    enqueue: BackgroundJob.findOneAndUpdate,
+  };
+  t.after(() => {
+    MpesaEvent.create = originals.create;
+    MpesaTransaction.prototype.save = originals.save;
+    BackgroundJob.findOneAndUpdate = originals.enqueue;
+  });
+  const enqueued = [];
+  MpesaEvent.create = async (doc) => doc;
+  MpesaTransaction.prototype.save = async function save() {
+    return this;
+  };
+  BackgroundJob.findOneAndUpdate = async (filter) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job" };
+  };
+
+  // A forged confirmation claiming more than was paid.
+  const forged = { ...delivered[0].body, TransAmount: "100000.00" };
+  const recorded = await c2b.recordC2BConfirmation(forged);
+  assert.equal(recorded.outcome, "created");
+
+  await simulator.flush();
+  const statusResult = delivered.find((d) => d.url.includes("/transaction-status/result"));
+  const outcome = transactionStatus.classifyTransactionStatusResult(statusResult.body.Result);
+  assert.equal(await transactionStatus.applyTransactionStatusResult(recorded.tx, outcome), "failed");
+  assert.equal(recorded.tx.status, "failed");
+  assert.equal(recorded.tx.metadata.extra.c2b.verification, "rejected");
+  assert.deepEqual(enqueued, []);
+});
+
+test("C2B webhooks and URL registration refuse to run without a secret", async () => {
+  const previous = { c2b: process.env.MPESA_C2B_WEBHOOK_SECRET, shared: process.env.MPESA_WEBHOOK_SECRET };
+  delete process.env.MPESA_C2B_WEBHOOK_SECRET;
+  delete process.env.MPESA_WEBHOOK_SECRET;
+  try {
+    const config = freshRequire("../src/config/mpesa");
+    assert.throws(() => config.ensureC2BConfigured(), /MPESA_C2B_WEBHOOK_SECRET/);
+    const c2b = freshRequire("../src/services/mpesa/c2b");
+    await assert.rejects(c2b.registerC2BCallbackUrls(), /MPESA_C2B_WEBHOOK_SECRET/);
+  } finally {
+    if (previous.c2b !== undefined) process.env.MPESA_C2B_WEBHOOK_SECRET = previous.c2b;
+    if (previous.shared !== undefined) process.env.MPESA_WEBHOOK_SECRET = previous.shared;
+    freshRequire("../src/config/mpesa");
+  }
+});
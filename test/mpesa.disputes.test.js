@@ -0,0 +1,254 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { stubStatics, fakeDoc, fakePayoutTx } = require("./helpers/fakes");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function paybillTx(overrides = {}) {
+  return fakePayoutTx({
+    transactionId: "MPXDISPUTE1",
+    flowType: "paybill",
+    status: "succeeded",
+    userAddress: "0x9999999999999999999999999999999999999999",
+    quote: { amountUsd: 10, amountKes: 1290 },
+    onchain: { required: true, verificationStatus: "verified", fundedAmountUsd: 10.1, expectedAmountUsd: 10.1 },
+    daraja: { receiptNumber: "SIM123" },
+    ...overrides,
+  });
+}
+
+function disputeDoc(fields) {
+  return fakeDoc({ disputeId: "DSP1", status: "open", history: [], resolution: { action: "none" } }, fields);
+}
+
+function loadDisputes(t) {
+  Object.assign(process.env, {
+    MPESA_ENV: "sandbox",
+    TREASURY_RPC_URL: "",
+    TREASURY_PRIVATE_KEY: "",
+    TREASURY_USDC_CONTRACT: "",
+  });
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/refundService");
+  const disputes = freshRequire("../src/services/disputes/disputeService");
+  const { MpesaDispute } = require("../src/models/MpesaDispute");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const Notification = require("../src/models/Notification");
+
+  const notifications = [];
+  const created = [];
+  let active = null;
+  stubStatics(t, Notification, {
+    create: async (doc) => {
+      notifications.push(doc);
+      return doc;
+    },
+  });
+  stubStatics(t, MpesaDispute, {
+    findOne: async () => active,
+    create: async (doc) => {
+      created.push(doc);
+      return disputeDoc({ ...doc, status: "open" });
+    },
+  });
+  stubStatics(t, MpesaTransaction, { updateOne: async () => ({ modifiedCount: 1 }) });
+  return {
+    disputes,
+    notifications,
+    created,
+    setActive: (doc) => {
+      active = doc;
+    },
+  };
+}
+
+test("users open one dispute per payout with a reason code and are notified", async (t) => {
+  const { disputes, notifications, created, setActive } = loadDisputes(t);
+
+  assert.deepEqual(disputes.parseDisputeInput({ reasonCode: "Recipient_Not_Credited", evidence: "  Shop says unpaid " }), {
+    reasonCode: "recipient_not_credited",
+    evidence: "Shop says unpaid",
+  });
+  assert.throws(() => disputes.parseDisputeInput({ reasonCode: "angry" }), /reasonCode must be one of: recipient_not_credited/);
+  assert.throws(() => disputes.parseDisputeInput({ reasonCode: "other" }), /evidence is required/);
+  assert.throws(() => disputes.parseDisputeInput({ reasonCode: "other", evidence: "x".repeat(2001) }), /at most 2000/);
+
+  assert.match(disputes.disputeBlocker(paybillTx({ flowType: "onramp" })), /Only payouts/);
+  assert.match(disputes.disputeBlocker(paybillTx({ status: "mpesa_processing" })), /only succeeded or failed/);
+  assert.match(
+    disputes.disputeBlocker(paybillTx({ createdAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) })),
+    /within 90 days/
+  );
+
+  const tx = paybillTx();
+  const dispute = await disputes.openDispute(tx, {
+    reasonCode: "recipient_not_credited",
+    evidence: "Shop says unpaid",
+    userAddress: tx.userAddress,
+  });
+  assert.equal(created[0].transactionId, "MPXDISPUTE1");
+  assert.equal(created[0].flowType, "paybill");
+  assert.deepEqual(created[0].history, [{ from: null, to: "open", note: null, by: tx.userAddress }]);
+  assert.equal(dispute.status, "open");
+  assert.equal(notifications[0].type, "dispute_update");
+  assert.equal(notifications[0].toAddress, tx.userAddress);
+  assert.equal(notifications[0].disputeStatus, "open");
+  assert.match(notifications[0].message, /We received your dispute about MPXDISPUTE1/);
+
+  setActive({ disputeId: "DSPEXISTING" });
+  await assert.rejects(
+    disputes.openDispute(tx, { reasonCode: "other", evidence: "again", userAddress: tx.userAddress }),
+    /Dispute DSPEXISTING is already open/
+  );
+});
+
+test("ops investigate and resolve disputes with a refund or no action, notifying the user each time", async (t) => {
+  const { disputes, notifications } = loadDisputes(t);
+  const operator = { operatorId: "OPRFIN", role: "finance" };
+
+  const tx = paybillTx();
+  const dispute = disputeDoc({ transactionId: tx.transactionId, userAddress: tx.userAddress });
+  await disputes.startInvestigation(dispute, operator, "Calling the merchant");
+  assert.equal(dispute.status, "investigating");
+  assert.equal(dispute.assignedTo, "OPRFIN");
+  assert.equal(notifications[0].disputeStatus, "investigating");
+  await assert.rejects(disputes.startInvestigation(dispute, operator), /Dispute is investigating; it cannot move to investigating/);
+
+  // Paybill payouts cannot be reversed through Daraja, and a refund cannot exceed the funding.
+  assert.match(disputes.resolutionBlocker(dispute, tx, { outcome: "refund", action: "reversal" }), /Only B2C/);
+  assert.match(disputes.resolutionBlocker(dispute, tx, { outcome: "refund", amountUsd: 20 }), /exceeds the 10.1 USDC/);
+  assert.match(disputes.resolutionBlocker(dispute, tx, { outcome: "no_action" }), /note is required/);
+  assert.equal(disputes.resolutionBlocker(dispute, tx, { outcome: "refund" }), null);
+
+  await disputes.resolveDispute(dispute, tx, { outcome: "refund", note: "Merchant confirmed no credit", operator });
+  assert.equal(dispute.status, "resolved_refund");
+  assert.equal(dispute.resolution.action, "refund");
+  assert.equal(dispute.resolution.amountUsd, 10.1);
+  assert.equal(dispute.resolution.resolvedBy, "OPRFIN");
+  assert.deepEqual(
+    dispute.history.map((h) => [h.from, h.to]),
+    [
+      ["open", "investigating"],
+      ["investigating", "resolved_refund"],
+    ]
+  );
+  // The succeeded payout keeps its status; the refund is a line item.
+  assert.equal(tx.status, "succeeded");
+  assert.equal(tx.refund.items[0].kind, "partial");
+  assert.equal(tx.refund.items[0].reason, "Dispute DSP1: Merchant confirmed no credit");
+  assert.equal(tx.refund.items[0].requestedBy, "OPRFIN");
+  assert.match(notifications[1].message, /resolved: 10.1 USDC was refunded/);
+
+  assert.match(disputes.resolutionBlocker(dispute, tx, { outcome: "no_action", note: "x" }), /already resolved_refund/);
+
+  const closed = disputeDoc({ transactionId: tx.transactionId, userAddress: tx.userAddress });
+  await disputes.resolveDispute(closed, paybillTx(), { outcome: "no_action", note: "Merchant confirmed receipt", operator });
+  assert.equal(closed.status, "resolved_no_action");
+  assert.equal(closed.resolution.action, "none");
+  assert.equal(notifications[2].message, "Your dispute about MPXDISPUTE1 was closed without a refund: Merchant confirmed receipt");
+});
+
+test("a reversal keeps the dispute open until M-Pesa answers, then resolves or leaves it for ops", async (t) => {
+  const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+  const delivered = [];
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async (url, body) => {
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+  t.after(() => simulator.close());
+  Object.assign(process.env, {
+    MPESA_BASE_URL: url,
+    MPESA_CONSUMER_KEY: "sim-key",
+    MPESA_CONSUMER_SECRET: "sim-secret",
+    MPESA_SHORTCODE: "600000",
+    MPESA_INITIATOR_NAME: "testapi",
+    MPESA_SECURITY_CREDENTIAL: "credential",
+    MPESA_RESULT_BASE_URL: "http://backend.local",
+    MPESA_TIMEOUT_BASE_URL: "http://backend.local",
+    MPESA_REQUIRE_ONCHAIN_FUNDING: "false",
+  });
+  t.after(() => {
+    delete process.env.MPESA_REQUIRE_ONCHAIN_FUNDING;
+  });
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  const client = freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/jobs/enqueue");
+  const reversal = freshRequire("../src/services/mpesa/reversal");
+  const { disputes, notifications, setActive } = loadDisputes(t);
+
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  stubStatics(t, MpesaTransaction, { findOneAndUpdate: async () => ({}) });
+  const enqueued = [];
+  stubStatics(t, BackgroundJob, {
+    findOneAndUpdate: async (filter, update) => {
+      enqueued.push(filter.dedupeKey);
+      return { _id: "job", ...update.$setOnInsert };
+    },
+  });
+  const operator = { operatorId: "OPRFIN", role: "finance" };
+
+  async function paidOfframp(transactionId) {
+    await client.initiateB2C({
+      amountKes: 1290,
+      phoneNumber: "254711000009",
+      originatorConversationId: transactionId,
+      resultUrl: `http://backend.local/api/mpesa/webhooks/b2c/result?tx=${transactionId}`,
+      timeoutUrl: `http://backend.local/api/mpesa/webhooks/b2c/timeout?tx=${transactionId}`,
+    });
+    await simulator.flush();
+    const receiptNumber = delivered.shift().body.Result.TransactionID;
+    return paybillTx({ transactionId, flowType: "offramp", daraja: { receiptNumber }, quote: { amountUsd: 10, amountKes: 1290, expectedReceiveKes: 1290 } });
+  }
+
+  const tx = await paidOfframp("MPXREVDSP1");
+  const dispute = disputeDoc({ transactionId: tx.transactionId, userAddress: tx.userAddress });
+  await disputes.resolveDispute(dispute, tx, { outcome: "refund", action: "reversal", note: "Wrong number", operator });
+  assert.equal(dispute.status, "investigating");
+  assert.equal(dispute.pendingReversal.requestedBy, "OPRFIN");
+  assert.equal(tx.status, "reversal_pending");
+  assert.equal(tx.reversal.disputeId, "DSP1");
+  assert.match(notifications[0].message, /We asked M-Pesa to reverse the payment/);
+  assert.match(disputes.resolutionBlocker(dispute, tx, { outcome: "no_action", note: "x" }), /still waiting for M-Pesa/);
+
+  await simulator.flush();
+  setActive(dispute);
+  const outcome = await reversal.applyReversalResult(tx, delivered.shift().body.Result);
+  assert.equal(outcome, "reversed");
+  await disputes.settleDisputeReversal(tx, outcome);
+  assert.equal(dispute.status, "resolved_refund");
+  assert.equal(dispute.resolution.action, "reversal");
+  assert.equal(dispute.resolution.resolvedBy, "OPRFIN");
+  assert.equal(dispute.pendingReversal.requestedAt, null);
+  assert.deepEqual(enqueued, ["refund.reversal:MPXREVDSP1"]);
+  assert.match(notifications[1].message, /the M-Pesa payment was reversed/);
+
+  // A failed reversal leaves the dispute investigating, free for another resolution.
+  const stuck = await paidOfframp("MPXREVDSP2");
+  const second = disputeDoc({ disputeId: "DSP2", transactionId: stuck.transactionId, userAddress: stuck.userAddress });
+  simulator.enqueueScenario("reversal", "failure");
+  await disputes.resolveDispute(second, stuck, { outcome: "refund", action: "reversal", note: "Wrong number", operator });
+  await simulator.flush();
+  setActive(second);
+  const failed = await reversal.applyReversalResult(stuck, delivered.shift().body.Result);
+  assert.equal(failed, "failed");
+  await disputes.settleDisputeReversal(stuck, failed);
+  assert.equal(second.status, "investigating");
+  assert.equal(second.pendingReversal.requestedAt, null);
+  assert.equal(stuck.status, "succeeded");
+  assert.match(notifications[3].message, /M-Pesa could not reverse the payment in your dispute about MPXREVDSP2/);
+  assert.equal(disputes.resolutionBlocker(second, stuck, { outcome: "no_action", note: "Merchant refunded" }), null);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { stubStatics, fakePayoutTx } = require("./helpers/fakes");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function overfundedTx(overrides = {}) {
+  return fakePayoutTx({
+    transactionId: "MPXEXCESS1",
+    flowType: "paybill",
+    status: "succeeded",
+    userAddress: "0x6666666666666666666666666666666666666666",
+    quote: { amountUsd: 5, amountKes: 640 },
+    onchain: {
+      required: true,
+      verificationStatus: "verified",
+      expectedAmountUsd: 5.05,
+      expectedAmountUnits: "5050000",
+      fundedAmountUsd: 50,
+      fundedAmountUnits: "50000000",
+      fromAddress: "0x7777777777777777777777777777777777777777",
+    },
+    ...overrides,
+  });
+}
+
+function sandboxRefunds(t) {
+  Object.assign(process.env, {
+    MPESA_ENV: "sandbox",
+    TREASURY_RPC_URL: "",
+    TREASURY_PRIVATE_KEY: "",
+    TREASURY_USDC_CONTRACT: "",
+  });
+  freshRequire("../src/config/mpesa");
+  const refunds = freshRequire("../src/services/mpesa/refundService");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const claims = [];
+  stubStatics(t, MpesaTransaction, {
+    updateOne: async (filter, update) => {
+      claims.push(update.$set);
+      return { modifiedCount: 1 };
+    },
+  });
+  return { refunds, claims };
+}
+
+test("excess funding is refunded after a successful payout and leaves the rest for a reversal", async (t) => {
+  const { refunds, claims } = sandboxRefunds(t);
+
+  const tx = overfundedTx();
+  assert.equal(refunds.getExcessFundingUsd(tx), 44.95);
+  // Not before the payout succeeded.
+  assert.deepEqual(await refunds.refundExcessFunding(overfundedTx({ status: "mpesa_processing" })), { reason: "no_excess" });
+
+  const result = await refunds.refundExcessFunding(tx);
+  assert.equal(result.reason, "refunded");
+  assert.equal(result.amountUsd, 44.95);
+  assert.equal(tx.status, "succeeded");
+  assert.equal(tx.refund.status, "none");
+  assert.equal(tx.refund.lockedAt, null);
+  assert.ok(claims[0]["refund.lockedAt"] instanceof Date);
+  assert.equal(tx.refund.items.length, 1);
+  assert.equal(tx.refund.items[0].kind, "excess");
+  assert.equal(tx.refund.items[0].toAddress, "0x7777777777777777777777777777777777777777");
+  assert.match(tx.refund.items[0].txHash, /^RF_/);
+  assert.equal(tx.refund.refundedAmountUsd, 44.95);
+
+  // Runs once.
+  assert.equal(refunds.getExcessFundingUsd(tx), 0);
+  assert.deepEqual(await refunds.refundExcessFunding(tx), { reason: "no_excess" });
+
+  // A later reversal only re-credits what the payout actually used.
+  tx.status = "reversed";
+  await refunds.refundReversedPayout(tx, "Reversal re-credit");
+  assert.equal(tx.status, "refunded");
+  assert.equal(tx.refund.items[1].kind, "full");
+  assert.equal(tx.refund.items[1].amountUsd, 5.05);
+  assert.equal(tx.refund.refundedAmountUsd, 50);
+
+  // Exactly-funded payouts have nothing to return.
+  assert.equal(refunds.getExcessFundingUsd(overfundedTx({ onchain: { ...tx.onchain, fundedAmountUnits: "5050000", fundedAmountUsd: 5.05 } })), 0);
+  assert.equal(refunds.getExcessFundingUsd(overfundedTx({ onchain: { required: false, fundedAmountUsd: 50 } })), 0);
+});
+
+test("partial refunds are line items capped at the unrefunded funding and show on statements", async (t) => {
+  const { refunds } = sandboxRefunds(t);
+  const { transactionEntries } = freshRequire("../src/services/statements/statementService");
+
+  const tx = overfundedTx({
+    status: "failed",
+    onchain: { ...overfundedTx().onchain, fundedAmountUsd: 5.05, fundedAmountUnits: "5050000" },
+  });
+  assert.match(refunds.partialRefundBlocker(tx, 6), /exceeds the 5.05 USDC left to refund/);
+  assert.match(refunds.partialRefundBlocker(tx, 0), /amountUsd must be greater than zero/);
+  assert.match(refunds.partialRefundBlocker(overfundedTx({ status: "mpesa_processing" }), 1), /only succeeded, failed or reversed/);
+
+  const alternate = "0x8888888888888888888888888888888888888888";
+  await refunds.partialRefund(tx, { amountUsd: 2, reason: "Goodwill", toAddress: alternate, requestedBy: "ops" });
+  assert.equal(tx.status, "failed");
+  assert.equal(tx.refund.items[0].kind, "partial");
+  assert.equal(tx.refund.items[0].toAddress, alternate);
+  assert.equal(tx.refund.items[0].requestedBy, "ops");
+  // The alternate address was for that transfer only.
+  assert.equal(tx.refund.toAddress, null);
+  assert.equal(refunds.getRefundAmountUsd(tx), 3.05);
+
+  // The full refund then sends only the remainder.
+  await refunds.scheduleAutoRefund(tx, "B2B failed", { force: true });
+  assert.equal(tx.status, "refunded");
+  assert.equal(tx.refund.items[1].kind, "full");
+  assert.equal(tx.refund.items[1].amountUsd, 3.05);
+  assert.equal(tx.refund.items[1].toAddress, "0x7777777777777777777777777777777777777777");
+  assert.match(refunds.partialRefundBlocker(tx, 1), /already refunded/);
+
+  // Partial refunds that use up the funding of a failed payout complete its refund.
+  const drained = overfundedTx({ status: "failed", onchain: tx.onchain });
+  await refunds.partialRefund(drained, { amountUsd: 5.05, reason: "All of it" });
+  assert.equal(drained.status, "refunded");
+  assert.equal(drained.refund.status, "completed");
+
+  tx.history = [{ to: "mpesa_submitted", at: new Date("2026-10-01T10:00:00Z") }];
+  const entries = transactionEntries(tx);
+  assert.deepEqual(
+    entries.map((e) => [e.entryId, e.type, e.amountKes, e.amountUsd]),
+    [
+      [`${tx.transactionId}-P`, "paybill", -640, -5.05],
+      [`${tx.transactionId}-R1`, "refund", 0, 2],
+      [`${tx.transactionId}-R2`, "refund", 640, 3.05],
+    ]
+  );
+  assert.match(entries[1].description, /^Partial refund: /);
+  assert.match(entries[2].description, /^Refund: /);
+});
@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TREASURY = "0x1111111111111111111111111111111111111111";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+// Shaped like the Safaricom B2C tariff rows.
+const OFFRAMP_SCHEDULE = {
+  flowType: "offramp",
+  version: 3,
+  percentBps: 50,
+  fixedKes: 0,
+  bands: [
+    { minKes: 10, maxKes: 100, feeKes: 0, label: "10-100" },
+    { minKes: 101, maxKes: 1500, feeKes: 5, label: "101-1500" },
+    { minKes: 1501, maxKes: null, feeKes: 9, label: "1501+" },
+  ],
+  minFeeKes: 1,
+  maxFeeKes: 60,
+  networkFee: { mode: "fixed", fixedKes: 2 },
+};
+
+const RATE = { kesPerUsd: 130, midKesPerUsd: 130, spreadBps: 0, source: "static" };
+
+test("fees apply the matching band, percentage and caps", () => {
+  freshRequire("../src/config/mpesa");
+  const { calculateFees, parseFeeScheduleInput } = freshRequire("../src/services/fees/feeEngine");
+
+  const small = calculateFees({ schedule: OFFRAMP_SCHEDULE, amountKes: 50 });
+  assert.equal(small.breakdown.band.label, "10-100");
+  assert.equal(small.breakdown.uncappedKes, 0.25);
+  assert.equal(small.feeAmountKes, 1);
+  assert.equal(small.breakdown.capped, "min");
+
+  const mid = calculateFees({ schedule: OFFRAMP_SCHEDULE, amountKes: 1000 });
+  assert.equal(mid.breakdown.band.label, "101-1500");
+  assert.equal(mid.breakdown.percentFeeKes, 5);
+  assert.equal(mid.breakdown.bandFeeKes, 5);
+  assert.equal(mid.feeAmountKes, 10);
+  assert.equal(mid.breakdown.capped, null);
+  assert.equal(mid.breakdown.scheduleVersion, 3);
+
+  // Fractional amounts between two tariff rows stay in the lower band instead of getting no band fee.
+  const between = calculateFees({ schedule: OFFRAMP_SCHEDULE, amountKes: 100.5 });
+  assert.equal(between.breakdown.band.label, "10-100");
+  assert.equal(calculateFees({ schedule: OFFRAMP_SCHEDULE, amountKes: 1500.5 }).breakdown.bandFeeKes, 5);
+  assert.equal(calculateFees({ schedule: OFFRAMP_SCHEDULE, amountKes: 5 }).breakdown.band, null);
+  const capped = { ...OFFRAMP_SCHEDULE, bands: OFFRAMP_SCHEDULE.bands.slice(0, 2) };
+  assert.equal(calculateFees({ schedule: capped, amountKes: 1500.5 }).breakdown.band, null);
+
+  const large = calculateFees({ schedule: OFFRAMP_SCHEDULE, amountKes: 20000 });
+  assert.equal(large.breakdown.band.maxKes, null);
+  assert.equal(large.breakdown.uncappedKes, 109);
+  assert.equal(large.feeAmountKes, 60);
+  assert.equal(large.breakdown.capped, "max");
+
+  assert.throws(
+    () => parseFeeScheduleInput({ bands: [{ minKes: 0, maxKes: 500 }, { minKes: 400, maxKes: 900 }] }),
+    /overlap at 400 KES/
+  );
+  assert.throws(() => parseFeeScheduleInput({ networkFee: { mode: "auto" } }), /networkFee.mode/);
+  assert.throws(() => parseFeeScheduleInput({ minFeeKes: 10, maxFeeKes: 5 }), /maxFeeKes/);
+});
+
+test("payout quotes add fees on top; topup quotes deduct them from the credit", () => {
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/fees/feeEngine");
+  const { buildQuote } = freshRequire("../src/services/mpesa/quoteService");
+
+  const payout = buildQuote({
+    flowType: "offramp",
+    amount: 1000,
+    rate: RATE,
+    feeSchedule: OFFRAMP_SCHEDULE,
+    networkFee: { mode: "fixed", kes: 2 },
+  });
+  assert.equal(payout.amountKes, 1000);
+  assert.equal(payout.expectedReceiveKes, 1000);
+  assert.equal(payout.feeAmountKes, 10);
+  assert.equal(payout.networkFeeKes, 2);
+  assert.equal(payout.totalDebitKes, 1012);
+  assert.equal(payout.feeBreakdown.band.label, "101-1500");
+  assert.equal(payout.feeBreakdown.networkFee.mode, "fixed");
+
+  const onrampSchedule = { flowType: "onramp", version: 1, percentBps: 100, fixedKes: 0, bands: [] };
+  const topupKes = buildQuote({ flowType: "onramp", amount: 1300, rate: RATE, feeSchedule: onrampSchedule });
+  assert.equal(topupKes.amountKes, 1300);
+  assert.equal(topupKes.feeAmountKes, 13);
+  assert.equal(topupKes.expectedReceiveKes, 1287);
+  assert.equal(topupKes.amountUsd, 9.9);
+
+  const topupUsd = buildQuote({ flowType: "onramp", amount: 10, currency: "USD", rate: RATE, feeSchedule: onrampSchedule });
+  assert.equal(topupUsd.amountUsd, 10);
+  assert.equal(topupUsd.amountKes, 1313);
+  assert.equal(topupUsd.totalDebitKes, 1313);
+
+  assert.throws(
+    () => buildQuote({ flowType: "onramp", amount: 20, rate: RATE, feeSchedule: { ...onrampSchedule, fixedKes: 25 } }),
+    /exceed the top up amount/
+  );
+});
+
+test("priceQuote reads the stored schedule once per TTL and estimates gas on chain", async (t) => {
+  process.env.MPESA_FEES_CACHE_TTL_SECONDS = "60";
+  process.env.TREASURY_CHAIN_ADAPTER = "memory";
+  process.env.TREASURY_PLATFORM_ADDRESS = TREASURY;
+  process.env.FX_STATIC_KES_PER_USD = "130";
+  t.after(() => {
+    delete process.env.MPESA_FEES_CACHE_TTL_SECONDS;
+    delete process.env.TREASURY_CHAIN_ADAPTER;
+    delete process.env.TREASURY_PLATFORM_ADDRESS;
+    delete process.env.FX_STATIC_KES_PER_USD;
+  });
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/config/fx");
+  const chainModule = freshRequire("../src/services/chain/chainAdapter");
+  const { createMemoryChainAdapter } = require("../src/services/chain/memoryChainAdapter");
+  const chain = createMemoryChainAdapter({ chainId: 421614, signerAddress: TREASURY });
+  chainModule.setChainAdapter(chain);
+  t.after(() => chainModule.setChainAdapter(null));
+
+  freshRequire("../src/services/fx/rateSources");
+  freshRequire("../src/services/fx/rateService");
+  const fees = freshRequire("../src/services/fees/feeEngine");
+  const { priceQuote } = freshRequire("../src/services/mpesa/quoteService");
+
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+  const originalFindOne = FeeSchedule.findOne;
+  t.after(() => {
+    FeeSchedule.findOne = originalFindOne;
+  });
+  let reads = 0;
+  FeeSchedule.findOne = async ({ flowType }) => {
+    reads += 1;
+    return flowType === "paybill"
+      ? {
+          flowType,
+          version: 1,
+          fixedKes: 20,
+          networkFee: { mode: "estimate", fixedKes: 3, gasUnits: 100000, nativeTokenUsd: 2500 },
+        }
+      : null;
+  };
+
+  // 100k gas at 0.1 gwei = 0.00001 ETH = 0.025 USD = 3.25 KES.
+  const quote = await priceQuote({ flowType: "paybill", amount: 500 });
+  assert.equal(quote.feeAmountKes, 20);
+  assert.equal(quote.networkFeeKes, 3.25);
+  assert.equal(quote.totalDebitKes, 523.25);
+  assert.equal(quote.feeBreakdown.networkFee.mode, "estimate");
+  assert.equal(quote.feeBreakdown.networkFee.gasPriceGwei, 0.1);
+
+  chain.setGasPrice(200_000_000n);
+  await priceQuote({ flowType: "paybill", amount: 500 });
+  assert.equal(reads, 1);
+
+  fees.clearFeeScheduleCache();
+  const repriced = await priceQuote({ flowType: "paybill", amount: 500 });
+  assert.equal(repriced.networkFeeKes, 6.5);
+  assert.equal(reads, 2);
+
+  // Flows without a stored schedule stay free.
+  const free = await priceQuote({ flowType: "offramp", amount: 500 });
+  assert.equal(free.feeAmountKes, 0);
+  assert.equal(free.networkFeeKes, 0);
+  assert.equal(free.feeBreakdown.scheduleVersion, 0);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const USER = "0x4444444444444444444444444444444444444444";
+const RECIPIENT = "254711000001";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function loadLimits(t, env = {}) {
+  const keys = ["MPESA_LIMIT_TIERS", "MPESA_LIMIT_DEFAULT_TIER", "MPESA_LIMIT_TIMEZONE"];
+  for (const key of keys) delete process.env[key];
+  Object.assign(process.env, env);
+  t.after(() => {
+    for (const key of keys) delete process.env[key];
+  });
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/config/limits");
+  return freshRequire("../src/services/limits/limitService");
+}
+
+function stubUsage(t, { tier = null, byFlow = [], byRecipient = [] } = {}) {
+  const User = require("../src/models/User");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const originals = { findOne: User.findOne, aggregate: MpesaTransaction.aggregate };
+  t.after(() => {
+    User.findOne = originals.findOne;
+    MpesaTransaction.aggregate = originals.aggregate;
+  });
+
+  const pipelines = [];
+  User.findOne = async () => (tier ? { address: USER, limitTier: tier } : null);
+  MpesaTransaction.aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    return pipeline[1].$group._id === "$flowType" ? byFlow : byRecipient;
+  };
+  return pipelines;
+}
+
+test("limit windows roll over at Nairobi midnight, on Mondays and on the 1st", (t) => {
+  const limits = loadLimits(t);
+
+  // 00:30 on Monday 2 March 2026 in Nairobi (UTC+3) is still Sunday in UTC.
+  const windows = limits.limitWindows(new Date("2026-03-01T21:30:00Z"));
+  assert.equal(windows.daily.start.toISOString(), "2026-03-01T21:00:00.000Z");
+  assert.equal(windows.daily.end.toISOString(), "2026-03-02T21:00:00.000Z");
+  assert.equal(windows.weekly.start.toISOString(), "2026-03-01T21:00:00.000Z");
+  assert.equal(windows.weekly.end.toISOString(), "2026-03-08T21:00:00.000Z");
+  assert.equal(windows.monthly.start.toISOString(), "2026-02-28T21:00:00.000Z");
+  assert.equal(windows.monthly.end.toISOString(), "2026-03-31T21:00:00.000Z");
+
+  // 23:30 on Sunday 1 March in Nairobi belongs to the previous week.
+  const sunday = limits.limitWindows(new Date("2026-03-01T20:30:00Z"));
+  assert.equal(sunday.weekly.start.toISOString(), "2026-02-22T21:00:00.000Z");
+  assert.equal(sunday.monthly.start.toISOString(), "2026-02-28T21:00:00.000Z");
+});
+
+test("per-transaction, per-flow and per-recipient limits are enforced for the user's tier", async (t) => {
+  const limits = loadLimits(t, {
+    MPESA_LIMIT_TIERS: JSON.stringify({ basic: { flows: { offramp: { dailyKes: 120000 } } } }),
+  });
+  const usage = [{ _id: "offramp", daily: 100000, weekly: 100000, monthly: 100000 }];
+  const pipelines = stubUsage(t, {
+    tier: "basic",
+    byFlow: usage,
+    byRecipient: [{ _id: RECIPIENT, daily: 60000, weekly: 60000, monthly: 60000 }],
+  });
+  const check = (amountKes, recipient = null) =>
+    limits.assertWithinLimits({ userAddress: USER, flowType: "offramp", entries: [{ amountKes, recipient }] });
+
+  await assert.rejects(check(80000), /per-transaction limit of 70000 KES/);
+  await assert.rejects(check(30000), /Daily offramp limit of 120000 KES exceeded \(KES 20000.00 left today\)/);
+  await assert.rejects(check(15000, RECIPIENT), /Daily per-recipient \(254711000001\) limit of 70000 KES exceeded/);
+  assert.deepEqual(await check(5000, RECIPIENT), { tier: "basic" });
+
+  // Only money that actually moved counts.
+  const match = pipelines[0][0].$match;
+  assert.ok(match.status.$in.includes("succeeded"));
+  assert.ok(!match.status.$in.includes("quoted"));
+  assert.ok(!match.status.$in.includes("refunded"));
+
+  // Paybill has no extra flow cap, so only the overall daily 150000 applies.
+  await limits.assertWithinLimits({
+    userAddress: USER,
+    flowType: "paybill",
+    entries: [{ amountKes: 45000, recipient: "888880" }],
+  });
+});
+
+test("limit status reports the remaining allowance per flow and recipient", async (t) => {
+  const limits = loadLimits(t, {
+    MPESA_LIMIT_TIERS: JSON.stringify({ basic: { flows: { offramp: { dailyKes: 120000 } } } }),
+  });
+  stubUsage(t, {
+    tier: "unknown-tier",
+    byFlow: [{ _id: "offramp", daily: 100000, weekly: 100000, monthly: 100000 }],
+    byRecipient: [{ _id: RECIPIENT, daily: 250000, weekly: 250000, monthly: 250000 }],
+  });
+
+  // Unknown tiers fall back to the default (standard) tier.
+  const status = await limits.getLimitStatus(USER, {
+    flowType: "offramp",
+    recipient: RECIPIENT,
+    now: new Date("2026-03-01T21:30:00Z"),
+  });
+  assert.equal(status.tier, "standard");
+  assert.equal(status.timeZone, "Africa/Nairobi");
+  assert.equal(status.overall.perTxnKes, 150000);
+  assert.deepEqual(status.overall.daily, {
+    limitKes: 500000,
+    usedKes: 100000,
+    remainingKes: 400000,
+    resetsAt: new Date("2026-03-02T21:00:00Z"),
+  });
+  assert.equal(status.flows.offramp.daily.limitKes, null);
+  assert.equal(status.flows.offramp.daily.remainingKes, 400000);
+  assert.equal(status.flows.paybill.daily.usedKes, 0);
+  assert.equal(status.recipient.daily.limitKes, 300000);
+  assert.equal(status.recipient.daily.remainingKes, 50000);
+  assert.equal(status.recipient.weekly.remainingKes, 750000);
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function startSimulator() {
+  const delivered = [];
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    initialUtilityBalanceKes: 90000,
+    initialWorkingBalanceKes: 40000,
+    postCallback: async (url, body) => {
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  const client = freshRequire("../src/services/mpesa/darajaClient");
+  const balance = freshRequire("../src/services/liquidity/accountBalance");
+  const payout = freshRequire("../src/services/mpesa/payoutResult");
+
+  return { simulator, client, balance, payout, delivered };
+}
+
+test("B2C result parameters become typed fields and a utility float snapshot", async (t) => {
+  const ctx = await startSimulator();
+  t.after(() => ctx.simulator.close());
+
+  await ctx.client.initiateB2C({
+    amountKes: 1000,
+    phoneNumber: "254711000003",
+    originatorConversationId: "MPXB2CFIELDS",
+    resultUrl: "http://backend.local/api/mpesa/webhooks/b2c/result?tx=MPXB2CFIELDS",
+    timeoutUrl: "http://backend.local/api/mpesa/webhooks/b2c/timeout?tx=MPXB2CFIELDS",
+  });
+  await ctx.simulator.flush();
+
+  const fields = ctx.payout.parsePayoutResult(ctx.delivered[0].body.Result, "b2c");
+  assert.equal(fields.receiverPublicName, "254711000003 - Simulated Customer");
+  assert.equal(fields.recipientRegistered, true);
+  assert.equal(fields.utilityAccountBalanceKes, 89000);
+  assert.equal(fields.workingAccountBalanceKes, 40000);
+  assert.equal(fields.chargesPaidAccountBalanceKes, 0);
+  assert.equal(fields.chargesPaidKes, null);
+  assert.ok(fields.completedAt instanceof Date);
+
+  const { MpesaBalanceSnapshot } = require("../src/models/MpesaBalanceSnapshot");
+  const original = MpesaBalanceSnapshot.create;
+  const created = [];
+  MpesaBalanceSnapshot.create = async (doc) => {
+    created.push(doc);
+    return doc;
+  };
+  t.after(() => {
+    MpesaBalanceSnapshot.create = original;
+  });
+
+  const recorded = await ctx.balance.recordPayoutResultBalance({
+    product: "b2c",
+    conversationId: ctx.delivered[0].body.Result.ConversationID,
+    utilityAvailableKes: fields.utilityAccountBalanceKes,
+    workingAvailableKes: fields.workingAccountBalanceKes,
+  });
+  assert.equal(recorded.recorded, true);
+  assert.equal(created[0].shortcode, "600000");
+  assert.equal(created[0].source, "b2c_result");
+  assert.equal(created[0].utilityAvailableKes, 89000);
+});
+
+test("B2B result parameters are parsed from the affected account balance and charges", () => {
+  const { parsePayoutResult, parseCompletedTime } = require("../src/services/mpesa/payoutResult");
+
+  const fields = parsePayoutResult(
+    {
+      ResultCode: 0,
+      ResultParameters: {
+        ResultParameter: [
+          { Key: "Amount", Value: 500 },
+          {
+            Key: "DebitPartyAffectedAccountBalance",
+            Value: "Working Account|KES|12000.00|11500.00|0.00|0.00&Utility Account|KES|300.00|300.00|0.00|0.00",
+          },
+          { Key: "TransCompletedTime", Value: 20250102134500 },
+          { Key: "DebitPartyCharges", Value: "Business Pay Bill Charge|KES|77.00" },
+          { Key: "ReceiverPartyPublicName", Value: "888880 - Kenya Power" },
+        ],
+      },
+    },
+    "b2b"
+  );
+
+  assert.deepEqual(fields, {
+    receiverPublicName: "888880 - Kenya Power",
+    completedAt: new Date("2025-01-02T10:45:00.000Z"),
+    chargesPaidKes: 77,
+    chargesPaidAccountBalanceKes: null,
+    utilityAccountBalanceKes: 300,
+    workingAccountBalanceKes: 11500,
+    recipientRegistered: null,
+  });
+
+  assert.equal(parseCompletedTime("02.01.2025 13:45:00").toISOString(), "2025-01-02T10:45:00.000Z");
+  assert.equal(parseCompletedTime("not a time"), null);
+});
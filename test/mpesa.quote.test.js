@@ -15,6 +15,7 @@ test("buildQuote computes expected KES quote fields", () => {
     flowType: "onramp",
     amount: 1000,
     currency: "KES",
+    rate: { kesPerUsd: 129.5, midKesPerUsd: 129.5, spreadBps: 0, source: "static" },
   });
 
   assert.equal(quote.currency, "KES");
@@ -24,6 +25,8 @@ test("buildQuote computes expected KES quote fields", () => {
   assert.equal(quote.feeAmountKes, 0);
   assert.equal(quote.networkFeeKes, 0);
   assert.equal(quote.totalDebitKes, quote.amountKes);
+  assert.equal(quote.amountUsd, 7.72);
+  assert.equal(quote.rateSource, "static");
   assert.ok(quote.expiresAt);
   assert.ok(quote.snapshotAt);
 
@@ -33,13 +36,13 @@ test("buildQuote computes expected KES quote fields", () => {
   assert.ok(ttlSeconds >= 119 && ttlSeconds <= 121);
 });
 
-test("buildQuote handles USD input and explicit rate", () => {
+test("buildQuote handles USD input and refuses to price without a rate", () => {
   const { buildQuote } = freshRequire("../src/services/mpesa/quoteService");
   const quote = buildQuote({
     flowType: "offramp",
     amount: 10,
     currency: "USD",
-    kesPerUsd: 155,
+    rate: { kesPerUsd: 155, midKesPerUsd: 156.56, spreadBps: 100, source: "http" },
   });
 
   assert.equal(quote.currency, "USD");
@@ -47,7 +50,12 @@ test("buildQuote handles USD input and explicit rate", () => {
   assert.equal(quote.amountUsd, 10);
   assert.equal(quote.amountKes, 1550);
   assert.equal(quote.rateKesPerUsd, 155);
+  assert.equal(quote.midRateKesPerUsd, 156.56);
+  assert.equal(quote.spreadBps, 100);
   assert.equal(quote.feeAmountKes, 0);
   assert.equal(quote.networkFeeKes, 0);
   assert.equal(quote.totalDebitKes, quote.amountKes);
+
+  // Client-supplied rates are gone: without a resolved rate there is no quote.
+  assert.throws(() => buildQuote({ flowType: "offramp", amount: 10, currency: "KES", kesPerUsd: 1 }), /exchange rate/);
 });
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const HASH = `0x${"ab".repeat(32)}`;
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function loadReceipts(t, env = {}) {
+  const keys = ["RECEIPT_SIGNING_SECRET", "RECEIPT_PUBLIC_BASE_URL", "DOTPAY_BACKEND_JWT_SECRET"];
+  for (const key of keys) delete process.env[key];
+  Object.assign(process.env, { RECEIPT_SIGNING_SECRET: "receipt-secret", ...env });
+  t.after(() => {
+    for (const key of keys) delete process.env[key];
+  });
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/receipts/pdf");
+  return freshRequire("../src/services/receipts/receiptService");
+}
+
+function paybillTx(overrides = {}) {
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  return new MpesaTransaction({
+    transactionId: "MPXRECEIPT1",
+    flowType: "paybill",
+    status: "succeeded",
+    userAddress: "0x6666666666666666666666666666666666666666",
+    quote: {
+      amountKes: 2500,
+      feeAmountKes: 37.5,
+      networkFeeKes: 2.5,
+      totalDebitKes: 2540,
+      rateKesPerUsd: 127,
+      amountUsd: 19.69,
+    },
+    targets: { paybillNumber: "888880", accountReference: "79927398713" },
+    onchain: { txHash: HASH, chainId: 42161, required: true, fundedAmountUsd: 20 },
+    daraja: {
+      receiptNumber: "TKA81LK5CY",
+      receiverPublicName: "888880 - KPLC <Prepaid>",
+      completedAt: new Date("2026-03-02T07:15:00Z"),
+    },
+    ...overrides,
+  });
+}
+
+test("receipts render as HTML and as a well-formed PDF", (t) => {
+  const receipts = loadReceipts(t, { RECEIPT_PUBLIC_BASE_URL: "https://api.dotpay.example/" });
+  const tx = paybillTx();
+
+  const receipt = receipts.buildReceipt(tx, { baseUrl: "http://localhost:4000" });
+  assert.equal(receipt.title, "Paybill payment");
+  assert.equal(receipt.amount, "KES 2,500.00");
+  assert.match(receipt.verificationCode, /^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/);
+  assert.equal(
+    receipt.verifyUrl,
+    `https://api.dotpay.example/api/mpesa/receipts/MPXRECEIPT1/verify?code=${receipt.verificationCode}`
+  );
+  assert.deepEqual(receipt.rows.find(([label]) => label === "Date"), ["Date", "2 Mar 2026, 10:15:00 EAT"]);
+  assert.deepEqual(receipt.breakdown.slice(1, 4), [
+    ["DotPay fee", "KES 37.50"],
+    ["Network fee", "KES 2.50"],
+    ["Total debited", "KES 2,540.00"],
+  ]);
+
+  const html = receipts.renderReceiptHtml(receipt);
+  for (const part of ["TKA81LK5CY", HASH, "79927398713", receipt.verificationCode, "1 USD = 127.00 KES", "20.00 USDC"]) {
+    assert.ok(html.includes(part), `HTML receipt is missing ${part}`);
+  }
+  assert.ok(html.includes("KPLC &lt;Prepaid&gt;"));
+  assert.ok(!html.includes("<Prepaid>"));
+
+  const pdf = receipts.renderReceiptPdf(receipt).toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.endsWith("%%EOF\n"));
+  assert.ok(pdf.includes("(TKA81LK5CY) Tj"));
+  assert.ok(pdf.includes("(888880 - KPLC <Prepaid>) Tj"));
+  // The cross-reference table points at each object.
+  const xrefAt = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+  assert.equal(pdf.slice(xrefAt, xrefAt + 4), "xref");
+  const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+  assert.equal(offsets.length, 6);
+  offsets.forEach((offset, i) => assert.equal(pdf.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`));
+  // The 66-character funding hash wraps instead of running off the page.
+  assert.ok(!pdf.includes(`(${HASH}) Tj`));
+  assert.ok(pdf.includes(`(${HASH.slice(0, 20)}`));
+
+  assert.throws(() => receipts.buildReceipt(paybillTx({ status: "mpesa_processing" })), /receipts are only issued for succeeded/);
+  assert.match(receipts.receiptBlocker(paybillTx({ flowType: "onramp" })), /only issued for cash outs, paybill and buy goods/);
+  assert.match(receipts.receiptBlocker(paybillTx({ daraja: {} })), /not confirmed a receipt number/);
+});
+
+test("verification codes only match the receipt they were issued for", (t) => {
+  const receipts = loadReceipts(t);
+  const tx = paybillTx();
+  const code = receipts.receiptVerificationCode(tx);
+
+  assert.equal(receipts.receiptVerificationCode(paybillTx()), code);
+  assert.ok(receipts.matchesVerificationCode(tx, code));
+  // Case, dashes and look-alike letters are forgiven.
+  assert.ok(receipts.matchesVerificationCode(tx, code.toLowerCase().replace(/-/g, " ").replace(/0/g, "o")));
+
+  assert.ok(!receipts.matchesVerificationCode(tx, `${code.slice(0, -1)}${code.endsWith("A") ? "B" : "A"}`));
+  assert.ok(!receipts.matchesVerificationCode(tx, ""));
+  assert.ok(!receipts.matchesVerificationCode(paybillTx({ quote: { amountKes: 25000 } }), code));
+  assert.ok(!receipts.matchesVerificationCode(paybillTx({ daraja: { receiptNumber: "TKA81LK5CZ" } }), code));
+
+  const details = receipts.describeVerifiedReceipt(tx);
+  assert.deepEqual(details, {
+    transactionId: "MPXRECEIPT1",
+    type: "Paybill payment",
+    status: "succeeded",
+    amountKes: 2500,
+    paidTo: "Paybill 888880",
+    accountReference: "79927398713",
+    mpesaReceiptNumber: "TKA81LK5CY",
+    completedAt: new Date("2026-03-02T07:15:00Z"),
+    reversed: false,
+  });
+  assert.equal(JSON.stringify(details).includes("0x6666"), false);
+
+  // Another signing secret gives another code.
+  const rotated = loadReceipts(t, { RECEIPT_SIGNING_SECRET: "rotated" });
+  assert.notEqual(rotated.receiptVerificationCode(tx), code);
+
+  const unsigned = loadReceipts(t, { RECEIPT_SIGNING_SECRET: "" });
+  assert.throws(() => unsigned.receiptVerificationCode(tx), /Receipt signing is not configured/);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { stubStatics, fakePayoutTx } = require("./helpers/fakes");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function payoutTx(overrides = {}) {
+  return fakePayoutTx({ transactionId: "MPXRETRY1", ...overrides });
+}
+
+test("failed refunds back off, are retried by the sweep and stop after the max attempts", async (t) => {
+  Object.assign(process.env, {
+    MPESA_ENV: "production",
+    MPESA_AUTO_REFUND: "true",
+    MPESA_REFUND_RETRY_MAX_ATTEMPTS: "2",
+    MPESA_REFUND_RETRY_BASE_SECONDS: "60",
+    TREASURY_RPC_URL: "",
+    TREASURY_PRIVATE_KEY: "",
+    TREASURY_USDC_CONTRACT: "",
+  });
+  t.after(() => {
+    process.env.MPESA_ENV = "sandbox";
+    delete process.env.MPESA_REFUND_RETRY_MAX_ATTEMPTS;
+    delete process.env.MPESA_REFUND_RETRY_BASE_SECONDS;
+  });
+  freshRequire("../src/config/mpesa");
+  const refunds = freshRequire("../src/services/mpesa/refundService");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+
+  // Production without treasury config cannot send, so the first attempt fails.
+  const tx = payoutTx();
+  const before = Date.now();
+  await refunds.scheduleAutoRefund(tx, "B2C failed");
+  assert.equal(tx.status, "failed");
+  assert.equal(tx.refund.status, "failed");
+  assert.equal(tx.refund.attempts, 1);
+  assert.match(tx.refund.lastError, /Treasury refund config is required/);
+  const delayMs = tx.refund.nextAttemptAt.getTime() - before;
+  assert.ok(delayMs >= 60_000 && delayMs < 62_000, `first retry ~60s later, got ${delayMs}ms`);
+
+  const queries = [];
+  const claims = [];
+  let claimable = true;
+  stubStatics(t, MpesaTransaction, {
+    find: (query) => {
+      queries.push(query);
+      return { sort: () => ({ limit: async () => [tx] }) };
+    },
+    updateOne: async (filter, update) => {
+      claims.push({ filter, update });
+      return { modifiedCount: claimable ? 1 : 0 };
+    },
+  });
+
+  // Another worker holds the refund: the sweep leaves it alone.
+  claimable = false;
+  assert.deepEqual(await refunds.retryFailedRefunds({ limit: 5 }), { checked: 1, refunded: 0, failed: 0, skipped: 1 });
+  assert.equal(tx.refund.attempts, 1);
+  assert.equal(queries[0]["refund.status"], "failed");
+  assert.deepEqual(queries[0].status, { $in: ["failed", "reversed"] });
+  assert.equal(claims[0].filter.status, "failed");
+  assert.deepEqual(claims[0].update.$set["refund.status"], "pending");
+
+  // The second (last) attempt fails too and schedules nothing more.
+  claimable = true;
+  assert.deepEqual(await refunds.retryFailedRefunds(), { checked: 1, refunded: 0, failed: 1, skipped: 0 });
+  assert.equal(tx.refund.attempts, 2);
+  assert.equal(tx.refund.nextAttemptAt, null);
+  assert.match(tx.refund.reason, /^Refund retry \(attempt 2\): /);
+  assert.deepEqual(
+    tx.history.map((h) => h.to),
+    ["refund_pending", "failed", "refund_pending", "failed"]
+  );
+
+  // Out of retries it is still listed as outstanding and can be refunded by hand.
+  assert.equal(refunds.refundBlocker(tx), null);
+  assert.equal(refunds.refundBlocker(payoutTx({ refund: { status: "pending", lastAttemptAt: new Date() } })), "A refund is already in progress.");
+  assert.equal(
+    refunds.refundBlocker(payoutTx({ refund: { status: "pending", lastAttemptAt: new Date(Date.now() - 60 * 60 * 1000) } })),
+    null
+  );
+});
+
+test("manual refunds can redirect the USDC and are claimed before sending", async (t) => {
+  Object.assign(process.env, {
+    MPESA_ENV: "sandbox",
+    MPESA_AUTO_REFUND: "false",
+    TREASURY_RPC_URL: "",
+    TREASURY_PRIVATE_KEY: "",
+    TREASURY_USDC_CONTRACT: "",
+  });
+  t.after(() => {
+    delete process.env.MPESA_AUTO_REFUND;
+  });
+  freshRequire("../src/config/mpesa");
+  const refunds = freshRequire("../src/services/mpesa/refundService");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+
+  let claimable = true;
+  stubStatics(t, MpesaTransaction, { updateOne: async () => ({ modifiedCount: claimable ? 1 : 0 }) });
+
+  await assert.rejects(refunds.manualRefund(payoutTx(), { reason: "x", toAddress: "0x123" }), /toAddress must be a 0x-prefixed/);
+  await assert.rejects(refunds.manualRefund(payoutTx({ status: "succeeded" }), { reason: "x" }), /only failed or reversed/);
+
+  claimable = false;
+  const held = payoutTx();
+  await assert.rejects(refunds.manualRefund(held, { reason: "x" }), /already in progress/);
+  assert.equal(held.saves, 0);
+
+  claimable = true;
+  const alternate = "0x5555555555555555555555555555555555555555";
+  const tx = payoutTx({ refund: { status: "failed", attempts: 6, nextAttemptAt: null } });
+  await refunds.manualRefund(tx, { reason: "Wallet lost", toAddress: alternate.toUpperCase().replace("0X", "0x"), requestedBy: "ops" });
+  assert.equal(tx.status, "refunded");
+  assert.equal(tx.refund.status, "completed");
+  assert.equal(tx.refund.attempts, 7);
+  assert.equal(tx.refund.toAddress, alternate);
+  assert.equal(tx.refund.requestedBy, "ops");
+  assert.equal(tx.refund.lastError, null);
+  assert.match(tx.refund.txHash, /^RF_/);
+
+  // Reversed payouts are re-credited rather than going through the failed-payout path.
+  const reversed = payoutTx({ status: "reversed", refund: { status: "none" } });
+  await refunds.manualRefund(reversed, { reason: "Customer dispute" });
+  assert.equal(reversed.status, "refunded");
+  assert.equal(reversed.refund.attempts, 1);
+});
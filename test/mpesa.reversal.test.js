@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function startSimulator(t) {
+  const delivered = [];
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    initialUtilityBalanceKes: 50000,
+    postCallback: async (url, body) => {
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+  t.after(() => simulator.close());
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+  process.env.MPESA_ENV = "sandbox";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  const client = freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/mpesa/refundService");
+  freshRequire("../src/services/jobs/enqueue");
+  const reversal = freshRequire("../src/services/mpesa/reversal");
+
+  // The stored status per _id stands in for Mongo: saves write it, the reversal claim checks it.
+  const stored = new Map();
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const originalClaim = MpesaTransaction.findOneAndUpdate;
+  MpesaTransaction.findOneAndUpdate = async (filter, update) => {
+    if ((stored.get(filter._id) || "succeeded") !== filter.status) return null;
+    stored.set(filter._id, update.$set.status);
+    return { _id: filter._id, status: update.$set.status };
+  };
+  t.after(() => {
+    MpesaTransaction.findOneAndUpdate = originalClaim;
+  });
+
+  return { simulator, client, reversal, delivered, stored };
+}
+
+function buildTx(overrides = {}, stored = null) {
+  return {
+    _id: "tx-reverse-01",
+    transactionId: "MPXREVERSE01",
+    flowType: "offramp",
+    status: "succeeded",
+    userAddress: "0x3333333333333333333333333333333333333333",
+    quote: { amountKes: 1300, expectedReceiveKes: 1300, amountUsd: 10 },
+    daraja: {},
+    refund: { status: "none" },
+    history: [],
+    saves: 0,
+    async save() {
+      this.saves += 1;
+      if (stored) stored.set(this._id, this.status);
+      return this;
+    },
+    ...overrides,
+  };
+}
+
+async function payOut(ctx, tx) {
+  await ctx.client.initiateB2C({
+    amountKes: tx.quote.expectedReceiveKes,
+    phoneNumber: "254711000005",
+    originatorConversationId: tx.transactionId,
+    resultUrl: `http://backend.local/api/mpesa/webhooks/b2c/result?tx=${tx.transactionId}`,
+    timeoutUrl: `http://backend.local/api/mpesa/webhooks/b2c/timeout?tx=${tx.transactionId}`,
+  });
+  await ctx.simulator.flush();
+  const result = ctx.delivered.shift().body.Result;
+  tx.daraja.receiptNumber = result.TransactionID;
+}
+
+test("a completed reversal moves the payout to reversed and queues the USDC re-credit", async (t) => {
+  const ctx = await startSimulator(t);
+  const tx = buildTx({}, ctx.stored);
+  await payOut(ctx, tx);
+
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const originalEnqueue = BackgroundJob.findOneAndUpdate;
+  const enqueued = [];
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(update.$setOnInsert);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+  t.after(() => {
+    BackgroundJob.findOneAndUpdate = originalEnqueue;
+  });
+
+  const requested = await ctx.reversal.requestReversal(tx, {
+    reason: "Sent to wrong number",
+    recreditUsdc: true,
+    requestedBy: "ops@dotpay",
+  });
+  assert.equal(requested.accepted, true);
+  assert.equal(tx.status, "reversal_pending");
+  assert.equal(tx.reversal.status, "pending");
+  assert.ok(tx.reversal.conversationId);
+
+  await ctx.simulator.flush();
+  assert.equal(ctx.delivered[0].url, `http://backend.local/api/mpesa/webhooks/reversal/result?tx=${tx.transactionId}`);
+  assert.equal(ctx.simulator.state.balances.utilityKes, 50000);
+
+  const outcome = await ctx.reversal.applyReversalResult(tx, ctx.delivered[0].body.Result);
+  assert.equal(outcome, "reversed");
+  assert.equal(tx.status, "reversed");
+  assert.equal(tx.reversal.status, "completed");
+  assert.ok(tx.reversal.completedAt instanceof Date);
+  assert.equal(enqueued.length, 1);
+  assert.equal(enqueued[0].type, "refund.reversal");
+
+  // The queued job re-credits USDC (simulated in sandbox without a treasury).
+  const { refundReversedPayout } = require("../src/services/mpesa/refundService");
+  await refundReversedPayout(tx, enqueued[0].payload.reason);
+  assert.equal(tx.status, "refunded");
+  assert.equal(tx.refund.status, "completed");
+  assert.match(String(tx.refund.txHash || ""), /^RF_/);
+});
+
+test("a failed or timed-out reversal leaves the payout succeeded", async (t) => {
+  const ctx = await startSimulator(t);
+  const tx = buildTx({}, ctx.stored);
+  await payOut(ctx, tx);
+
+  assert.match(ctx.reversal.reversalBlocker(buildTx({ status: "failed" })), /only succeeded/);
+  assert.match(ctx.reversal.reversalBlocker(buildTx({ flowType: "paybill" })), /offramp/);
+
+  ctx.simulator.enqueueScenario("reversal", "failure");
+  await ctx.reversal.requestReversal(tx, { reason: "Disputed" });
+  await ctx.simulator.flush();
+  const failed = await ctx.reversal.applyReversalResult(tx, ctx.delivered.shift().body.Result);
+  assert.equal(failed, "failed");
+  assert.equal(tx.status, "succeeded");
+  assert.equal(tx.reversal.status, "failed");
+  assert.equal(tx.reversal.resultCodeRaw, "R000002");
+
+  ctx.simulator.enqueueScenario("reversal", "timeout");
+  await ctx.reversal.requestReversal(tx, { reason: "Disputed again" });
+  await ctx.simulator.flush();
+  assert.match(ctx.delivered[0].url, /\/webhooks\/reversal\/timeout\?tx=MPXREVERSE01$/);
+  assert.equal(await ctx.reversal.applyReversalTimeout(tx), "failed");
+  assert.equal(tx.status, "succeeded");
+
+  ctx.simulator.enqueueScenario("reversal", "rejected");
+  const rejected = await ctx.reversal.requestReversal(tx, { reason: "Disputed once more" });
+  assert.equal(rejected.accepted, false);
+  assert.equal(tx.status, "succeeded");
+  assert.deepEqual(
+    tx.history.map((h) => h.to),
+    ["reversal_pending", "succeeded", "reversal_pending", "succeeded", "reversal_pending", "succeeded"]
+  );
+});
+
+test("only one of two concurrent reversal requests reaches Daraja", async (t) => {
+  const ctx = await startSimulator(t);
+  const tx = buildTx({}, ctx.stored);
+  await payOut(ctx, tx);
+
+  // Two operators loaded the same succeeded payout.
+  const copy = buildTx({ daraja: { ...tx.daraja } }, ctx.stored);
+  const [first, second] = await Promise.all([
+    ctx.reversal.requestReversal(tx, { reason: "Disputed" }),
+    ctx.reversal.requestReversal(copy, { reason: "Disputed twice" }),
+  ]);
+
+  assert.equal(first.accepted, true);
+  assert.equal(second, null);
+  assert.equal(copy.status, "succeeded");
+  assert.equal(copy.saves, 0);
+  await ctx.simulator.flush();
+  assert.equal(ctx.delivered.filter((d) => d.url.includes("/webhooks/reversal/")).length, 1);
+  assert.equal(ctx.stored.get(tx._id), "reversal_pending");
+});
@@ -0,0 +1,216 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+const USER = "0x4444444444444444444444444444444444444444";
+const MINUTE = 60 * 1000;
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function loadRisk(t) {
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/config/risk");
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const User = require("../src/models/User");
+
+  const originals = {
+    find: MpesaTransaction.find,
+    findOneAndUpdate: MpesaTransaction.findOneAndUpdate,
+    txSave: MpesaTransaction.prototype.save,
+    userFindOne: User.findOne,
+  };
+  t.after(() => {
+    MpesaTransaction.find = originals.find;
+    MpesaTransaction.findOneAndUpdate = originals.findOneAndUpdate;
+    MpesaTransaction.prototype.save = originals.txSave;
+    User.findOne = originals.userFindOne;
+  });
+
+  const state = { history: [], saved: new Map(), user: { address: USER, pinFailedAt: [] } };
+  MpesaTransaction.find = async () => state.history;
+  MpesaTransaction.prototype.save = async function save() {
+    state.saved.set(String(this._id), this);
+    return this;
+  };
+  // Conditional update on the saved documents, as Mongo would apply it.
+  MpesaTransaction.findOneAndUpdate = async (filter, update) => {
+    const doc = state.saved.get(String(filter._id));
+    if (!doc || doc.status !== filter.status || doc.risk?.reviewStatus !== filter["risk.reviewStatus"]) return null;
+    for (const [path, value] of Object.entries(update.$set)) doc.set(path, value);
+    return doc;
+  };
+  User.findOne = async () => state.user;
+
+  const risk = freshRequire("../src/services/risk/riskEngine");
+  return { risk, state, MpesaTransaction };
+}
+
+function payout(
+  MpesaTransaction,
+  { phoneNumber, amountKes, status = "awaiting_user_authorization", minutesAgo = 0, ip, agent, path = [] }
+) {
+  const tx = new MpesaTransaction({
+    flowType: "offramp",
+    status,
+    history: path.map((to) => ({ to })),
+    userAddress: USER,
+    quote: { amountKes, expectedReceiveKes: amountKes, totalDebitKes: amountKes, rateKesPerUsd: 130 },
+    targets: { phoneNumber },
+    metadata: { ipAddress: ip || null, userAgent: agent || null },
+  });
+  tx.createdAt = new Date(Date.now() - minutesAgo * MINUTE);
+  return tx;
+}
+
+test("a burst of payouts to new phone numbers is blocked", async (t) => {
+  const { risk, state, MpesaTransaction } = loadRisk(t);
+  state.history = [
+    payout(MpesaTransaction, { phoneNumber: "254711000009", amountKes: 500, status: "succeeded", minutesAgo: 3000 }),
+    payout(MpesaTransaction, { phoneNumber: "254711000001", amountKes: 900, status: "succeeded", minutesAgo: 8 }),
+    payout(MpesaTransaction, { phoneNumber: "254711000002", amountKes: 900, status: "mpesa_processing", minutesAgo: 6 }),
+    payout(MpesaTransaction, {
+      phoneNumber: "254711000003",
+      amountKes: 900,
+      status: "failed",
+      minutesAgo: 4,
+      path: ["quoted", "awaiting_user_authorization", "mpesa_submitted", "failed"],
+    }),
+    // Old recipient: does not count as new.
+    payout(MpesaTransaction, { phoneNumber: "254711000009", amountKes: 900, status: "succeeded", minutesAgo: 2 }),
+    // Never authorized, including a quote the expiry sweep failed: ignored.
+    payout(MpesaTransaction, { phoneNumber: "254711000005", amountKes: 900, status: "quoted", minutesAgo: 1 }),
+    payout(MpesaTransaction, {
+      phoneNumber: "254711000006",
+      amountKes: 900,
+      status: "failed",
+      minutesAgo: 1,
+      path: ["quoted", "failed"],
+    }),
+  ];
+
+  const decision = await risk.evaluatePayoutRisk(payout(MpesaTransaction, { phoneNumber: "254711000004", amountKes: 900 }));
+  assert.equal(decision.action, "block");
+  assert.deepEqual(
+    decision.rules.map((r) => [r.rule, r.action]),
+    [["newRecipientBurst", "block"]]
+  );
+  assert.match(decision.rules[0].reason, /4 new recipients in 10 minutes \(max 3\)/);
+
+  // One more payout in the window also trips velocity, but block still wins.
+  state.history.push(payout(MpesaTransaction, { phoneNumber: "254711000009", amountKes: 900, status: "succeeded", minutesAgo: 1 }));
+  const again = await risk.evaluatePayoutRisk(payout(MpesaTransaction, { phoneNumber: "254711000004", amountKes: 900 }));
+  assert.equal(again.action, "block");
+  assert.deepEqual(again.rules.map((r) => r.rule), ["velocity", "newRecipientBurst"]);
+});
+
+test("PIN failures, device changes and unusual amounts are scored", async (t) => {
+  const { risk, state, MpesaTransaction } = loadRisk(t);
+  const known = { phoneNumber: "254711000001", status: "succeeded", ip: "10.0.0.1", agent: "DotPay/1.0 (iPhone)" };
+  state.history = [
+    payout(MpesaTransaction, { ...known, amountKes: 4000, minutesAgo: 60 * 24 }),
+    payout(MpesaTransaction, { ...known, amountKes: 5000, minutesAgo: 60 * 48 }),
+    payout(MpesaTransaction, { ...known, amountKes: 6000, minutesAgo: 60 * 72 }),
+  ];
+
+  const usual = await risk.evaluatePayoutRisk(payout(MpesaTransaction, { phoneNumber: "254711000001", amountKes: 5000 }), {
+    ipAddress: "10.0.0.1",
+    userAgent: "DotPay/1.0 (iPhone)",
+  });
+  assert.equal(usual.action, "allow");
+  assert.deepEqual(usual.rules, []);
+
+  const unusual = await risk.evaluatePayoutRisk(payout(MpesaTransaction, { phoneNumber: "254711000001", amountKes: 40000 }), {
+    ipAddress: "41.90.1.2",
+    userAgent: "curl/8.0",
+  });
+  assert.equal(unusual.action, "review");
+  assert.deepEqual(unusual.rules.map((r) => r.rule), ["deviceChange", "amountAnomaly"]);
+  assert.match(unusual.rules[1].reason, /over 5x the usual KES 5000/);
+
+  // Big first payment to a stranger right after a PIN-guessing burst.
+  state.user.pinFailedAt = [new Date(Date.now() - 5 * MINUTE), new Date(Date.now() - 3 * MINUTE), new Date()];
+  const guessed = await risk.evaluatePayoutRisk(payout(MpesaTransaction, { phoneNumber: "254799000000", amountKes: 25000 }), {
+    ipAddress: "10.0.0.1",
+    userAgent: "DotPay/1.0 (iPhone)",
+  });
+  assert.equal(guessed.action, "block");
+  assert.deepEqual(
+    guessed.rules.map((r) => [r.rule, r.action]),
+    [
+      ["newRecipientAmount", "review"],
+      ["pinFailures", "block"],
+    ]
+  );
+});
+
+test("a held payout is recorded, then submitted to M-Pesa when approved", async (t) => {
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async () => ({ status: 200 }),
+  });
+  const { url } = await simulator.listen(0);
+  t.after(() => simulator.close());
+  Object.assign(process.env, {
+    MPESA_BASE_URL: url,
+    MPESA_CONSUMER_KEY: "sim-key",
+    MPESA_CONSUMER_SECRET: "sim-secret",
+    MPESA_SHORTCODE: "600000",
+    MPESA_INITIATOR_NAME: "testapi",
+    MPESA_SECURITY_CREDENTIAL: "credential",
+    MPESA_RESULT_BASE_URL: "http://backend.local",
+    MPESA_TIMEOUT_BASE_URL: "http://backend.local",
+    MPESA_REQUIRE_ONCHAIN_FUNDING: "false",
+  });
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/mpesa/payoutService");
+  const { risk, state, MpesaTransaction } = loadRisk(t);
+
+  state.history = [payout(MpesaTransaction, { phoneNumber: "254711000001", amountKes: 1000, status: "succeeded", minutesAgo: 600 })];
+  const tx = payout(MpesaTransaction, { phoneNumber: "254711000002", amountKes: 30000 });
+  const decision = await risk.screenPayout(tx, { ipAddress: "10.0.0.1", submitOptions: { remarks: "Rent" } });
+
+  assert.equal(decision.action, "review");
+  assert.equal(tx.status, "risk_review");
+  assert.equal(tx.risk.reviewStatus, "pending");
+  assert.equal(tx.risk.rules[0].rule, "newRecipientAmount");
+  assert.equal(tx.metadata.ipAddress, "10.0.0.1");
+  assert.match(tx.history.at(-1).reason, /^Held for review: KES 30000 to a recipient never paid before/);
+
+  await assert.rejects(
+    risk.resolveRiskReview(payout(MpesaTransaction, { phoneNumber: "254711000002", amountKes: 10, status: "succeeded" }), {
+      approve: true,
+    }),
+    /not awaiting risk review/
+  );
+
+  // Two operators deciding at once: only the first claim submits.
+  const [outcome, late] = await Promise.all([
+    risk.resolveRiskReview(tx, { approve: true, reviewedBy: "ops@dotpay", note: "Called the user" }),
+    risk.resolveRiskReview(tx, { approve: false, reviewedBy: "ops2@dotpay" }),
+  ]);
+  assert.deepEqual(outcome, { tx, submitted: true, accepted: true });
+  assert.equal(late, null);
+  assert.equal(tx.status, "mpesa_processing");
+  assert.equal(tx.risk.reviewStatus, "approved");
+  assert.equal(tx.risk.reviewedBy, "ops@dotpay");
+
+  const rejected = payout(MpesaTransaction, { phoneNumber: "254711000003", amountKes: 30000 });
+  await risk.screenPayout(rejected);
+  assert.deepEqual(await risk.resolveRiskReview(rejected, { approve: false }), {
+    tx: rejected,
+    submitted: false,
+    accepted: false,
+  });
+  assert.equal(rejected.status, "failed");
+  assert.equal(rejected.risk.reviewStatus, "rejected");
+});
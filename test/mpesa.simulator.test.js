@@ -0,0 +1,210 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+const WEBHOOK_SECRET = "sim-webhook-secret";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.once("listening", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+// Callbacks go to the real Express app over HTTP, so webhook routing, body parsing and the
+// secret check run as they would for Daraja. Only the Mongo models are stubbed.
+async function startSimulator(t) {
+  process.env.MONGODB_URI = "mongodb://127.0.0.1:1/dotpay-test";
+  process.env.MPESA_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+  process.env.MPESA_AUTO_REFUND = "true";
+
+  // connectDB reuses a cached connection; the stubs below never touch it.
+  global.__dotpay_mongoose = { conn: mongoose.connection, promise: null };
+
+  const store = new Map();
+  const events = new Set();
+  const enqueued = [];
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { MpesaEvent } = require("../src/models/MpesaEvent");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const original = {
+    findOne: MpesaTransaction.findOne,
+    save: MpesaTransaction.prototype.save,
+    createEvent: MpesaEvent.create,
+    enqueue: BackgroundJob.findOneAndUpdate,
+  };
+  MpesaTransaction.findOne = async (filter) => {
+    const doc = store.get(filter.transactionId);
+    return doc ? MpesaTransaction.hydrate(doc) : null;
+  };
+  MpesaTransaction.prototype.save = async function save() {
+    store.set(this.transactionId, this.toObject());
+    return this;
+  };
+  MpesaEvent.create = async (doc) => {
+    if (events.has(doc.eventKey)) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    events.add(doc.eventKey);
+    return doc;
+  };
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+
+  const { app } = require("../src/app");
+  const server = app.listen(0);
+  const appUrl = await listen(server);
+
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    callbackBaseUrl: appUrl,
+  });
+  const { url } = await simulator.listen(0);
+  process.env.MPESA_BASE_URL = url;
+
+  t.after(async () => {
+    await simulator.close();
+    await new Promise((resolve) => server.close(resolve));
+    MpesaTransaction.findOne = original.findOne;
+    MpesaTransaction.prototype.save = original.save;
+    MpesaEvent.create = original.createEvent;
+    BackgroundJob.findOneAndUpdate = original.enqueue;
+  });
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  const client = freshRequire("../src/services/mpesa/darajaClient");
+
+  const seed = (doc) => store.set(doc.transactionId, new MpesaTransaction(doc).toObject());
+  return { simulator, client, store, enqueued, seed };
+}
+
+function seedTopup(ctx, transactionId) {
+  ctx.seed({
+    transactionId,
+    flowType: "onramp",
+    status: "mpesa_submitted",
+    userAddress: "0x4444444444444444444444444444444444444444",
+    quote: { amountKes: 100 },
+  });
+}
+
+test("simulator STK success reaches the webhook, which records the receipt and queues the credit", async (t) => {
+  const ctx = await startSimulator(t);
+  seedTopup(ctx, "MPXTEST");
+
+  const res = await ctx.client.initiateStkPush({
+    amountKes: 100,
+    phoneNumber: "254708374149",
+    callbackUrl: `http://backend.local/api/mpesa/webhooks/stk?tx=MPXTEST&secret=${WEBHOOK_SECRET}`,
+    accountReference: "DOTPAY-MPXTEST",
+  });
+  assert.equal(res.ok, true);
+  assert.equal(res.data.ResponseCode, "0");
+
+  await ctx.simulator.flush();
+  const [callback] = ctx.simulator.state.callbacks;
+  assert.match(callback.url, /\/api\/mpesa\/webhooks\/stk\?tx=MPXTEST&secret=/);
+  assert.equal(callback.status, 200);
+  assert.equal(callback.error, null);
+
+  const stk = callback.body.Body.stkCallback;
+  assert.equal(stk.CheckoutRequestID, res.data.CheckoutRequestID);
+  const receipt = stk.CallbackMetadata.Item.find((i) => i.Name === "MpesaReceiptNumber");
+  assert.match(String(receipt.Value), /^[A-Z0-9]{10}$/);
+
+  const tx = ctx.store.get("MPXTEST");
+  assert.equal(tx.status, "mpesa_processing");
+  assert.equal(tx.daraja.resultCode, 0);
+  assert.equal(tx.daraja.receiptNumber, receipt.Value);
+  assert.equal(tx.daraja.checkoutRequestId, res.data.CheckoutRequestID);
+  assert.deepEqual(ctx.enqueued, ["onramp.credit:MPXTEST"]);
+});
+
+test("simulator STK cancellation (1032) fails the topup through the webhook", async (t) => {
+  const ctx = await startSimulator(t);
+  seedTopup(ctx, "MPXCANCEL");
+
+  ctx.simulator.enqueueScenario("stk", "cancelled");
+  await ctx.client.initiateStkPush({
+    amountKes: 50,
+    phoneNumber: "254708374149",
+    callbackUrl: `http://backend.local/api/mpesa/webhooks/stk?tx=MPXCANCEL&secret=${WEBHOOK_SECRET}`,
+  });
+  await ctx.simulator.flush();
+
+  const [callback] = ctx.simulator.state.callbacks;
+  assert.equal(callback.status, 200);
+  assert.equal(callback.body.Body.stkCallback.ResultCode, 1032);
+  assert.equal(callback.body.Body.stkCallback.CallbackMetadata, undefined);
+
+  const tx = ctx.store.get("MPXCANCEL");
+  assert.equal(tx.status, "failed");
+  assert.equal(tx.daraja.resultCodeRaw, "1032");
+  assert.deepEqual(ctx.enqueued, []);
+});
+
+test("simulator B2C queue timeouts reach the QueueTimeOutURL webhook and fail the payout", async (t) => {
+  const ctx = await startSimulator(t);
+  ctx.seed({
+    transactionId: "MPXTIMEOUT",
+    flowType: "offramp",
+    status: "mpesa_processing",
+    userAddress: "0x4444444444444444444444444444444444444444",
+    quote: { amountKes: 250, expectedReceiveKes: 250 },
+  });
+
+  ctx.simulator.setPartyScenario("b2c", "254711000001", "timeout");
+  const res = await ctx.client.initiateB2C({
+    amountKes: 250,
+    phoneNumber: "254711000001",
+    originatorConversationId: "MPXTIMEOUT",
+    resultUrl: `http://backend.local/api/mpesa/webhooks/b2c/result?tx=MPXTIMEOUT&secret=${WEBHOOK_SECRET}`,
+    timeoutUrl: `http://backend.local/api/mpesa/webhooks/b2c/timeout?tx=MPXTIMEOUT&secret=${WEBHOOK_SECRET}`,
+  });
+  assert.equal(res.data.ResponseCode, "0");
+  assert.equal(res.data.OriginatorConversationID, "MPXTIMEOUT");
+
+  await ctx.simulator.flush();
+  const [callback] = ctx.simulator.state.callbacks;
+  assert.match(callback.url, /\/webhooks\/b2c\/timeout\?tx=MPXTIMEOUT&secret=/);
+  assert.equal(callback.status, 200);
+  assert.equal(callback.body.Result.ConversationID, res.data.ConversationID);
+
+  const tx = ctx.store.get("MPXTIMEOUT");
+  assert.equal(tx.status, "failed");
+  assert.equal(tx.daraja.resultDesc, "Timeout");
+  assert.deepEqual(ctx.enqueued, ["refund.auto:MPXTIMEOUT"]);
+});
+
+test("webhooks reject simulator callbacks without the matching shared secret", async (t) => {
+  const ctx = await startSimulator(t);
+  seedTopup(ctx, "MPXNOSECRET");
+
+  await ctx.client.initiateStkPush({
+    amountKes: 100,
+    phoneNumber: "254708374149",
+    callbackUrl: "http://backend.local/api/mpesa/webhooks/stk?tx=MPXNOSECRET&secret=wrong",
+  });
+  await ctx.simulator.flush();
+
+  assert.equal(ctx.simulator.state.callbacks[0].status, 401);
+  assert.equal(ctx.store.get("MPXNOSECRET").status, "mpesa_submitted");
+  assert.deepEqual(ctx.enqueued, []);
+});
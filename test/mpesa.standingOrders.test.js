@@ -0,0 +1,288 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+const USDC = "0x75faf114eafb1bdbe2f0316df893fd58ce46aa4d";
+const TREASURY = "0x9999999999999999999999999999999999999999";
+const USER = "0x4444444444444444444444444444444444444444";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function setup(t) {
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async () => ({ status: 200 }),
+  });
+  const { url } = await simulator.listen(0);
+  t.after(() => simulator.close());
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "true";
+  process.env.MPESA_STANDING_ORDER_MAX_FAILURES = "2";
+  process.env.TREASURY_CHAIN_ADAPTER = "memory";
+  process.env.TREASURY_PLATFORM_ADDRESS = TREASURY;
+  process.env.TREASURY_USDC_CONTRACT = USDC;
+  process.env.TREASURY_CHAIN_ID = "421614";
+  process.env.TREASURY_USDC_DECIMALS = "6";
+
+  freshRequire("../src/config/mpesa");
+  const chainModule = freshRequire("../src/services/chain/chainAdapter");
+  const { createMemoryChainAdapter } = require("../src/services/chain/memoryChainAdapter");
+  const chain = createMemoryChainAdapter({ chainId: 421614, signerAddress: TREASURY });
+  chainModule.setChainAdapter(chain);
+
+  freshRequire("../src/services/mpesa/authTokenCache");
+  freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/fees/feeEngine");
+  freshRequire("../src/services/mpesa/quoteService");
+  freshRequire("../src/services/mpesa/payoutService");
+  const liquidity = require("../src/services/liquidity/platformLiquidity");
+  const originalAssert = liquidity.assertLiquidityForQuote;
+  liquidity.assertLiquidityForQuote = async () => ({});
+  freshRequire("../src/services/limits/limitService");
+  const standingOrders = freshRequire("../src/services/mpesa/standingOrders");
+  liquidity.assertLiquidityForQuote = originalAssert;
+
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { StandingOrder } = require("../src/models/StandingOrder");
+  const { FeeSchedule } = require("../src/models/FeeSchedule");
+  const User = require("../src/models/User");
+  const originals = {
+    orderSave: StandingOrder.prototype.save,
+    orderFindOne: StandingOrder.findOne,
+    txSave: MpesaTransaction.prototype.save,
+    txFindOne: MpesaTransaction.findOne,
+    feeFindOne: FeeSchedule.findOne,
+    txAggregate: MpesaTransaction.aggregate,
+    userFindOne: User.findOne,
+  };
+  t.after(() => {
+    StandingOrder.prototype.save = originals.orderSave;
+    StandingOrder.findOne = originals.orderFindOne;
+    MpesaTransaction.prototype.save = originals.txSave;
+    MpesaTransaction.findOne = originals.txFindOne;
+    FeeSchedule.findOne = originals.feeFindOne;
+    MpesaTransaction.aggregate = originals.txAggregate;
+    User.findOne = originals.userFindOne;
+    chainModule.setChainAdapter(null);
+  });
+  FeeSchedule.findOne = async () => null;
+  MpesaTransaction.aggregate = async () => [];
+  User.findOne = async () => null;
+
+  const txs = new Map();
+  StandingOrder.prototype.save = async function save() {
+    return this;
+  };
+  MpesaTransaction.prototype.save = async function save() {
+    txs.set(this.idempotencyKey, this);
+    return this;
+  };
+  MpesaTransaction.findOne = async (query) => txs.get(query.idempotencyKey) || null;
+
+  return { simulator, chain, standingOrders, txs, StandingOrder };
+}
+
+test("schedules keep the monthly day, skip missed runs and stop at maxRuns or endAt", () => {
+  freshRequire("../src/config/mpesa");
+  const { computeNextRunAt, parseSchedule } = freshRequire("../src/services/mpesa/standingOrders");
+
+  const now = new Date("2026-01-01T00:00:00Z");
+  const monthly = parseSchedule({ frequency: "monthly", startAt: "2026-01-31T06:00:00Z" }, { now });
+  assert.equal(computeNextRunAt(monthly, { now }).toISOString(), "2026-01-31T06:00:00.000Z");
+  assert.equal(
+    computeNextRunAt(monthly, { after: "2026-01-31T06:00:00Z", runCount: 1, now: new Date("2026-01-31T06:00:05Z") }).toISOString(),
+    "2026-02-28T06:00:00.000Z"
+  );
+  assert.equal(
+    computeNextRunAt(monthly, { after: "2026-02-28T06:00:00Z", runCount: 2, now: new Date("2026-02-28T06:01:00Z") }).toISOString(),
+    "2026-03-31T06:00:00.000Z"
+  );
+
+  const daily = parseSchedule({ frequency: "daily", startAt: "2026-01-01T05:00:00Z", maxRuns: 3 }, { now });
+  // The scheduler was down for two days: the next run is tomorrow's, not the missed ones.
+  assert.equal(
+    computeNextRunAt(daily, { after: "2026-01-01T05:00:00Z", runCount: 1, now: new Date("2026-01-03T09:00:00Z") }).toISOString(),
+    "2026-01-04T05:00:00.000Z"
+  );
+  assert.equal(computeNextRunAt(daily, { after: "2026-01-02T05:00:00Z", runCount: 3, now }), null);
+
+  const weekly = parseSchedule(
+    { frequency: "weekly", startAt: "2026-01-05T05:00:00Z", endAt: "2026-01-15T00:00:00Z" },
+    { now }
+  );
+  assert.equal(computeNextRunAt(weekly, { after: "2026-01-05T05:00:00Z", runCount: 1, now }).toISOString(), "2026-01-12T05:00:00.000Z");
+  assert.equal(computeNextRunAt(weekly, { after: "2026-01-12T05:00:00Z", runCount: 2, now }), null);
+
+  const once = parseSchedule({ frequency: "once", startAt: "2026-02-01T00:00:00Z", maxRuns: 5 }, { now });
+  assert.equal(once.maxRuns, 1);
+  assert.throws(() => parseSchedule({ frequency: "hourly", startAt: "2026-02-01T00:00:00Z" }, { now }), /frequency/);
+  assert.throws(() => parseSchedule({ frequency: "daily", startAt: "2025-12-01T00:00:00Z" }, { now }), /past/);
+});
+
+test("each run pulls its USDC, goes out as B2B and is recorded as its own transaction", async (t) => {
+  const ctx = await setup(t);
+  const order = ctx.standingOrders.buildStandingOrder({
+    userAddress: USER,
+    flowType: "paybill",
+    targets: { paybillNumber: "888880", accountReference: "ACC123" },
+    amountKes: 1300,
+    schedule: { frequency: "monthly", startAt: new Date(Date.now() + 60_000), endAt: null, maxRuns: null },
+  });
+  order.authorization = { pinProvided: true, signature: "0xsig", signerAddress: USER, message: "signed" };
+  ctx.StandingOrder.findOne = async () => order;
+
+  ctx.chain.mint({ tokenAddress: USDC, to: USER, amountUnits: 100_000_000n });
+  ctx.chain.approve({ tokenAddress: USDC, owner: USER, spender: TREASURY, amountUnits: 15_000_000n });
+
+  const dueAt = order.nextRunAt.toISOString();
+  const first = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt });
+  assert.equal(first.outcome, "submitted");
+  assert.equal(first.needsRefund, false);
+  assert.equal(first.tx.status, "mpesa_processing");
+  assert.equal(first.tx.flowType, "paybill");
+  assert.equal(first.tx.standingOrderId, order.orderId);
+  assert.equal(first.tx.metadata.source, "standing_order");
+  assert.equal(first.tx.daraja.rawRequest.endpoint, "b2b_paybill");
+  assert.equal(first.tx.onchain.verificationStatus, "verified");
+  assert.equal(first.tx.onchain.verifiedBy, "allowance");
+  assert.equal(first.tx.onchain.fromAddress, USER);
+  const pulled = BigInt(first.tx.onchain.fundedAmountUnits);
+  assert.equal(await ctx.chain.getTokenBalance({ tokenAddress: USDC, owner: TREASURY }), pulled);
+  assert.equal(order.lastRunTransactionId, first.tx.transactionId);
+  assert.equal(order.consecutiveFailures, 0);
+
+  // A retried job for the same due time neither pulls funds nor submits again.
+  const again = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt });
+  assert.equal(again.outcome, "duplicate");
+  assert.equal(await ctx.chain.getTokenBalance({ tokenAddress: USDC, owner: TREASURY }), pulled);
+
+  // The remaining allowance cannot cover a second run: it fails before any money moves.
+  const second = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt: "2026-12-01T06:00:00.000Z" });
+  assert.equal(second.outcome, "failed");
+  assert.equal(second.needsRefund, false);
+  assert.match(order.lastError, /allowance is too low/);
+  assert.equal(order.status, "active");
+
+  // A Daraja rejection after the pull asks for the refund; two failures in a row pause the order.
+  ctx.chain.approve({ tokenAddress: USDC, owner: USER, spender: TREASURY, amountUnits: 15_000_000n });
+  ctx.simulator.setPartyScenario("b2b", "888880", "rejected");
+  const third = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt: "2027-01-01T06:00:00.000Z" });
+  assert.equal(third.outcome, "failed");
+  assert.equal(third.needsRefund, true);
+  assert.equal(order.status, "paused");
+  assert.match(order.pausedReason, /Paused after 2 failed runs/);
+  assert.equal(ctx.txs.size, 3);
+
+  const skipped = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt: "2027-02-01T06:00:00.000Z" });
+  assert.equal(skipped.outcome, "skipped");
+});
+
+test("a run retried after a crash before the submit resumes from the recorded pull", async (t) => {
+  const ctx = await setup(t);
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  // Keep what was saved, not the live document, so the retry only sees persisted state.
+  const stored = new Map();
+  let crashOnSubmit = true;
+  MpesaTransaction.prototype.save = async function save() {
+    if (crashOnSubmit && this.status === "mpesa_submitted") {
+      crashOnSubmit = false;
+      throw new Error("connection reset");
+    }
+    stored.set(this.idempotencyKey, this.toObject());
+    return this;
+  };
+  MpesaTransaction.findOne = async (query) => {
+    const doc = stored.get(query.idempotencyKey);
+    return doc ? MpesaTransaction.hydrate(doc) : null;
+  };
+
+  const order = ctx.standingOrders.buildStandingOrder({
+    userAddress: USER,
+    flowType: "paybill",
+    targets: { paybillNumber: "888880", accountReference: "ACC123" },
+    amountKes: 1300,
+    schedule: { frequency: "monthly", startAt: new Date(Date.now() + 60_000), endAt: null, maxRuns: null },
+  });
+  order.authorization = { pinProvided: true, signature: "0xsig", signerAddress: USER, message: "signed" };
+  ctx.StandingOrder.findOne = async () => order;
+  ctx.chain.mint({ tokenAddress: USDC, to: USER, amountUnits: 100_000_000n });
+  ctx.chain.approve({ tokenAddress: USDC, owner: USER, spender: TREASURY, amountUnits: 100_000_000n });
+
+  const dueAt = order.nextRunAt.toISOString();
+  await assert.rejects(ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt }), /connection reset/);
+  const pulled = await ctx.chain.getTokenBalance({ tokenAddress: USDC, owner: TREASURY });
+  assert.ok(pulled > 0n);
+  const [saved] = stored.values();
+  assert.equal(saved.onchain.verificationStatus, "verified");
+  assert.ok(saved.onchain.txHash);
+
+  const retried = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt });
+  assert.equal(retried.outcome, "submitted");
+  assert.equal(retried.tx.status, "mpesa_processing");
+  assert.equal(retried.tx.onchain.txHash, saved.onchain.txHash);
+  assert.equal(await ctx.chain.getTokenBalance({ tokenAddress: USDC, owner: TREASURY }), pulled);
+});
+
+test("a pull whose confirmation is lost keeps its hash and is settled from the receipt on retry", async (t) => {
+  const ctx = await setup(t);
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const stored = new Map();
+  MpesaTransaction.prototype.save = async function save() {
+    stored.set(this.idempotencyKey, this.toObject());
+    return this;
+  };
+  MpesaTransaction.findOne = async (query) => {
+    const doc = stored.get(query.idempotencyKey);
+    return doc ? MpesaTransaction.hydrate(doc) : null;
+  };
+
+  const order = ctx.standingOrders.buildStandingOrder({
+    userAddress: USER,
+    flowType: "paybill",
+    targets: { paybillNumber: "888880", accountReference: "ACC123" },
+    amountKes: 1300,
+    schedule: { frequency: "monthly", startAt: new Date(Date.now() + 60_000), endAt: null, maxRuns: null },
+  });
+  order.authorization = { pinProvided: true, signature: "0xsig", signerAddress: USER, message: "signed" };
+  ctx.StandingOrder.findOne = async () => order;
+  ctx.chain.mint({ tokenAddress: USDC, to: USER, amountUnits: 100_000_000n });
+  ctx.chain.approve({ tokenAddress: USDC, owner: USER, spender: TREASURY, amountUnits: 100_000_000n });
+
+  // The transfer is mined but the RPC drops while waiting for it.
+  ctx.chain.dropNextConfirmation();
+  const dueAt = order.nextRunAt.toISOString();
+  const lost = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt });
+  assert.equal(lost.outcome, "unconfirmed");
+  assert.equal(lost.needsRefund, false);
+  const pulled = await ctx.chain.getTokenBalance({ tokenAddress: USDC, owner: TREASURY });
+  assert.ok(pulled > 0n);
+  const [saved] = stored.values();
+  assert.equal(saved.status, "awaiting_onchain_funding");
+  assert.equal(saved.onchain.verificationStatus, "pending");
+  assert.ok(saved.onchain.txHash);
+  assert.equal(order.consecutiveFailures, 0);
+
+  const retried = await ctx.standingOrders.runStandingOrder({ orderId: order.orderId, dueAt });
+  assert.equal(retried.outcome, "submitted");
+  assert.equal(retried.tx.onchain.verificationStatus, "verified");
+  assert.equal(retried.tx.onchain.txHash, saved.onchain.txHash);
+  assert.equal(retried.tx.onchain.fundedAmountUnits, saved.onchain.expectedAmountUnits);
+  assert.equal(await ctx.chain.getTokenBalance({ tokenAddress: USDC, owner: TREASURY }), pulled);
+});
@@ -7,6 +7,10 @@ test("canTransition allows expected transitions", () => {
   assert.equal(canTransition("quoted", "mpesa_submitted"), true);
   assert.equal(canTransition("mpesa_processing", "succeeded"), true);
   assert.equal(canTransition("failed", "refund_pending"), true);
+  assert.equal(canTransition("succeeded", "reversal_pending"), true);
+  assert.equal(canTransition("reversal_pending", "succeeded"), true);
+  assert.equal(canTransition("reversed", "refunded"), true);
+  assert.equal(canTransition("reversed", "succeeded"), false);
 });
 
 test("assertTransition updates status and history", () => {
@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const USER = "0x7777777777777777777777777777777777777777";
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function loadStatements(t, transactions) {
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const originalFind = MpesaTransaction.find;
+  t.after(() => {
+    MpesaTransaction.find = originalFind;
+  });
+
+  const calls = [];
+  MpesaTransaction.find = (query) => {
+    calls.push(query);
+    return {
+      sort: () => ({
+        cursor: async function* cursor() {
+          yield* transactions;
+        },
+      }),
+    };
+  };
+
+  return { statements: freshRequire("../src/services/statements/statementService"), calls };
+}
+
+function at(iso) {
+  return new Date(iso);
+}
+
+const TOPUP = {
+  transactionId: "MPXTOPUP1",
+  flowType: "onramp",
+  status: "succeeded",
+  userAddress: USER,
+  createdAt: at("2026-03-01T06:00:00Z"),
+  quote: { amountKes: 1300, amountUsd: 10 },
+  targets: { phoneNumber: "254712345678" },
+  onchain: { txHash: "0xcredit", fundedAmountUsd: 10.2 },
+  daraja: { receiptNumber: "TKA1" },
+  history: [{ from: "mpesa_processing", to: "succeeded", at: at("2026-03-01T06:01:00Z") }],
+};
+
+// Paid on 2 March, refunded on 4 March: the refund lands after the 3 March payout.
+const REFUNDED = {
+  transactionId: "MPXPAYBILL1",
+  flowType: "paybill",
+  status: "refunded",
+  userAddress: USER,
+  businessId: "acme, ltd",
+  createdAt: at("2026-03-02T06:00:00Z"),
+  quote: { amountKes: 2500, totalDebitKes: 2540, amountUsd: 19.69 },
+  targets: { paybillNumber: "888880", accountReference: "79927398713" },
+  onchain: { txHash: "0xfund1", verificationStatus: "verified", verifiedAt: at("2026-03-02T06:02:00Z"), fundedAmountUsd: 20 },
+  refund: { status: "completed", txHash: "0xrefund1", completedAt: at("2026-03-04T09:00:00Z") },
+};
+
+const CASHOUT = {
+  transactionId: "MPXCASHOUT1",
+  flowType: "offramp",
+  status: "succeeded",
+  userAddress: USER,
+  createdAt: at("2026-03-03T06:00:00Z"),
+  quote: { amountKes: 1000, totalDebitKes: 1015, amountUsd: 7.81 },
+  targets: { phoneNumber: "254700000001" },
+  onchain: { verificationStatus: "not_required" },
+  daraja: { receiptNumber: "TKA3" },
+  history: [{ from: "quoted", to: "mpesa_submitted", at: at("2026-03-03T06:00:30Z") }],
+};
+
+// Never funded, so nothing moved.
+const ABANDONED = {
+  transactionId: "MPXTILL1",
+  flowType: "buygoods",
+  status: "failed",
+  userAddress: USER,
+  createdAt: at("2026-03-03T07:00:00Z"),
+  quote: { amountKes: 400, totalDebitKes: 410, amountUsd: 3.1 },
+  targets: { tillNumber: "5566778" },
+  onchain: { verificationStatus: "pending" },
+};
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+test("statement entries are ordered by date with running KES and USDC totals", async (t) => {
+  const { statements, calls } = loadStatements(t, [TOPUP, REFUNDED, CASHOUT, ABANDONED]);
+  const range = statements.parseStatementRange({ from: "2026-03-01", to: "2026-03-31" });
+  assert.deepEqual(range, { from: at("2026-02-28T21:00:00Z"), to: at("2026-03-31T21:00:00Z") });
+
+  const entries = await collect(statements.streamStatementEntries({ userAddress: USER, businessId: "acme, ltd", ...range }));
+  assert.equal(calls[0].userAddress, USER);
+  assert.equal(calls[0].businessId, "acme, ltd");
+  assert.deepEqual(calls[0].$or[1], { "refund.completedAt": { $gte: range.from, $lt: range.to } });
+  assert.deepEqual(calls[0].$or[2], {
+    "refund.items": { $elemMatch: { status: "completed", createdAt: { $gte: range.from, $lt: range.to } } },
+  });
+
+  assert.deepEqual(
+    entries.map((e) => [e.transactionId, e.type, e.amountKes, e.amountUsd, e.runningKes, e.runningUsd]),
+    [
+      ["MPXTOPUP1", "onramp", 1300, 10.2, 1300, 10.2],
+      ["MPXPAYBILL1", "paybill", -2540, -20, -1240, -9.8],
+      ["MPXCASHOUT1", "offramp", -1015, -7.81, -2255, -17.61],
+      ["MPXPAYBILL1", "refund", 2540, 20, 285, 2.39],
+    ]
+  );
+  assert.deepEqual(entries[0].date, at("2026-03-01T06:01:00Z"));
+  assert.deepEqual(entries[2].date, at("2026-03-03T06:00:30Z"));
+  assert.equal(entries[3].onchainTxHash, "0xrefund1");
+
+  // Entries outside the period are dropped even when their transaction is read.
+  const early = await collect(
+    statements.streamStatementEntries({ userAddress: USER, from: at("2026-03-01T00:00:00Z"), to: at("2026-03-04T00:00:00Z") })
+  );
+  assert.deepEqual(early.map((e) => e.type), ["onramp", "paybill", "offramp"]);
+
+  assert.throws(() => statements.parseStatementRange({ from: "2026-03-31", to: "2026-03-01" }), /from must be before to/);
+  assert.throws(() => statements.parseStatementRange({ from: "2025-01-01", to: "2026-03-01" }), /at most 366 days/);
+  assert.throws(() => statements.parseStatementRange({ from: "March" }), /from must be a date/);
+  const now = at("2026-03-31T12:00:00Z");
+  assert.deepEqual(statements.parseStatementRange({}, now), { from: at("2026-03-01T12:00:00Z"), to: now });
+});
+
+test("statements serialize as CSV and OFX", async (t) => {
+  const { statements } = loadStatements(t, [TOPUP, REFUNDED]);
+  const range = { from: at("2026-03-01T00:00:00Z"), to: at("2026-04-01T00:00:00Z") };
+  const entries = await collect(statements.streamStatementEntries({ userAddress: USER, ...range }));
+
+  const csvWriter = statements.createStatementWriter("csv", { userAddress: USER, ...range });
+  const csv = [csvWriter.header(), ...entries.map(csvWriter.entry), csvWriter.footer()].join("").split("\r\n");
+  assert.equal(
+    csv[0],
+    "date,transactionId,type,description,status,direction,amountKes,amountUsdc,runningKes,runningUsdc,mpesaReceipt,onchainTxHash,businessId"
+  );
+  assert.equal(
+    csv[2],
+    "2026-03-02T06:02:00.000Z,MPXPAYBILL1,paybill,Paybill 888880 acc 79927398713,refunded,debit,-2540.00,-20.000000,-1240.00,-9.800000,,0xfund1,\"acme, ltd\""
+  );
+  assert.equal(csv.length, 5);
+  const injected = csvWriter.entry({ ...entries[1], description: "=HYPERLINK(\"http://x\")", businessId: "@SUM(A1)" });
+  assert.ok(injected.includes(`,"'=HYPERLINK(""http://x"")",`));
+  assert.ok(injected.includes(",-2540.00,"));
+  assert.ok(injected.endsWith(",'@SUM(A1)\r\n"));
+
+  const ofxWriter = statements.createStatementWriter("ofx", {
+    userAddress: USER,
+    ...range,
+    generatedAt: at("2026-04-01T08:00:00Z"),
+  });
+  const ofx = [ofxWriter.header(), ...entries.map(ofxWriter.entry), ofxWriter.footer(entries.at(-1))].join("");
+  assert.ok(ofx.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n<?OFX OFXHEADER="200" VERSION="220"'));
+  assert.ok(ofx.includes("<CURDEF>USD</CURDEF>"));
+  assert.ok(ofx.includes(`<ACCTID>${USER}</ACCTID>`));
+  assert.ok(ofx.includes("<DTSTART>20260301000000.000[0:GMT]</DTSTART>"));
+  assert.equal(ofx.match(/<STMTTRN>/g).length, 3);
+  assert.ok(ofx.includes("<TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20260302060200.000[0:GMT]</DTPOSTED><TRNAMT>-20.000000</TRNAMT>"));
+  assert.ok(ofx.includes("<FITID>MPXPAYBILL1-R</FITID>"));
+  // NAME is capped at 32 characters by the OFX spec.
+  assert.ok(ofx.includes("<NAME>Refund: Paybill 888880 acc 79927</NAME>"));
+  assert.ok(ofx.includes("<MEMO>refund refunded; KES 2540.00; running KES 1300.00, USDC 10.200000</MEMO>"));
+  assert.ok(ofx.includes("<LEDGERBAL><BALAMT>10.200000</BALAMT>"));
+  assert.ok(ofx.trimEnd().endsWith("</OFX>"));
+
+  assert.throws(() => statements.createStatementWriter("qif", { userAddress: USER, ...range }), /format must be one of: csv, ofx/);
+});
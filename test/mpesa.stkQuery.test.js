@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function startSimulator() {
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async () => ({ status: 200 }),
+  });
+  const { url } = await simulator.listen(0);
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  const client = freshRequire("../src/services/mpesa/darajaClient");
+  const stkResult = freshRequire("../src/services/mpesa/stkResult");
+
+  return { simulator, client, stkResult };
+}
+
+async function pushAndQuery(client, simulator, scenario) {
+  if (scenario) simulator.enqueueScenario("stk", scenario);
+  const pushed = await client.initiateStkPush({
+    amountKes: 100,
+    phoneNumber: "254708374149",
+    callbackUrl: "http://backend.local/api/mpesa/webhooks/stk",
+  });
+  await simulator.flush();
+  return client.queryStkPushStatus({ checkoutRequestId: pushed.data.CheckoutRequestID });
+}
+
+function buildTx(overrides = {}) {
+  return {
+    transactionId: "MPXSTKQUERY",
+    flowType: "onramp",
+    status: "mpesa_processing",
+    daraja: { checkoutRequestId: "ws_CO_1" },
+    history: [],
+    saves: 0,
+    async save() {
+      this.saves += 1;
+      return this;
+    },
+    ...overrides,
+  };
+}
+
+test("STK push query classifies paid, cancelled and still-pending prompts", async (t) => {
+  const { simulator, client, stkResult } = await startSimulator();
+  t.after(() => simulator.close());
+
+  const paid = stkResult.classifyStkQueryResponse(await pushAndQuery(client, simulator, "success"));
+  assert.equal(paid.state, "paid");
+
+  const cancelled = stkResult.classifyStkQueryResponse(await pushAndQuery(client, simulator, "cancelled"));
+  assert.equal(cancelled.state, "failed");
+  assert.equal(String(cancelled.resultCode), "1032");
+
+  const pending = stkResult.classifyStkQueryResponse(await pushAndQuery(client, simulator, "no_callback"));
+  assert.equal(pending.state, "pending");
+
+  const unknown = stkResult.classifyStkQueryResponse(
+    await client.queryStkPushStatus({ checkoutRequestId: "ws_CO_missing" })
+  );
+  assert.equal(unknown.state, "error");
+});
+
+test("applyStkResult fails a topup only on a non-zero result and queues credit on success", async () => {
+  const stkResult = freshRequire("../src/services/mpesa/stkResult");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const original = BackgroundJob.findOneAndUpdate;
+  const enqueued = [];
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+
+  try {
+    const failedTx = buildTx();
+    const outcome = await stkResult.applyStkResult(failedTx, {
+      resultCode: "1032",
+      resultDesc: "Cancelled",
+      source: "reconcile",
+    });
+    assert.equal(outcome, "failed");
+    assert.equal(failedTx.status, "failed");
+    assert.equal(failedTx.daraja.resultCode, 1032);
+    assert.equal(failedTx.history.at(-1).reason, "STK query failure");
+    assert.equal(enqueued.length, 0);
+
+    const paidTx = buildTx({ status: "mpesa_submitted" });
+    assert.equal(await stkResult.applyStkResult(paidTx, { resultCode: 0, source: "webhook" }), "paid");
+    assert.equal(paidTx.status, "mpesa_processing");
+    assert.equal(paidTx.daraja.resultCodeRaw, "0");
+    assert.equal(paidTx.history.at(-1).reason, "STK callback success");
+    assert.deepEqual(enqueued, ["onramp.credit:MPXSTKQUERY"]);
+  } finally {
+    BackgroundJob.findOneAndUpdate = original;
+  }
+});
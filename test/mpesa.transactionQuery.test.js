@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const { buildTransactionQuery, encodeCursor, decodeCursor } = require("../src/services/mpesa/transactionQuery");
+const { MpesaTransaction, FLOW_TYPES } = require("../src/models/MpesaTransaction");
+
+const USER = "0x8888888888888888888888888888888888888888";
+
+test("transaction list filters are user-scoped and sorted by the list index", () => {
+  const { filter, countFilter, limit, withTotal } = buildTransactionQuery(
+    USER,
+    {
+      flowType: "Paybill",
+      status: "succeeded",
+      businessId: " acme ",
+      refundStatus: "completed",
+      phoneNumber: "0712 345 678",
+      paybillNumber: "888880",
+      receiptNumber: "tka81lk5cy",
+      from: "2026-03-01",
+      to: "2026-03-31",
+      minAmountKes: "100",
+      maxAmountKes: "2500",
+      limit: "500",
+      count: "true",
+    },
+    { flowTypes: FLOW_TYPES }
+  );
+
+  assert.deepEqual(filter, {
+    userAddress: USER,
+    flowType: "paybill",
+    status: "succeeded",
+    businessId: "acme",
+    "refund.status": "completed",
+    "targets.phoneNumber": "254712345678",
+    "targets.paybillNumber": "888880",
+    "daraja.receiptNumber": "TKA81LK5CY",
+    createdAt: { $gte: new Date("2026-02-28T21:00:00Z"), $lt: new Date("2026-03-31T21:00:00Z") },
+    "quote.amountKes": { $gte: 100, $lte: 2500 },
+  });
+  assert.deepEqual(countFilter, filter);
+  assert.equal(limit, 100);
+  assert.equal(withTotal, true);
+
+  // One user-scoped index serves the sort; the other filters do not get an index each.
+  const indexes = MpesaTransaction.schema.indexes().map(([fields]) => Object.keys(fields).join(","));
+  assert.deepEqual(
+    indexes.filter((fields) => fields.startsWith("userAddress,") && fields.endsWith(",_id")),
+    ["userAddress,createdAt,_id"]
+  );
+
+  const defaults = buildTransactionQuery(USER, { flowType: "bogus" }, { flowTypes: FLOW_TYPES });
+  assert.deepEqual(defaults.filter, { userAddress: USER });
+  assert.equal(defaults.limit, 20);
+  assert.equal(defaults.withTotal, false);
+
+  const bad = (params) => () => buildTransactionQuery(USER, params, { flowTypes: FLOW_TYPES });
+  assert.throws(bad({ refundStatus: "done" }), /refundStatus must be one of: none, pending, completed, failed/);
+  assert.throws(bad({ phoneNumber: "12345" }), /phoneNumber must be a Kenyan MSISDN/);
+  assert.throws(bad({ tillNumber: "12" }), /tillNumber must be 5-8 digits/);
+  assert.throws(bad({ from: "2026-03-31", to: "2026-03-01" }), /from must be before to/);
+  assert.throws(bad({ to: "yesterday" }), /to must be a date/);
+  assert.throws(bad({ minAmountKes: "-1" }), /minAmountKes must be a non-negative number/);
+  assert.throws(bad({ minAmountKes: "500", maxAmountKes: "100" }), /maxAmountKes must be >= minAmountKes/);
+});
+
+test("cursors resume after the last row and reject tampering", () => {
+  const last = { _id: new mongoose.Types.ObjectId("65f000000000000000000abc"), createdAt: new Date("2026-03-02T06:00:00Z") };
+  const cursor = encodeCursor(last);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+
+  const decoded = decodeCursor(cursor);
+  assert.deepEqual(decoded.createdAt, last.createdAt);
+  assert.ok(decoded.id.equals(last._id));
+
+  const { filter, countFilter } = buildTransactionQuery(USER, { status: "failed", cursor });
+  assert.deepEqual(filter.$or, [
+    { createdAt: { $lt: last.createdAt } },
+    { createdAt: last.createdAt, _id: { $lt: last._id } },
+  ]);
+  // The total counts the whole result set, not what is left after the cursor.
+  assert.deepEqual(countFilter, { userAddress: USER, status: "failed" });
+
+  for (const tampered of ["not-a-cursor", Buffer.from('[1,"$where"]').toString("base64url"), Buffer.from("{}").toString("base64url")]) {
+    assert.throws(() => decodeCursor(tampered), /cursor is invalid/);
+  }
+});
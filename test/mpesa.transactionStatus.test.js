@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createDarajaSimulator } = require("../src/simulator/darajaSimulator");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+async function startSimulator() {
+  const delivered = [];
+  const simulator = createDarajaSimulator({
+    consumerKey: "sim-key",
+    consumerSecret: "sim-secret",
+    callbackDelayMs: 0,
+    logger: null,
+    postCallback: async (url, body) => {
+      delivered.push({ url, body });
+      return { status: 200 };
+    },
+  });
+  const { url } = await simulator.listen(0);
+
+  process.env.MPESA_BASE_URL = url;
+  process.env.MPESA_CONSUMER_KEY = "sim-key";
+  process.env.MPESA_CONSUMER_SECRET = "sim-secret";
+  process.env.MPESA_SHORTCODE = "600000";
+  process.env.MPESA_PASSKEY = "passkey";
+  process.env.MPESA_INITIATOR_NAME = "testapi";
+  process.env.MPESA_SECURITY_CREDENTIAL = "credential";
+  process.env.MPESA_RESULT_BASE_URL = "http://backend.local";
+  process.env.MPESA_TIMEOUT_BASE_URL = "http://backend.local";
+  process.env.MPESA_REQUIRE_ONCHAIN_FUNDING = "false";
+  process.env.MPESA_AUTO_REFUND = "true";
+
+  freshRequire("../src/config/mpesa");
+  freshRequire("../src/services/mpesa/authTokenCache");
+  const client = freshRequire("../src/services/mpesa/darajaClient");
+  freshRequire("../src/services/mpesa/callbackUrls");
+  freshRequire("../src/services/jobs/enqueue");
+  const status = freshRequire("../src/services/mpesa/transactionStatus");
+
+  return { simulator, client, status, delivered };
+}
+
+function buildTx(overrides = {}) {
+  return {
+    transactionId: "MPXSTATUS",
+    flowType: "offramp",
+    status: "mpesa_processing",
+    daraja: { originatorConversationId: "MPXSTATUS" },
+    history: [],
+    metadata: {},
+    async save() {
+      return this;
+    },
+    ...overrides,
+  };
+}
+
+async function payAndQueryStatus({ simulator, client, status, delivered }, scenario) {
+  simulator.enqueueScenario("b2c", scenario);
+  await client.initiateB2C({
+    amountKes: 300,
+    phoneNumber: "254711000002",
+    originatorConversationId: "MPXSTATUS",
+    resultUrl: "http://backend.local/api/mpesa/webhooks/b2c/result?tx=MPXSTATUS",
+    timeoutUrl: "http://backend.local/api/mpesa/webhooks/b2c/timeout?tx=MPXSTATUS",
+  });
+  await simulator.flush();
+  delivered.length = 0;
+
+  const tx = buildTx();
+  const queried = await status.requestTransactionStatus(tx);
+  assert.equal(queried.accepted, true);
+  assert.equal(tx.metadata.extra.statusQuery.attempts, 1);
+
+  await simulator.flush();
+  assert.equal(delivered.length, 1);
+  assert.equal(delivered[0].url, "http://backend.local/api/mpesa/webhooks/transaction-status/result?tx=MPXSTATUS");
+  return { tx, outcome: status.classifyTransactionStatusResult(delivered[0].body.Result) };
+}
+
+test("transaction status result finalizes a stuck payout as succeeded", async (t) => {
+  const ctx = await startSimulator();
+  t.after(() => ctx.simulator.close());
+
+  const { tx, outcome } = await payAndQueryStatus(ctx, "success");
+  assert.equal(outcome.state, "completed");
+  assert.equal(outcome.originatorConversationId, "MPXSTATUS");
+  assert.match(outcome.receiptNumber, /^[A-Z0-9]{10}$/);
+
+  assert.equal(await ctx.status.applyTransactionStatusResult(tx, outcome), "succeeded");
+  assert.equal(tx.status, "succeeded");
+  assert.equal(tx.daraja.receiptNumber, outcome.receiptNumber);
+  assert.equal(tx.metadata.extra.statusQuery.lastResult.transactionStatus, "Completed");
+});
+
+test("transaction status result fails a payout and queues its refund", async (t) => {
+  const ctx = await startSimulator();
+  t.after(() => ctx.simulator.close());
+
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const original = BackgroundJob.findOneAndUpdate;
+  const enqueued = [];
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+  t.after(() => {
+    BackgroundJob.findOneAndUpdate = original;
+  });
+
+  const { tx, outcome } = await payAndQueryStatus(ctx, "insufficient_funds");
+  assert.equal(outcome.state, "failed");
+
+  assert.equal(await ctx.status.applyTransactionStatusResult(tx, outcome), "failed");
+  assert.equal(tx.status, "failed");
+  assert.deepEqual(enqueued, ["refund.auto:MPXSTATUS"]);
+
+  // A query that could not find the payout changes nothing.
+  const open = buildTx();
+  const unknown = ctx.status.classifyTransactionStatusResult({ ResultCode: 2001, ResultDesc: "Not found" });
+  assert.equal(unknown.state, "unknown");
+  assert.equal(await ctx.status.applyTransactionStatusResult(open, unknown), "unchanged");
+  assert.equal(open.status, "mpesa_processing");
+});
+
+test("reconcile hands a payout to ops review once its status queries go unanswered", async (t) => {
+  const ctx = await startSimulator();
+  t.after(() => ctx.simulator.close());
+  const reconcile = freshRequire("../src/services/mpesa/reconcileService");
+
+  const { MpesaTransaction } = require("../src/models/MpesaTransaction");
+  const { BackgroundJob } = require("../src/models/BackgroundJob");
+  const originalFind = MpesaTransaction.find;
+  const originalEnqueue = BackgroundJob.findOneAndUpdate;
+  const enqueued = [];
+  BackgroundJob.findOneAndUpdate = async (filter, update) => {
+    enqueued.push(filter.dedupeKey);
+    return { _id: "job", ...update.$setOnInsert };
+  };
+  t.after(() => {
+    MpesaTransaction.find = originalFind;
+    BackgroundJob.findOneAndUpdate = originalEnqueue;
+  });
+
+  const tx = buildTx({
+    updatedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+    onchain: { verificationStatus: "verified" },
+    metadata: { extra: { statusQuery: { attempts: 3 } } },
+  });
+  MpesaTransaction.find = () => ({ limit: async () => [tx] });
+
+  const summary = await reconcile.reconcileStaleTransactions({ maxAgeMinutes: 30 });
+  assert.equal(summary.sentToOpsReview, 1);
+  assert.equal(summary.markedFailed, 0);
+  assert.equal(summary.refundsQueued, 0);
+  assert.equal(summary.statusQueried, 0);
+  assert.equal(tx.status, "ops_review");
+  assert.deepEqual(enqueued, []);
+
+  // A later answer (a late callback or an ops re-query) still settles it.
+  const { outcome } = await payAndQueryStatus(ctx, "success");
+  assert.equal(await ctx.status.applyTransactionStatusResult(tx, outcome), "succeeded");
+  assert.equal(tx.status, "succeeded");
+  assert.deepEqual(
+    tx.history.map((h) => h.to),
+    ["ops_review", "succeeded"]
+  );
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+function freshRequire(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+function setup() {
+  process.env.SCHEDULER_RECONCILE_INTERVAL_SECONDS = "300";
+  process.env.SCHEDULER_LEASE_SECONDS = "120";
+  freshRequire("../src/config/scheduler");
+  return freshRequire("../src/services/scheduler/scheduler");
+}
+
+test("computeDueBefore allows a small slack so timers firing early do not skip a cycle", () => {
+  const { computeDueBefore } = setup();
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+  // 300s interval: 10s slack (capped), so anything started 290s+ ago is due.
+  assert.equal(computeDueBefore(300_000, now).getTime(), now - 290_000);
+  // 30s interval: 10% slack.
+  assert.equal(computeDueBefore(30_000, now).getTime(), now - 27_000);
+});
+
+test("runScheduledTask does not run or record anything when the lease is held elsewhere", async () => {
+  const scheduler = setup();
+  const { SchedulerLease } = require("../src/models/SchedulerLease");
+  const { SchedulerRun } = require("../src/models/SchedulerRun");
+
+  const original = { lease: SchedulerLease.findOneAndUpdate, create: SchedulerRun.create };
+  const leaseQueries = [];
+  let created = 0;
+  SchedulerLease.findOneAndUpdate = async (query) => {
+    leaseQueries.push(query);
+    // Existing lease that does not match the free/due filter: the upsert collides on `task`.
+    const err = new Error("E11000 duplicate key error");
+    err.code = 11000;
+    throw err;
+  };
+  SchedulerRun.create = async () => {
+    created += 1;
+  };
+
+  try {
+    const result = await scheduler.runScheduledTask("reconcile", { holder: "instance-b" });
+    assert.deepEqual(result, { task: "reconcile", ran: false, reason: "not_due_or_locked" });
+    assert.equal(created, 0);
+    assert.equal(leaseQueries[0].task, "reconcile");
+    assert.equal(leaseQueries[0].$and.length, 2);
+
+    await scheduler.runScheduledTask("reconcile", { holder: "instance-b", force: true });
+    assert.equal(leaseQueries[1].$and.length, 1);
+
+    await assert.rejects(scheduler.runScheduledTask("nope"), /Unknown scheduler task/);
+  } finally {
+    SchedulerLease.findOneAndUpdate = original.lease;
+    SchedulerRun.create = original.create;
+  }
+});